@@ -40,6 +40,8 @@ cp -r "$EXTENSION_DIR/assets" "$TEMP_DIR/"
 cp -r "$EXTENSION_DIR/background" "$TEMP_DIR/"
 cp -r "$EXTENSION_DIR/content" "$TEMP_DIR/"
 cp -r "$EXTENSION_DIR/popup" "$TEMP_DIR/"
+cp -r "$EXTENSION_DIR/settings" "$TEMP_DIR/"
+cp -r "$EXTENSION_DIR/goodnight" "$TEMP_DIR/"
 cp -r "$EXTENSION_DIR/utils" "$TEMP_DIR/"
 
 # Copy manifest
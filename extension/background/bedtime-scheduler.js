@@ -0,0 +1,206 @@
+/**
+ * Viboot Bedtime Scheduler
+ * Weekly bedtime schedules that arm sleep timers at a set clock time
+ *
+ * At a scheduled time every supported tab that is playing video gets either a
+ * sleep timer ('timer' action) or a short grace countdown before pausing
+ * ('pause' action). Tabs that already have a timer are left alone.
+ *
+ * One chrome.alarms alarm (vibootBedtime) is armed for the next occurrence of
+ * any schedule, but never more than MAX_ALARM_LEAD ahead: alarms fire at an
+ * absolute time, so re-reading the wall clock every few hours keeps schedules
+ * on time across DST and time zone changes.
+ *
+ * Storage: `bedtimeSchedules` (entries, see utils/schedule-utils.js) and
+ * `bedtimeLastRun` ({ [scheduleId]: occurrence timestamp }) so an occurrence runs once.
+ */
+
+import { timerEngine } from './timer-engine.js';
+import { pauseVideo } from './expiry-actions.js';
+import { getSettings } from '../utils/settings-service.js';
+import {
+  isValidSchedule,
+  getNextOccurrence,
+  getPreviousOccurrence,
+  formatScheduleDays
+} from '../utils/schedule-utils.js';
+
+export const BEDTIME_CONFIG = {
+  ALARM_NAME: 'vibootBedtime',
+  MAX_ALARM_LEAD: 6 * 60 * 60 * 1000, // 6 hours - re-check the wall clock at least this often
+  MISSED_WINDOW: 60 * 60 * 1000, // 1 hour - still run a bedtime the browser slept through
+  DUE_TOLERANCE: 30 * 1000 // 30 seconds - alarms can fire slightly early
+};
+
+/**
+ * Whether any <video> in the tab (including player iframes) is playing
+ */
+async function isTabPlaying(tab) {
+  if (tab.audible) {
+    return true;
+  }
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: tab.id, allFrames: true },
+      func: () => Array.from(document.querySelectorAll('video')).some(video => !video.paused)
+    });
+    return results.some(frame => frame.result === true);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Most recent occurrence that should run now, or null
+ */
+function getDueOccurrence(schedule, now) {
+  const occurrence = getPreviousOccurrence(schedule, new Date(now + BEDTIME_CONFIG.DUE_TOLERANCE));
+  if (!occurrence || now - occurrence.getTime() > BEDTIME_CONFIG.MISSED_WINDOW) {
+    return null;
+  }
+  // Occurrences from before the schedule was created or edited don't count
+  if (schedule.updatedAt && occurrence.getTime() < schedule.updatedAt) {
+    return null;
+  }
+  return occurrence;
+}
+
+export class BedtimeScheduler {
+  constructor() {
+    // Re-arm whenever the settings page (or a reset/import) changes the schedules
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.bedtimeSchedules) {
+        this.arm().catch(e => console.warn('[Viboot] Failed to arm bedtime alarm:', e));
+      }
+    });
+  }
+
+  /**
+   * Enabled, well-formed schedules
+   * @returns {Promise<Object[]>}
+   */
+  async getSchedules() {
+    const { bedtimeSchedules } = await chrome.storage.local.get('bedtimeSchedules');
+    return (bedtimeSchedules || []).filter(
+      schedule => schedule.enabled && isValidSchedule(schedule)
+    );
+  }
+
+  /**
+   * Arm the bedtime alarm for the next occurrence of any schedule
+   * Clears it when no schedule is enabled
+   */
+  async arm() {
+    const schedules = await this.getSchedules();
+    const now = Date.now();
+    const nextTimes = schedules
+      .map(schedule => getNextOccurrence(schedule, new Date(now)))
+      .filter(Boolean)
+      .map(occurrence => occurrence.getTime());
+
+    if (nextTimes.length === 0) {
+      await chrome.alarms.clear(BEDTIME_CONFIG.ALARM_NAME);
+      return;
+    }
+
+    const when = Math.min(...nextTimes, now + BEDTIME_CONFIG.MAX_ALARM_LEAD);
+    await chrome.alarms.create(BEDTIME_CONFIG.ALARM_NAME, { when });
+    console.log(`[Viboot] Bedtime alarm armed for ${new Date(when).toLocaleString()}`);
+  }
+
+  /**
+   * Alarm fired (or browser started): run due schedules, then arm the next one
+   */
+  async handleAlarm() {
+    try {
+      await this.runDueSchedules();
+    } finally {
+      await this.arm();
+    }
+  }
+
+  async runDueSchedules() {
+    const now = Date.now();
+    const schedules = await this.getSchedules();
+    const { bedtimeLastRun = {} } = await chrome.storage.local.get('bedtimeLastRun');
+
+    const due = [];
+    for (const schedule of schedules) {
+      const occurrence = getDueOccurrence(schedule, now);
+      if (occurrence && bedtimeLastRun[schedule.id] !== occurrence.getTime()) {
+        bedtimeLastRun[schedule.id] = occurrence.getTime();
+        due.push(schedule);
+      }
+    }
+    if (due.length === 0) {
+      return;
+    }
+
+    // Mark as run before starting timers so a second alarm can't run them again
+    await chrome.storage.local.set({ bedtimeLastRun });
+    for (const schedule of due) {
+      await this.runSchedule(schedule);
+    }
+  }
+
+  /**
+   * Start a timer (or grace countdown) on every playing supported tab
+   * @param {Object} schedule
+   * @returns {Promise<number>} Number of tabs that got a timer
+   */
+  async runSchedule(schedule) {
+    const minutes = schedule.action === 'pause' ? schedule.graceSeconds / 60 : schedule.minutes;
+    let started = 0;
+
+    for (const tab of await timerEngine.getMediaTabs()) {
+      const status = await timerEngine.getTimerStatus(tab.id);
+      if (status.active || !(await isTabPlaying(tab))) {
+        continue;
+      }
+      try {
+        if (minutes > 0) {
+          await timerEngine.startTimer(minutes, tab.id, { source: 'bedtime' });
+        } else {
+          await pauseVideo(tab.id);
+        }
+        started++;
+      } catch (error) {
+        console.warn(`[Viboot] Bedtime timer failed on tab ${tab.id}:`, error.message);
+      }
+    }
+
+    console.log(
+      `[Viboot] Bedtime (${formatScheduleDays(schedule.days)} ${schedule.time}): ${started} tab(s)`
+    );
+    if (started > 0) {
+      await this.showBedtimeNotification(schedule, started);
+    }
+    return started;
+  }
+
+  async showBedtimeNotification(schedule, tabCount) {
+    const settings = await getSettings();
+    if (!settings.showNotifications) {
+      return;
+    }
+
+    const tabs = tabCount === 1 ? '1 tab' : `${tabCount} tabs`;
+    let message = `Sleep timer set for ${schedule.minutes} min on ${tabs}`;
+    if (schedule.action === 'pause') {
+      message = schedule.graceSeconds
+        ? `Pausing ${tabs} in ${schedule.graceSeconds}s. Sweet dreams!`
+        : `Paused ${tabs}. Sweet dreams!`;
+    }
+
+    chrome.notifications
+      .create(`vibootBedtime:${schedule.id}`, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('assets/icons/android-chrome-192x192.png'),
+        title: "🌙 It's bedtime",
+        message
+      })
+      .catch(() => {});
+  }
+}
+
+export const bedtimeScheduler = new BedtimeScheduler();
@@ -0,0 +1,230 @@
+/**
+ * Viboot Expiry Actions
+ * What a sleep timer does to its tab when it runs out
+ *
+ * - expiryAction: 'pause' (default), 'mute', 'lowerVolume', 'close' or
+ *   'goodnight' (replace the page with goodnight/goodnight.html)
+ * - exitFullscreen: leave fullscreen first (not with 'close')
+ * - closeTabAfterMinutes: close the tab a while after the action, unless
+ *   playback was resumed in the meantime (0 = never)
+ * - systemAction: lock screen, display off or suspend afterwards (native-host.js)
+ *
+ * Settings live in the nested `settings` object; a site profile can override
+ * expiryAction (see utils/site-profiles.js). Mute, volume and fullscreen run in
+ * the content script (content/expiry-action.js).
+ *
+ * The delayed close is an alarm (vibootCloseTab:<tabId>:<action>) so it
+ * survives the service worker sleeping.
+ */
+
+import { getSettings } from '../utils/settings-service.js';
+import { runSystemAction } from './native-host.js';
+
+export const EXPIRY_CONFIG = {
+  CLOSE_ALARM_PREFIX: 'vibootCloseTab:',
+  GOODNIGHT_PAGE: 'goodnight/goodnight.html'
+};
+
+// Notification text per action (scope 'tab')
+export const EXPIRY_MESSAGES = {
+  pause: 'Your video has been paused.',
+  mute: 'Your tab has been muted.',
+  lowerVolume: 'The volume has been turned down.',
+  close: 'Your tab has been closed.',
+  goodnight: 'Your video has been stopped.'
+};
+
+/**
+ * Ask the tab's content script to pause playback, falling back to script injection
+ * @param {number} tabId
+ */
+export async function pauseVideo(tabId) {
+  try {
+    await chrome.tabs.sendMessage(tabId, { action: 'pauseVideo', source: 'sleepTimer' });
+    console.log(`[Viboot] Video paused successfully on tab ${tabId}`);
+  } catch (error) {
+    // Content script not available - use fallback silently
+    console.log(`[Viboot] Content script unavailable on tab ${tabId}, using fallback`);
+    await pauseVideoFallback(tabId);
+  }
+}
+
+/**
+ * Pause every media element in the tab without the content script
+ * @param {number} tabId
+ */
+export async function pauseVideoFallback(tabId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+
+    // Don't try to pause on chrome://, about:, or other restricted URLs
+    if (!tab.url || /^(chrome|about|chrome-extension):/.test(tab.url)) {
+      console.log('[Viboot] Skipping pause on restricted URL:', tab.url);
+      return;
+    }
+
+    await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      func: () => {
+        document.querySelectorAll('video, audio').forEach(media => media.pause());
+      }
+    });
+    console.log('[Viboot] Video paused via fallback');
+  } catch (error) {
+    console.warn('[Viboot] Fallback pause failed:', error.message);
+  }
+}
+
+async function sendExpiryAction(tabId, expiryAction) {
+  const response = await chrome.tabs.sendMessage(tabId, {
+    action: 'runExpiryAction',
+    expiryAction
+  });
+  if (!response?.success) {
+    throw new Error(response?.error || 'No response');
+  }
+}
+
+/**
+ * Mute (or turn down) the player through the content script
+ * Without a content script, muting falls back to the tab's mute and turning down to pausing
+ */
+async function quietVideo(tabId, expiryAction) {
+  try {
+    await sendExpiryAction(tabId, expiryAction);
+    console.log(`[Viboot] ${expiryAction} done on tab ${tabId}`);
+  } catch (error) {
+    console.log(
+      `[Viboot] ${expiryAction} failed on tab ${tabId} (${error.message}), using fallback`
+    );
+    if (expiryAction === 'mute') {
+      await chrome.tabs.update(tabId, { muted: true }).catch(() => pauseVideo(tabId));
+    } else {
+      await pauseVideo(tabId);
+    }
+  }
+}
+
+async function showGoodNightPage(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  const url = new URL(chrome.runtime.getURL(EXPIRY_CONFIG.GOODNIGHT_PAGE));
+  if (/^https?:/.test(tab.url || '')) {
+    url.searchParams.set('from', tab.url);
+  }
+  await chrome.tabs.update(tabId, { url: url.href });
+}
+
+async function closeTab(tabId) {
+  try {
+    await chrome.tabs.remove(tabId);
+    console.log(`[Viboot] Tab ${tabId} closed`);
+  } catch (error) {
+    // Already closed
+  }
+}
+
+/**
+ * Close the tab later, once the sleeper is asleep
+ * @param {number} tabId
+ * @param {string} expiryAction - What ran at expiry; decides how "watching again" is detected
+ * @param {number} minutes
+ */
+async function scheduleClose(tabId, expiryAction, minutes) {
+  await cancelScheduledClose(tabId);
+  await chrome.alarms.create(`${EXPIRY_CONFIG.CLOSE_ALARM_PREFIX}${tabId}:${expiryAction}`, {
+    delayInMinutes: minutes
+  });
+}
+
+/**
+ * Drop a pending delayed close (a new timer was started in the tab)
+ * @param {number} tabId
+ */
+export async function cancelScheduledClose(tabId) {
+  const prefix = `${EXPIRY_CONFIG.CLOSE_ALARM_PREFIX}${tabId}:`;
+  const alarms = await chrome.alarms.getAll();
+  await Promise.all(
+    alarms
+      .filter(alarm => alarm.name.startsWith(prefix))
+      .map(alarm => chrome.alarms.clear(alarm.name))
+  );
+}
+
+/**
+ * Whether playback was resumed since the expiry action
+ * A turned-down video keeps playing, so it never counts as resumed
+ */
+async function isWatchingAgain(tabId, expiryAction) {
+  if (expiryAction === 'lowerVolume') {
+    return false;
+  }
+  const response = await chrome.tabs
+    .sendMessage(tabId, { action: 'getPlaybackStatus' })
+    .catch(() => null);
+  const status = response?.status;
+  if (!status?.hasVideo || status.paused) {
+    return false;
+  }
+  if (expiryAction !== 'mute') {
+    return true;
+  }
+  const tab = await chrome.tabs.get(tabId);
+  return !status.muted && !tab.mutedInfo?.muted;
+}
+
+/**
+ * Handle a vibootCloseTab:<tabId>:<action> alarm
+ * @param {string} alarmName
+ */
+export async function handleCloseAlarm(alarmName) {
+  const [tabId, expiryAction] = alarmName.slice(EXPIRY_CONFIG.CLOSE_ALARM_PREFIX.length).split(':');
+  const id = Number(tabId);
+  try {
+    if (await isWatchingAgain(id, expiryAction)) {
+      console.log(`[Viboot] Playback resumed on tab ${id}, not closing it`);
+      return;
+    }
+    await closeTab(id);
+  } catch (error) {
+    // Tab is gone
+  }
+}
+
+async function runAction(tabId, expiryAction) {
+  if (expiryAction === 'goodnight') {
+    await showGoodNightPage(tabId);
+  } else if (expiryAction === 'mute' || expiryAction === 'lowerVolume') {
+    await quietVideo(tabId, expiryAction);
+  } else {
+    await pauseVideo(tabId);
+  }
+}
+
+async function runTabActions(tabId, expiryAction, settings) {
+  if (expiryAction === 'close') {
+    await closeTab(tabId);
+    return;
+  }
+  if (settings.exitFullscreen) {
+    await sendExpiryAction(tabId, 'exitFullscreen').catch(() => {});
+  }
+  await runAction(tabId, expiryAction);
+  if (settings.closeTabAfterMinutes > 0) {
+    await scheduleClose(tabId, expiryAction, settings.closeTabAfterMinutes);
+  }
+}
+
+/**
+ * Run the expiry action for a timer's tab, then the system action (if any)
+ * @param {number} tabId
+ * @param {string} [override] - The site profile's expiryAction, if any
+ * @returns {Promise<string>} The action that ran
+ */
+export async function runExpiryActions(tabId, override) {
+  const settings = await getSettings();
+  const expiryAction = override || settings.expiryAction;
+
+  await runTabActions(tabId, expiryAction, settings);
+  await runSystemAction(settings.systemAction);
+  return expiryAction;
+}
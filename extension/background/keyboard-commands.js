@@ -0,0 +1,112 @@
+/**
+ * Viboot Keyboard Commands
+ * Shortcuts declared under `commands` in manifest.json, turned into the same
+ * messages the popup sends so they run through handleMessage in service-worker.js
+ *
+ * Chrome pre-assigns at most four suggested keys; users change them (or set the
+ * rest) on chrome://extensions/shortcuts, linked from Settings → General.
+ */
+
+import { AUTOPLAY_CONFIG } from '../utils/config.js';
+import { getSettings } from '../utils/settings-service.js';
+
+export const COMMAND_CONFIG = {
+  EXTEND_MINUTES: 10,
+  NOTIFICATION_ID: 'vibootCommand' // One notification, replaced by each shortcut
+};
+
+/**
+ * Length of the popup's clock button timer (first preset), in minutes
+ */
+async function getDefaultMinutes() {
+  const { timerPresets } = await chrome.storage.local.get('timerPresets');
+  const presets = Array.isArray(timerPresets) ? timerPresets : AUTOPLAY_CONFIG.defaultPresets;
+  return presets[0] / 60;
+}
+
+/**
+ * The timer a shortcut acts on: the current tab's, or the only one running
+ * @param {chrome.tabs.Tab} [tab] - Tab that had focus
+ * @param {Function} send - handleMessage
+ */
+async function findTimer(tab, send) {
+  const { timers = [] } = await send({ action: 'getAllTimers' });
+  return timers.find(timer => timer.tabId === tab?.id) || (timers.length === 1 ? timers[0] : null);
+}
+
+/**
+ * Message and confirmation text for a command on a running timer
+ * @returns {{message: Object, text: string}|null}
+ */
+function buildTimerMessage(command, timer) {
+  const { tabId } = timer;
+  if (command === 'extend-timer' && timer.mode === 'episode') {
+    return { message: { action: 'extendTimer', tabId, episodes: 1 }, text: 'One more episode' };
+  }
+  if (command === 'extend-timer') {
+    const minutes = COMMAND_CONFIG.EXTEND_MINUTES;
+    return { message: { action: 'extendTimer', tabId, minutes }, text: `Added ${minutes} minutes` };
+  }
+  if (command === 'toggle-pause') {
+    return timer.status === 'paused'
+      ? { message: { action: 'resumeTimer', tabId }, text: 'Timer resumed' }
+      : { message: { action: 'pauseTimer', tabId }, text: 'Timer paused' };
+  }
+  if (command === 'stop-timer') {
+    return { message: { action: 'stopTimer', tabId }, text: 'Timer stopped' };
+  }
+  return null;
+}
+
+async function buildCommandMessage(command, tab, send) {
+  if (command === 'start-timer') {
+    if (!tab?.id) {
+      return { text: 'No tab to start a timer in' };
+    }
+    const minutes = await getDefaultMinutes();
+    const message = { action: 'startTimer', tabId: tab.id, minutes, useProfile: 'timer' };
+    return { message, text: 'Sleep timer started' };
+  }
+  if (command === 'toggle-overlay') {
+    const { showOverlay } = await getSettings();
+    return {
+      message: { action: 'saveSettings', settings: { showOverlay: !showOverlay } },
+      text: showOverlay ? 'On-screen timer hidden' : 'On-screen timer shown'
+    };
+  }
+  const timer = await findTimer(tab, send);
+  return timer ? buildTimerMessage(command, timer) : { text: 'No timer is running' };
+}
+
+async function notifyCommand(text) {
+  const settings = await getSettings();
+  if (!settings.showNotifications) {
+    return;
+  }
+  await chrome.notifications.create(COMMAND_CONFIG.NOTIFICATION_ID, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('assets/icons/android-chrome-192x192.png'),
+    title: 'Viboot',
+    message: text
+  });
+}
+
+/**
+ * Run a keyboard shortcut
+ * @param {string} command - Command name from manifest.json
+ * @param {chrome.tabs.Tab} [tab] - Tab that had focus
+ * @param {Function} send - handleMessage(message, sender)
+ */
+export async function handleKeyboardCommand(command, tab, send) {
+  const result = await buildCommandMessage(command, tab, send);
+  if (!result) {
+    console.warn(`[Viboot] Unknown keyboard command: ${command}`);
+    return;
+  }
+  if (!result.message) {
+    await notifyCommand(result.text);
+    return;
+  }
+  const response = await send(result.message);
+  await notifyCommand(response?.success ? result.text : response?.error || 'Shortcut failed');
+}
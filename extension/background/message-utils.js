@@ -0,0 +1,72 @@
+/**
+ * Viboot Message Helpers
+ * Shared by the runtime.onMessage handlers (service-worker.js, timer-messages.js,
+ * player-messages.js). Handlers take (message, sender) and resolve to
+ * { success, error?, ... }.
+ */
+
+/**
+ * Validate a parameter with type and range checking
+ * @param {*} value - The value to validate
+ * @param {string} name - Parameter name for error messages
+ * @param {string} type - Expected type ('number', 'string', etc.)
+ * @param {Object} options - Validation options (min, max, required)
+ * @returns {Object} { valid: boolean, error: string|null }
+ */
+export function validateParameter(value, name, type, options = {}) {
+  // Check if value is provided
+  if (value === undefined || value === null) {
+    if (options.required) {
+      return { valid: false, error: `Missing required parameter: ${name}` };
+    }
+    return { valid: true, error: null };
+  }
+
+  // Type validation
+  if (typeof value !== type) {
+    return { valid: false, error: `Invalid ${name} type (expected ${type}, got ${typeof value})` };
+  }
+
+  // Number range validation
+  if (type === 'number') {
+    if (options.min !== undefined && value < options.min) {
+      return { valid: false, error: `${name} must be >= ${options.min}` };
+    }
+    if (options.max !== undefined && value > options.max) {
+      return { valid: false, error: `${name} must be <= ${options.max}` };
+    }
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Tab a timer message applies to: an explicit tabId (popup), the sending tab
+ * (content scripts), or the active tab as a last resort
+ * @returns {Promise<number|null>}
+ */
+export async function resolveTabId(message, sender) {
+  if (typeof message.tabId === 'number') {
+    return message.tabId;
+  }
+  if (sender?.tab?.id) {
+    return sender.tab.id;
+  }
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return activeTab?.id ?? null;
+}
+
+/**
+ * Handler for an action only content scripts send; it acts on the sending tab
+ * @param {string} action - Named in the error when the message has no tab
+ * @param {Function} handle - (tabId, message, sender) => response
+ */
+export function fromTab(action, handle) {
+  return (message, sender) => {
+    const tabId = sender?.tab?.id;
+    if (!tabId) {
+      return { success: false, error: `${action} must come from a tab` };
+    }
+    return handle(tabId, message, sender);
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * Viboot Native Host
+ * Optional system actions when a timer runs out (lock screen, display off,
+ * suspend) through the native messaging host in native-host/ at the repo root
+ *
+ * Needs the optional nativeMessaging permission (requested by the settings
+ * page) and the host installed on the machine. Without either, commands
+ * resolve with { success: false, error } instead of throwing, so the rest of
+ * the expiry still runs.
+ *
+ * Setting: `systemAction` (nested `settings` object): 'none' or a command below
+ */
+
+export const NATIVE_HOST_CONFIG = {
+  NAME: 'com.viboot.autoplay_host',
+  COMMANDS: ['lockScreen', 'displayOff', 'suspend'],
+  TIMEOUT: 5000 // 5 seconds - the host answers right after starting the command
+};
+
+// Chrome's native messaging errors, in words the settings page can show
+function describeError(message = '') {
+  if (/not found/i.test(message)) {
+    return 'Helper not installed';
+  }
+  if (/forbidden/i.test(message)) {
+    return 'Helper is not registered for this extension';
+  }
+  if (/exited|communicating/i.test(message)) {
+    return 'Helper stopped unexpectedly';
+  }
+  return message || 'No answer from the helper';
+}
+
+/**
+ * Send one command to the native host
+ * @param {string} command - 'ping' or one of NATIVE_HOST_CONFIG.COMMANDS
+ * @returns {Promise<{success: boolean, error?: string}>} Plus version/platform/commands for ping
+ */
+export async function sendNativeCommand(command) {
+  // The API only exists once the optional permission is granted
+  if (!chrome.runtime.sendNativeMessage) {
+    return { success: false, error: 'Permission not granted' };
+  }
+
+  let timeoutId;
+  const timeout = new Promise(resolve => {
+    timeoutId = setTimeout(
+      () => resolve({ success: false, error: 'No answer from the helper' }),
+      NATIVE_HOST_CONFIG.TIMEOUT
+    );
+  });
+  try {
+    const response = await Promise.race([
+      chrome.runtime.sendNativeMessage(NATIVE_HOST_CONFIG.NAME, { command }),
+      timeout
+    ]);
+    return typeof response?.success === 'boolean'
+      ? response
+      : { success: false, error: 'Invalid answer from the helper' };
+  } catch (error) {
+    return { success: false, error: describeError(error.message) };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Run the systemAction setting after a timer's expiry action
+ * @param {string} systemAction - 'none' or one of NATIVE_HOST_CONFIG.COMMANDS
+ */
+export async function runSystemAction(systemAction) {
+  if (!NATIVE_HOST_CONFIG.COMMANDS.includes(systemAction)) {
+    return;
+  }
+  const result = await sendNativeCommand(systemAction);
+  if (!result.success) {
+    console.warn(`[Viboot] System action ${systemAction} failed:`, result.error);
+  }
+}
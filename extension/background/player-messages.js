@@ -0,0 +1,64 @@
+/**
+ * Viboot Player Messages
+ * runtime.onMessage handlers for the playback automation content scripts
+ * (auto-skip, fade-out), keyed by action
+ */
+
+import { validateParameter, fromTab } from './message-utils.js';
+
+// Skip counters stored under `skipStats` (kind -> counter key)
+const SKIP_COUNTERS = {
+  intro: 'introsSkipped',
+  ad: 'adsSkipped'
+};
+
+/**
+ * Runs in the page's main world: YouTube keeps its own volume state, so the
+ * fade-out goes through the player API instead of video.volume
+ * @param {number} volume - Volume from 0 to 1
+ * @returns {boolean} True if the player API was available
+ */
+function setYouTubePlayerVolume(volume) {
+  const player = document.getElementById('movie_player');
+  if (!player?.setVolume) {
+    return false;
+  }
+  player.setVolume(Math.round(volume * 100));
+  return true;
+}
+
+async function recordSkip(message) {
+  const counterKey = SKIP_COUNTERS[message.kind];
+  if (!counterKey) {
+    return { success: false, error: `Invalid skip kind: ${message.kind}` };
+  }
+
+  const { skipStats = {} } = await chrome.storage.local.get('skipStats');
+  skipStats[counterKey] = (skipStats[counterKey] || 0) + 1;
+  await chrome.storage.local.set({ skipStats });
+  return { success: true, skipStats };
+}
+
+async function setPlayerVolume(tabId, message, sender) {
+  const volumeCheck = validateParameter(message.volume, 'volume', 'number', {
+    min: 0,
+    max: 1,
+    required: true
+  });
+  if (!volumeCheck.valid) {
+    return { success: false, error: volumeCheck.error };
+  }
+
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId, frameIds: [sender.frameId] },
+    world: 'MAIN',
+    func: setYouTubePlayerVolume,
+    args: [message.volume]
+  });
+  return { success: injection?.result === true };
+}
+
+export const PLAYER_MESSAGE_HANDLERS = {
+  recordSkip,
+  setPlayerVolume: fromTab('setPlayerVolume', setPlayerVolume)
+};
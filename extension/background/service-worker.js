@@ -1,8 +1,16 @@
 import { ConfigManager } from '../utils/config-manager.js';
 import { timerEngine } from './timer-engine.js';
+import { bedtimeScheduler, BEDTIME_CONFIG } from './bedtime-scheduler.js';
+import { EXPIRY_CONFIG, handleCloseAlarm } from './expiry-actions.js';
+import { sendNativeCommand } from './native-host.js';
+import { handleKeyboardCommand } from './keyboard-commands.js';
+import { TIMER_MESSAGE_HANDLERS } from './timer-messages.js';
+import { PLAYER_MESSAGE_HANDLERS } from './player-messages.js';
+import { validateParameter } from './message-utils.js';
 import { formatSecondsToDisplay } from '../utils/time-utils.js';
 import { AUTOPLAY_CONFIG } from '../utils/config.js';
-import { trackTimerStart, trackTimerComplete, trackTimerStop } from '../utils/analytics.js';
+import { getSettings, updateSettings, migrateLegacySettings } from '../utils/settings-service.js';
+import { initSettingsSync, syncNow, setSyncEnabled, getSyncState } from '../utils/settings-sync.js';
 
 // ============================================
 // CONFIGURATION CONSTANTS
@@ -12,17 +20,11 @@ const SERVICE_WORKER_CONFIG = {
   // Default timer presets (in seconds) - imported from config
   DEFAULT_PRESETS: AUTOPLAY_CONFIG.defaultPresets,
   
-  // Validation limits
-  VALIDATION: {
-    MAX_MINUTES: 1440,      // 24 hours
-    MAX_SECONDS: 86400,     // 24 hours
-    MIN_VALUE: 0
-  },
-  
   // Context menu configuration
   CONTEXT_MENU: {
     MAX_RETRIES: 3,
-    RETRY_BASE_DELAY: 1000  // 1 second (exponential backoff)
+    RETRY_BASE_DELAY: 1000,  // 1 second (exponential backoff)
+    EPISODE_OPTIONS: [1, 2, 3]  // "End of this episode", "After 2 episodes", ...
   }
 };
 
@@ -33,6 +35,15 @@ const SERVICE_WORKER_CONFIG = {
 // Default presets in seconds
 const DEFAULT_PRESETS = SERVICE_WORKER_CONFIG.DEFAULT_PRESETS;
 
+/**
+ * Label for an episode timer option
+ * @param {number} episodes - Episodes to finish before pausing
+ * @returns {string} Menu/notification label
+ */
+function formatEpisodeOption(episodes) {
+  return episodes === 1 ? '🎬 End of this episode' : `🎬 After ${episodes} episodes`;
+}
+
 // Create context menu items with retry logic
 async function createContextMenus(retryCount = 0) {
   try {
@@ -60,6 +71,16 @@ async function createContextMenus(retryCount = 0) {
     });
   });
   
+  // Episode-based options (stop when the episode ends)
+  SERVICE_WORKER_CONFIG.CONTEXT_MENU.EPISODE_OPTIONS.forEach(episodes => {
+    chrome.contextMenus.create({
+      id: `autoplay-episode-${episodes}`,
+      parentId: 'autoplay-parent',
+      title: formatEpisodeOption(episodes),
+      contexts: ['page', 'video']
+    });
+  });
+
   // Add separator
   chrome.contextMenus.create({
     id: 'autoplay-separator',
@@ -90,6 +111,24 @@ async function createContextMenus(retryCount = 0) {
   }
 }
 
+/**
+ * "End of this episode" / "After N episodes" menu items (autoplay-episode-<N>)
+ */
+async function startEpisodeTimerFromMenu(menuId, tab) {
+  const episodes = parseInt(menuId.replace('autoplay-episode-', ''), 10);
+  await timerEngine.startTimer(0, tab.id, { mode: 'episode', episodes, useProfile: 'behavior' });
+
+  const settings = await getSettings();
+  if (settings.showNotifications) {
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('assets/icons/android-chrome-192x192.png'),
+      title: 'Viboot Timer Started',
+      message: `Video will pause: ${formatEpisodeOption(episodes).replace('🎬 ', '').toLowerCase()}`
+    });
+  }
+}
+
 // Handle context menu clicks
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   if (!info.menuItemId.toString().startsWith('autoplay-')) return;
@@ -118,6 +157,11 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     return;
   }
   
+  if (menuId.startsWith('autoplay-episode-')) {
+    await startEpisodeTimerFromMenu(menuId, tab);
+    return;
+  }
+
   if (menuId.startsWith('autoplay-preset-')) {
     const index = parseInt(menuId.replace('autoplay-preset-', ''), 10);
     const result = await chrome.storage.local.get('timerPresets');
@@ -126,11 +170,11 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     
     if (seconds) {
       const minutes = seconds / 60;
-      await timerEngine.startTimer(minutes, tab.id);
+      await timerEngine.startTimer(minutes, tab.id, { useProfile: 'behavior' });
       
       // Show notification
-      const settings = (await chrome.storage.local.get('settings')).settings || {};
-      if (settings.showNotifications !== false) {
+      const settings = await getSettings();
+      if (settings.showNotifications) {
         chrome.notifications.create({
           type: 'basic',
           iconUrl: chrome.runtime.getURL('assets/icons/android-chrome-192x192.png'),
@@ -142,6 +186,22 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   }
 });
 
+// ============================================
+// SETTINGS SYNC (opt-in, see settings-sync.js)
+// ============================================
+
+/**
+ * Follow up on preferences that arrived from another device
+ * @param {string[]} keys - Storage keys updated from chrome.storage.sync
+ */
+async function handleSyncedKeys(keys) {
+  if (keys.includes('timerPresets')) {
+    await createContextMenus();
+  }
+}
+
+initSettingsSync(handleSyncedKeys);
+
 // Run immediately when extension is installed/updated
 chrome.runtime.onInstalled.addListener(async () => {
   try {
@@ -157,6 +217,15 @@ chrome.runtime.onInstalled.addListener(async () => {
     
     // Schedule daily config sync (every 24 hours)
     await chrome.alarms.create('dailyConfigSync', { periodInMinutes: 1440 });
+
+    // Re-arm bedtime schedules (alarms don't survive an update reliably)
+    await bedtimeScheduler.arm();
+
+    // The single last-timer record was replaced by the timer history log
+    await chrome.storage.local.remove('lastTimer');
+
+    // Preferences the settings page saved as flat keys move into `settings`
+    await migrateLegacySettings();
     
     console.log("[AutoPlay] Setup complete.");
   } catch (error) {
@@ -166,8 +235,18 @@ chrome.runtime.onInstalled.addListener(async () => {
 
 // Restore timer when service worker starts (browser restart)
 chrome.runtime.onStartup.addListener(async () => {
-  console.log("[AutoPlay] Browser started. Checking for active timer...");
-  await timerEngine.restoreTimer();
+  console.log("[AutoPlay] Browser started. Checking for active timers...");
+  await timerEngine.ensureRestored();
+
+  // Run a bedtime missed while the browser was closed, then arm the next one
+  await bedtimeScheduler.handleAlarm();
+
+  // Catch up on preferences changed on other devices while the browser was closed
+  if ((await getSyncState()).enabled) {
+    syncNow()
+      .then(handleSyncedKeys)
+      .catch(e => console.warn('[AutoPlay] Startup settings sync failed:', e.message));
+  }
   
   // Proactive config refresh check on startup
   const needsSync = await ConfigManager.needsRefresh();
@@ -188,8 +267,12 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     if (alarm.name === 'dailyConfigSync') {
       console.log("[AutoPlay] Running daily config sync...");
       await ConfigManager.syncConfig();
-    } else if (alarm.name.startsWith('autoplay')) {
-      // Handle timer alarms (autoplayTimerTick, autoplayTimerExpiry)
+    } else if (alarm.name === BEDTIME_CONFIG.ALARM_NAME) {
+      await bedtimeScheduler.handleAlarm();
+    } else if (alarm.name.startsWith(EXPIRY_CONFIG.CLOSE_ALARM_PREFIX)) {
+      await handleCloseAlarm(alarm.name);
+    } else if (alarm.name.startsWith('autoplay') || alarm.name.startsWith('viboot')) {
+      // Handle per-tab timer alarms (vibootTimerTick:<tabId>, vibootTimerExpiry:<tabId>)
       await timerEngine.handleAlarm(alarm.name);
     }
   } catch (error) {
@@ -197,6 +280,16 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
   }
 });
 
+// ============================================
+// KEYBOARD SHORTCUTS (manifest `commands`, see keyboard-commands.js)
+// ============================================
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  handleKeyboardCommand(command, tab, message => handleMessage(message, {})).catch(error =>
+    console.error('[AutoPlay] Keyboard shortcut error:', error)
+  );
+});
+
 // ============================================
 // MESSAGE HANDLING (Popup & Content Scripts)
 // ============================================
@@ -233,186 +326,72 @@ const ALLOWED_ACTIONS = new Set([
   'pauseTimer',
   'resumeTimer',
   'getTimerStatus',
+  'getAllTimers',
   'syncConfig',
   'getSelectors',
   'getSettings',
   'saveSettings',
-  'refreshContextMenus'
+  'refreshContextMenus',
+  'setSyncEnabled',
+  'testNativeHost',
+  'recordSkip',
+  'episodeEnded',
+  'adStateChanged',
+  'setPlayerVolume',
+  'checkInResponse'
 ]);
 
-/**
- * Validate a parameter with type and range checking
- * @param {*} value - The value to validate
- * @param {string} name - Parameter name for error messages
- * @param {string} type - Expected type ('number', 'string', etc.)
- * @param {Object} options - Validation options (min, max, required)
- * @returns {Object} { valid: boolean, error: string|null }
- */
-function validateParameter(value, name, type, options = {}) {
-  // Check if value is provided
-  if (value === undefined || value === null) {
-    if (options.required) {
-      return { valid: false, error: `Missing required parameter: ${name}` };
-    }
-    return { valid: true, error: null };
-  }
-  
-  // Type validation
-  if (typeof value !== type) {
-    return { valid: false, error: `Invalid ${name} type (expected ${type}, got ${typeof value})` };
-  }
-  
-  // Number range validation
-  if (type === 'number') {
-    if (options.min !== undefined && value < options.min) {
-      return { valid: false, error: `${name} must be >= ${options.min}` };
-    }
-    if (options.max !== undefined && value > options.max) {
-      return { valid: false, error: `${name} must be <= ${options.max}` };
+// Settings and config actions; timer and player actions live in their own modules
+const MESSAGE_HANDLERS = {
+  ...TIMER_MESSAGE_HANDLERS,
+  ...PLAYER_MESSAGE_HANDLERS,
+
+  // ---- Config Management ----
+  syncConfig: async () => {
+    const config = await ConfigManager.syncConfig();
+    return { success: true, config };
+  },
+
+  getSelectors: async ({ platform }) => {
+    const selectors = await ConfigManager.getSelectors(platform);
+    return { success: true, selectors };
+  },
+
+  // ---- Settings ----
+  getSettings: async () => {
+    const settings = await getSettings();
+    return { success: true, settings };
+  },
+
+  saveSettings: async message => {
+    const success = await updateSettings(message.settings || {});
+    return { success };
+  },
+
+  refreshContextMenus: async () => {
+    await createContextMenus();
+    return { success: true };
+  },
+
+  setSyncEnabled: async message => {
+    const enabledCheck = validateParameter(message.enabled, 'enabled', 'boolean', { required: true });
+    if (!enabledCheck.valid) {
+      return { success: false, error: enabledCheck.error };
     }
-  }
-  
-  return { valid: true, error: null };
-}
+    await handleSyncedKeys(await setSyncEnabled(message.enabled));
+    return { success: true, ...(await getSyncState()) };
+  },
+
+  // ---- System Actions (native host) ----
+  testNativeHost: () => sendNativeCommand('ping')
+};
 
-async function handleMessage(message, sender) {
+function handleMessage(message, sender) {
   const { action } = message;
-  
+
   // Validate action is allowed
-  if (!ALLOWED_ACTIONS.has(action)) {
-    return { success: false, error: `Unknown action: ${action}` };
+  if (!ALLOWED_ACTIONS.has(action) || !Object.hasOwn(MESSAGE_HANDLERS, action)) {
+    return Promise.resolve({ success: false, error: `Unknown action: ${action}` });
   }
-  
-  switch (action) {
-    // ---- Timer Controls ----
-    case 'startTimer': {
-      // Validate parameters using helper
-      const minutesCheck = validateParameter(message.minutes, 'minutes', 'number', { 
-        min: SERVICE_WORKER_CONFIG.VALIDATION.MIN_VALUE, 
-        max: SERVICE_WORKER_CONFIG.VALIDATION.MAX_MINUTES 
-      });
-      if (!minutesCheck.valid) return { success: false, error: minutesCheck.error };
-      
-      const durationCheck = validateParameter(message.duration, 'duration', 'number', { 
-        min: SERVICE_WORKER_CONFIG.VALIDATION.MIN_VALUE, 
-        max: SERVICE_WORKER_CONFIG.VALIDATION.MAX_SECONDS 
-      });
-      if (!durationCheck.valid) return { success: false, error: durationCheck.error };
-      
-      const tabIdCheck = validateParameter(message.tabId, 'tabId', 'number', { min: 1 });
-      if (!tabIdCheck.valid) return { success: false, error: tabIdCheck.error };
-      
-      // Support both 'minutes' and 'duration' (seconds) for custom timer
-      let minutes = message.minutes;
-      if (!minutes && message.duration) {
-        minutes = message.duration / 60; // Convert seconds to minutes
-      }
-      // Get tabId from message or sender
-      const tabId = message.tabId || sender?.tab?.id;
-      
-      if (!tabId) {
-        // Get the active tab if no tabId provided
-        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (activeTab) {
-          const timer = await timerEngine.startTimer(minutes, activeTab.id);
-          
-          // Track analytics
-          trackTimerStart(minutes * 60, request.source || 'popup').catch(() => {});
-          
-          return { success: true, timer };
-        }
-        return { success: false, error: 'No active tab found' };
-      }
-      
-      const timer = await timerEngine.startTimer(minutes, tabId);
-      
-      // Track analytics
-      trackTimerStart(minutes * 60, 'context_menu').catch(() => {});
-      
-      return { success: true, timer };
-    }
-    
-    case 'stopTimer': {
-      const activeTimer = timerEngine.activeTimer;
-      await timerEngine.stopTimer();
-      
-      // Track analytics if timer was active
-      if (activeTimer) {
-        const elapsed = activeTimer.duration - activeTimer.remaining;
-        trackTimerStop(elapsed, activeTimer.remaining).catch(() => {});
-      }
-      
-      return { success: true };
-    }
-    
-    case 'extendTimer': {
-      const { minutes } = message;
-      // Validate using helper
-      const minutesCheck = validateParameter(minutes, 'minutes', 'number', { 
-        min: SERVICE_WORKER_CONFIG.VALIDATION.MIN_VALUE, 
-        max: SERVICE_WORKER_CONFIG.VALIDATION.MAX_MINUTES 
-      });
-      if (!minutesCheck.valid) return { success: false, error: minutesCheck.error };
-      
-      const timer = await timerEngine.extendTimer(minutes);
-      return { success: true, timer };
-    }
-    
-    
-    case 'pauseTimer': {
-      try {
-        const timer = await timerEngine.pauseTimer();
-        return { success: true, timer };
-      } catch (error) {
-        console.error('[AutoPlay] pauseTimer error:', error);
-        return { success: false, error: error.message };
-      }
-    }
-    
-    case 'resumeTimer': {
-      const timer = await timerEngine.resumeTimer();
-      return { success: true, timer };
-    }
-    case 'getTimerStatus': {
-      const status = await timerEngine.getTimerStatus();
-      return { success: true, status };
-    }
-    
-    // ---- Config Management ----
-    case 'syncConfig': {
-      const config = await ConfigManager.syncConfig();
-      return { success: true, config };
-    }
-    
-    case 'getSelectors': {
-      const { platform } = message;
-      const selectors = await ConfigManager.getSelectors(platform);
-      return { success: true, selectors };
-    }
-    
-    // ---- Settings ----
-    case 'getSettings': {
-      const result = await chrome.storage.local.get('settings');
-      const settings = result.settings || {
-        showNotifications: true,
-        showOverlay: true,
-        defaultTimer: 30
-      };
-      return { success: true, settings };
-    }
-    
-    case 'saveSettings': {
-      const { settings } = message;
-      await chrome.storage.local.set({ settings });
-      return { success: true };
-    }
-    
-    case 'refreshContextMenus': {
-      await createContextMenus();
-      return { success: true };
-    }
-    
-    default:
-      return { success: false, error: `Unknown action: ${action}` };
-  }
-}
\ No newline at end of file
+  return Promise.resolve(MESSAGE_HANDLERS[action](message, sender));
+}
@@ -0,0 +1,438 @@
+/**
+ * Viboot Tab Timer
+ * One sleep timer bound to one tab. SleepTimerEngine keeps a map of these
+ * keyed by tabId; each owns its countdown, alarms, badge and overlay messages.
+ *
+ * Alarms are suffixed with the tab id (vibootTimerTick:<tabId>,
+ * vibootTimerExpiry:<tabId>) so timers in different tabs never clear each other.
+ *
+ * Split out: episode timers (timer-episodes.js), check-in and fade-out
+ * (timer-ending.js), expiry (timer-expiry.js), badge (timer-badge.js) and
+ * state helpers (timer-state.js).
+ */
+
+import { recordTimerEvent, recordTimerEnd } from '../utils/timer-history.js';
+import { handleTimerEnding, resolveCheckIn, cancelFadeOut } from './timer-ending.js';
+import { expireTimer } from './timer-expiry.js';
+import { startEpisodeTimer, countEpisodeEnd, addEpisodes } from './timer-episodes.js';
+import { showTimerBadge, clearTimerBadge } from './timer-badge.js';
+import {
+  TIMER_CONFIG,
+  isEpisodeTimer,
+  getElapsedRemaining,
+  getActualSeconds,
+  getTimerOutcomeDetails,
+  getTimerStatus
+} from './timer-state.js';
+
+export { TIMER_CONFIG, isEpisodeTimer } from './timer-state.js';
+export { watchBadgeSetting } from './timer-badge.js';
+
+export const TICK_ALARM_PREFIX = 'vibootTimerTick:';
+export const EXPIRY_ALARM_PREFIX = 'vibootTimerExpiry:';
+
+export class TabTimer {
+  /**
+   * @param {SleepTimerEngine} engine - Owner; persists state and removes finished timers
+   * @param {Object} state - Serializable timer state (stored under `activeTimers`)
+   */
+  constructor(engine, state) {
+    this.engine = engine;
+    this.state = state;
+    this.tabId = state.tabId;
+    this.tickAlarm = `${TICK_ALARM_PREFIX}${state.tabId}`;
+    this.expiryAlarm = `${EXPIRY_ALARM_PREFIX}${state.tabId}`;
+    this.intervalId = null;
+    this.lastBroadcast = 0;
+    this.lastBroadcastRemaining = -1; // Track last broadcasted time to avoid spam
+    this.shouldBroadcast = true; // Control broadcast during countdown (false = suppress)
+    this.isExpiring = false; // Prevent multiple expiration calls
+    this.isTicking = false; // Prevent overlapping ticks
+    this.expirationLock = false; // Atomic lock for expiration (prevents race between tick and alarm)
+    this.lastExpirationTime = 0; // Timestamp deduplication for expirations
+  }
+
+  /**
+   * Kick off a freshly created timer
+   */
+  async start() {
+    if (isEpisodeTimer(this.state)) {
+      return startEpisodeTimer(this);
+    }
+
+    await this.save();
+    await this.createAlarms(this.state.duration);
+
+    this.notifyContentScript({ action: 'timerStarted', mode: 'duration' });
+    this.startCountdown();
+
+    // Send initial broadcast, then suppress until timer expires
+    this.shouldBroadcast = true;
+    this.updateBadge();
+    this.broadcastTimerUpdate();
+    this.shouldBroadcast = false;
+
+    return this.state;
+  }
+
+  /**
+   * Pick a saved timer back up after the service worker or browser restarted
+   * @returns {Promise<Object|null>} Timer state, or null if it expired meanwhile
+   */
+  async restore() {
+    const timer = this.state;
+    if (isEpisodeTimer(timer) || timer.status === 'paused') {
+      this.updateBadge();
+      console.log(`[Viboot] ${timer.status} ${timer.mode} timer restored on tab ${this.tabId}`);
+      return timer;
+    }
+
+    const remaining = getElapsedRemaining(timer);
+    if (remaining <= 0) {
+      timer.remaining = 0;
+      await this.checkAndExpireIfNeeded();
+      return null;
+    }
+
+    timer.remaining = remaining;
+    await this.createAlarms(remaining);
+    this.startCountdown();
+    this.updateBadge();
+
+    // Send broadcast on restoration, then suppress
+    this.shouldBroadcast = true;
+    this.broadcastTimerUpdate();
+    this.shouldBroadcast = false;
+
+    console.log(
+      `[Viboot] Timer restored on tab ${this.tabId}: ${Math.ceil(remaining / 60)} min remaining`
+    );
+    return timer;
+  }
+
+  /**
+   * Handle an episode-end report from the content script (see timer-episodes.js)
+   */
+  handleEpisodeEnded() {
+    return countEpisodeEnd(this);
+  }
+
+  extendEpisodes(additionalEpisodes) {
+    return addEpisodes(this, additionalEpisodes);
+  }
+
+  async createAlarms(seconds) {
+    await chrome.alarms.create(this.tickAlarm, { periodInMinutes: TIMER_CONFIG.ALARM_TICK_PERIOD });
+    await chrome.alarms.create(this.expiryAlarm, { when: Date.now() + seconds * 1000 });
+  }
+
+  async clearAlarms() {
+    await chrome.alarms.clear(this.tickAlarm);
+    await chrome.alarms.clear(this.expiryAlarm);
+  }
+
+  startCountdown() {
+    this.stopCountdown();
+    this.intervalId = setInterval(() => {
+      // Non-async wrapper to prevent timing issues
+      this.tick().catch(e => console.error('[Viboot] Tick error:', e));
+    }, TIMER_CONFIG.TICK_INTERVAL);
+  }
+
+  stopCountdown() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  isCounting() {
+    return !this.isExpiring && this.state.status === 'active' && !isEpisodeTimer(this.state);
+  }
+
+  async tick() {
+    // Prevent overlapping ticks and check state
+    if (this.isTicking || !this.isCounting()) {
+      return;
+    }
+    this.isTicking = true;
+
+    try {
+      const timer = this.state;
+      timer.remaining--;
+
+      // Broadcast update first so UI shows current time (including 0)
+      this.broadcastTimerUpdate();
+      await handleTimerEnding(this);
+
+      if (timer.remaining <= 0) {
+        this.stopCountdown();
+        await this.checkAndExpireIfNeeded();
+        return;
+      }
+
+      // Only save state periodically (using configured interval)
+      if (timer.remaining % TIMER_CONFIG.SAVE_STATE_INTERVAL === 0) {
+        this.save().catch(e => console.warn('[Viboot] Save error:', e));
+      }
+      if (timer.remaining % TIMER_CONFIG.BADGE_UPDATE_INTERVAL === 0) {
+        this.updateBadge();
+      }
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * @param {string} alarmName - One of this timer's alarms
+   */
+  async handleAlarm(alarmName) {
+    if (alarmName === this.expiryAlarm) {
+      await this.checkAndExpireIfNeeded();
+    } else if (alarmName === this.tickAlarm) {
+      await this.sync();
+    }
+  }
+
+  /**
+   * Periodic alarm safety net: recompute the remaining time from the start time
+   * in case the in-memory countdown stalled
+   */
+  async sync() {
+    // Don't sync during expiration or if countdown is actively running
+    if (!this.isCounting() || this.intervalId) {
+      return;
+    }
+
+    const remaining = getElapsedRemaining(this.state);
+    if (remaining <= 0) {
+      this.state.remaining = 0;
+      await this.expire();
+      return;
+    }
+
+    this.state.remaining = remaining;
+    this.startCountdown();
+    this.updateBadge();
+    this.broadcastTimerUpdate();
+    await handleTimerEnding(this);
+  }
+
+  /**
+   * The viewer acknowledged the check-in prompt in this tab
+   * @returns {Object|null} Extended timer, or null if no check-in was pending
+   */
+  handleCheckInResponse() {
+    if (!this.state.pendingCheckIn || this.isExpiring) {
+      return null;
+    }
+
+    const { extendMinutes } = this.state.pendingCheckIn;
+    resolveCheckIn(this, 'acknowledged');
+    console.log(`[Viboot] Check-in acknowledged, extending by ${extendMinutes} minutes`);
+    return this.extend(extendMinutes);
+  }
+
+  save() {
+    return this.engine.saveTimers();
+  }
+
+  /**
+   * Close this timer's history record
+   * @param {string} outcome - 'expired', 'stopped', 'replaced' or 'tabClosed'
+   */
+  recordEnd(outcome) {
+    return recordTimerEnd(this.state.sessionId, outcome, {
+      actualSeconds: getActualSeconds(this.state),
+      ...getTimerOutcomeDetails(this.state)
+    });
+  }
+
+  /**
+   * Centralized expiration check - single source of truth
+   * All countdown expiration paths should call this method
+   */
+  async checkAndExpireIfNeeded() {
+    // Episode timers expire on episode end
+    if (this.isExpiring || isEpisodeTimer(this.state)) {
+      return;
+    }
+
+    // Only expire if we're actually at or past expiration time
+    if (getElapsedRemaining(this.state) <= 0) {
+      this.state.remaining = 0;
+      await this.expire();
+    }
+  }
+
+  expire() {
+    return expireTimer(this);
+  }
+
+  /**
+   * Tear down the countdown and tell the tab; the engine drops the timer afterwards
+   * @param {string} outcome - Recorded in history: 'stopped', 'replaced' or 'tabClosed'
+   */
+  async stop(outcome = 'stopped') {
+    console.log(`[Viboot] Stopping timer on tab ${this.tabId} (${outcome})`);
+    cancelFadeOut(this);
+    resolveCheckIn(this, 'cancelled');
+    await this.recordEnd(outcome);
+    this.stopCountdown();
+    this.isExpiring = false;
+    this.expirationLock = false;
+    await this.clearAlarms();
+
+    this.notifyContentScript({ action: 'destroyOverlay' });
+    if (isEpisodeTimer(this.state)) {
+      this.notifyContentScript({ action: 'stopEpisodeWatch' });
+    }
+  }
+
+  async extend(additionalMinutes) {
+    const timer = this.state;
+    if (isEpisodeTimer(timer)) {
+      throw new Error('Episode timers are extended by episodes, not minutes');
+    }
+
+    const additionalSeconds = Math.round(additionalMinutes * 60);
+    cancelFadeOut(this);
+    resolveCheckIn(this, 'cancelled');
+    timer.remaining += additionalSeconds;
+    timer.duration += additionalSeconds;
+
+    if (timer.status === 'active') {
+      await chrome.alarms.clear(this.expiryAlarm);
+      await chrome.alarms.create(this.expiryAlarm, { when: Date.now() + timer.remaining * 1000 });
+    }
+
+    await this.save();
+    await recordTimerEvent(timer.sessionId, 'extend', { minutes: additionalMinutes });
+    this.updateBadge();
+
+    // Broadcast extension immediately, then suppress again
+    this.shouldBroadcast = true;
+    this.broadcastTimerUpdate();
+    this.shouldBroadcast = false;
+
+    console.log(`[Viboot] Timer on tab ${this.tabId} extended by ${additionalMinutes} minutes`);
+    return timer;
+  }
+
+  /**
+   * @param {string} reason - 'user' (popup/menu) or 'ad' (ad playing in this tab)
+   */
+  async pause(reason = 'user') {
+    const timer = this.state;
+    if (timer.status === 'paused') {
+      return timer;
+    }
+
+    console.log(`[Viboot] Pausing timer on tab ${this.tabId} (${reason})`);
+
+    this.stopCountdown();
+    await this.clearAlarms();
+    cancelFadeOut(this);
+    resolveCheckIn(this, 'cancelled');
+
+    timer.status = 'paused';
+    timer.pausedAt = Date.now();
+    timer.pausedBy = reason;
+
+    await this.save();
+    await recordTimerEvent(timer.sessionId, 'pause', { reason });
+    this.updateBadge();
+    this.broadcastTimerUpdate();
+
+    return timer;
+  }
+
+  async resume() {
+    const timer = this.state;
+    if (timer.status !== 'paused') {
+      return timer;
+    }
+
+    console.log(`[Viboot] Resuming timer on tab ${this.tabId}`);
+
+    timer.status = 'active';
+    delete timer.pausedAt;
+    delete timer.pausedBy;
+
+    if (!isEpisodeTimer(timer)) {
+      timer.startTime = Date.now() - (timer.duration - timer.remaining) * 1000;
+      await this.createAlarms(timer.remaining);
+      this.startCountdown();
+    }
+
+    await this.save();
+    await recordTimerEvent(timer.sessionId, 'resume');
+    this.updateBadge();
+    this.broadcastTimerUpdate();
+
+    return timer;
+  }
+
+  /**
+   * Keep ad time off the clock: pause while an ad plays in this tab and resume
+   * afterwards, unless the user paused the timer themselves
+   * @param {boolean} adPlaying - Whether an ad started (true) or ended (false)
+   */
+  handleAdStateChanged(adPlaying) {
+    const timer = this.state;
+    if (isEpisodeTimer(timer) || this.isExpiring) {
+      return null;
+    }
+
+    if (adPlaying && timer.status === 'active') {
+      return this.pause('ad');
+    }
+    if (!adPlaying && timer.status === 'paused' && timer.pausedBy === 'ad') {
+      return this.resume();
+    }
+    return timer;
+  }
+
+  /**
+   * Snapshot for the popup and content scripts
+   */
+  getStatus() {
+    return getTimerStatus(this.state);
+  }
+
+  updateBadge() {
+    showTimerBadge(this.tabId, this.state);
+  }
+
+  clearBadge() {
+    clearTimerBadge(this.tabId);
+  }
+
+  broadcastTimerUpdate() {
+    // Suppress broadcasts during active countdown (overlay handles countdown locally)
+    if (!this.shouldBroadcast || isEpisodeTimer(this.state)) {
+      return;
+    }
+
+    const now = Date.now();
+    if (now - this.lastBroadcast < TIMER_CONFIG.BROADCAST_THROTTLE) {
+      return;
+    }
+
+    // Only broadcast if remaining time actually changed
+    const { remaining } = this.state;
+    if (remaining === this.lastBroadcastRemaining) {
+      return;
+    }
+
+    this.lastBroadcast = now;
+    this.lastBroadcastRemaining = remaining;
+
+    chrome.runtime.sendMessage({ action: 'timerUpdate', status: this.getStatus() }).catch(() => {});
+    this.notifyContentScript({ action: 'updateOverlay', remaining });
+  }
+
+  notifyContentScript(message) {
+    return chrome.tabs.sendMessage(this.tabId, message).catch(() => {});
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Viboot Timer Badge
+ * Toolbar badge for a tab's timer: minutes left, or episodes left ("2ep")
+ */
+
+import { getSettings, onSettingsChanged } from '../utils/settings-service.js';
+import { isEpisodeTimer } from './timer-state.js';
+
+const BADGE_COLOR = '#6366f1';
+
+// The badgeEnabled setting, kept in memory because badges update every tick
+let badgeEnabled = true;
+
+/**
+ * Track the badgeEnabled setting
+ * @param {Function} onToggle - Called after the setting changes, to redraw badges
+ */
+export function watchBadgeSetting(onToggle) {
+  getSettings().then(settings => {
+    badgeEnabled = settings.badgeEnabled;
+  });
+  onSettingsChanged((settings, changedKeys) => {
+    badgeEnabled = settings.badgeEnabled;
+    if (changedKeys.includes('badgeEnabled')) {
+      onToggle();
+    }
+  });
+}
+
+function getBadgeText(timer) {
+  if (isEpisodeTimer(timer)) {
+    return `${timer.episodesRemaining}ep`;
+  }
+  const minutes = Math.ceil(timer.remaining / 60);
+  if (minutes > 99) {
+    return '99+';
+  }
+  return minutes > 0 ? String(minutes) : '<1';
+}
+
+export function clearTimerBadge(tabId) {
+  chrome.action.setBadgeText({ tabId, text: '' }).catch(() => {});
+}
+
+/**
+ * Badge text is per tab, so each timer shows on its own tab
+ */
+export function showTimerBadge(tabId, timer) {
+  if (!badgeEnabled) {
+    clearTimerBadge(tabId);
+    return;
+  }
+  chrome.action.setBadgeText({ tabId, text: getBadgeText(timer) }).catch(() => {});
+  chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLOR }).catch(() => {});
+}
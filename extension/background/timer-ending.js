@@ -0,0 +1,125 @@
+/**
+ * Viboot Timer Ending
+ * What happens in the last few minutes of a countdown, before it expires:
+ *
+ * - Check-in: "still watching?" checkInMinutes before expiry. Acknowledging it
+ *   in the player extends the timer by checkInExtendMinutes, ignoring it lets
+ *   the timer expire. Responses are kept in timer.checkIns for the history.
+ * - Fade-out: the content script ramps the volume down over the last
+ *   fadeOutSeconds (a preset's fadeOutSeconds overrides the setting)
+ *
+ * Both work on a TabTimer and are undone when it is paused, extended or stopped.
+ */
+
+import { getSettings, onSettingsChanged } from '../utils/settings-service.js';
+import { TIMER_CONFIG } from './timer-state.js';
+
+// Settings promise, read once and then kept current by onSettingsChanged,
+// because the last minutes of a countdown check them every tick
+let endingSettings = null;
+
+function getEndingSettings() {
+  if (!endingSettings) {
+    endingSettings = getSettings();
+    onSettingsChanged(settings => {
+      endingSettings = Promise.resolve(settings);
+    });
+  }
+  return endingSettings;
+}
+
+/**
+ * Start the volume fade-out once the timer enters the fadeOutSeconds window
+ * The content script ramps the volume down over the remaining seconds
+ */
+async function maybeStartFadeOut(tabTimer, settings) {
+  const timer = tabTimer.state;
+  const fadeOutSeconds = Math.min(
+    timer.fadeOutSeconds ?? settings.fadeOutSeconds,
+    TIMER_CONFIG.MAX_FADE_OUT
+  );
+  if (!fadeOutSeconds || timer.fadeStarted || timer.remaining > fadeOutSeconds) {
+    return;
+  }
+
+  timer.fadeStarted = true;
+  await tabTimer.save();
+  tabTimer.notifyContentScript({ action: 'startFadeOut', seconds: timer.remaining });
+}
+
+async function maybeShowCheckIn(tabTimer, settings) {
+  const timer = tabTimer.state;
+  const checkInSeconds = Math.min((settings.checkInMinutes || 0) * 60, TIMER_CONFIG.MAX_CHECK_IN);
+  if (!checkInSeconds || timer.pendingCheckIn || timer.remaining > checkInSeconds) {
+    return;
+  }
+  // One answered check-in per countdown; an acknowledged check-in extends the duration.
+  // One cancelled by pausing is asked again after resuming
+  const answered = timer.checkIns?.some(
+    checkIn =>
+      checkIn.duration === timer.duration && ['acknowledged', 'ignored'].includes(checkIn.response)
+  );
+  if (answered) {
+    return;
+  }
+
+  const extendMinutes = settings.checkInExtendMinutes || TIMER_CONFIG.DEFAULT_CHECK_IN_EXTEND;
+  timer.pendingCheckIn = { shownAt: Date.now(), duration: timer.duration, extendMinutes };
+  await tabTimer.save();
+  tabTimer.notifyContentScript({
+    action: 'showCheckIn',
+    seconds: timer.remaining,
+    extendMinutes,
+    // What happens if it's ignored, so the prompt can say so
+    expiryAction: timer.expiryAction || settings.expiryAction
+  });
+}
+
+/**
+ * Run the check-in and fade-out once the countdown gets close enough to the end
+ * @param {TabTimer} tabTimer
+ */
+export async function handleTimerEnding(tabTimer) {
+  const timer = tabTimer.state;
+  if (!tabTimer.isCounting() || timer.remaining <= 0) {
+    return;
+  }
+  if (timer.remaining > Math.max(TIMER_CONFIG.MAX_FADE_OUT, TIMER_CONFIG.MAX_CHECK_IN)) {
+    return;
+  }
+
+  const settings = await getEndingSettings();
+  await maybeShowCheckIn(tabTimer, settings);
+  await maybeStartFadeOut(tabTimer, settings);
+}
+
+/**
+ * Move the pending check-in into timer.checkIns (kept in the timer's history record)
+ * @param {TabTimer} tabTimer
+ * @param {string} response - 'acknowledged', 'ignored' (timer expired) or 'cancelled'
+ */
+export function resolveCheckIn(tabTimer, response) {
+  const timer = tabTimer.state;
+  if (!timer.pendingCheckIn) {
+    return;
+  }
+
+  timer.checkIns = timer.checkIns || [];
+  timer.checkIns.push({ ...timer.pendingCheckIn, response, respondedAt: Date.now() });
+  delete timer.pendingCheckIn;
+  if (response !== 'acknowledged') {
+    tabTimer.notifyContentScript({ action: 'hideCheckIn' });
+  }
+}
+
+/**
+ * Stop a running fade-out and restore the volume (timer paused, extended or stopped)
+ * @param {TabTimer} tabTimer
+ */
+export function cancelFadeOut(tabTimer) {
+  if (!tabTimer.state.fadeStarted) {
+    return;
+  }
+  tabTimer.state.fadeStarted = false;
+  tabTimer.notifyContentScript({ action: 'cancelFadeOut' });
+}
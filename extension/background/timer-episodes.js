@@ -0,0 +1,87 @@
+/**
+ * Viboot Episode Timers
+ * "Stop after N episodes": no alarms or countdown, the content script watches
+ * the player and reports each episode end (video `ended` or next-episode UI).
+ * The timer expires when the last episode ends.
+ */
+
+import { recordTimerEvent } from '../utils/timer-history.js';
+import { TIMER_CONFIG, isEpisodeTimer } from './timer-state.js';
+
+function broadcastEpisodeUpdate(tabTimer) {
+  tabTimer.notifyContentScript({
+    action: 'updateOverlay',
+    mode: 'episode',
+    episodesRemaining: tabTimer.state.episodesRemaining
+  });
+}
+
+/**
+ * @param {TabTimer} tabTimer - A freshly created episode timer
+ */
+export async function startEpisodeTimer(tabTimer) {
+  await tabTimer.save();
+
+  tabTimer.notifyContentScript({ action: 'timerStarted', mode: 'episode' });
+  tabTimer.notifyContentScript({ action: 'startEpisodeWatch' });
+  tabTimer.updateBadge();
+  broadcastEpisodeUpdate(tabTimer);
+
+  return tabTimer.state;
+}
+
+/**
+ * Count an episode-end report from the content script
+ * @returns {Object|null} Updated timer, or null if the timer expired or doesn't apply
+ */
+export async function countEpisodeEnd(tabTimer) {
+  const timer = tabTimer.state;
+  if (!isEpisodeTimer(timer) || timer.status !== 'active' || tabTimer.isExpiring) {
+    return null;
+  }
+
+  // The `ended` event and the next-episode UI usually fire for the same episode
+  const now = Date.now();
+  if (timer.lastEpisodeEndAt && now - timer.lastEpisodeEndAt < TIMER_CONFIG.EPISODE_END_DEBOUNCE) {
+    return timer;
+  }
+  timer.lastEpisodeEndAt = now;
+  timer.episodesRemaining = Math.max(0, timer.episodesRemaining - 1);
+
+  console.log(
+    `[Viboot] Episode ended on tab ${tabTimer.tabId}, ${timer.episodesRemaining} remaining`
+  );
+
+  if (timer.episodesRemaining === 0) {
+    await tabTimer.expire();
+    return null;
+  }
+
+  await tabTimer.save();
+  tabTimer.updateBadge();
+  broadcastEpisodeUpdate(tabTimer);
+  return timer;
+}
+
+/**
+ * Add episodes to a running episode timer, up to MAX_EPISODES remaining
+ */
+export async function addEpisodes(tabTimer, additionalEpisodes) {
+  const timer = tabTimer.state;
+  if (!isEpisodeTimer(timer)) {
+    throw new Error('No active episode timer to extend');
+  }
+
+  const allowed = TIMER_CONFIG.MAX_EPISODES - timer.episodesRemaining;
+  const added = Math.max(0, Math.min(Math.round(additionalEpisodes), allowed));
+  timer.episodes += added;
+  timer.episodesRemaining += added;
+
+  await tabTimer.save();
+  await recordTimerEvent(timer.sessionId, 'extend', { episodes: added });
+  tabTimer.updateBadge();
+  broadcastEpisodeUpdate(tabTimer);
+
+  console.log(`[Viboot] Episode timer extended by ${added} episode(s)`);
+  return timer;
+}
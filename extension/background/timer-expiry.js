@@ -0,0 +1,91 @@
+/**
+ * Viboot Timer Expiry
+ * Running a TabTimer out: stop its countdown, record the outcome, run the
+ * expiry action (expiry-actions.js) and let the engine drop the timer.
+ *
+ * The tick, the expiry alarm and the last episode ending can all land at the
+ * same moment, so expiry is deduplicated and locked per timer.
+ */
+
+import { runExpiryActions, EXPIRY_MESSAGES } from './expiry-actions.js';
+import { resolveCheckIn } from './timer-ending.js';
+import { TIMER_CONFIG, isEpisodeTimer } from './timer-state.js';
+
+/**
+ * Take the expiry lock, or return false if another path is already expiring the timer
+ */
+function claimExpiry(tabTimer) {
+  // Timestamp deduplication - prevent repeated expirations in a short window
+  const now = Date.now();
+  if (now - tabTimer.lastExpirationTime < TIMER_CONFIG.EXPIRATION_DEDUP_WINDOW) {
+    console.log('[Viboot] Expiration already handled recently, skipping duplicate');
+    return false;
+  }
+  tabTimer.lastExpirationTime = now;
+
+  // Atomic lock - prevent multiple simultaneous expiration calls (race between tick and alarm)
+  if (tabTimer.expirationLock || tabTimer.isExpiring) {
+    console.log('[Viboot] Timer expiration already in progress, skipping');
+    return false;
+  }
+  tabTimer.expirationLock = true;
+  tabTimer.isExpiring = true;
+  return true;
+}
+
+async function runExpiryAndNotify(tabTimer) {
+  const { engine, tabId, state } = tabTimer;
+  try {
+    // Check if tab exists in this browser
+    await chrome.tabs.get(tabId);
+  } catch (e) {
+    // Tab doesn't exist in this browser - that's OK, just show notification
+    console.log('[Viboot] Timer tab not found in this browser context');
+    await engine.showExpiryNotification(state.scope);
+    return;
+  }
+
+  const expiryAction = await runExpiryActions(tabId, state.expiryAction);
+  await engine.showExpiryNotification(state.scope, EXPIRY_MESSAGES[expiryAction]);
+
+  setTimeout(() => {
+    tabTimer.notifyContentScript({ action: 'destroyOverlay' });
+  }, 2000);
+}
+
+/**
+ * Expire a timer once, however many paths report it
+ * @param {TabTimer} tabTimer
+ */
+export async function expireTimer(tabTimer) {
+  if (!claimExpiry(tabTimer)) {
+    return;
+  }
+
+  console.log(`[Viboot] Timer on tab ${tabTimer.tabId} expired! Running expiry action...`);
+
+  // Re-enable broadcasts for expiration notification
+  tabTimer.shouldBroadcast = true;
+
+  if (isEpisodeTimer(tabTimer.state)) {
+    tabTimer.notifyContentScript({ action: 'stopEpisodeWatch' });
+  }
+
+  // IMMEDIATE alarm clearing - prevent any other paths from triggering
+  tabTimer.stopCountdown();
+  await tabTimer.clearAlarms();
+
+  resolveCheckIn(tabTimer, 'ignored');
+  await tabTimer.recordEnd('expired');
+  if (tabTimer.state.scope === 'all') {
+    await tabTimer.engine.pauseAllMediaTabs(tabTimer.tabId);
+  }
+  try {
+    await runExpiryAndNotify(tabTimer);
+  } finally {
+    // Wait 1 second before removing the timer (also when the expiry action failed)
+    setTimeout(() => {
+      tabTimer.engine.removeTimer(tabTimer).catch(() => {});
+    }, 1000);
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Viboot Timer Messages
+ * runtime.onMessage handlers for the timer actions (popup, content scripts,
+ * keyboard shortcuts), keyed by action. Each validates its message and hands
+ * off to timerEngine.
+ */
+
+import { timerEngine } from './timer-engine.js';
+import { trackTimerStart, trackTimerStop } from '../utils/analytics.js';
+import { validateParameter, resolveTabId, fromTab } from './message-utils.js';
+
+const TIMER_MESSAGE_CONFIG = {
+  // Validation limits
+  VALIDATION: {
+    MAX_MINUTES: 1440, // 24 hours
+    MAX_SECONDS: 86400, // 24 hours
+    MAX_EPISODES: 10,
+    MIN_VALUE: 0
+  },
+
+  // startTimer options and their accepted values
+  START_OPTIONS: {
+    // Countdown, or stop after a number of episodes
+    mode: { label: 'timer mode', values: ['duration', 'episode'] },
+    // What the timer pauses on expiry: its own tab, or every media tab
+    scope: { label: 'timer scope', values: ['tab', 'all'] },
+    // The site profile's whole default timer, or only its fade-out/expiry
+    useProfile: { label: 'profile use', values: ['timer', 'behavior'] }
+  }
+};
+
+const { VALIDATION } = TIMER_MESSAGE_CONFIG;
+
+const checkMinutes = minutes =>
+  validateParameter(minutes, 'minutes', 'number', {
+    min: VALIDATION.MIN_VALUE,
+    max: VALIDATION.MAX_MINUTES
+  });
+
+const checkEpisodes = episodes =>
+  validateParameter(episodes, 'episodes', 'number', { min: 1, max: VALIDATION.MAX_EPISODES });
+
+/**
+ * @returns {string|null} Why the startTimer message is invalid, or null
+ */
+function validateStartTimer(message) {
+  const failed = [
+    checkMinutes(message.minutes),
+    validateParameter(message.duration, 'duration', 'number', {
+      min: VALIDATION.MIN_VALUE,
+      max: VALIDATION.MAX_SECONDS
+    }),
+    validateParameter(message.tabId, 'tabId', 'number', { min: 1 }),
+    checkEpisodes(message.episodes)
+  ].find(check => !check.valid);
+  if (failed) {
+    return failed.error;
+  }
+
+  const invalid = Object.entries(TIMER_MESSAGE_CONFIG.START_OPTIONS).find(
+    ([name, { values }]) => message[name] !== undefined && !values.includes(message[name])
+  );
+  if (invalid) {
+    const [name, { label }] = invalid;
+    return `Invalid ${label}: ${message[name]}`;
+  }
+  return null;
+}
+
+async function startTimer(message, sender) {
+  const error = validateStartTimer(message);
+  if (error) {
+    return { success: false, error };
+  }
+  const timerOptions = {
+    mode: message.mode,
+    episodes: message.episodes,
+    scope: message.scope,
+    useProfile: message.useProfile
+  };
+
+  // Support both 'minutes' and 'duration' (seconds) for custom timer
+  let minutes = message.minutes;
+  if (!minutes && message.duration) {
+    minutes = message.duration / 60; // Convert seconds to minutes
+  }
+  const trackedSeconds = minutes ? minutes * 60 : 0;
+
+  // Get tabId from message or sender, or the active tab if neither has one
+  let tabId = message.tabId || sender?.tab?.id;
+  let source = 'context_menu';
+  if (!tabId) {
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab) {
+      return { success: false, error: 'No active tab found' };
+    }
+    tabId = activeTab.id;
+    source = message.source || 'popup';
+  }
+
+  const timer = await timerEngine.startTimer(minutes, tabId, timerOptions);
+  trackTimerStart(trackedSeconds, source).catch(() => {});
+  return { success: true, timer };
+}
+
+async function stopTimer(message, sender) {
+  const stoppedTimer = await timerEngine.stopTimer(await resolveTabId(message, sender));
+
+  // Track analytics if timer was active
+  if (stoppedTimer) {
+    const elapsed = stoppedTimer.duration - stoppedTimer.remaining;
+    trackTimerStop(elapsed, stoppedTimer.remaining).catch(() => {});
+  }
+
+  return { success: true };
+}
+
+async function extendTimer(message, sender) {
+  const { minutes, episodes } = message;
+  const tabId = await resolveTabId(message, sender);
+
+  // Episode timers are extended by whole episodes
+  const check = episodes !== undefined ? checkEpisodes(episodes) : checkMinutes(minutes);
+  if (!check.valid) {
+    return { success: false, error: check.error };
+  }
+
+  const timer =
+    episodes !== undefined
+      ? await timerEngine.extendEpisodes(tabId, episodes)
+      : await timerEngine.extendTimer(tabId, minutes);
+  return { success: true, timer };
+}
+
+async function pauseTimer(message, sender) {
+  try {
+    const timer = await timerEngine.pauseTimer(await resolveTabId(message, sender));
+    return { success: true, timer };
+  } catch (error) {
+    console.error('[AutoPlay] pauseTimer error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function resumeTimer(message, sender) {
+  const timer = await timerEngine.resumeTimer(await resolveTabId(message, sender));
+  return { success: true, timer };
+}
+
+async function getTimerStatus(message, sender) {
+  const status = await timerEngine.getTimerStatus(await resolveTabId(message, sender));
+  // Lets content scripts tell whether the timer belongs to their tab
+  return { success: true, status, senderTabId: sender?.tab?.id };
+}
+
+async function getAllTimers() {
+  const timers = await timerEngine.getAllTimerStatuses();
+  return { success: true, timers };
+}
+
+export const TIMER_MESSAGE_HANDLERS = {
+  startTimer,
+  stopTimer,
+  extendTimer,
+  pauseTimer,
+  resumeTimer,
+  getTimerStatus,
+  getAllTimers,
+
+  episodeEnded: fromTab('episodeEnded', async tabId => {
+    const timer = await timerEngine.handleEpisodeEnded(tabId);
+    return { success: true, timer };
+  }),
+
+  checkInResponse: fromTab('checkInResponse', async tabId => {
+    const timer = await timerEngine.handleCheckInResponse(tabId);
+    return { success: !!timer, timer };
+  }),
+
+  adStateChanged: fromTab('adStateChanged', async (tabId, message) => {
+    const timer = await timerEngine.handleAdStateChanged(tabId, message.playing === true);
+    return { success: true, timer };
+  })
+};
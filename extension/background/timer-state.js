@@ -0,0 +1,91 @@
+/**
+ * Viboot Timer State
+ * Limits and pure helpers over a tab timer's serializable state (see TabTimer)
+ */
+
+export const TIMER_CONFIG = {
+  TICK_INTERVAL: 1000, // 1 second - countdown tick interval
+  ALARM_TICK_PERIOD: 0.5, // 0.5 minutes - chrome.alarms tick period
+  SAVE_STATE_INTERVAL: 10, // 10 seconds - how often to save timer state
+  BADGE_UPDATE_INTERVAL: 60, // 60 seconds - how often to update badge
+  BROADCAST_THROTTLE: 2000, // 2 seconds - minimum time between broadcasts (reduced spam)
+  EXPIRATION_DEDUP_WINDOW: 5000, // 5 seconds - ignore repeated expirations
+  MIN_DURATION: 1, // 1 second - minimum timer duration
+  MAX_DURATION: 86400, // 24 hours - maximum timer duration
+  MAX_EPISODES: 10, // Maximum episodes for an episode timer
+  EPISODE_END_DEBOUNCE: 30000, // 30 seconds - ignore duplicate episode-end reports
+  MAX_FADE_OUT: 120, // 2 minutes - longest volume fade-out window
+  MAX_CHECK_IN: 300, // 5 minutes - earliest "still watching?" check-in
+  DEFAULT_CHECK_IN_EXTEND: 15 // Minutes added when a check-in is acknowledged
+};
+
+/**
+ * Episode timers don't count seconds - they expire when the content script
+ * reports that the episode ended (video `ended` or next-episode UI shown)
+ */
+export function isEpisodeTimer(timer) {
+  return timer?.mode === 'episode';
+}
+
+/**
+ * Seconds left on a countdown, derived from its start time
+ */
+export function getElapsedRemaining(timer) {
+  const elapsed = Math.floor((Date.now() - timer.startTime) / 1000);
+  return timer.duration - elapsed;
+}
+
+/**
+ * Seconds the timer actually ran: episode timers count wall time since they started,
+ * countdowns count the time taken off the clock (so paused time is left out)
+ */
+export function getActualSeconds(timer) {
+  if (isEpisodeTimer(timer)) {
+    return Math.round((Date.now() - timer.startTime) / 1000);
+  }
+  const remaining =
+    timer.status === 'active' ? Math.max(0, getElapsedRemaining(timer)) : timer.remaining;
+  return timer.duration - remaining;
+}
+
+/**
+ * Mode-specific details kept in the timer's history record (episodes, check-in responses)
+ */
+export function getTimerOutcomeDetails(timer) {
+  const details = {};
+  if (isEpisodeTimer(timer)) {
+    details.episodes = timer.episodes;
+  }
+  if (timer.checkIns?.length) {
+    details.checkIns = timer.checkIns;
+  }
+  return details;
+}
+
+/**
+ * Snapshot for the popup and content scripts; brings a running countdown's
+ * remaining time up to date first
+ */
+export function getTimerStatus(timer) {
+  // Paused and episode timers keep their saved remaining time
+  if (timer.status === 'active' && !isEpisodeTimer(timer)) {
+    timer.remaining = Math.max(0, getElapsedRemaining(timer));
+  }
+
+  return {
+    active: true,
+    status: timer.status || 'active',
+    pausedBy: timer.pausedBy,
+    mode: timer.mode || 'duration',
+    remaining: timer.remaining,
+    duration: timer.duration,
+    episodes: timer.episodes,
+    episodesRemaining: timer.episodesRemaining,
+    platform: timer.platform,
+    site: timer.site,
+    scope: timer.scope || 'tab',
+    tabId: timer.tabId,
+    startTime: timer.startTime,
+    minutesRemaining: Math.ceil(timer.remaining / 60)
+  };
+}
@@ -0,0 +1,96 @@
+/**
+ * AutoPlay Video Control - Auto-pause Next Episode
+ * Stops the platform's next-episode autoplay countdown (Netflix seamless
+ * button, YouTube autonav end screen, Disney+ up next, HBO advancement)
+ *
+ * Setting: `autoPauseNext` (nested `settings` object, General settings tab)
+ *
+ * The countdown is cancelled with the remote cancelAutoplayButton selector when
+ * the platform has one, otherwise the video is paused, which freezes the countdown.
+ */
+
+if (!window.autoplayAutoPauseNextStarted) {
+  window.autoplayAutoPauseNextStarted = true;
+
+  let stopNextEpisodeWatch = null;
+  const handledOverlays = new WeakSet();
+
+  // An episode timer owns the end-of-episode behavior while it runs
+  const isEpisodeTimerRunning = async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getTimerStatus' });
+      return !!(response?.success && response.status?.active && response.status.mode === 'episode');
+    } catch (e) {
+      return false;
+    }
+  };
+
+  const pausePlayback = async () => {
+    const video = await window.findVideoElement(1);
+    return video ? window.getStrategy().pause(video) : false;
+  };
+
+  const cancelCountdown = async overlay => {
+    if (handledOverlays.has(overlay) || (await isEpisodeTimerRunning())) {
+      return;
+    }
+    handledOverlays.add(overlay);
+
+    const selectors = await window.getRemoteSelectors();
+    const cancelButton =
+      selectors.cancelAutoplayButton && window.queryShownElement(selectors.cancelAutoplayButton);
+    const cancelled = cancelButton ? window.clickOnce(cancelButton) : await pausePlayback();
+
+    if (cancelled) {
+      console.log('[AutoPlay] Next episode autoplay stopped');
+      if (window.self === window.top) {
+        window.showNotification('⏸️ Next episode paused', 'info');
+      }
+    }
+  };
+
+  const startAutoPauseNext = async () => {
+    if (stopNextEpisodeWatch) {
+      return;
+    }
+    const nextSelector = await window.getNextEpisodeSelector();
+    if (nextSelector && !stopNextEpisodeWatch) {
+      stopNextEpisodeWatch = window.watchSelector(nextSelector, cancelCountdown);
+    }
+  };
+
+  const stopAutoPauseNext = () => {
+    if (stopNextEpisodeWatch) {
+      stopNextEpisodeWatch();
+      stopNextEpisodeWatch = null;
+    }
+  };
+
+  const applyAutoPauseNext = enabled => {
+    if (enabled) {
+      startAutoPauseNext().catch(e =>
+        console.warn('[AutoPlay] Auto-pause next watcher failed:', e.message)
+      );
+    } else {
+      stopAutoPauseNext();
+    }
+  };
+
+  // Only the main frame or frames hosting the player
+  if (window.self === window.top || document.querySelector('video')) {
+    window.getExtensionSettings().then(settings => {
+      applyAutoPauseNext(!!settings.autoPauseNext);
+    });
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !changes.settings) {
+        return;
+      }
+      const wasEnabled = !!changes.settings.oldValue?.autoPauseNext;
+      const enabled = !!changes.settings.newValue?.autoPauseNext;
+      if (enabled !== wasEnabled) {
+        applyAutoPauseNext(enabled);
+      }
+    });
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * AutoPlay Video Control - Auto Skip
+ * Clicks the platform's "Skip Intro" button as soon as it appears, using the
+ * remote skipIntroButton selectors served by ConfigManager
+ *
+ * Settings (nested `settings` object):
+ * - autoSkipIntro: master toggle
+ * - skipIntroPlatforms: { [selectorPlatformKey]: boolean } per-platform toggles
+ * - autoSkipAds: ad skipping, for platforms whose strategy has watchAds() (YouTube)
+ */
+
+if (!window.autoplaySkipIntroStarted) {
+  window.autoplaySkipIntroStarted = true;
+
+  /**
+   * Check whether auto-skip intro is enabled for this platform
+   * @param {Object} settings - Extension settings
+   * @param {string} platform - Selector platform key
+   * @returns {boolean}
+   */
+  const isSkipIntroEnabled = (settings, platform) => {
+    if (!settings.autoSkipIntro) {
+      return false;
+    }
+    return settings.skipIntroPlatforms?.[platform] !== false;
+  };
+
+  const handleSkipIntroButton = async (button, platform) => {
+    const settings = await window.getExtensionSettings();
+    if (!isSkipIntroEnabled(settings, platform) || !window.clickOnce(button)) {
+      return;
+    }
+
+    console.log('[AutoPlay] Intro skipped on', platform);
+    if (window.self === window.top) {
+      window.showNotification('⏭️ Intro skipped', 'info');
+    }
+    chrome.runtime.sendMessage({ action: 'recordSkip', kind: 'intro', platform }).catch(() => {});
+  };
+
+  const startSkipIntroWatcher = async () => {
+    // Only the main frame or frames hosting the player (e.g. Crunchyroll's iframe)
+    if (window.self !== window.top && !document.querySelector('video')) {
+      return;
+    }
+
+    const selectors = await window.getRemoteSelectors();
+    if (!selectors.skipIntroButton) {
+      return;
+    }
+
+    const platform = window.getSelectorPlatformKey();
+    window.watchSelector(selectors.skipIntroButton, button => {
+      handleSkipIntroButton(button, platform);
+    });
+  };
+
+  startSkipIntroWatcher().catch(e =>
+    console.warn('[AutoPlay] Skip intro watcher failed:', e.message)
+  );
+
+  const strategy = window.getStrategy();
+  if (strategy.watchAds && (window.self === window.top || document.querySelector('video'))) {
+    strategy.watchAds().catch(e => console.warn('[AutoPlay] Ad watcher failed:', e.message));
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * AutoPlay Video Control - Check-in Prompt
+ * "Are you still watching?" prompt shown in the player a few minutes before
+ * the sleep timer expires. Any click on the prompt or key press acknowledges
+ * it and the service worker extends the timer; if it's ignored the timer
+ * expires as normal.
+ *
+ * Messages: showCheckIn { seconds, extendMinutes, expiryAction } / hideCheckIn from SleepTimerEngine
+ * Settings: checkInMinutes (0 = off), checkInExtendMinutes (nested `settings` object)
+ */
+
+const CHECK_IN_STYLES = `
+  .autoplay-check-in {
+    position: fixed;
+    left: 50%;
+    bottom: 15%;
+    transform: translateX(-50%);
+    z-index: 2147483647;
+    background: rgba(0, 0, 0, 0.85);
+    backdrop-filter: blur(10px);
+    border: 1px solid rgba(129, 140, 248, 0.5);
+    border-radius: 12px;
+    padding: 18px 24px;
+    color: white;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    text-align: center;
+    cursor: pointer;
+    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+  }
+  .autoplay-check-in-title { font-size: 18px; font-weight: 700; }
+  .autoplay-check-in-hint { font-size: 13px; color: rgba(255, 255, 255, 0.75); margin-top: 6px; }
+`;
+
+// What the countdown in the hint leads to, per expiryAction
+const CHECK_IN_ENDINGS = {
+  pause: 'pausing in',
+  mute: 'muting in',
+  lowerVolume: 'turning the volume down in',
+  close: 'closing this tab in',
+  goodnight: 'stopping in'
+};
+
+if (!window.showCheckIn) {
+  let prompt = null;
+  let promptHint = null;
+  let countdownInterval = null;
+
+  const getContainer = () => {
+    const fullscreenEl = document.fullscreenElement;
+    return fullscreenEl && fullscreenEl.tagName !== 'VIDEO' ? fullscreenEl : document.body;
+  };
+
+  const injectStyles = () => {
+    if (!document.head.querySelector('#autoplay-check-in-styles')) {
+      const style = document.createElement('style');
+      style.id = 'autoplay-check-in-styles';
+      style.textContent = CHECK_IN_STYLES;
+      document.head.appendChild(style);
+    }
+  };
+
+  const acknowledge = event => {
+    event.preventDefault();
+    event.stopPropagation();
+    window.hideCheckIn();
+    chrome.runtime
+      .sendMessage({ action: 'checkInResponse' })
+      .then(response => {
+        if (response?.success) {
+          window.showNotification('😊 Timer extended', 'success');
+        }
+      })
+      .catch(error => console.warn('[AutoPlay] Check-in response failed:', error.message));
+  };
+
+  // Keep the prompt visible when the player enters or leaves fullscreen
+  const reattach = () => {
+    if (prompt) {
+      getContainer().appendChild(prompt);
+    }
+  };
+
+  const buildPrompt = () => {
+    prompt = document.createElement('div');
+    prompt.className = 'autoplay-check-in';
+    prompt.setAttribute('role', 'alertdialog');
+
+    const title = document.createElement('div');
+    title.className = 'autoplay-check-in-title';
+    title.textContent = '😴 Are you still watching?';
+
+    promptHint = document.createElement('div');
+    promptHint.className = 'autoplay-check-in-hint';
+
+    prompt.appendChild(title);
+    prompt.appendChild(promptHint);
+    prompt.addEventListener('click', acknowledge);
+  };
+
+  const updateHint = (seconds, extendMinutes, ending) => {
+    const countdown = window.AutoPlayUtils.formatCountdown(Math.max(seconds, 0));
+    promptHint.textContent = `Press any key or click to keep watching (+${extendMinutes} min) · ${ending} ${countdown}`;
+  };
+
+  /**
+   * Show the check-in prompt (main frame only)
+   * @param {number} seconds - Time left before the timer expires
+   * @param {number} extendMinutes - Minutes added if the viewer responds
+   * @param {string} expiryAction - What the timer does if the prompt is ignored
+   */
+  window.showCheckIn = function (seconds, extendMinutes, expiryAction) {
+    if (window.self !== window.top || prompt) {
+      return;
+    }
+
+    injectStyles();
+    buildPrompt();
+    const endsAt = Date.now() + seconds * 1000;
+    const ending = CHECK_IN_ENDINGS[expiryAction] || CHECK_IN_ENDINGS.pause;
+    updateHint(seconds, extendMinutes, ending);
+    countdownInterval = setInterval(() => {
+      updateHint(Math.round((endsAt - Date.now()) / 1000), extendMinutes, ending);
+    }, 1000);
+
+    getContainer().appendChild(prompt);
+    document.addEventListener('fullscreenchange', reattach);
+    window.addEventListener('keydown', acknowledge, true);
+  };
+
+  window.hideCheckIn = function () {
+    if (!prompt) {
+      return;
+    }
+    clearInterval(countdownInterval);
+    countdownInterval = null;
+    window.removeEventListener('keydown', acknowledge, true);
+    document.removeEventListener('fullscreenchange', reattach);
+    prompt.remove();
+    prompt = null;
+    promptHint = null;
+  };
+}
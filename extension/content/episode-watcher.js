@@ -0,0 +1,85 @@
+/**
+ * AutoPlay Video Control - Episode Watcher
+ * Detects the end of an episode for "End of this episode" / "After N episodes"
+ * timers and reports it to the service worker
+ *
+ * An episode is considered finished when either:
+ * - the video fires `ended`, or
+ * - the platform's next-episode UI appears (nextButton / nextEpisodeButton / autonavScreen)
+ */
+
+const EPISODE_WATCH_CONFIG = {
+  REPORT_COOLDOWN: 60 * 1000, // 1 minute - one report per episode end
+  MIN_EPISODE_DURATION: 120 // 2 minutes - ignore trailers and browse-page previews
+};
+
+if (!window.startEpisodeWatcher) {
+  let stopSelectorWatch = null;
+  let watching = false;
+  let lastReport = 0;
+
+  const isAdPlaying = () => !!document.querySelector('.ad-showing, .ad-interrupting');
+
+  const reportEpisodeEnd = source => {
+    if (Date.now() - lastReport < EPISODE_WATCH_CONFIG.REPORT_COOLDOWN) {
+      return;
+    }
+    lastReport = Date.now();
+    console.log('[AutoPlay] Episode end detected via', source);
+    chrome.runtime.sendMessage({ action: 'episodeEnded', source }).catch(() => {});
+  };
+
+  // `ended` doesn't bubble, so listen in the capture phase
+  const onMediaEnded = event => {
+    const video = event.target;
+    if (!(video instanceof HTMLVideoElement) || isAdPlaying()) {
+      return;
+    }
+    if (video.duration && video.duration < EPISODE_WATCH_CONFIG.MIN_EPISODE_DURATION) {
+      return;
+    }
+    reportEpisodeEnd('ended');
+  };
+
+  /**
+   * Start watching for the end of the current episode (idempotent)
+   */
+  window.startEpisodeWatcher = async function () {
+    if (watching) {
+      return;
+    }
+    // Only the main frame or frames hosting the player
+    if (window.self !== window.top && !document.querySelector('video')) {
+      return;
+    }
+    watching = true;
+    lastReport = 0;
+    document.addEventListener('ended', onMediaEnded, true);
+
+    const nextSelector = await window.getNextEpisodeSelector();
+    if (nextSelector && watching) {
+      stopSelectorWatch = window.watchSelector(nextSelector, () =>
+        reportEpisodeEnd('nextEpisodeUi')
+      );
+    }
+  };
+
+  /**
+   * Stop watching (timer stopped or expired)
+   */
+  window.stopEpisodeWatcher = function () {
+    watching = false;
+    document.removeEventListener('ended', onMediaEnded, true);
+    if (stopSelectorWatch) {
+      stopSelectorWatch();
+      stopSelectorWatch = null;
+    }
+  };
+
+  // Resume watching after a page reload while an episode timer is running
+  chrome.runtime.sendMessage({ action: 'getTimerStatus' }, response => {
+    if (response?.success && response.status?.active && response.status.mode === 'episode') {
+      window.startEpisodeWatcher();
+    }
+  });
+}
@@ -0,0 +1,57 @@
+/**
+ * AutoPlay Video Control - Expiry Actions
+ * In-page side of the sleep timer's expiry actions other than pausing: mute,
+ * turn the volume down, and leave fullscreen. Closing the tab and the good
+ * night page are handled by the service worker.
+ *
+ * Settings: `expiryAction`, `exitFullscreen` (nested `settings` object)
+ * Message: runExpiryAction { expiryAction } from background/expiry-actions.js
+ */
+
+const EXPIRY_ACTION_CONFIG = {
+  LOWERED_VOLUME: 0.1 // Share of the volume kept by 'lowerVolume'
+};
+
+if (!window.runExpiryAction) {
+  const lowerVolume = async () => {
+    const strategy = window.getStrategy();
+    const video = (await strategy.findVideo()) || document.querySelector('video');
+    if (!video) {
+      throw new Error('No video found');
+    }
+    const volume = video.volume * EXPIRY_ACTION_CONFIG.LOWERED_VOLUME;
+    if (strategy.setVolume) {
+      await strategy.setVolume(video, volume);
+    } else {
+      video.volume = volume;
+    }
+  };
+
+  /**
+   * Run one expiry action in this frame
+   * @param {'mute'|'lowerVolume'|'exitFullscreen'} expiryAction
+   */
+  window.runExpiryAction = async function (expiryAction) {
+    if (expiryAction === 'exitFullscreen') {
+      if (document.fullscreenElement) {
+        await document.exitFullscreen();
+      }
+      return;
+    }
+
+    // Stopping a fade-out puts the volume back, so do it before changing the volume
+    if (window.stopFadeOut) {
+      await window.stopFadeOut();
+    }
+    if (expiryAction === 'mute') {
+      document.querySelectorAll('video, audio').forEach(media => {
+        media.muted = true;
+      });
+    } else if (expiryAction === 'lowerVolume') {
+      await lowerVolume();
+    } else {
+      throw new Error(`Unknown expiry action: ${expiryAction}`);
+    }
+    console.log(`[AutoPlay] Expiry action: ${expiryAction}`);
+  };
+}
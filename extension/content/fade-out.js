@@ -0,0 +1,71 @@
+/**
+ * AutoPlay Video Control - Volume Fade-out
+ * Ramps the volume down during the last seconds of a sleep timer so the pause
+ * at expiry isn't abrupt, then restores the original volume once paused
+ *
+ * Setting: `fadeOutSeconds` (nested `settings` object, 0 = off)
+ * Messages: startFadeOut { seconds } / cancelFadeOut from SleepTimerEngine
+ */
+
+const FADE_OUT_CONFIG = {
+  STEP_INTERVAL: 1000 // 1 second - time between volume steps
+};
+
+if (!window.startFadeOut) {
+  let fade = null; // { video, strategy, originalVolume, intervalId }
+
+  const applyVolume = async (video, strategy, volume) => {
+    if (strategy.setVolume) {
+      await strategy.setVolume(video, volume);
+    } else {
+      video.volume = volume;
+    }
+  };
+
+  /**
+   * Start fading the playing video out over `seconds` (idempotent)
+   * @param {number} seconds - Time left on the sleep timer
+   */
+  window.startFadeOut = async function (seconds) {
+    if (fade) {
+      return;
+    }
+
+    const strategy = window.getStrategy();
+    const video = (await strategy.findVideo()) || document.querySelector('video');
+    if (!video || video.paused || video.muted || fade) {
+      return;
+    }
+
+    const originalVolume = video.volume;
+    const totalSteps = Math.max(1, Math.round((seconds * 1000) / FADE_OUT_CONFIG.STEP_INTERVAL));
+    let step = 0;
+
+    console.log(`[AutoPlay] Fading out over ${seconds}s`);
+    fade = { video, strategy, originalVolume, intervalId: null };
+    fade.intervalId = setInterval(() => {
+      step = Math.min(step + 1, totalSteps);
+      // Quadratic curve sounds more even than linear to the ear
+      const level = (1 - step / totalSteps) ** 2;
+      applyVolume(video, strategy, originalVolume * level).catch(() => {});
+      if (step === totalSteps) {
+        clearInterval(fade.intervalId);
+      }
+    }, FADE_OUT_CONFIG.STEP_INTERVAL);
+  };
+
+  /**
+   * Stop fading and restore the original volume
+   * Called after the expiry action, and when the timer is paused, extended or stopped
+   * @returns {Promise<void>} Resolves once the volume is restored
+   */
+  window.stopFadeOut = function () {
+    if (!fade) {
+      return Promise.resolve();
+    }
+    const { video, strategy, originalVolume, intervalId } = fade;
+    fade = null;
+    clearInterval(intervalId);
+    return applyVolume(video, strategy, originalVolume).catch(() => {});
+  };
+}
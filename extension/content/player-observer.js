@@ -0,0 +1,209 @@
+/**
+ * AutoPlay Video Control - Player Observer
+ * Shared content-side helpers for features that react to player UI
+ * (skip buttons, next-episode cards, countdown overlays)
+ *
+ * Loaded after streaming-controller.js in the same isolated world, so it can
+ * rely on window.detectPlatform() and window.getStrategy().
+ */
+
+// ============================================================================
+// CONFIGURATION CONSTANTS
+// ============================================================================
+
+const PLAYER_OBSERVER_CONFIG = {
+  SETTINGS_CACHE_TTL: 5000, // 5 seconds - how long to cache extension settings
+  SCAN_THROTTLE: 250, // 250ms - minimum time between DOM scans per watcher
+  CLICK_COOLDOWN: 5000 // 5 seconds - ignore an element after clicking it
+};
+
+// Content platform ids that differ from the remote selector config keys
+const SELECTOR_PLATFORM_KEYS = {
+  disneyplus: 'disney'
+};
+
+// Remote selector keys that mark the end of an episode (next-episode card / autonav)
+const NEXT_EPISODE_SELECTOR_KEYS = ['nextButton', 'nextEpisodeButton', 'autonavScreen'];
+
+// ============================================================================
+// REMOTE SELECTORS
+// ============================================================================
+
+if (!window.getSelectorPlatformKey) {
+  window.getSelectorPlatformKey = function () {
+    const platform = window.detectPlatform();
+    return SELECTOR_PLATFORM_KEYS[platform] || platform;
+  };
+}
+
+if (!window.getRemoteSelectors) {
+  let selectorsPromise = null;
+
+  /**
+   * Get the remote selector set for this page's platform (cached per page)
+   * @returns {Promise<Object>} Selector map, empty object if unavailable
+   */
+  window.getRemoteSelectors = function () {
+    if (!selectorsPromise) {
+      const platform = window.getSelectorPlatformKey();
+      selectorsPromise = chrome.runtime
+        .sendMessage({ action: 'getSelectors', platform })
+        .then(response => (response?.success && response.selectors) || {})
+        .catch(() => ({}));
+    }
+    return selectorsPromise;
+  };
+}
+
+if (!window.getNextEpisodeSelector) {
+  /**
+   * Combined selector for this platform's next-episode UI
+   * @returns {Promise<string>} Comma-separated selector, empty if the platform has none
+   */
+  window.getNextEpisodeSelector = async function () {
+    const selectors = await window.getRemoteSelectors();
+    return NEXT_EPISODE_SELECTOR_KEYS.map(key => selectors[key])
+      .filter(Boolean)
+      .join(', ');
+  };
+}
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+if (!window.getExtensionSettings) {
+  let settingsCache = { value: null, timestamp: 0 };
+
+  /**
+   * Get extension settings with a short TTL cache to avoid message spam
+   * @returns {Promise<Object>} Settings object (empty object on failure)
+   */
+  window.getExtensionSettings = async function () {
+    const now = Date.now();
+    if (
+      settingsCache.value &&
+      now - settingsCache.timestamp < PLAYER_OBSERVER_CONFIG.SETTINGS_CACHE_TTL
+    ) {
+      return settingsCache.value;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+      if (response?.success) {
+        settingsCache = { value: response.settings || {}, timestamp: now };
+      }
+    } catch (e) {
+      // Extension context invalidated - keep last known value
+    }
+    return settingsCache.value || {};
+  };
+
+  // Drop the cache as soon as any page changes the settings
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.settings) {
+      settingsCache = { value: null, timestamp: 0 };
+    }
+  });
+}
+
+// ============================================================================
+// ELEMENT HELPERS
+// ============================================================================
+
+if (!window.isElementShown) {
+  window.isElementShown = function (el) {
+    if (!el || !el.isConnected) {
+      return false;
+    }
+    if (el.offsetParent === null && getComputedStyle(el).position !== 'fixed') {
+      return false;
+    }
+    return el.offsetWidth > 0 || el.offsetHeight > 0;
+  };
+}
+
+if (!window.queryShownElement) {
+  window.queryShownElement = function (selector) {
+    try {
+      const matches = document.querySelectorAll(selector);
+      return Array.from(matches).find(el => window.isElementShown(el)) || null;
+    } catch (e) {
+      return null; // invalid selector from remote config
+    }
+  };
+}
+
+if (!window.clickOnce) {
+  const recentlyClicked = new WeakMap();
+
+  /**
+   * Click an element unless it was already clicked within the cooldown window
+   * @param {Element} el - Element to click
+   * @returns {boolean} True if the click was dispatched
+   */
+  window.clickOnce = function (el) {
+    const lastClick = recentlyClicked.get(el) || 0;
+    if (Date.now() - lastClick < PLAYER_OBSERVER_CONFIG.CLICK_COOLDOWN) {
+      return false;
+    }
+    if (el.disabled || el.getAttribute('aria-disabled') === 'true') {
+      return false;
+    }
+    recentlyClicked.set(el, Date.now());
+    el.click();
+    return true;
+  };
+}
+
+// ============================================================================
+// SELECTOR WATCHER
+// ============================================================================
+
+if (!window.watchSelector) {
+  /**
+   * Watch the DOM for a visible element matching selector
+   * Calls onMatch(element) every time a scan finds one (throttled)
+   *
+   * @param {string} selector - CSS selector (comma-separated fallbacks allowed)
+   * @param {Function} onMatch - Called with the matching element
+   * @returns {Function} Stop function that disconnects the observer
+   */
+  window.watchSelector = function (selector, onMatch) {
+    let lastScan = 0;
+    let pendingScan = null;
+
+    const scan = () => {
+      pendingScan = null;
+      lastScan = Date.now();
+      const el = window.queryShownElement(selector);
+      if (el) {
+        onMatch(el);
+      }
+    };
+
+    const scheduleScan = () => {
+      if (pendingScan) {
+        return;
+      }
+      const wait = Math.max(0, PLAYER_OBSERVER_CONFIG.SCAN_THROTTLE - (Date.now() - lastScan));
+      pendingScan = setTimeout(scan, wait);
+    };
+
+    const observer = new MutationObserver(scheduleScan);
+    observer.observe(document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['class', 'style', 'hidden']
+    });
+    scheduleScan();
+
+    return () => {
+      observer.disconnect();
+      if (pendingScan) {
+        clearTimeout(pendingScan);
+      }
+    };
+  };
+}
@@ -72,6 +72,11 @@ const AUTOPLAY_CONFIG = {
   OVERLAY_WARNING_THRESHOLD: 300,       // 5 minutes - when to show warning state
   OVERLAY_CRITICAL_THRESHOLD: 60,       // 1 minute - when to show critical state
   
+  // Screen dimming settings (ramps follow the overlay thresholds)
+  DIM_POLL_INTERVAL: 2000,              // 2 seconds - re-check interval inside the warning window
+  DIM_WARNING_OPACITY: 0.35,            // Darkness reached at the critical threshold
+  DIM_MAX_OPACITY: 0.85,                // Darkness reached at expiry
+
   // Notification settings
   NOTIFICATION_DURATION: 3000,          // 3 seconds - how long to show notifications
   
@@ -226,6 +231,72 @@ if (!window.PlatformStrategies) {
         if (player?.playVideo) { player.playVideo(); return true; }
         if (video.paused) { await video.play(); return true; }
         return false;
+      },
+
+      // YouTube re-applies its own volume to the <video>, so use the player API
+      // (the service worker runs it in the page's main world)
+      async setVolume(video, volume) {
+        const response = await chrome.runtime.sendMessage({ action: 'setPlayerVolume', volume }).catch(() => null);
+        if (!response?.success) {
+          video.volume = volume;
+        }
+      },
+
+      /**
+       * Ad observer (autoSkipAds setting): clicks the remote skipAdButton as soon
+       * as it is clickable and reports ad start/end so the sleep timer can stop
+       * counting while ads play. Uses the player-observer.js helpers.
+       */
+      async watchAds() {
+        if (this.adObserver) {
+          return;
+        }
+
+        const selectors = await window.getRemoteSelectors();
+        const stopPlayerWatch = window.watchSelector(selectors.playerContainer || '#movie_player', player => {
+          stopPlayerWatch();
+          if (!this.adObserver) {
+            this.observeAdState(player);
+            this.watchSkipAdButton(selectors.skipAdButton);
+          }
+        });
+      },
+
+      observeAdState(player) {
+        let adShowing = false;
+
+        const onPlayerClassChange = async () => {
+          const showing = player.classList.contains('ad-showing');
+          if (showing === adShowing) {
+            return;
+          }
+          adShowing = showing;
+
+          // Ad end is always reported so an ad-paused timer never stays paused
+          const settings = await window.getExtensionSettings();
+          if (settings.autoSkipAds || !showing) {
+            chrome.runtime.sendMessage({ action: 'adStateChanged', playing: showing }).catch(() => {});
+          }
+        };
+
+        this.adObserver = new MutationObserver(onPlayerClassChange);
+        this.adObserver.observe(player, { attributes: true, attributeFilter: ['class'] });
+        onPlayerClassChange();
+      },
+
+      watchSkipAdButton(skipAdSelector) {
+        if (!skipAdSelector) {
+          return;
+        }
+
+        window.watchSelector(skipAdSelector, async button => {
+          const settings = await window.getExtensionSettings();
+          if (!settings.autoSkipAds || !window.clickOnce(button)) {
+            return;
+          }
+          console.log('[AutoPlay] Ad skipped');
+          chrome.runtime.sendMessage({ action: 'recordSkip', kind: 'ad', platform: 'youtube' }).catch(() => {});
+        });
       }
     },
 
@@ -856,6 +927,15 @@ const OVERLAY_STYLES = `
   .autoplay-overlay.warning .autoplay-overlay-time { color: #f59e0b; animation: autoplayPulse 1s infinite; }
   .autoplay-overlay.critical .autoplay-overlay-time { color: #ef4444; animation: autoplayPulse 0.5s infinite; }
   @keyframes autoplayPulse { 0%, 100% { opacity: 1; } 50% { opacity: 0.6; } }
+  .autoplay-dim-layer {
+    position: fixed;
+    inset: 0;
+    z-index: 2147483646;
+    background: #000;
+    pointer-events: none;
+    opacity: 0;
+    transition: opacity 2s linear;
+  }
 `;
 
 let autoplayOverlay = null;
@@ -898,18 +978,45 @@ async function loadOverlaySetting() {
 // Load setting on script init
 loadOverlaySetting();
 
-function createOverlay() {
-  // Check if overlay is disabled in settings
-  if (!autoplayOverlayEnabled) return;
-  if (autoplayOverlay) return;
+// Apply the showOverlay setting as soon as it changes
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes.settings) {
+    return;
+  }
+  const enabled = changes.settings.newValue?.showOverlay !== false;
+  const wasEnabled = changes.settings.oldValue?.showOverlay !== false;
+  overlaySettingCache = { ...overlaySettingCache, value: enabled, timestamp: Date.now() };
+  autoplayOverlayEnabled = enabled;
+  if (window.self !== window.top) {
+    return;
+  }
+  if (!enabled) {
+    hideOverlay();
+  } else if (!wasEnabled) {
+    // Turned back on (e.g. keyboard shortcut) mid-countdown, when no updates are broadcast
+    chrome.runtime.sendMessage({ action: 'getTimerStatus' }, (response) => {
+      if (response?.success && response.status?.active) {
+        showTimerStatusOverlay(response.status);
+      }
+    });
+  }
+});
 
-  // Inject styles
+function injectOverlayStyles() {
   if (!document.head.querySelector('#autoplay-overlay-styles')) {
     const style = document.createElement('style');
     style.id = 'autoplay-overlay-styles';
     style.textContent = OVERLAY_STYLES;
     document.head.appendChild(style);
   }
+}
+
+function createOverlay() {
+  // Check if overlay is disabled in settings
+  if (!autoplayOverlayEnabled) return;
+  if (autoplayOverlay) return;
+
+  injectOverlayStyles();
 
   autoplayOverlay = document.createElement('div');
   autoplayOverlay.className = 'autoplay-overlay';
@@ -929,6 +1036,7 @@ function createOverlay() {
   
   const label = document.createElement('span');
   label.className = 'autoplay-overlay-label';
+  label.id = 'autoplayLabel';
   label.textContent = 'Sleep timer';
   
   content.appendChild(timeSpan);
@@ -997,6 +1105,41 @@ function updateOverlay(remaining) {
   }
 }
 
+// Episode timers show how many episodes are left instead of a countdown
+function updateOverlayEpisodes(episodesRemaining) {
+  if (!autoplayOverlayEnabled) {
+    return;
+  }
+  if (!autoplayOverlay) {
+    createOverlay();
+  }
+  if (!autoplayOverlay) {
+    return;
+  }
+
+  const timeEl = document.getElementById('autoplayTime');
+  const labelEl = document.getElementById('autoplayLabel');
+  if (timeEl) {
+    timeEl.textContent = episodesRemaining === 1 ? 'This episode' : `${episodesRemaining} episodes`;
+  }
+  if (labelEl) {
+    labelEl.textContent = 'Sleep timer - pauses after';
+  }
+
+  autoplayOverlay.classList.remove('warning', 'critical');
+  lastOverlayRemaining = -1;
+}
+
+// Render a getTimerStatus() result in the overlay
+function showTimerStatusOverlay(status) {
+  showOverlay();
+  if (status.mode === 'episode') {
+    updateOverlayEpisodes(status.episodesRemaining);
+  } else {
+    updateOverlay(status.remaining);
+  }
+}
+
 function showOverlay() {
   if (!autoplayOverlayEnabled) return;
   if (!autoplayOverlay) createOverlay();
@@ -1012,6 +1155,123 @@ function destroyOverlay() {
     autoplayOverlay.remove();
     autoplayOverlay = null;
   }
+  removeDimming();
+}
+
+// ============================================================================
+// SCREEN DIMMING (dimScreen setting)
+// ============================================================================
+
+let autoplayDimLayer = null;
+let dimmedVideo = null;
+let dimmingCheck = null; // Timeout for the next remaining-time check
+
+// Ramp to DIM_WARNING_OPACITY over the warning window, then to DIM_MAX_OPACITY
+// over the critical window
+function getDimOpacity(remaining) {
+  const warning = AUTOPLAY_CONFIG.OVERLAY_WARNING_THRESHOLD;
+  const critical = AUTOPLAY_CONFIG.OVERLAY_CRITICAL_THRESHOLD;
+  const warningOpacity = AUTOPLAY_CONFIG.DIM_WARNING_OPACITY;
+
+  if (remaining > warning) {
+    return 0;
+  }
+  if (remaining > critical) {
+    return warningOpacity * ((warning - remaining) / (warning - critical));
+  }
+  const criticalProgress = (critical - Math.max(remaining, 0)) / critical;
+  return warningOpacity + (AUTOPLAY_CONFIG.DIM_MAX_OPACITY - warningOpacity) * criticalProgress;
+}
+
+// Only the fullscreen element is rendered in fullscreen, so the layer has to live inside it
+function attachDimLayer() {
+  const fullscreenEl = document.fullscreenElement;
+  const container = fullscreenEl && fullscreenEl.tagName !== 'VIDEO' ? fullscreenEl : document.body;
+  if (autoplayDimLayer && autoplayDimLayer.parentElement !== container) {
+    container.appendChild(autoplayDimLayer);
+  }
+}
+
+function setDimming(opacity) {
+  if (!autoplayDimLayer) {
+    if (opacity <= 0) {
+      return;
+    }
+    injectOverlayStyles();
+    autoplayDimLayer = document.createElement('div');
+    autoplayDimLayer.className = 'autoplay-dim-layer';
+    document.addEventListener('fullscreenchange', attachDimLayer);
+  }
+  attachDimLayer();
+  autoplayDimLayer.style.opacity = String(opacity);
+
+  // A fullscreen <video> can't hold the layer - darken the picture itself
+  const fullscreenEl = document.fullscreenElement;
+  if (fullscreenEl?.tagName === 'VIDEO') {
+    dimmedVideo = fullscreenEl;
+    dimmedVideo.style.filter = `brightness(${1 - opacity})`;
+  } else if (dimmedVideo) {
+    dimmedVideo.style.filter = '';
+    dimmedVideo = null;
+  }
+}
+
+// Check again every DIM_POLL_INTERVAL inside the warning window; before it, once
+// when the countdown gets there (extending the timer just means another check)
+function scheduleDimmingCheck(delay) {
+  clearTimeout(dimmingCheck);
+  dimmingCheck = setTimeout(() => {
+    dimmingCheck = null;
+    refreshDimming().catch(() => removeDimming());
+  }, delay);
+}
+
+async function refreshDimming() {
+  const response = await chrome.runtime.sendMessage({ action: 'getTimerStatus' });
+  const status = response?.status;
+
+  // Only the timer's own tab dims, and episode timers have no countdown to follow
+  if (!status?.active || status.mode === 'episode' || status.tabId !== response.senderTabId) {
+    removeDimming();
+    return;
+  }
+  if (status.status === 'paused') {
+    // Resuming sends updateOverlay, which starts the watch again
+    setDimming(0);
+    return;
+  }
+
+  setDimming(getDimOpacity(status.remaining));
+  const untilWarning = status.remaining - AUTOPLAY_CONFIG.OVERLAY_WARNING_THRESHOLD;
+  scheduleDimmingCheck(untilWarning > 0 ? untilWarning * 1000 : AUTOPLAY_CONFIG.DIM_POLL_INTERVAL);
+}
+
+async function startDimmingWatch() {
+  if (dimmingCheck || window.self !== window.top) {
+    return;
+  }
+
+  const response = await chrome.runtime.sendMessage({ action: 'getSettings' }).catch(() => null);
+  if (!response?.settings?.dimScreen || dimmingCheck) {
+    return;
+  }
+  scheduleDimmingCheck(0);
+}
+
+function removeDimming() {
+  if (dimmingCheck) {
+    clearTimeout(dimmingCheck);
+    dimmingCheck = null;
+  }
+  if (autoplayDimLayer) {
+    document.removeEventListener('fullscreenchange', attachDimLayer);
+    autoplayDimLayer.remove();
+    autoplayDimLayer = null;
+  }
+  if (dimmedVideo) {
+    dimmedVideo.style.filter = '';
+    dimmedVideo = null;
+  }
 }
 
 function makeDraggable(el) {
@@ -1196,6 +1456,14 @@ if (!window.autoplayMessageListenerAdded) {
       // Not main frame, ignore UI actions
       return;
     }
+
+    // Expiry actions: fullscreen is left from the main frame, volume changes need a video
+    if (request.action === 'runExpiryAction') {
+      const handles = request.expiryAction === 'exitFullscreen' ? isMainFrame : !!document.querySelector('video');
+      if (!handles) {
+        return;
+      }
+    }
     
     // Log only important actions (not routine updates)
     if (!['updateOverlay', 'timerUpdate'].includes(request.action)) {
@@ -1208,14 +1476,57 @@ if (!window.autoplayMessageListenerAdded) {
         case 'startTimer':
           window.autoplayPauseCalled = false;
           console.log('[AutoPlay] Timer started - pause flag reset');
+          startDimmingWatch();
           sendResponse({ success: true });
           break;
 
         case 'pauseVideo':
-          window.pauseVideo().then(() => sendResponse({ success: true }))
+          window.pauseVideo().then(() => {
+            // Paused after a fade-out: put the volume back for next time
+            if (window.stopFadeOut) {
+              window.stopFadeOut();
+            }
+            sendResponse({ success: true });
+          }).catch(e => sendResponse({ success: false, error: e.message }));
+          return true;
+
+        case 'runExpiryAction':
+          if (!window.runExpiryAction) {
+            sendResponse({ success: false, error: 'Expiry actions unavailable' });
+            break;
+          }
+          window.runExpiryAction(request.expiryAction).then(() => sendResponse({ success: true }))
             .catch(e => sendResponse({ success: false, error: e.message }));
           return true;
 
+        case 'startFadeOut':
+          if (window.startFadeOut) {
+            window.startFadeOut(request.seconds);
+          }
+          sendResponse({ success: true });
+          break;
+
+        case 'showCheckIn':
+          if (window.showCheckIn) {
+            window.showCheckIn(request.seconds, request.extendMinutes, request.expiryAction);
+          }
+          sendResponse({ success: true });
+          break;
+
+        case 'hideCheckIn':
+          if (window.hideCheckIn) {
+            window.hideCheckIn();
+          }
+          sendResponse({ success: true });
+          break;
+
+        case 'cancelFadeOut':
+          if (window.stopFadeOut) {
+            window.stopFadeOut();
+          }
+          sendResponse({ success: true });
+          break;
+
         case 'playVideo':
           window.playVideo().then(() => sendResponse({ success: true }))
             .catch(e => sendResponse({ success: false, error: e.message }));
@@ -1257,8 +1568,7 @@ if (!window.autoplayMessageListenerAdded) {
             if (autoplayOverlayEnabled && isMainFrame) {
               chrome.runtime.sendMessage({ action: 'getTimerStatus' }, (response) => {
                 if (response?.success && response.status?.active) {
-                  showOverlay();
-                  updateOverlay(response.status.remaining);
+                  showTimerStatusOverlay(response.status);
                 }
               });
             }
@@ -1267,8 +1577,20 @@ if (!window.autoplayMessageListenerAdded) {
           break;
 
         case 'updateOverlay':
+          // Episode timers send the number of episodes left instead of seconds
+          if (isMainFrame && request.mode === 'episode') {
+            loadOverlaySetting().then(() => {
+              if (autoplayOverlayEnabled) {
+                showOverlay();
+                updateOverlayEpisodes(request.episodesRemaining);
+              }
+            });
+            sendResponse({ success: true });
+            break;
+          }
           // Only update overlay in main frame and if enabled
           if (isMainFrame && request.remaining !== undefined) {
+            startDimmingWatch();
             // Reload setting in case it changed
             loadOverlaySetting().then(() => {
               if (autoplayOverlayEnabled) {
@@ -1285,6 +1607,20 @@ if (!window.autoplayMessageListenerAdded) {
           sendResponse({ success: true });
           break;
 
+        case 'startEpisodeWatch':
+          if (window.startEpisodeWatcher) {
+            window.startEpisodeWatcher();
+          }
+          sendResponse({ success: true });
+          break;
+
+        case 'stopEpisodeWatch':
+          if (window.stopEpisodeWatcher) {
+            window.stopEpisodeWatcher();
+          }
+          sendResponse({ success: true });
+          break;
+
         case 'getPlaybackStatus':
           const videos = document.querySelectorAll('video');
           const mainVideo = Array.from(videos).find(v => !v.paused) || videos[0];
@@ -1293,6 +1629,7 @@ if (!window.autoplayMessageListenerAdded) {
             status: mainVideo ? {
               hasVideo: true,
               paused: mainVideo.paused,
+              muted: mainVideo.muted,
               currentTime: mainVideo.currentTime,
               duration: mainVideo.duration
             } : { hasVideo: false }
@@ -1319,8 +1656,10 @@ if (!window.autoplayMessageListenerAdded) {
       loadOverlaySetting().then(() => {
         chrome.runtime.sendMessage({ action: 'getTimerStatus' }, (response) => {
           if (response?.success && response.status?.active && autoplayOverlayEnabled) {
-            showOverlay();
-            updateOverlay(response.status.remaining);
+            showTimerStatusOverlay(response.status);
+          }
+          if (response?.success && response.status?.active) {
+            startDimmingWatch();
           }
         });
       });
@@ -0,0 +1,32 @@
+/**
+ * AutoPlay Video Control - Good Night Page
+ * Replaces the video when the 'goodnight' expiry action runs
+ * (background/expiry-actions.js). `?from=` is the page that was playing.
+ */
+
+function getReturnUrl() {
+  const from = new URLSearchParams(window.location.search).get('from');
+  try {
+    const url = new URL(from);
+    return ['http:', 'https:'].includes(url.protocol) ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function init() {
+  const time = new Date().toLocaleTimeString(undefined, { timeStyle: 'short' });
+  const returnUrl = getReturnUrl();
+  const message = document.getElementById('goodnightMessage');
+  message.textContent = returnUrl
+    ? `Your sleep timer stopped ${returnUrl.hostname} at ${time}. Sweet dreams!`
+    : `Your sleep timer ran out at ${time}. Sweet dreams!`;
+
+  if (returnUrl) {
+    const back = document.getElementById('goodnightBack');
+    back.href = returnUrl.href;
+    back.classList.remove('hidden');
+  }
+}
+
+init();
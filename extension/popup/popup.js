@@ -6,6 +6,8 @@
 import { AUTOPLAY_CONFIG, getSiteDisplayName } from '../utils/config.js';
 import { parseTimeInput, formatSecondsToDisplay, formatDurationMinutes } from '../utils/time-utils.js';
 import { trackPageView, trackTimerStart } from '../utils/analytics.js';
+import { renderTimerList } from './timer-list.js';
+import { getSettings } from '../utils/settings-service.js';
 
 // ============================================
 // CONSTANTS
@@ -19,7 +21,8 @@ const FEEDBACK_DISPLAY_DURATION = 1500; // milliseconds
 // ============================================// STATE
 // ============================================
 
-let currentTimer = null;
+let currentTimer = null; // Timer of the tab the popup was opened on
+let currentTabId = null;
 let updateInterval = null;
 let currentPresets = [...AUTOPLAY_CONFIG.defaultPresets];
 
@@ -44,10 +47,17 @@ const elements = {
   timerControls: document.getElementById('timerControls'),
   extendBtn: document.getElementById('extendBtn'),
   stopBtn: document.getElementById('stopBtn'),
+
+  // Timers in all tabs
+  timerListSection: document.getElementById('timerListSection'),
+  timerList: document.getElementById('timerList'),
   
   // Presets & Input
   presetsSection: document.getElementById('presetsSection'),
   presetsGrid: document.getElementById('presetsGrid'),
+  endOfEpisodeBtn: document.getElementById('endOfEpisodeBtn'),
+  afterEpisodesBtn: document.getElementById('afterEpisodesBtn'),
+  episodeCount: document.getElementById('episodeCount'),
   inputSection: document.getElementById('inputSection'),
   customInput: document.getElementById('customInput'),
   setBtn: document.getElementById('setBtn')
@@ -63,16 +73,19 @@ document.addEventListener('DOMContentLoaded', async () => {
     setupEventListeners();
     
     // Batch critical data loads in parallel
-    const [storageData, timerStatus] = await Promise.all([
-      chrome.storage.local.get(['autoplay-theme', 'timerPresets', 'lastTimer', 'compactMode']),
-      chrome.runtime.sendMessage({ action: 'getTimerStatus' }).catch(() => ({ success: false }))
+    const [storageData, preferences, timersResponse, [activeTab]] = await Promise.all([
+      chrome.storage.local.get(['autoplay-theme', 'timerPresets']),
+      getSettings(),
+      chrome.runtime.sendMessage({ action: 'getAllTimers' }).catch(() => ({ success: false })),
+      chrome.tabs.query({ active: true, currentWindow: true })
     ]);
+    currentTabId = activeTab?.id ?? null;
     
     // Apply theme immediately
     applyTheme(storageData['autoplay-theme']);
     
     // Apply compact mode
-    if (storageData.compactMode) {
+    if (preferences.compactMode) {
       document.body.classList.add('compact');
     }
     
@@ -82,14 +95,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
     renderPresetButtons();
     
-    // Display timer status
-    if (timerStatus.success && timerStatus.status?.active) {
-      currentTimer = timerStatus.status;
-      showActiveTimer();
-      startLocalUpdates();
-    } else {
+    // Display this tab's timer and the list of all timers
+    applyTimers(timersResponse.success ? timersResponse.timers : []);
+    if (!currentTimer) {
       showInactiveTimer();
     }
+    startLocalUpdates();
     
     // Non-critical: Load asynchronously without blocking
     detectPlatform().catch(e => console.warn('[AutoPlay] Platform detection failed:', e));
@@ -190,29 +201,45 @@ function setPlatformBadge(text, supported) {
 // TIMER MANAGEMENT
 // ============================================
 
-async function refreshTimerStatus() {
-  try {
-    const response = await chrome.runtime.sendMessage({ action: 'getTimerStatus' });
-    
-    if (response.success && response.status.active) {
-      currentTimer = response.status;
-      // Ensure status property exists
-      if (!currentTimer.status) {
-        currentTimer.status = 'active';
-      }
-      showActiveTimer();
-      startLocalUpdates();
-    } else {
+/**
+ * Show the current tab's timer in the ring and every tab's timer in the list
+ * @param {Object[]} timers - getAllTimers() statuses
+ */
+function applyTimers(timers) {
+  renderTimerList(elements.timerListSection, elements.timerList, timers, currentTabId, stopTimer);
+
+  const tabTimer = timers.find(timer => timer.tabId === currentTabId);
+  if (!tabTimer) {
+    // Timer ended or was stopped
+    if (currentTimer) {
       currentTimer = null;
       showInactiveTimer();
     }
-  } catch (error) {
-    console.error('[AutoPlay] Failed to get timer status:', error);
-    showInactiveTimer();
+    return;
+  }
+
+  const previousStatus = currentTimer?.status;
+  currentTimer = tabTimer;
+  // Switch the ring to active, or update it if the status changed (active <-> paused)
+  if (previousStatus !== currentTimer.status) {
+    showActiveTimer();
+  } else {
+    updateTimerDisplay();
   }
 }
 
-async function startTimer(minutes) {
+async function refreshTimers() {
+  const response = await chrome.runtime.sendMessage({ action: 'getAllTimers' });
+  if (response?.success) {
+    applyTimers(response.timers);
+  }
+}
+
+/**
+ * @param {number} minutes
+ * @param {Object} [options] - Extra startTimer message fields, e.g. { useProfile: 'timer' }
+ */
+async function startTimer(minutes, options = {}) {
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     
@@ -225,16 +252,22 @@ async function startTimer(minutes) {
       action: 'startTimer',
       minutes: minutes,
       tabId: tab.id,
-      source: 'popup'
+      source: 'popup',
+      ...options
     });
     
-    if (response.success) {
+    if (response.success && options.useProfile) {
+      // The site profile may have picked another length or an episode timer
+      await refreshTimers();
+      startLocalUpdates();
+    } else if (response.success) {
       // Track analytics
       trackTimerStart(minutes * 60, 'popup').catch(() => {});
       
       currentTimer = {
         active: true,
         status: 'active',
+        tabId: tab.id,
         remaining: minutes * 60,
         duration: minutes * 60
       };
@@ -249,12 +282,54 @@ async function startTimer(minutes) {
   }
 }
 
-async function stopTimer() {
+async function startEpisodeTimer(episodes) {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+    if (!tab?.id) {
+      alert('Cannot access current tab');
+      return;
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'startTimer',
+      mode: 'episode',
+      episodes: episodes,
+      tabId: tab.id,
+      source: 'popup'
+    });
+
+    if (response.success) {
+      currentTimer = {
+        active: true,
+        status: 'active',
+        tabId: tab.id,
+        mode: 'episode',
+        episodes: episodes,
+        episodesRemaining: episodes
+      };
+      showActiveTimer();
+      startLocalUpdates();
+    } else {
+      alert(`Failed to start timer: ${response.error || 'Unknown error'}`);
+    }
+  } catch (error) {
+    console.error('[AutoPlay] Failed to start episode timer:', error);
+    alert('Failed to start timer');
+  }
+}
+
+/**
+ * @param {number} tabId - Tab whose timer to stop (defaults to the current tab)
+ */
+async function stopTimer(tabId = currentTabId) {
   try {
-    await chrome.runtime.sendMessage({ action: 'stopTimer' });
-    currentTimer = null;
-    stopLocalUpdates();
-    showInactiveTimer();
+    await chrome.runtime.sendMessage({ action: 'stopTimer', tabId });
+    if (tabId === currentTabId) {
+      currentTimer = null;
+      showInactiveTimer();
+    }
+    await refreshTimers();
   } catch (error) {
     console.error('[AutoPlay] Failed to stop timer:', error);
   }
@@ -267,8 +342,14 @@ async function extendTimer(minutes = 10) {
       return;
     }
     
+    if (isEpisodeTimer()) {
+      await extendEpisodeTimer(1);
+      return;
+    }
+
     const response = await chrome.runtime.sendMessage({
       action: 'extendTimer',
+      tabId: currentTabId,
       minutes: minutes
     });
     
@@ -282,9 +363,23 @@ async function extendTimer(minutes = 10) {
   }
 }
 
+async function extendEpisodeTimer(episodes) {
+  const response = await chrome.runtime.sendMessage({
+    action: 'extendTimer',
+    tabId: currentTabId,
+    episodes: episodes
+  });
+
+  if (response?.success) {
+    currentTimer.episodes += episodes;
+    currentTimer.episodesRemaining += episodes;
+    updateTimerDisplay();
+  }
+}
+
 async function pauseTimer() {
   try {
-    const response = await chrome.runtime.sendMessage({ action: 'pauseTimer' });
+    const response = await chrome.runtime.sendMessage({ action: 'pauseTimer', tabId: currentTabId });
     
     if (response?.success) {
       if (currentTimer) {
@@ -303,7 +398,7 @@ async function pauseTimer() {
 
 async function resumeTimer() {
   try {
-    const response = await chrome.runtime.sendMessage({ action: 'resumeTimer' });
+    const response = await chrome.runtime.sendMessage({ action: 'resumeTimer', tabId: currentTabId });
     
     if (response?.success) {
       if (currentTimer) {
@@ -322,15 +417,25 @@ async function resumeTimer() {
 // UI UPDATES
 // ============================================
 
+function isEpisodeTimer() {
+  return currentTimer?.mode === 'episode';
+}
+
+// Timers paused automatically during YouTube ads resume on their own
+function getPausedLabel() {
+  return currentTimer?.pausedBy === 'ad' ? 'Ad playing' : 'Paused';
+}
+
 function showActiveTimer() {
   elements.timerRing.classList.add('active');
 
   elements.timerControls.classList.remove('hidden');
+  updateExtendButton();
   
   // Check if timer is paused
   if (currentTimer && currentTimer.status === 'paused') {
     elements.timerRing.classList.add('paused');
-    elements.timerLabel.textContent = 'Paused';
+    elements.timerLabel.textContent = getPausedLabel();
   } else {
     elements.timerRing.classList.remove('paused');
     elements.timerLabel.textContent = 'remaining';
@@ -340,6 +445,17 @@ function showActiveTimer() {
   updateRingProgress();
 }
 
+// Episode timers extend by one episode instead of 10 minutes
+function updateExtendButton() {
+  const episodeMode = isEpisodeTimer();
+  elements.extendBtn.querySelector('.control-icon').textContent = episodeMode ? '+1' : '+10';
+  elements.extendBtn.querySelector('.control-label').textContent = episodeMode ? 'ep' : 'min';
+  elements.extendBtn.setAttribute(
+    'aria-label',
+    episodeMode ? 'Extend timer by 1 episode' : 'Extend timer by 10 minutes'
+  );
+}
+
 function showInactiveTimer() {
   elements.timerRing.classList.remove('active');
   elements.timerRing.classList.remove('paused');
@@ -355,6 +471,13 @@ function showInactiveTimer() {
 function updateTimerDisplay() {
   if (!currentTimer) return;
   
+  if (isEpisodeTimer()) {
+    const episodesLeft = currentTimer.episodesRemaining;
+    elements.timerValue.textContent = episodesLeft === 1 ? '1 ep' : `${episodesLeft} eps`;
+    updateRingProgress();
+    return;
+  }
+
   const remaining = currentTimer.remaining;
   const hours = Math.floor(remaining / 3600);
   const minutes = Math.floor((remaining % 3600) / 60);
@@ -374,7 +497,9 @@ function updateTimerDisplay() {
 function updateRingProgress() {
   if (!currentTimer) return;
   
-  const progress = currentTimer.remaining / currentTimer.duration;
+  const progress = isEpisodeTimer()
+    ? currentTimer.episodesRemaining / currentTimer.episodes
+    : currentTimer.remaining / currentTimer.duration;
   const offset = RING_CIRCUMFERENCE * (1 - progress);
   
   elements.ringProgress.style.strokeDashoffset = offset;
@@ -390,34 +515,11 @@ function startLocalUpdates() {
   }
   
   // Poll the background for timer status every second instead of local countdown
-  // This ensures all popups stay in sync with the authoritative timer state
+  // This ensures all popups stay in sync with the authoritative timer state,
+  // and keeps the list of timers in other tabs current
   updateInterval = setInterval(async () => {
     try {
-      const response = await chrome.runtime.sendMessage({ action: 'getTimerStatus' });
-      
-      if (response?.success && response.status?.active) {
-        const previousStatus = currentTimer?.status;
-        currentTimer = response.status;
-        
-        // Update the display
-        updateTimerDisplay();
-        
-        // If status changed (active <-> paused), update UI accordingly
-        if (previousStatus !== currentTimer.status) {
-          if (currentTimer.status === 'paused') {
-            elements.timerLabel.textContent = 'Paused';
-            elements.timerRing.classList.add('paused');
-          } else {
-            elements.timerLabel.textContent = 'remaining';
-            elements.timerRing.classList.remove('paused');
-          }
-        }
-      } else {
-        // Timer ended or was stopped
-        currentTimer = null;
-        stopLocalUpdates();
-        showInactiveTimer();
-      }
+      await refreshTimers();
     } catch (error) {
       // Extension context may have been invalidated
       console.warn('[AutoPlay] Failed to get timer status:', error);
@@ -486,13 +588,19 @@ function setupEventListeners() {
   // Timer controls
   elements.extendBtn.addEventListener('click', () => extendTimer(10));
   elements.stopBtn.addEventListener('click', stopTimer);
+
+  // Episode timers
+  elements.endOfEpisodeBtn.addEventListener('click', () => startEpisodeTimer(1));
+  elements.afterEpisodesBtn.addEventListener('click', () => {
+    startEpisodeTimer(parseInt(elements.episodeCount.value, 10));
+  });
 }
 
 function handleTimerRingClick() {
-  // If timer is inactive, start it with first preset
+  // If timer is inactive, start the site's profile timer, or else the first preset
   if (!currentTimer || !currentTimer.active) {
     const firstPresetSeconds = currentPresets[0] || AUTOPLAY_CONFIG.defaultPresets[0];
-    startPresetTimer(firstPresetSeconds);
+    startTimer(firstPresetSeconds / 60, { useProfile: 'timer' });
     return;
   }
   
@@ -0,0 +1,87 @@
+/**
+ * AutoPlay Video Control - Easy Kit
+ * Popup - List of the timers running in every tab
+ *
+ * The ring above it controls the current tab's timer; this list shows all
+ * timers so ones started in other tabs can be found, focused or stopped.
+ */
+
+import { getSiteDisplayName } from '../utils/config.js';
+import { formatCountdown } from '../utils/time-utils.js';
+
+function formatTimerRemaining(timer) {
+  if (timer.mode === 'episode') {
+    return timer.episodesRemaining === 1 ? '1 ep' : `${timer.episodesRemaining} eps`;
+  }
+  const countdown = formatCountdown(timer.remaining);
+  return timer.status === 'paused' ? `${countdown} ⏸` : countdown;
+}
+
+// Rows are rebuilt only when this changes; countdowns update in place every tick
+const rowKey = timer => `${timer.tabId}:${timer.site || timer.platform}`;
+
+async function focusTab(tabId) {
+  const tab = await chrome.tabs.update(tabId, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+function createTimerRow(timer, currentTabId, onStop) {
+  const row = document.createElement('li');
+  row.className = 'timer-list-item';
+  row.dataset.key = rowKey(timer);
+  row.classList.toggle('current', timer.tabId === currentTabId);
+
+  const site = document.createElement('button');
+  site.className = 'timer-list-site';
+  site.textContent = timer.site ? getSiteDisplayName(timer.site) : timer.platform;
+  site.setAttribute('aria-label', `Go to the ${site.textContent} tab`);
+  site.addEventListener('click', () => {
+    focusTab(timer.tabId).catch(e => console.warn('[AutoPlay] Failed to focus tab:', e));
+  });
+
+  const remaining = document.createElement('span');
+  remaining.className = 'timer-list-remaining';
+  remaining.textContent = formatTimerRemaining(timer);
+
+  const stop = document.createElement('button');
+  stop.className = 'timer-list-stop';
+  stop.textContent = '■';
+  stop.setAttribute('aria-label', `Stop the ${site.textContent} timer`);
+  stop.addEventListener('click', () => onStop(timer.tabId));
+
+  row.append(site, remaining, stop);
+  return row;
+}
+
+function updateTimerRow(row, timer) {
+  const remaining = row.querySelector('.timer-list-remaining');
+  const text = formatTimerRemaining(timer);
+  if (remaining.textContent !== text) {
+    remaining.textContent = text;
+  }
+}
+
+/**
+ * Render the timer list; hidden unless a timer runs outside the current tab.
+ * Rows are keyed by tab, so refreshes only touch the remaining time unless
+ * timers were started or stopped.
+ * @param {HTMLElement} section - List section (toggled with .hidden)
+ * @param {HTMLElement} list - <ul> receiving one row per timer
+ * @param {Object[]} timers - getAllTimers() statuses
+ * @param {number|null} currentTabId - Tab the popup was opened on
+ * @param {Function} onStop - Called with the tabId of the timer to stop
+ */
+export function renderTimerList(section, list, timers, currentTabId, onStop) {
+  const hasOtherTabs = timers.some(timer => timer.tabId !== currentTabId);
+  section.classList.toggle('hidden', !hasOtherTabs);
+
+  const rows = [...list.children];
+  const sameTimers =
+    rows.length === timers.length &&
+    timers.every((timer, index) => rows[index].dataset.key === rowKey(timer));
+  if (sameTimers) {
+    timers.forEach((timer, index) => updateTimerRow(rows[index], timer));
+    return;
+  }
+  list.replaceChildren(...timers.map(timer => createTimerRow(timer, currentTabId, onStop)));
+}
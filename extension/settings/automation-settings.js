@@ -0,0 +1,133 @@
+/**
+ * AutoPlay Video Control - Easy Kit
+ * Settings Page - Playback automation section (auto-skip intro, auto-skip ads)
+ *
+ * Automation toggles live in the nested `settings` object because that is
+ * what the service worker's getSettings handler hands to content scripts.
+ */
+
+import { Storage } from '../utils/storage.js';
+import { trackSettingChange } from '../utils/analytics.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Keys match the remote selector config (ConfigManager DEFAULT_CONFIG)
+const SKIP_INTRO_PLATFORMS = [
+  { key: 'netflix', label: 'Netflix' },
+  { key: 'crunchyroll', label: 'Crunchyroll' },
+  { key: 'disney', label: 'Disney+' },
+  { key: 'prime', label: 'Prime Video' },
+  { key: 'hbo', label: 'HBO Max' },
+  { key: 'hulu', label: 'Hulu' }
+];
+
+const elements = {};
+
+function cacheAutomationElements() {
+  elements.autoSkipIntro = document.getElementById('autoSkipIntro');
+  elements.skipIntroPlatforms = document.getElementById('skipIntroPlatforms');
+  elements.introsSkippedCount = document.getElementById('introsSkippedCount');
+  elements.autoSkipAds = document.getElementById('autoSkipAds');
+  elements.adsSkippedCount = document.getElementById('adsSkippedCount');
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+function renderPlatformToggles(platformSettings, masterEnabled) {
+  elements.skipIntroPlatforms.replaceChildren();
+
+  SKIP_INTRO_PLATFORMS.forEach(({ key, label }) => {
+    const item = document.createElement('label');
+    item.className = 'platform-toggle';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.platform = key;
+    checkbox.checked = platformSettings[key] !== false;
+    checkbox.disabled = !masterEnabled;
+
+    const text = document.createElement('span');
+    text.textContent = label;
+
+    item.appendChild(checkbox);
+    item.appendChild(text);
+    elements.skipIntroPlatforms.appendChild(item);
+  });
+
+  elements.skipIntroPlatforms.classList.toggle('disabled', !masterEnabled);
+}
+
+/**
+ * Load automation settings and counters into the UI
+ * @returns {Promise<void>}
+ */
+export async function loadAutomationSettings() {
+  cacheAutomationElements();
+
+  const [settings, skipStats] = await Promise.all([
+    Storage.getSettings(),
+    Storage.get('skipStats')
+  ]);
+
+  elements.autoSkipIntro.checked = !!settings.autoSkipIntro;
+  renderPlatformToggles(settings.skipIntroPlatforms || {}, elements.autoSkipIntro.checked);
+  elements.introsSkippedCount.textContent = String(skipStats?.introsSkipped || 0);
+
+  elements.autoSkipAds.checked = !!settings.autoSkipAds;
+  elements.adsSkippedCount.textContent = String(skipStats?.adsSkipped || 0);
+}
+
+// ============================================
+// EVENT LISTENERS
+// ============================================
+
+async function handleMasterToggle(e, showToast) {
+  const enabled = e.target.checked;
+  await Storage.updateSettings({ autoSkipIntro: enabled });
+
+  elements.skipIntroPlatforms.classList.toggle('disabled', !enabled);
+  elements.skipIntroPlatforms.querySelectorAll('input').forEach(input => {
+    input.disabled = !enabled;
+  });
+
+  showToast('✓', `Auto-skip intro ${enabled ? 'enabled' : 'disabled'}`);
+  trackSettingChange('autoSkipIntro', enabled).catch(() => {});
+}
+
+async function handleAdsToggle(e, showToast) {
+  const enabled = e.target.checked;
+  await Storage.updateSettings({ autoSkipAds: enabled });
+
+  showToast('✓', `Auto-skip ads ${enabled ? 'enabled' : 'disabled'}`);
+  trackSettingChange('autoSkipAds', enabled).catch(() => {});
+}
+
+async function handlePlatformToggle(e, showToast) {
+  const platform = e.target.dataset.platform;
+  if (!platform) {
+    return;
+  }
+
+  const settings = await Storage.getSettings();
+  const skipIntroPlatforms = { ...settings.skipIntroPlatforms, [platform]: e.target.checked };
+  await Storage.updateSettings({ skipIntroPlatforms });
+
+  const label = SKIP_INTRO_PLATFORMS.find(p => p.key === platform)?.label || platform;
+  showToast('✓', `Skip intro on ${label} ${e.target.checked ? 'enabled' : 'disabled'}`);
+}
+
+/**
+ * Wire up automation controls (one-time setup)
+ * @param {Function} showToast - Settings page toast helper
+ */
+export function setupAutomationListeners(showToast) {
+  cacheAutomationElements();
+
+  elements.autoSkipIntro.addEventListener('change', e => handleMasterToggle(e, showToast));
+  elements.skipIntroPlatforms.addEventListener('change', e => handlePlatformToggle(e, showToast));
+  elements.autoSkipAds.addEventListener('change', e => handleAdsToggle(e, showToast));
+}
@@ -0,0 +1,177 @@
+/**
+ * AutoPlay Video Control - Easy Kit
+ * Settings Page - Export and import of settings (Advanced tab)
+ *
+ * Exports contain only the allow-listed settings keys. Imports are migrated and
+ * validated against utils/settings-schema.js, then shown as a preview of what
+ * would change (plus any invalid fields) before anything is written.
+ */
+
+import {
+  SETTINGS_SCHEMA,
+  SettingsImportError,
+  buildSettingsExport,
+  diffSettings,
+  mergeImportedSettings,
+  validateSettingsImport
+} from '../utils/settings-schema.js';
+
+const elements = {};
+let showToast = () => {};
+let onImported = () => {};
+let pendingImport = null;
+
+function cacheImportElements() {
+  elements.exportConfigBtn = document.getElementById('exportConfigBtn');
+  elements.importConfigBtn = document.getElementById('importConfigBtn');
+  elements.importFileInput = document.getElementById('importFileInput');
+  elements.importPreview = document.getElementById('importPreview');
+  elements.importSummary = document.getElementById('importSummary');
+  elements.importChanges = document.getElementById('importChanges');
+  elements.importErrors = document.getElementById('importErrors');
+  elements.importIgnored = document.getElementById('importIgnored');
+  elements.importApplyBtn = document.getElementById('importApplyBtn');
+  elements.importCancelBtn = document.getElementById('importCancelBtn');
+}
+
+function getCurrentSettings() {
+  return chrome.storage.local.get(Object.keys(SETTINGS_SCHEMA));
+}
+
+async function exportConfig() {
+  try {
+    const data = buildSettingsExport(await getCurrentSettings());
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `autoplay-settings-${Date.now()}.json`;
+    a.click();
+
+    URL.revokeObjectURL(url);
+    showToast('✓', 'Settings exported');
+  } catch (error) {
+    console.error('[AutoPlay Settings] Error exporting config:', error);
+    showToast('❌', 'Error exporting settings');
+  }
+}
+
+function formatValue(field, value) {
+  if (value === undefined) {
+    return 'not set';
+  }
+  if (field === 'bedtimeSchedules') {
+    return value.length === 1 ? '1 bedtime' : `${value.length} bedtimes`;
+  }
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+function createListItem(className, label, text) {
+  const item = document.createElement('li');
+  item.className = className;
+  const code = document.createElement('code');
+  code.textContent = label;
+  item.append(code, ` ${text}`);
+  return item;
+}
+
+function renderPreview({ changes, errors, ignored, fromVersion }) {
+  const changeCount = changes.length === 1 ? '1 setting' : `${changes.length} settings`;
+  const migrated = fromVersion === 1 ? ' (older export, converted)' : '';
+  elements.importSummary.textContent = changes.length
+    ? `This file changes ${changeCount}${migrated}:`
+    : `This file doesn't change any settings${migrated}.`;
+
+  elements.importChanges.replaceChildren(
+    ...changes.map(({ field, before, after }) =>
+      createListItem(
+        'import-change',
+        field,
+        `${formatValue(field, before)} → ${formatValue(field, after)}`
+      )
+    )
+  );
+  elements.importErrors.replaceChildren(
+    ...errors.map(({ field, message }) =>
+      createListItem('import-error', field, `${message} (skipped)`)
+    )
+  );
+  elements.importIgnored.textContent = ignored.length
+    ? `Not imported (not a setting): ${ignored.join(', ')}`
+    : '';
+
+  elements.importApplyBtn.disabled = changes.length === 0;
+  elements.importPreview.classList.remove('hidden');
+}
+
+function hidePreview() {
+  pendingImport = null;
+  elements.importPreview.classList.add('hidden');
+}
+
+async function readImportFile(event) {
+  const file = event.target.files[0];
+  if (!file) {
+    return;
+  }
+
+  try {
+    const data = JSON.parse(await file.text());
+    const { values, errors, ignored, fromVersion } = validateSettingsImport(data);
+    const current = await getCurrentSettings();
+    const changes = diffSettings(current, values);
+
+    pendingImport = changes.length ? mergeImportedSettings(current, values) : null;
+    renderPreview({ changes, errors, ignored, fromVersion });
+  } catch (error) {
+    console.error('[AutoPlay Settings] Error reading import file:', error);
+    hidePreview();
+    if (error instanceof SettingsImportError) {
+      showToast('❌', error.message);
+    } else {
+      showToast(
+        '❌',
+        error instanceof SyntaxError ? 'The file is not valid JSON' : 'Error reading file'
+      );
+    }
+  } finally {
+    elements.importFileInput.value = '';
+  }
+}
+
+async function applyImport() {
+  if (!pendingImport) {
+    return;
+  }
+
+  try {
+    await chrome.storage.local.set(pendingImport);
+    if (pendingImport.timerPresets) {
+      chrome.runtime.sendMessage({ action: 'refreshContextMenus' }).catch(() => {});
+    }
+    hidePreview();
+    await onImported();
+    showToast('✓', 'Settings imported');
+  } catch (error) {
+    console.error('[AutoPlay Settings] Error importing config:', error);
+    showToast('❌', 'Error importing settings');
+  }
+}
+
+/**
+ * Wire up export, import and the import preview (one-time setup)
+ * @param {Function} toast - Settings page toast helper
+ * @param {Function} reload - Reloads the settings UI after an import
+ */
+export function setupConfigImportListeners(toast, reload) {
+  cacheImportElements();
+  showToast = toast;
+  onImported = reload;
+
+  elements.exportConfigBtn.addEventListener('click', exportConfig);
+  elements.importConfigBtn.addEventListener('click', () => elements.importFileInput.click());
+  elements.importFileInput.addEventListener('change', readImportFile);
+  elements.importApplyBtn.addEventListener('click', applyImport);
+  elements.importCancelBtn.addEventListener('click', hidePreview);
+}
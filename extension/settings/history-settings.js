@@ -0,0 +1,279 @@
+/**
+ * AutoPlay Video Control - Easy Kit
+ * Settings Page - Timer history log (History tab)
+ *
+ * Sessions are recorded by the service worker (see utils/timer-history.js);
+ * the list re-renders when a timer in another tab adds to the log.
+ */
+
+import { getSiteDisplayName } from '../utils/config.js';
+import { formatSecondsToDisplay } from '../utils/time-utils.js';
+import {
+  HISTORY_KEY,
+  HISTORY_LIMITS,
+  HISTORY_OUTCOMES,
+  getTimerHistory,
+  deleteHistoryEntry,
+  clearTimerHistory
+} from '../utils/timer-history.js';
+import {
+  filterHistoryByRange,
+  toSessionsCsv,
+  toNightsCsv,
+  toHistoryJson
+} from '../utils/history-export.js';
+
+const EXPORT_FORMATS = {
+  'sessions-csv': { extension: 'csv', type: 'text/csv', build: toSessionsCsv },
+  'nights-csv': { extension: 'csv', type: 'text/csv', build: toNightsCsv },
+  json: { extension: 'json', type: 'application/json', build: toHistoryJson }
+};
+const DEFAULT_EXPORT_DAYS = 30;
+
+const elements = {};
+let entries = [];
+let showToast = () => {};
+
+function cacheHistoryElements() {
+  elements.historyList = document.getElementById('historyList');
+  elements.historyEmpty = document.getElementById('historyEmpty');
+  elements.historySiteFilter = document.getElementById('historySiteFilter');
+  elements.historyOutcomeFilter = document.getElementById('historyOutcomeFilter');
+  elements.historyLimitHint = document.getElementById('historyLimitHint');
+  elements.historyExportFrom = document.getElementById('historyExportFrom');
+  elements.historyExportTo = document.getElementById('historyExportTo');
+  elements.historyExportFormat = document.getElementById('historyExportFormat');
+  elements.historyExportBtn = document.getElementById('historyExportBtn');
+}
+
+function formatRequested(entry) {
+  if (entry.mode === 'episode') {
+    return entry.requestedEpisodes === 1 ? '1 episode' : `${entry.requestedEpisodes} episodes`;
+  }
+  return formatSecondsToDisplay(entry.requestedSeconds);
+}
+
+function formatOutcome(entry) {
+  return entry.outcome ? HISTORY_OUTCOMES[entry.outcome] || entry.outcome : 'Running';
+}
+
+/**
+ * "Extended 2×, paused 1×" from the session's events
+ */
+function formatEventSummary(entry) {
+  const count = type => entry.events.filter(event => event.type === type).length;
+  const parts = [];
+  if (count('extend')) {
+    parts.push(`extended ${count('extend')}×`);
+  }
+  if (count('pause')) {
+    parts.push(`paused ${count('pause')}×`);
+  }
+  if (entry.source === 'bedtime') {
+    parts.push('bedtime');
+  }
+  const summary = parts.join(', ');
+  return summary.charAt(0).toUpperCase() + summary.slice(1);
+}
+
+function formatDuration(entry) {
+  const requested = `Set ${formatRequested(entry)}`;
+  if (entry.actualSeconds === null || entry.actualSeconds === undefined) {
+    return requested;
+  }
+  return `${requested} · Ran ${formatSecondsToDisplay(entry.actualSeconds)}`;
+}
+
+function createHistoryRow(entry) {
+  const row = document.createElement('li');
+  row.className = 'history-item';
+
+  const info = document.createElement('div');
+  info.className = 'history-info';
+
+  const heading = document.createElement('div');
+  heading.className = 'history-heading';
+  const site = document.createElement('span');
+  site.className = 'history-site';
+  site.textContent = entry.site ? getSiteDisplayName(entry.site) : entry.platform;
+  const outcome = document.createElement('span');
+  outcome.className = `history-outcome ${entry.outcome || 'running'}`;
+  outcome.textContent = formatOutcome(entry);
+  heading.append(site, outcome);
+
+  const title = document.createElement('p');
+  title.className = 'history-title';
+  title.textContent = entry.title || entry.site;
+
+  const details = document.createElement('p');
+  details.className = 'setting-description';
+  details.textContent = [
+    new Date(entry.startedAt).toLocaleString(undefined, {
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    }),
+    formatDuration(entry),
+    formatEventSummary(entry)
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+  info.append(heading, title, details);
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'schedule-remove';
+  removeBtn.textContent = '✕';
+  removeBtn.setAttribute('aria-label', 'Delete this entry');
+  removeBtn.addEventListener('click', () => deleteEntry(entry.id));
+
+  row.append(info, removeBtn);
+  return row;
+}
+
+function renderSiteFilter() {
+  const select = elements.historySiteFilter;
+  const current = select.value;
+  const sites = [...new Set(entries.map(entry => entry.site).filter(Boolean))].sort();
+
+  select.replaceChildren(new Option('All sites', ''));
+  sites.forEach(site => select.add(new Option(getSiteDisplayName(site), site)));
+  select.value = sites.includes(current) ? current : '';
+}
+
+function getFilteredEntries() {
+  const site = elements.historySiteFilter.value;
+  const outcome = elements.historyOutcomeFilter.value;
+  return entries.filter(
+    entry =>
+      (!site || entry.site === site) && (!outcome || (entry.outcome || 'running') === outcome)
+  );
+}
+
+function renderHistory() {
+  const visible = getFilteredEntries();
+  elements.historyList.replaceChildren(...visible.map(createHistoryRow));
+  elements.historyEmpty.textContent =
+    entries.length === 0 ? 'No timers yet' : 'No timers match these filters';
+  elements.historyEmpty.classList.toggle('hidden', visible.length > 0);
+}
+
+async function deleteEntry(id) {
+  await deleteHistoryEntry(id);
+  await loadHistorySettings();
+  showToast('✓', 'History entry deleted');
+}
+
+/**
+ * 'YYYY-MM-DD' of a local date, as used by <input type="date">
+ */
+function toDateInputValue(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Local midnight starting `value` (a date input's 'YYYY-MM-DD'), plus `dayOffset` days
+ */
+function parseDateInput(value, dayOffset = 0) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day + dayOffset).getTime();
+}
+
+/**
+ * Export range from the date inputs: start of the first day to the end of the last, local time
+ * An empty input leaves that end of the range open
+ */
+function getExportRange() {
+  const from = elements.historyExportFrom.value;
+  const to = elements.historyExportTo.value;
+  return {
+    from: from ? parseDateInput(from) : null,
+    to: to ? parseDateInput(to, 1) - 1 : null
+  };
+}
+
+function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+async function exportHistory() {
+  const range = getExportRange();
+  if (range.from !== null && range.to !== null && range.from > range.to) {
+    showToast('❌', 'Start date is after end date');
+    return;
+  }
+
+  try {
+    const format = EXPORT_FORMATS[elements.historyExportFormat.value];
+    const sessions = filterHistoryByRange(await getTimerHistory(), range);
+    const from = elements.historyExportFrom.value || 'start';
+    const to = elements.historyExportTo.value || toDateInputValue(new Date());
+    const name = elements.historyExportFormat.value === 'nights-csv' ? 'nights' : 'history';
+
+    downloadFile(
+      format.build(sessions, range),
+      `autoplay-${name}-${from}-to-${to}.${format.extension}`,
+      format.type
+    );
+    showToast('✓', `Exported ${sessions.length} timer${sessions.length === 1 ? '' : 's'}`);
+  } catch (error) {
+    console.error('[AutoPlay Settings] Error exporting history:', error);
+    showToast('❌', 'Error exporting history');
+  }
+}
+
+/**
+ * Load the timer history into the History tab
+ * @returns {Promise<void>}
+ */
+export async function loadHistorySettings() {
+  cacheHistoryElements();
+  entries = await getTimerHistory();
+  renderSiteFilter();
+  renderHistory();
+}
+
+/**
+ * Remove every history entry (Advanced > Clear History)
+ * @returns {Promise<void>}
+ */
+export async function clearAllHistory() {
+  await clearTimerHistory();
+  await loadHistorySettings();
+}
+
+/**
+ * Wire up the history filters (one-time setup)
+ * @param {Function} toast - Settings page toast helper
+ */
+export function setupHistoryListeners(toast) {
+  cacheHistoryElements();
+  showToast = toast;
+
+  elements.historyLimitHint.textContent = `The last ${HISTORY_LIMITS.MAX_ENTRIES} timers from the past ${HISTORY_LIMITS.MAX_AGE_DAYS} days are kept.`;
+  elements.historySiteFilter.addEventListener('change', renderHistory);
+  elements.historyOutcomeFilter.addEventListener('change', renderHistory);
+
+  const today = new Date();
+  const monthAgo = new Date(
+    today.getFullYear(),
+    today.getMonth(),
+    today.getDate() - DEFAULT_EXPORT_DAYS
+  );
+  elements.historyExportFrom.value = toDateInputValue(monthAgo);
+  elements.historyExportTo.value = toDateInputValue(today);
+  elements.historyExportBtn.addEventListener('click', exportHistory);
+
+  // Timers running in other tabs keep adding to the log while this page is open
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[HISTORY_KEY]) {
+      loadHistorySettings();
+    }
+  });
+}
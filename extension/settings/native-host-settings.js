@@ -0,0 +1,105 @@
+/**
+ * AutoPlay Video Control - Easy Kit
+ * Settings Page - System actions through the native host (Advanced tab)
+ *
+ * The service worker talks to the host (see background/native-host.js); this
+ * page picks the action, asks for the optional nativeMessaging permission and
+ * tests the connection.
+ */
+
+import { getSettings, updateSettings } from '../utils/settings-service.js';
+import { trackSettingChange } from '../utils/analytics.js';
+
+const NATIVE_PERMISSION = { permissions: ['nativeMessaging'] };
+
+const elements = {};
+
+function cacheNativeHostElements() {
+  elements.systemAction = document.getElementById('systemAction');
+  elements.testBtn = document.getElementById('nativeHostTestBtn');
+  elements.status = document.getElementById('nativeHostStatus');
+}
+
+/**
+ * Load the system action into the UI
+ * @returns {Promise<void>}
+ */
+export async function loadNativeHostSettings() {
+  cacheNativeHostElements();
+  const { systemAction } = await getSettings();
+  elements.systemAction.value = systemAction;
+}
+
+/**
+ * Ask for the permission if needed (must run from a click or change)
+ * @returns {Promise<boolean>} Whether the permission is granted
+ */
+async function ensurePermission() {
+  if (await chrome.permissions.contains(NATIVE_PERMISSION)) {
+    return true;
+  }
+  return chrome.permissions.request(NATIVE_PERMISSION);
+}
+
+function getStatusText(result) {
+  if (!result.success) {
+    return `⚠️ ${result.error}`;
+  }
+  const status = `✓ Connected to helper ${result.version} (${result.platform})`;
+  return result.dryRun ? `${status}, test mode: actions are not run` : status;
+}
+
+/**
+ * Ping the host through the service worker and show the result
+ * @returns {Promise<boolean>} Whether the host answered
+ */
+async function testConnection() {
+  elements.testBtn.disabled = true;
+  elements.status.textContent = 'Connecting…';
+  try {
+    const result = (await ensurePermission())
+      ? await chrome.runtime.sendMessage({ action: 'testNativeHost' })
+      : { success: false, error: 'Permission not granted' };
+    elements.status.textContent = getStatusText(result || { success: false, error: 'No response' });
+    return !!result?.success;
+  } finally {
+    elements.testBtn.disabled = false;
+  }
+}
+
+async function handleSystemActionChange(e, showToast) {
+  const systemAction = e.target.value;
+  if (systemAction !== 'none' && !(await ensurePermission())) {
+    e.target.value = (await getSettings()).systemAction;
+    showToast('⚠️', 'System actions need permission to use the helper');
+    return;
+  }
+  await updateSettings({ systemAction });
+  trackSettingChange('systemAction', systemAction).catch(() => {});
+
+  if (systemAction === 'none') {
+    showToast('✓', 'System action turned off');
+    return;
+  }
+  const connected = await testConnection();
+  showToast(
+    connected ? '✓' : '⚠️',
+    connected ? 'System action saved' : 'Saved, but the helper is not reachable'
+  );
+}
+
+/**
+ * Wire up the system action controls (one-time setup)
+ * @param {Function} showToast - Settings page toast helper
+ */
+export function setupNativeHostListeners(showToast) {
+  cacheNativeHostElements();
+
+  elements.systemAction.addEventListener('change', e => handleSystemActionChange(e, showToast));
+  elements.testBtn.addEventListener('click', () =>
+    testConnection().catch(error => {
+      console.error('[AutoPlay Settings] Error testing the helper:', error);
+      elements.status.textContent = '⚠️ Test failed';
+    })
+  );
+}
@@ -0,0 +1,153 @@
+/**
+ * AutoPlay Video Control - Easy Kit
+ * Settings Page - Per-site timer defaults (Presets tab)
+ *
+ * Profiles are stored as `siteProfiles` in the nested settings object (see
+ * utils/site-profiles.js). The popup's clock button starts a site's profile
+ * timer; context-menu presets keep their length and take its fade-out and
+ * expiry action.
+ */
+
+import { getSettings, updateSettings } from '../utils/settings-service.js';
+import { PROFILE_PLATFORMS } from '../utils/site-profiles.js';
+import { trackSettingChange } from '../utils/analytics.js';
+
+// Select values: '' = no override
+const TIMER_CHOICES = [
+  { value: '', label: 'First preset' },
+  { value: 'episode:1', label: 'End of episode' },
+  { value: 'episode:2', label: 'After 2 episodes' },
+  { value: 'duration:15', label: '15 min' },
+  { value: 'duration:20', label: '20 min' },
+  { value: 'duration:30', label: '30 min' },
+  { value: 'duration:45', label: '45 min' },
+  { value: 'duration:60', label: '1 hour' },
+  { value: 'duration:90', label: '90 min' },
+  { value: 'duration:120', label: '2 hours' }
+];
+
+const FADE_CHOICES = [
+  { value: '', label: 'Default' },
+  { value: '0', label: 'Off' },
+  { value: '10', label: '10 sec' },
+  { value: '30', label: '30 sec' },
+  { value: '60', label: '1 min' },
+  { value: '120', label: '2 min' }
+];
+
+const EXPIRY_CHOICES = [
+  { value: '', label: 'Default' },
+  { value: 'pause', label: 'Pause video' },
+  { value: 'mute', label: 'Mute' },
+  { value: 'lowerVolume', label: 'Turn volume down' },
+  { value: 'close', label: 'Close tab' },
+  { value: 'goodnight', label: 'Good night page' }
+];
+
+const elements = {};
+let profiles = {};
+let showToast = () => {};
+
+function cacheProfileElements() {
+  elements.profileList = document.getElementById('profileList');
+}
+
+function getTimerValue(profile) {
+  if (profile.mode === 'episode') {
+    return `episode:${profile.episodes}`;
+  }
+  return profile.mode === 'duration' ? `duration:${profile.minutes}` : '';
+}
+
+/**
+ * Build a profile from the row's selects; null when everything is left at its default
+ */
+function readProfile(row) {
+  const profile = {};
+  const [mode, amount] = row.querySelector('[data-field="timer"]').value.split(':');
+  if (mode === 'episode') {
+    Object.assign(profile, { mode, episodes: Number(amount) });
+  } else if (mode === 'duration') {
+    Object.assign(profile, { mode, minutes: Number(amount) });
+  }
+  const fade = row.querySelector('[data-field="fade"]').value;
+  if (fade !== '') {
+    profile.fadeOutSeconds = Number(fade);
+  }
+  const expiryAction = row.querySelector('[data-field="expiry"]').value;
+  if (expiryAction !== '') {
+    profile.expiryAction = expiryAction;
+  }
+  return Object.keys(profile).length ? profile : null;
+}
+
+async function handleProfileChange(platform, row) {
+  const profile = readProfile(row);
+  if (profile) {
+    profiles[platform] = profile;
+  } else {
+    delete profiles[platform];
+  }
+  await updateSettings({ siteProfiles: profiles });
+
+  const name = PROFILE_PLATFORMS[platform];
+  showToast('✓', profile ? `${name} defaults saved` : `${name} uses the global defaults`);
+  trackSettingChange('siteProfile', platform).catch(() => {});
+}
+
+/**
+ * A labelled select; a stored value missing from the choices (e.g. imported) is added
+ */
+function createSelect(field, label, choices, value) {
+  const select = document.createElement('select');
+  select.className = 'sound-select profile-select';
+  select.dataset.field = field;
+  select.setAttribute('aria-label', label);
+  const options = choices.some(choice => choice.value === value)
+    ? choices
+    : [...choices, { value, label: value.split(':').pop() }];
+  options.forEach(choice => select.add(new Option(choice.label, choice.value)));
+  select.value = value;
+  return select;
+}
+
+function createProfileRow(platform) {
+  const profile = profiles[platform] || {};
+  const name = PROFILE_PLATFORMS[platform];
+
+  const row = document.createElement('div');
+  row.className = 'profile-row';
+
+  const label = document.createElement('span');
+  label.className = 'profile-name';
+  label.textContent = name;
+
+  const fade = profile.fadeOutSeconds === undefined ? '' : String(profile.fadeOutSeconds);
+  row.append(
+    label,
+    createSelect('timer', `${name} timer`, TIMER_CHOICES, getTimerValue(profile)),
+    createSelect('fade', `${name} fade-out`, FADE_CHOICES, fade),
+    createSelect('expiry', `${name} at expiry`, EXPIRY_CHOICES, profile.expiryAction || '')
+  );
+  row.addEventListener('change', () => handleProfileChange(platform, row));
+  return row;
+}
+
+/**
+ * Load site profiles into the UI
+ * @returns {Promise<void>}
+ */
+export async function loadProfileSettings() {
+  cacheProfileElements();
+  ({ siteProfiles: profiles } = await getSettings());
+  elements.profileList.replaceChildren(...Object.keys(PROFILE_PLATFORMS).map(createProfileRow));
+}
+
+/**
+ * Wire up the site profile editor (one-time setup)
+ * @param {Function} toast - Settings page toast helper
+ */
+export function setupProfileListeners(toast) {
+  cacheProfileElements();
+  showToast = toast;
+}
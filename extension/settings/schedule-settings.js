@@ -0,0 +1,249 @@
+/**
+ * AutoPlay Video Control - Easy Kit
+ * Settings Page - Bedtime schedule editor (Schedule tab)
+ *
+ * Schedules are stored under `bedtimeSchedules`; the service worker's
+ * BedtimeScheduler re-arms its alarm whenever that key changes.
+ */
+
+import { Storage } from '../utils/storage.js';
+import { trackSettingChange } from '../utils/analytics.js';
+import { DAY_LABELS, getNextOccurrence, isValidSchedule } from '../utils/schedule-utils.js';
+
+// "What happens" choices, stored as action + minutes/graceSeconds
+const SCHEDULE_OUTCOMES = [
+  { value: 'timer:15', label: 'Start a 15 min timer' },
+  { value: 'timer:30', label: 'Start a 30 min timer' },
+  { value: 'timer:45', label: 'Start a 45 min timer' },
+  { value: 'timer:60', label: 'Start a 1 hour timer' },
+  { value: 'timer:90', label: 'Start a 90 min timer' },
+  { value: 'pause:60', label: 'Pause after 1 min' },
+  { value: 'pause:120', label: 'Pause after 2 min' },
+  { value: 'pause:0', label: 'Pause right away' }
+];
+
+// The editor's week starts on Monday
+const DAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const elements = {};
+let schedules = [];
+let showToast = () => {};
+
+function cacheScheduleElements() {
+  elements.scheduleList = document.getElementById('scheduleList');
+  elements.scheduleEmpty = document.getElementById('scheduleEmpty');
+  elements.addScheduleBtn = document.getElementById('addScheduleBtn');
+}
+
+function createDefaultSchedule() {
+  return {
+    id: crypto.randomUUID(),
+    enabled: true,
+    days: [1, 2, 3, 4, 5],
+    time: '23:00',
+    action: 'timer',
+    minutes: 30,
+    graceSeconds: 60,
+    updatedAt: Date.now()
+  };
+}
+
+function getOutcomeValue(schedule) {
+  return schedule.action === 'pause'
+    ? `pause:${schedule.graceSeconds}`
+    : `timer:${schedule.minutes}`;
+}
+
+function applyOutcome(schedule, value) {
+  const [action, amount] = value.split(':');
+  schedule.action = action;
+  if (action === 'pause') {
+    schedule.graceSeconds = Number(amount);
+  } else {
+    schedule.minutes = Number(amount);
+  }
+}
+
+function formatNextRun(schedule) {
+  if (!schedule.enabled) {
+    return 'Off';
+  }
+  const next = isValidSchedule(schedule) && getNextOccurrence(schedule);
+  if (!next) {
+    return 'Pick at least one day';
+  }
+  const day = next.toLocaleDateString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+  const time = next.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  return `Next: ${day}, ${time}`;
+}
+
+async function saveSchedules(message) {
+  await Storage.set('bedtimeSchedules', schedules);
+  renderSchedules();
+  showToast('✓', message);
+}
+
+/**
+ * Apply an edit to one schedule and save
+ * Editing resets updatedAt so the scheduler doesn't run an occurrence that already passed
+ */
+async function updateSchedule(id, changes, message) {
+  const schedule = schedules.find(entry => entry.id === id);
+  if (!schedule) {
+    return;
+  }
+  changes(schedule);
+  schedule.updatedAt = Date.now();
+  await saveSchedules(message);
+}
+
+function toggleDay(entry, day) {
+  entry.days = entry.days.includes(day)
+    ? entry.days.filter(selected => selected !== day)
+    : [...entry.days, day];
+}
+
+function createDayChips(schedule) {
+  const days = document.createElement('div');
+  days.className = 'schedule-days';
+
+  DAY_ORDER.forEach(day => {
+    const chip = document.createElement('button');
+    chip.className = 'schedule-day';
+    chip.textContent = DAY_LABELS[day].charAt(0);
+    chip.title = DAY_LABELS[day];
+    chip.setAttribute('aria-label', DAY_LABELS[day]);
+    chip.setAttribute('aria-pressed', String(schedule.days.includes(day)));
+    chip.addEventListener('click', () =>
+      updateSchedule(schedule.id, entry => toggleDay(entry, day), 'Bedtime days updated')
+    );
+    days.appendChild(chip);
+  });
+  return days;
+}
+
+function createEnabledToggle(schedule) {
+  const toggle = document.createElement('label');
+  toggle.className = 'toggle-switch';
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.checked = schedule.enabled;
+  input.setAttribute('aria-label', 'Bedtime enabled');
+  input.addEventListener('change', () =>
+    updateSchedule(
+      schedule.id,
+      entry => {
+        entry.enabled = input.checked;
+      },
+      `Bedtime ${input.checked ? 'enabled' : 'disabled'}`
+    )
+  );
+  const slider = document.createElement('span');
+  slider.className = 'slider';
+  toggle.append(input, slider);
+  return toggle;
+}
+
+function createTimeInput(schedule) {
+  const input = document.createElement('input');
+  input.type = 'time';
+  input.className = 'preset-input schedule-time';
+  input.value = schedule.time;
+  input.setAttribute('aria-label', 'Bedtime');
+  input.addEventListener('change', () => {
+    if (!input.value) {
+      input.value = schedule.time;
+      return;
+    }
+    updateSchedule(
+      schedule.id,
+      entry => {
+        entry.time = input.value;
+      },
+      `Bedtime set to ${input.value}`
+    );
+  });
+  return input;
+}
+
+function createOutcomeSelect(schedule) {
+  const select = document.createElement('select');
+  select.className = 'sound-select schedule-outcome';
+  select.setAttribute('aria-label', 'What happens at bedtime');
+  SCHEDULE_OUTCOMES.forEach(({ value, label }) => select.add(new Option(label, value)));
+  select.value = getOutcomeValue(schedule);
+  select.addEventListener('change', () =>
+    updateSchedule(
+      schedule.id,
+      entry => applyOutcome(entry, select.value),
+      'Bedtime action updated'
+    )
+  );
+  return select;
+}
+
+function createScheduleRow(schedule) {
+  const row = document.createElement('div');
+  row.className = 'schedule-row';
+  row.classList.toggle('disabled', !schedule.enabled);
+
+  const controls = document.createElement('div');
+  controls.className = 'schedule-controls';
+  controls.append(
+    createEnabledToggle(schedule),
+    createTimeInput(schedule),
+    createOutcomeSelect(schedule)
+  );
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'schedule-remove';
+  removeBtn.textContent = '✕';
+  removeBtn.setAttribute('aria-label', 'Delete bedtime');
+  removeBtn.addEventListener('click', () => {
+    schedules = schedules.filter(entry => entry.id !== schedule.id);
+    saveSchedules('Bedtime deleted');
+  });
+  controls.appendChild(removeBtn);
+
+  const nextRun = document.createElement('p');
+  nextRun.className = 'setting-description schedule-next';
+  nextRun.textContent = formatNextRun(schedule);
+
+  row.append(controls, createDayChips(schedule), nextRun);
+  return row;
+}
+
+function renderSchedules() {
+  elements.scheduleList.replaceChildren(...schedules.map(createScheduleRow));
+  elements.scheduleEmpty.classList.toggle('hidden', schedules.length > 0);
+}
+
+/**
+ * Load bedtime schedules into the Schedule tab
+ * @returns {Promise<void>}
+ */
+export async function loadScheduleSettings() {
+  cacheScheduleElements();
+  const stored = await Storage.get('bedtimeSchedules');
+  schedules = Array.isArray(stored) ? stored : [];
+  renderSchedules();
+}
+
+/**
+ * Wire up the schedule editor (one-time setup)
+ * @param {Function} toast - Settings page toast helper
+ */
+export function setupScheduleListeners(toast) {
+  cacheScheduleElements();
+  showToast = toast;
+
+  elements.addScheduleBtn.addEventListener('click', () => {
+    schedules.push(createDefaultSchedule());
+    saveSchedules('Bedtime added');
+    trackSettingChange('bedtimeSchedules', schedules.length).catch(() => {});
+  });
+}
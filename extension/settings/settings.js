@@ -6,20 +6,32 @@
 import { trackPageView, trackSettingChange } from '../utils/analytics.js';
 import { parseTimeInput, formatSecondsToDisplay } from '../utils/time-utils.js';
 import { AUTOPLAY_CONFIG } from '../utils/config.js';
+import { loadAutomationSettings, setupAutomationListeners } from './automation-settings.js';
+import { loadTimerBehaviorSettings, setupTimerBehaviorListeners } from './timer-behavior-settings.js';
+import { loadScheduleSettings, setupScheduleListeners } from './schedule-settings.js';
+import { loadHistorySettings, setupHistoryListeners, clearAllHistory } from './history-settings.js';
+import { loadStatsSettings, setupStatsListeners } from './stats-settings.js';
+import { setupConfigImportListeners } from './config-import.js';
+import { loadSyncSettings, setupSyncListeners } from './sync-settings.js';
+import { loadProfileSettings, setupProfileListeners } from './profile-settings.js';
+import { loadNativeHostSettings, setupNativeHostListeners } from './native-host-settings.js';
+import { loadShortcutSettings, setupShortcutListeners } from './shortcut-settings.js';
+import { getSettings, updateSettings, onSettingsChanged } from '../utils/settings-service.js';
+import { SETTINGS_SCHEMA } from '../utils/settings-schema.js';
 
 // ============================================
 // CONSTANTS
 // ============================================
 
 const TOAST_DURATION = 2000;
-const STORAGE_KEYS = [
-  'autoplay-theme',
-  'timerPresets',
+const STORAGE_KEYS = ['autoplay-theme', 'timerPresets'];
+
+// General and Appearance toggles (fields of the settings service)
+const GENERAL_TOGGLES = [
   'showNotifications',
   'showOverlay',
   'autoPauseNext',
   'badgeEnabled',
-  'notificationSound',
   'compactMode'
 ];
 
@@ -80,9 +92,6 @@ function cacheElements() {
   
   // Advanced Tab
   elements.clearHistoryBtn = document.getElementById('clearHistoryBtn');
-  elements.exportConfigBtn = document.getElementById('exportConfigBtn');
-  elements.importConfigBtn = document.getElementById('importConfigBtn');
-  elements.importFileInput = document.getElementById('importFileInput');
   elements.resetAllBtn = document.getElementById('resetAllBtn');
   
   // Toast
@@ -115,7 +124,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 async function loadSettings() {
   try {
-    const data = await chrome.storage.local.get(STORAGE_KEYS);
+    const [data, preferences] = await Promise.all([
+      chrome.storage.local.get(STORAGE_KEYS),
+      getSettings()
+    ]);
     
     // Apply theme immediately
     settings.theme = data['autoplay-theme'] || 'dark';
@@ -127,31 +139,41 @@ async function loadSettings() {
     }
     populatePresetEditor();
     
-    // Batch UI updates
-    const boolSettings = {
-      showNotifications: { default: true, element: elements.showNotifications },
-      showOverlay: { default: true, element: elements.showOverlay },
-      autoPauseNext: { default: false, element: elements.autoPauseNext },
-      badgeEnabled: { default: true, element: elements.badgeEnabled },
-      compactMode: { default: false, element: elements.compactMode }
-    };
-    
-    // Apply all boolean settings
-    Object.entries(boolSettings).forEach(([key, config]) => {
-      settings[key] = data[key] !== undefined ? data[key] : config.default;
-      config.element.checked = settings[key];
-    });
-    
-    // Apply string settings
-    settings.notificationSound = data.notificationSound || 'none';
-    elements.notificationSound.value = settings.notificationSound;
+    applyGeneralSettings(preferences);
     
+    // Timer behavior and playback automation (nested settings object)
+    await loadTimerBehaviorSettings();
+    await loadAutomationSettings();
+    await loadProfileSettings();
+    await loadScheduleSettings();
+    await loadHistorySettings();
+    await loadStatsSettings();
+    await loadSyncSettings();
+    await loadNativeHostSettings();
+    await loadShortcutSettings();
+
   } catch (error) {
     console.error('[AutoPlay Settings] Error loading settings:', error);
     showToast('❌', 'Error loading settings');
   }
 }
 
+// General toggles and sound; also called when another page changes the settings
+function applyGeneralSettings(preferences) {
+  GENERAL_TOGGLES.forEach(key => {
+    settings[key] = preferences[key];
+    elements[key].checked = preferences[key];
+  });
+  settings.notificationSound = preferences.notificationSound;
+  elements.notificationSound.value = preferences.notificationSound;
+}
+
+async function savePreference(key, value) {
+  if (!(await updateSettings({ [key]: value }))) {
+    showToast('❌', 'Error saving setting');
+  }
+}
+
 async function saveSetting(key, value) {
   try {
     await chrome.storage.local.set({ [key]: value });
@@ -169,7 +191,7 @@ async function saveSetting(key, value) {
 function createToggleHandler(settingKey, displayName) {
   return async (e) => {
     settings[settingKey] = e.target.checked;
-    await saveSetting(settingKey, settings[settingKey]);
+    await savePreference(settingKey, settings[settingKey]);
     showToast('✓', `${displayName} ${settings[settingKey] ? 'enabled' : 'disabled'}`);
     
     // Track setting change
@@ -208,10 +230,16 @@ function setupEventListeners() {
   elements.badgeEnabled.addEventListener('change', createToggleHandler('badgeEnabled', 'Badge counter'));
   elements.compactMode.addEventListener('change', createToggleHandler('compactMode', 'Compact mode'));
   
+  // Timer behavior, playback automation, schedule, history and stats tabs
+  setupSectionListeners();
+
+  // Keep the toggles in sync with imports and other open settings pages
+  onSettingsChanged(applyGeneralSettings);
+
   // Sound settings
   elements.notificationSound.addEventListener('change', async (e) => {
     settings.notificationSound = e.target.value;
-    await saveSetting('notificationSound', settings.notificationSound);
+    await savePreference('notificationSound', settings.notificationSound);
     showToast('✓', `Sound: ${settings.notificationSound}`);
     if (settings.notificationSound !== 'none') {
       playNotificationSound(settings.notificationSound);
@@ -249,12 +277,23 @@ function setupEventListeners() {
   
   // Advanced
   elements.clearHistoryBtn.addEventListener('click', clearHistory);
-  elements.exportConfigBtn.addEventListener('click', exportConfig);
-  elements.importConfigBtn.addEventListener('click', () => elements.importFileInput.click());
-  elements.importFileInput.addEventListener('change', importConfig);
+  setupConfigImportListeners(showToast, loadSettings);
   elements.resetAllBtn.addEventListener('click', resetAllSettings);
 }
 
+// Sections with their own modules share the page's toast
+function setupSectionListeners() {
+  setupTimerBehaviorListeners(showToast);
+  setupAutomationListeners(showToast);
+  setupProfileListeners(showToast);
+  setupScheduleListeners(showToast);
+  setupHistoryListeners(showToast);
+  setupStatsListeners();
+  setupSyncListeners(showToast, loadSettings);
+  setupNativeHostListeners(showToast);
+  setupShortcutListeners();
+}
+
 // ============================================
 // TAB NAVIGATION
 // ============================================
@@ -435,7 +474,7 @@ async function clearHistory() {
   if (!confirm('Clear all timer history? This cannot be undone.')) return;
   
   try {
-    await chrome.storage.local.remove('lastTimer');
+    await clearAllHistory();
     showToast('✓', 'History cleared');
   } catch (error) {
     console.error('[AutoPlay Settings] Error clearing history:', error);
@@ -443,54 +482,12 @@ async function clearHistory() {
   }
 }
 
-async function exportConfig() {
-  try {
-    const data = await chrome.storage.local.get(null);
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `autoplay-settings-${Date.now()}.json`;
-    a.click();
-    
-    URL.revokeObjectURL(url);
-    showToast('✓', 'Settings exported');
-  } catch (error) {
-    console.error('[AutoPlay Settings] Error exporting config:', error);
-    showToast('❌', 'Error exporting settings');
-  }
-}
-
-async function importConfig(event) {
-  const file = event.target.files[0];
-  if (!file) return;
-  
-  try {
-    const text = await file.text();
-    const data = JSON.parse(text);
-    
-    if (!confirm('Import these settings? Current settings will be overwritten.')) {
-      elements.importFileInput.value = '';
-      return;
-    }
-    
-    await chrome.storage.local.set(data);
-    await loadSettings();
-    showToast('✓', 'Settings imported');
-  } catch (error) {
-    console.error('[AutoPlay Settings] Error importing config:', error);
-    showToast('❌', 'Error importing settings');
-  } finally {
-    elements.importFileInput.value = '';
-  }
-}
-
 async function resetAllSettings() {
   if (!confirm('Reset ALL settings to defaults? This cannot be undone.')) return;
   
   try {
-    await chrome.storage.local.clear();
+    // Only the exported settings keys; history, sync state and running timers stay
+    await chrome.storage.local.remove(Object.keys(SETTINGS_SCHEMA));
     
     // Reset local state
     Object.assign(settings, {
@@ -0,0 +1,64 @@
+/**
+ * AutoPlay Video Control - Easy Kit
+ * Settings Page - Keyboard shortcuts (General tab)
+ *
+ * Lists the manifest `commands` with their current keys. Chrome doesn't let
+ * extensions change them, so the button opens chrome://extensions/shortcuts.
+ */
+
+const SHORTCUTS_PAGE = 'chrome://extensions/shortcuts';
+
+const elements = {};
+
+function cacheShortcutElements() {
+  elements.shortcutList = document.getElementById('shortcutList');
+  elements.editShortcutsBtn = document.getElementById('editShortcutsBtn');
+}
+
+function createShortcutItem({ description, shortcut }) {
+  const item = document.createElement('li');
+  item.className = 'shortcut-item';
+
+  const label = document.createElement('span');
+  label.textContent = description;
+
+  const keys = document.createElement('kbd');
+  keys.className = shortcut ? 'shortcut-keys' : 'shortcut-keys unset';
+  keys.textContent = shortcut || 'Not set';
+
+  item.append(label, keys);
+  return item;
+}
+
+/**
+ * Load the current shortcut keys into the UI
+ * @returns {Promise<void>}
+ */
+export async function loadShortcutSettings() {
+  cacheShortcutElements();
+  const commands = await chrome.commands.getAll();
+  // _execute_action (open the popup) is listed by Chrome but isn't declared by us
+  const shortcuts = commands.filter(
+    command => command.description && command.name !== '_execute_action'
+  );
+  elements.shortcutList.replaceChildren(...shortcuts.map(createShortcutItem));
+}
+
+/**
+ * Wire up the shortcuts button (one-time setup)
+ */
+export function setupShortcutListeners() {
+  cacheShortcutElements();
+
+  // chrome:// pages can't be opened from a link
+  elements.editShortcutsBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: SHORTCUTS_PAGE });
+  });
+
+  // Pick up changes made on the shortcuts page
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      loadShortcutSettings().catch(() => {});
+    }
+  });
+}
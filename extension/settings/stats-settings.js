@@ -0,0 +1,255 @@
+/**
+ * AutoPlay Video Control - Easy Kit
+ * Settings Page - Sleep and viewing statistics (Stats tab)
+ *
+ * Computed from the local timer history (utils/timer-stats.js) and drawn
+ * with plain SVG elements, so no network calls and nothing the CSP blocks.
+ */
+
+import { formatSecondsToDisplay } from '../utils/time-utils.js';
+import { HISTORY_KEY, getTimerHistory } from '../utils/timer-history.js';
+import { computeTimerStats, formatBedtime, STATS_CONFIG } from '../utils/timer-stats.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART = { WIDTH: 560, HEIGHT: 200, LEFT: 48, BOTTOM: 24, TOP: 12 };
+const PLATFORM_COLORS = [
+  '#6366f1',
+  '#ef4444',
+  '#22c55e',
+  '#f59e0b',
+  '#06b6d4',
+  '#ec4899',
+  '#8b5cf6'
+];
+
+const elements = {};
+
+function cacheStatsElements() {
+  elements.statsCards = document.getElementById('statsCards');
+  elements.statsCharts = document.getElementById('statsCharts');
+  elements.statsEmpty = document.getElementById('statsEmpty');
+  elements.weeklyChart = document.getElementById('weeklyChart');
+  elements.weeklyLegend = document.getElementById('weeklyLegend');
+  elements.bedtimeChart = document.getElementById('bedtimeChart');
+}
+
+function svg(tag, attributes = {}, text = '') {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  if (text) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+function createChart(label) {
+  return svg('svg', {
+    viewBox: `0 0 ${CHART.WIDTH} ${CHART.HEIGHT}`,
+    class: 'stats-svg',
+    role: 'img',
+    'aria-label': label
+  });
+}
+
+function axisLabel(x, y, text, anchor = 'middle') {
+  return svg('text', { x, y, class: 'stats-axis', 'text-anchor': anchor }, text);
+}
+
+function formatPercent(count, total) {
+  return total ? `${Math.round((count / total) * 100)}%` : '–';
+}
+
+function formatNights(count) {
+  return count === 1 ? '1 night' : `${count} nights`;
+}
+
+function createCard(label, value, detail) {
+  const card = document.createElement('div');
+  card.className = 'stats-card';
+  const valueEl = document.createElement('span');
+  valueEl.className = 'stats-card-value';
+  valueEl.textContent = value;
+  const labelEl = document.createElement('span');
+  labelEl.className = 'stats-card-label';
+  labelEl.textContent = label;
+  card.append(valueEl, labelEl);
+  if (detail) {
+    const detailEl = document.createElement('span');
+    detailEl.className = 'setting-description';
+    detailEl.textContent = detail;
+    card.appendChild(detailEl);
+  }
+  return card;
+}
+
+function renderCards({ viewing, bedtimes, outcomes, streaks }) {
+  const thisWeek = viewing.weeks[viewing.weeks.length - 1].total;
+  const recent = `Last ${STATS_CONFIG.BEDTIME_DAYS} days`;
+  elements.statsCards.replaceChildren(
+    createCard('Watched this week', formatSecondsToDisplay(thisWeek)),
+    createCard(
+      'Average bedtime',
+      bedtimes.average === null ? '–' : formatBedtime(bedtimes.average),
+      recent
+    ),
+    createCard(
+      'Timers extended',
+      formatPercent(outcomes.extended, outcomes.finished),
+      `${outcomes.extended} of ${outcomes.finished} · ${recent}`
+    ),
+    createCard(
+      'Stopped early',
+      formatPercent(outcomes.stoppedEarly, outcomes.finished),
+      `${outcomes.stoppedEarly} of ${outcomes.finished} · ${recent}`
+    ),
+    createCard('Current streak', formatNights(streaks.current), 'Nights a timer ran out'),
+    createCard('Best streak', formatNights(streaks.longest))
+  );
+}
+
+function createLegend(platforms, color) {
+  return platforms.map(platform => {
+    const item = document.createElement('span');
+    item.className = 'stats-legend-item';
+    const swatch = document.createElement('span');
+    swatch.className = 'stats-legend-swatch';
+    swatch.style.background = color(platform);
+    item.append(swatch, platform);
+    return item;
+  });
+}
+
+/**
+ * Stacked bars: one per week, one segment per platform
+ */
+function renderWeeklyChart({ weeks, platforms }) {
+  const chart = createChart('Weekly viewing time per platform');
+  const innerHeight = CHART.HEIGHT - CHART.BOTTOM - CHART.TOP;
+  const baseline = CHART.TOP + innerHeight;
+  const maxTotal = Math.max(...weeks.map(week => week.total), 3600);
+  const slot = (CHART.WIDTH - CHART.LEFT) / weeks.length;
+  const color = platform => PLATFORM_COLORS[platforms.indexOf(platform) % PLATFORM_COLORS.length];
+
+  chart.append(
+    axisLabel(CHART.LEFT - 8, CHART.TOP + 4, formatSecondsToDisplay(maxTotal), 'end'),
+    svg('line', {
+      x1: CHART.LEFT,
+      x2: CHART.WIDTH,
+      y1: baseline,
+      y2: baseline,
+      class: 'stats-baseline'
+    })
+  );
+
+  weeks.forEach((week, index) => {
+    const x = CHART.LEFT + index * slot + slot * 0.2;
+    let y = baseline;
+    for (const platform of platforms.filter(name => week.totals[name])) {
+      const height = (week.totals[platform] / maxTotal) * innerHeight;
+      y -= height;
+      const bar = svg('rect', { x, y, width: slot * 0.6, height, fill: color(platform), rx: 2 });
+      const total = formatSecondsToDisplay(week.totals[platform]);
+      bar.appendChild(svg('title', {}, `${platform}: ${total}`));
+      chart.appendChild(bar);
+    }
+    const label = week.start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    chart.appendChild(axisLabel(x + slot * 0.3, CHART.HEIGHT - 6, label));
+  });
+
+  elements.weeklyChart.replaceChildren(chart);
+  elements.weeklyLegend.replaceChildren(...createLegend(platforms, color));
+}
+
+/**
+ * Vertical range of the bedtime chart in minutes after noon,
+ * rounded out to whole hours and at least two hours tall
+ */
+function getBedtimeRange(times) {
+  const low = Math.floor((Math.min(...times) - 30) / 60) * 60;
+  const high = Math.ceil((Math.max(...times) + 30) / 60) * 60;
+  return { low, high: Math.max(high, low + 120) };
+}
+
+function createBedtimeDot(night, minutesFromNoon, x, y) {
+  const dot = svg('circle', { cx: x, cy: y, r: 5, class: 'stats-dot' });
+  const date = night.toLocaleDateString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+  dot.appendChild(svg('title', {}, `${date}: ${formatBedtime(minutesFromNoon)}`));
+  return dot;
+}
+
+/**
+ * One dot per night at the time the timer ran out, with the average as a dashed line
+ */
+function renderBedtimeChart({ nights, average }) {
+  const times = nights.map(night => night.minutesFromNoon).filter(time => time !== null);
+  if (average !== null) {
+    times.push(average);
+  }
+  if (times.length === 0) {
+    elements.bedtimeChart.textContent = 'No timer has run out recently.';
+    return;
+  }
+
+  const chart = createChart('Bedtime for each of the last two weeks');
+  const innerHeight = CHART.HEIGHT - CHART.BOTTOM - CHART.TOP;
+  const { low, high } = getBedtimeRange(times);
+  const toY = time => CHART.TOP + ((time - low) / (high - low)) * innerHeight;
+  const slot = (CHART.WIDTH - CHART.LEFT) / nights.length;
+
+  chart.append(
+    axisLabel(CHART.LEFT - 8, CHART.TOP + 4, formatBedtime(low), 'end'),
+    axisLabel(CHART.LEFT - 8, CHART.TOP + innerHeight, formatBedtime(high), 'end')
+  );
+  if (average !== null) {
+    const y = toY(average);
+    chart.appendChild(
+      svg('line', { x1: CHART.LEFT, x2: CHART.WIDTH, y1: y, y2: y, class: 'stats-average' })
+    );
+  }
+
+  nights.forEach(({ night, minutesFromNoon }, index) => {
+    const x = CHART.LEFT + index * slot + slot / 2;
+    const day = night.toLocaleDateString(undefined, { weekday: 'narrow' });
+    chart.appendChild(axisLabel(x, CHART.HEIGHT - 6, day));
+    if (minutesFromNoon !== null) {
+      chart.appendChild(createBedtimeDot(night, minutesFromNoon, x, toY(minutesFromNoon)));
+    }
+  });
+
+  elements.bedtimeChart.replaceChildren(chart);
+}
+
+/**
+ * Compute and draw every statistic from the stored timer history
+ * @returns {Promise<void>}
+ */
+export async function loadStatsSettings() {
+  cacheStatsElements();
+  const entries = await getTimerHistory();
+  const hasFinished = entries.some(entry => entry.outcome);
+  elements.statsEmpty.classList.toggle('hidden', hasFinished);
+  elements.statsCharts.classList.toggle('hidden', !hasFinished);
+  if (!hasFinished) {
+    return;
+  }
+
+  const stats = computeTimerStats(entries);
+  renderCards(stats);
+  renderWeeklyChart(stats.viewing);
+  renderBedtimeChart(stats.bedtimes);
+}
+
+/**
+ * Keep the stats current while the page is open (one-time setup)
+ */
+export function setupStatsListeners() {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[HISTORY_KEY]) {
+      loadStatsSettings();
+    }
+  });
+}
@@ -0,0 +1,86 @@
+/**
+ * AutoPlay Video Control - Easy Kit
+ * Settings Page - Cross-device sync switch (Advanced tab)
+ *
+ * The service worker does the syncing (see utils/settings-sync.js); this page
+ * only turns it on or off and shows the last result.
+ */
+
+import { SYNC_CONFIG, getSyncState } from '../utils/settings-sync.js';
+import { trackSettingChange } from '../utils/analytics.js';
+
+const elements = {};
+
+function cacheSyncElements() {
+  elements.syncEnabled = document.getElementById('syncEnabled');
+  elements.syncStatus = document.getElementById('syncStatus');
+}
+
+function getStatusText({ enabled, status }) {
+  if (!enabled) {
+    return 'Off: settings stay on this device';
+  }
+  if (status?.error) {
+    return `⚠️ Last sync failed: ${status.error}`;
+  }
+  if (status?.lastSyncedAt) {
+    const time = new Date(status.lastSyncedAt).toLocaleString(undefined, {
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    });
+    return `Last synced ${time}`;
+  }
+  return 'Waiting for the first sync…';
+}
+
+function renderSyncState(state) {
+  elements.syncEnabled.checked = state.enabled;
+  elements.syncStatus.textContent = getStatusText(state);
+}
+
+/**
+ * Load the sync switch and status into the UI
+ * @returns {Promise<void>}
+ */
+export async function loadSyncSettings() {
+  cacheSyncElements();
+  renderSyncState(await getSyncState());
+}
+
+async function handleSyncToggle(e, showToast, reload) {
+  const enabled = e.target.checked;
+  elements.syncEnabled.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'setSyncEnabled', enabled });
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response');
+    }
+    // Turning sync on may have brought in presets and settings from another device
+    await reload();
+    showToast('✓', enabled ? 'Sync enabled' : 'Sync disabled');
+    trackSettingChange('syncEnabled', enabled).catch(() => {});
+  } catch (error) {
+    console.error('[AutoPlay Settings] Error changing sync:', error);
+    e.target.checked = !enabled;
+    showToast('❌', 'Error changing sync');
+  } finally {
+    elements.syncEnabled.disabled = false;
+  }
+}
+
+/**
+ * Wire up the sync switch (one-time setup)
+ * @param {Function} showToast - Settings page toast helper
+ * @param {Function} reload - Reloads the settings UI after synced values arrive
+ */
+export function setupSyncListeners(showToast, reload) {
+  cacheSyncElements();
+
+  elements.syncEnabled.addEventListener('change', e => handleSyncToggle(e, showToast, reload));
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[SYNC_CONFIG.STATUS_KEY]) {
+      getSyncState().then(renderSyncState);
+    }
+  });
+}
@@ -0,0 +1,143 @@
+/**
+ * AutoPlay Video Control - Easy Kit
+ * Settings Page - Timer behavior section (what happens as the timer runs out)
+ *
+ * Stored in the nested `settings` object, which SleepTimerEngine reads.
+ */
+
+import { Storage } from '../utils/storage.js';
+import { trackSettingChange } from '../utils/analytics.js';
+
+const elements = {};
+
+function cacheTimerBehaviorElements() {
+  elements.timerScope = document.getElementById('timerScope');
+  elements.expiryAction = document.getElementById('expiryAction');
+  elements.exitFullscreen = document.getElementById('exitFullscreen');
+  elements.closeTabAfterMinutes = document.getElementById('closeTabAfterMinutes');
+  elements.fadeOutSeconds = document.getElementById('fadeOutSeconds');
+  elements.dimScreen = document.getElementById('dimScreen');
+  elements.checkInMinutes = document.getElementById('checkInMinutes');
+  elements.checkInExtendMinutes = document.getElementById('checkInExtendMinutes');
+}
+
+// Closing the tab right away leaves nothing to do afterwards
+function updateExpiryControls(expiryAction) {
+  elements.exitFullscreen.disabled = expiryAction === 'close';
+  elements.closeTabAfterMinutes.disabled = expiryAction === 'close';
+}
+
+/**
+ * Load timer behavior settings into the UI
+ * @returns {Promise<void>}
+ */
+export async function loadTimerBehaviorSettings() {
+  cacheTimerBehaviorElements();
+
+  const settings = await Storage.getSettings();
+  elements.timerScope.value = settings.timerScope === 'all' ? 'all' : 'tab';
+  elements.expiryAction.value = settings.expiryAction;
+  elements.exitFullscreen.checked = !!settings.exitFullscreen;
+  elements.closeTabAfterMinutes.value = String(settings.closeTabAfterMinutes || 0);
+  updateExpiryControls(settings.expiryAction);
+  elements.fadeOutSeconds.value = String(settings.fadeOutSeconds || 0);
+  elements.dimScreen.checked = !!settings.dimScreen;
+  elements.checkInMinutes.value = String(settings.checkInMinutes || 0);
+  elements.checkInExtendMinutes.value = String(settings.checkInExtendMinutes || 15);
+  elements.checkInExtendMinutes.disabled = !settings.checkInMinutes;
+}
+
+async function handleTimerScopeChange(e, showToast) {
+  const timerScope = e.target.value;
+  await Storage.updateSettings({ timerScope });
+
+  showToast('✓', timerScope === 'all' ? 'Timers pause all tabs' : 'Timers pause their own tab');
+  trackSettingChange('timerScope', timerScope).catch(() => {});
+}
+
+async function handleExpiryActionChange(e, showToast) {
+  const expiryAction = e.target.value;
+  await Storage.updateSettings({ expiryAction });
+  updateExpiryControls(expiryAction);
+
+  const label = e.target.selectedOptions[0].textContent;
+  showToast('✓', `When the timer ends: ${label.toLowerCase()}`);
+  trackSettingChange('expiryAction', expiryAction).catch(() => {});
+}
+
+async function handleExitFullscreenChange(e, showToast) {
+  const exitFullscreen = e.target.checked;
+  await Storage.updateSettings({ exitFullscreen });
+
+  showToast('✓', `Exit fullscreen ${exitFullscreen ? 'enabled' : 'disabled'}`);
+  trackSettingChange('exitFullscreen', exitFullscreen).catch(() => {});
+}
+
+async function handleCloseTabAfterChange(e, showToast) {
+  const closeTabAfterMinutes = parseInt(e.target.value, 10) || 0;
+  await Storage.updateSettings({ closeTabAfterMinutes });
+
+  showToast(
+    '✓',
+    closeTabAfterMinutes
+      ? `Tab closes ${closeTabAfterMinutes} min after the timer ends`
+      : 'Tab stays open after the timer ends'
+  );
+  trackSettingChange('closeTabAfterMinutes', closeTabAfterMinutes).catch(() => {});
+}
+
+async function handleFadeOutChange(e, showToast) {
+  const fadeOutSeconds = parseInt(e.target.value, 10) || 0;
+  await Storage.updateSettings({ fadeOutSeconds });
+
+  showToast('✓', fadeOutSeconds ? `Fade-out: last ${fadeOutSeconds}s` : 'Fade-out disabled');
+  trackSettingChange('fadeOutSeconds', fadeOutSeconds).catch(() => {});
+}
+
+async function handleDimScreenChange(e, showToast) {
+  const enabled = e.target.checked;
+  await Storage.updateSettings({ dimScreen: enabled });
+
+  showToast('✓', `Screen dimming ${enabled ? 'enabled' : 'disabled'}`);
+  trackSettingChange('dimScreen', enabled).catch(() => {});
+}
+
+async function handleCheckInChange(e, showToast) {
+  const checkInMinutes = parseInt(e.target.value, 10) || 0;
+  await Storage.updateSettings({ checkInMinutes });
+  elements.checkInExtendMinutes.disabled = !checkInMinutes;
+
+  showToast(
+    '✓',
+    checkInMinutes ? `Check-in ${checkInMinutes} min before expiry` : 'Check-in disabled'
+  );
+  trackSettingChange('checkInMinutes', checkInMinutes).catch(() => {});
+}
+
+async function handleCheckInExtendChange(e, showToast) {
+  const checkInExtendMinutes = parseInt(e.target.value, 10);
+  await Storage.updateSettings({ checkInExtendMinutes });
+
+  showToast('✓', `Check-in extends by ${checkInExtendMinutes} min`);
+}
+
+/**
+ * Wire up timer behavior controls (one-time setup)
+ * @param {Function} showToast - Settings page toast helper
+ */
+export function setupTimerBehaviorListeners(showToast) {
+  cacheTimerBehaviorElements();
+
+  elements.timerScope.addEventListener('change', e => handleTimerScopeChange(e, showToast));
+  elements.expiryAction.addEventListener('change', e => handleExpiryActionChange(e, showToast));
+  elements.exitFullscreen.addEventListener('change', e => handleExitFullscreenChange(e, showToast));
+  elements.closeTabAfterMinutes.addEventListener('change', e =>
+    handleCloseTabAfterChange(e, showToast)
+  );
+  elements.fadeOutSeconds.addEventListener('change', e => handleFadeOutChange(e, showToast));
+  elements.dimScreen.addEventListener('change', e => handleDimScreenChange(e, showToast));
+  elements.checkInMinutes.addEventListener('change', e => handleCheckInChange(e, showToast));
+  elements.checkInExtendMinutes.addEventListener('change', e =>
+    handleCheckInExtendChange(e, showToast)
+  );
+}
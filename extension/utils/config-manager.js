@@ -1,14 +1,19 @@
+import { sendTelemetry } from './config-telemetry.js';
+import { ConfigSignatureError, readSignedConfig } from './config-signature.js';
+
 // Hardcoded defaults in case the server is down
 const DEFAULT_CONFIG = {
   netflix: {
     nextButton: "[data-uia='next-episode-seamless-button']",
+    cancelAutoplayButton: "[data-uia='watch-credits-seamless-button']",
     skipIntroButton: "[data-uia='player-skip-intro']",
     playerContainer: ".nfp-chrome-player-layer"
   },
   youtube: {
-    skipAdButton: ".ytp-ad-skip-button",
+    skipAdButton: ".ytp-ad-skip-button, .ytp-ad-skip-button-modern, .videoAdUiSkipButton",
     playerContainer: "#movie_player",
-    autonavScreen: ".ytp-autonav-endscreen-countdown-overlay"
+    autonavScreen: ".ytp-autonav-endscreen-countdown-overlay",
+    cancelAutoplayButton: ".ytp-autonav-endscreen-upnext-cancel-button"
   },
   crunchyroll: {
     skipIntroButton: ".skip-intro-button",
@@ -42,21 +47,12 @@ const DEFAULT_CONFIG = {
 
 const CONFIG_MANAGER_SETTINGS = {
   API_URL: "https://viboot.onrender.com/api/selectors",
-  TELEMETRY_URL: "https://viboot.onrender.com/api/telemetry",
   FETCH_TIMEOUT: 10000,           // 10 seconds
   MAX_RETRIES: 3,                 // Retry attempts for config fetch
   RETRY_DELAYS: [0, 2000, 5000],  // Retry delays: immediate, 2s, 5s
-  CACHE_MAX_AGE: 24 * 60 * 60 * 1000, // 24 hours
-  TELEMETRY: {
-    BATCH_DELAY: 1000,            // 1 second batch delay
-    MAX_BATCH_SIZE: 10            // Max events per batch
-  }
+  CACHE_MAX_AGE: 24 * 60 * 60 * 1000 // 24 hours
 };
 
-// Telemetry batching to prevent server spam
-let telemetryQueue = [];
-let telemetryFlushTimer = null;
-
 // In-memory cache for selectors (reduces storage reads)
 let memoryCache = {
   config: null,
@@ -67,13 +63,14 @@ let memoryCache = {
 export class ConfigManager {
   /**
    * Fetch with timeout to prevent hanging requests
+   * @param {Object} [options] - Extra fetch options (e.g. headers)
    */
-  static async fetchWithTimeout(url, timeout = CONFIG_MANAGER_SETTINGS.FETCH_TIMEOUT) {
+  static async fetchWithTimeout(url, timeout = CONFIG_MANAGER_SETTINGS.FETCH_TIMEOUT, options = {}) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
     
     try {
-      const response = await fetch(url, { signal: controller.signal });
+      const response = await fetch(url, { ...options, signal: controller.signal });
       clearTimeout(timeoutId);
       return response;
     } catch (error) {
@@ -105,6 +102,45 @@ export class ConfigManager {
     return false;
   }
 
+  /**
+   * Check a downloaded config and keep the platforms with valid selectors
+   * @throws {Error} If the config isn't an object with a platforms object
+   */
+  static validateRemoteConfig(remoteConfig) {
+    // Validate config structure
+    if (!remoteConfig || typeof remoteConfig !== 'object') {
+      throw new Error('Invalid config format: not an object');
+    }
+
+    if (!remoteConfig.platforms || typeof remoteConfig.platforms !== 'object') {
+      throw new Error('Invalid config format: missing platforms');
+    }
+
+    // Validate each platform's selectors
+    const validatedPlatforms = {};
+    for (const [platform, selectors] of Object.entries(remoteConfig.platforms)) {
+      if (this.validatePlatformSelectors(platform, selectors)) {
+        validatedPlatforms[platform] = selectors;
+      } else {
+        console.warn(`[AutoPlay] Invalid selectors for ${platform}, using existing/defaults`);
+      }
+    }
+
+    return validatedPlatforms;
+  }
+
+  /**
+   * Request headers that let the server answer 304 Not Modified when the
+   * cached config is still current (ETag from the last successful sync)
+   */
+  static async getConditionalHeaders() {
+    const data = await chrome.storage.local.get(['configEtag', 'selectorConfig']);
+    if (!data.configEtag || !data.selectorConfig) {
+      return {};
+    }
+    return { 'If-None-Match': data.configEtag };
+  }
+
   static async syncConfig() {
     const startTime = Date.now();
     let retryCount = 0;
@@ -114,6 +150,7 @@ export class ConfigManager {
       console.log("[AutoPlay] Syncing remote selectors...");
       
       let response = null;
+      const headers = await this.getConditionalHeaders();
       
       // Retry with exponential backoff
       for (let attempt = 0; attempt < CONFIG_MANAGER_SETTINGS.MAX_RETRIES; attempt++) {
@@ -124,9 +161,13 @@ export class ConfigManager {
             await new Promise(resolve => setTimeout(resolve, CONFIG_MANAGER_SETTINGS.RETRY_DELAYS[attempt]));
           }
           
-          response = await this.fetchWithTimeout(CONFIG_MANAGER_SETTINGS.API_URL);
+          response = await this.fetchWithTimeout(
+            CONFIG_MANAGER_SETTINGS.API_URL,
+            CONFIG_MANAGER_SETTINGS.FETCH_TIMEOUT,
+            { headers }
+          );
           
-          if (!response.ok) {
+          if (!response.ok && response.status !== 304) {
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
           }
           
@@ -144,26 +185,15 @@ export class ConfigManager {
         throw new Error('All retry attempts failed');
       }
       
-      const remoteConfig = await response.json();
-      
-      // Validate config structure
-      if (!remoteConfig || typeof remoteConfig !== 'object') {
-        throw new Error('Invalid config format: not an object');
+      // Cached config is still current - nothing to download
+      if (response.status === 304) {
+        return await this.keepCachedConfig(startTime, retryCount);
       }
       
-      if (!remoteConfig.platforms || typeof remoteConfig.platforms !== 'object') {
-        throw new Error('Invalid config format: missing platforms');
-      }
+      // Selectors end up clicked on pages - only trust configs signed by a pinned key
+      const remoteConfig = await readSignedConfig(response);
       
-      // Validate each platform's selectors
-      const validatedPlatforms = {};
-      for (const [platform, selectors] of Object.entries(remoteConfig.platforms)) {
-        if (this.validatePlatformSelectors(platform, selectors)) {
-          validatedPlatforms[platform] = selectors;
-        } else {
-          console.warn(`[AutoPlay] Invalid selectors for ${platform}, using existing/defaults`);
-        }
-      }
+      const validatedPlatforms = this.validateRemoteConfig(remoteConfig);
       
       // Smart merge: preserve existing platforms not in update
       const existingData = await chrome.storage.local.get(['selectorConfig']);
@@ -173,7 +203,8 @@ export class ConfigManager {
       await chrome.storage.local.set({ 
         selectorConfig: mergedConfig,
         lastSynced: Date.now(),
-        configVersion: remoteConfig.version || 'unknown'
+        configVersion: remoteConfig.version || 'unknown',
+        configEtag: response.headers.get('ETag') || null
       });
       
       // Update memory cache
@@ -185,7 +216,7 @@ export class ConfigManager {
       console.log(`[AutoPlay] Config synced successfully. Version: ${remoteConfig.version || 'unknown'} (${duration}ms)`);
       
       // Send success telemetry
-      this.sendTelemetry('config_sync_success', {
+      sendTelemetry('config_sync_success', {
         success: true,
         duration,
         retryCount,
@@ -195,22 +226,66 @@ export class ConfigManager {
       
       return mergedConfig;
     } catch (error) {
-      const duration = Date.now() - startTime;
-      console.warn("[AutoPlay] Sync failed, using cached/defaults:", error.message);
-      
-      // Send failure telemetry
-      this.sendTelemetry('config_sync_failure', {
+      return this.handleSyncFailure(error, startTime, retryCount);
+    }
+  }
+
+  /**
+   * Report a failed sync and fall back to the stored config (null = use defaults)
+   */
+  static async handleSyncFailure(error, startTime, retryCount) {
+    const duration = Date.now() - startTime;
+    console.warn("[AutoPlay] Sync failed, using cached/defaults:", error.message);
+
+    // Send failure telemetry
+    sendTelemetry('config_sync_failure', {
+      success: false,
+      duration,
+      retryCount,
+      errorType: error.name,
+      errorMessage: error.message
+    });
+
+    if (error instanceof ConfigSignatureError) {
+      // 'unsupported' means the check couldn't run here, not that the server sent a bad config
+      const event =
+        error.reason === 'unsupported' ? 'config_signature_unsupported' : 'config_signature_rejected';
+      sendTelemetry(event, {
         success: false,
-        duration,
-        retryCount,
-        errorType: error.name,
-        errorMessage: error.message
+        errorType: error.reason,
+        errorMessage: error.message,
+        keyId: error.keyId
       });
-      
-      // Try to return cached config from storage
-      const data = await chrome.storage.local.get(['selectorConfig']);
-      return data.selectorConfig || null;
     }
+
+    // Try to return cached config from storage
+    const data = await chrome.storage.local.get(['selectorConfig']);
+    return data.selectorConfig || null;
+  }
+
+  /**
+   * Handle a 304 from the server: the stored config stays, only lastSynced moves
+   */
+  static async keepCachedConfig(startTime, retryCount) {
+    const data = await chrome.storage.local.get(['selectorConfig', 'configVersion']);
+    await chrome.storage.local.set({ lastSynced: Date.now() });
+
+    memoryCache.config = data.selectorConfig;
+    memoryCache.timestamp = Date.now();
+    memoryCache.version = data.configVersion;
+
+    const duration = Date.now() - startTime;
+    console.log(`[AutoPlay] Config unchanged. Version: ${data.configVersion} (${duration}ms)`);
+
+    sendTelemetry('config_sync_success', {
+      success: true,
+      duration,
+      retryCount,
+      version: data.configVersion,
+      notModified: true
+    });
+
+    return data.selectorConfig;
   }
 
   static async getSelectors(platformKey) {
@@ -247,11 +322,12 @@ export class ConfigManager {
 
   /**
    * Check if config needs refresh (older than 24 hours)
-   * Now includes optional force-check against current version
+   * Optionally asks the server with a conditional request: 304 means the
+   * cached config is current, anything else that it changed
    */
   static async needsRefresh(forceCheckVersion = false) {
     try {
-      const data = await chrome.storage.local.get(['lastSynced', 'configVersion']);
+      const data = await chrome.storage.local.get(['lastSynced']);
       
       if (!data.lastSynced) {
         return true;
@@ -264,14 +340,22 @@ export class ConfigManager {
       }
       
       // Optionally check server version
-      if (forceCheckVersion && data.configVersion) {
+      if (forceCheckVersion) {
+        const headers = await this.getConditionalHeaders();
+        if (!headers['If-None-Match']) {
+          return true; // Synced before ETags - fetch once to get one
+        }
         try {
-          const response = await this.fetchWithTimeout(CONFIG_MANAGER_SETTINGS.API_URL);
-          const remoteConfig = await response.json();
-          if (remoteConfig.version && remoteConfig.version !== data.configVersion) {
-            console.log(`[AutoPlay] New config version available: ${remoteConfig.version}`);
+          const response = await this.fetchWithTimeout(
+            CONFIG_MANAGER_SETTINGS.API_URL,
+            CONFIG_MANAGER_SETTINGS.FETCH_TIMEOUT,
+            { headers }
+          );
+          if (response.ok) {
+            console.log('[AutoPlay] New config version available');
             return true;
           }
+          return false;
         } catch {
           // Network error - assume doesn't need refresh
           return false;
@@ -306,63 +390,4 @@ export class ConfigManager {
     const data = await chrome.storage.local.get(['configVersion']);
     return data.configVersion || 'unknown';
   }
-  
-  /**
-   * Send telemetry to server (batched to prevent spam)
-   */
-  static sendTelemetry(event, data) {
-    // Add to queue
-    telemetryQueue.push({
-      event,
-      data,
-      timestamp: Date.now()
-    });
-    
-    // Flush immediately if batch is full
-    if (telemetryQueue.length >= CONFIG_MANAGER_SETTINGS.TELEMETRY.MAX_BATCH_SIZE) {
-      this.flushTelemetry();
-      return;
-    }
-    
-    // Otherwise, schedule batch flush after delay
-    if (!telemetryFlushTimer) {
-      telemetryFlushTimer = setTimeout(() => {
-        this.flushTelemetry();
-      }, CONFIG_MANAGER_SETTINGS.TELEMETRY.BATCH_DELAY);
-    }
-  }
-  
-  /**
-   * Flush telemetry queue (internal)
-   */
-  static flushTelemetry() {
-    if (telemetryFlushTimer) {
-      clearTimeout(telemetryFlushTimer);
-      telemetryFlushTimer = null;
-    }
-    
-    if (telemetryQueue.length === 0) return;
-    
-    const eventsToSend = [...telemetryQueue];
-    telemetryQueue = [];
-    
-    // Fire and forget - don't block extension operation
-    (async () => {
-      try {
-        const manifest = chrome.runtime.getManifest();
-        await fetch(CONFIG_MANAGER_SETTINGS.TELEMETRY_URL, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            events: eventsToSend,
-            extensionVersion: manifest.version,
-            batchTimestamp: Date.now()
-          })
-        });
-      } catch (error) {
-        // Silent fail - telemetry should never break extension
-        console.debug('[AutoPlay] Telemetry batch failed (non-critical):', error.message);
-      }
-    })();
-  }
 }
\ No newline at end of file
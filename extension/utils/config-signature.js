@@ -0,0 +1,106 @@
+/**
+ * Config Signature
+ * Ed25519 check for selector configs from the server (server/selector-signing.js)
+ *
+ * Selectors from /api/selectors get clicked on users' pages, so a config is
+ * only used if its exact body is signed by a pinned key. The signature and key
+ * id come in the X-Selector-Signature and X-Selector-Key-Id response headers.
+ * Unsigned configs are rejected and the cached selectors stay in use.
+ *
+ * Rotating keys: `npm run keygen` in server/ prints a new private key and
+ * PINNED_KEYS entry. Pin the new key next to the old one and release, switch
+ * the server's SELECTOR_SIGNING_KEY, then drop the old entry in a later release.
+ */
+
+export const SIGNATURE_CONFIG = {
+  SIGNATURE_HEADER: 'X-Selector-Signature',
+  KEY_ID_HEADER: 'X-Selector-Key-Id',
+  // Key id → raw Ed25519 public key (base64)
+  PINNED_KEYS: {
+    cb624c04e1f6e408: 'XIfuhNKka0bzxXJb4HZvJZZrcvvfIc9ure3edzs6Rb0='
+  }
+};
+
+/**
+ * A config that is unsigned, signed by an unknown key, or fails verification.
+ * reason: 'unsigned' | 'unknownKey' | 'invalid' | 'unsupported' (no Ed25519 in
+ * this browser's WebCrypto - the config may be fine, the check can't run)
+ */
+export class ConfigSignatureError extends Error {
+  constructor(message, { keyId = null, reason = 'invalid' } = {}) {
+    super(message);
+    this.name = 'ConfigSignatureError';
+    this.keyId = keyId;
+    this.reason = reason;
+  }
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+async function verifySignature(publicKey, signature, body, keyId) {
+  try {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      base64ToBytes(publicKey),
+      { name: 'Ed25519' },
+      false,
+      ['verify']
+    );
+    return await crypto.subtle.verify(
+      { name: 'Ed25519' },
+      key,
+      base64ToBytes(signature),
+      new TextEncoder().encode(body)
+    );
+  } catch (error) {
+    if (error.name === 'NotSupportedError') {
+      throw new ConfigSignatureError('Ed25519 is not supported by this browser', {
+        keyId,
+        reason: 'unsupported'
+      });
+    }
+    // Malformed base64 or key
+    throw new ConfigSignatureError(`Signature check failed: ${error.message}`, { keyId });
+  }
+}
+
+/**
+ * Check a config body against its detached signature
+ * @param {string} body - Response text, exactly as received
+ * @param {string|null} signature - Base64 signature header
+ * @param {string|null} keyId - Key id header
+ * @throws {ConfigSignatureError} Unsigned, unknown key, invalid signature or no Ed25519
+ */
+export async function verifyConfigSignature(body, signature, keyId) {
+  if (!signature || !keyId) {
+    throw new ConfigSignatureError('Config is not signed', { reason: 'unsigned' });
+  }
+  if (!Object.prototype.hasOwnProperty.call(SIGNATURE_CONFIG.PINNED_KEYS, keyId)) {
+    throw new ConfigSignatureError(`Config is signed with an unknown key: ${keyId}`, {
+      keyId,
+      reason: 'unknownKey'
+    });
+  }
+  const publicKey = SIGNATURE_CONFIG.PINNED_KEYS[keyId];
+  if (!(await verifySignature(publicKey, signature, body, keyId))) {
+    throw new ConfigSignatureError('Config signature is invalid', { keyId });
+  }
+}
+
+/**
+ * Read a /api/selectors response, verifying it before parsing
+ * @param {Response} response
+ * @returns {Promise<Object>} The parsed config
+ * @throws {ConfigSignatureError}
+ */
+export async function readSignedConfig(response) {
+  const body = await response.text();
+  await verifyConfigSignature(
+    body,
+    response.headers.get(SIGNATURE_CONFIG.SIGNATURE_HEADER),
+    response.headers.get(SIGNATURE_CONFIG.KEY_ID_HEADER)
+  );
+  return JSON.parse(body);
+}
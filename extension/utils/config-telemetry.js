@@ -0,0 +1,77 @@
+/**
+ * Config Telemetry
+ * Anonymous config sync events for the server's POST /api/telemetry,
+ * queued and sent in batches ({ events, extensionVersion, batchTimestamp })
+ */
+
+export const TELEMETRY_SETTINGS = {
+  URL: 'https://viboot.onrender.com/api/telemetry',
+  BATCH_DELAY: 1000, // 1 second batch delay
+  MAX_BATCH_SIZE: 10 // Max events per batch
+};
+
+// Telemetry batching to prevent server spam
+let telemetryQueue = [];
+let telemetryFlushTimer = null;
+
+/**
+ * Send telemetry to server (batched to prevent spam)
+ * @param {string} event - Event name (e.g. 'config_sync_success')
+ * @param {Object} data - success, duration, retryCount, errorType, ...
+ */
+export function sendTelemetry(event, data) {
+  telemetryQueue.push({
+    event,
+    data,
+    timestamp: Date.now()
+  });
+
+  // Flush immediately if batch is full
+  if (telemetryQueue.length >= TELEMETRY_SETTINGS.MAX_BATCH_SIZE) {
+    flushTelemetry();
+    return;
+  }
+
+  // Otherwise, schedule batch flush after delay
+  if (!telemetryFlushTimer) {
+    telemetryFlushTimer = setTimeout(flushTelemetry, TELEMETRY_SETTINGS.BATCH_DELAY);
+  }
+}
+
+async function postEvents(events) {
+  try {
+    const manifest = chrome.runtime.getManifest();
+    await fetch(TELEMETRY_SETTINGS.URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        events,
+        extensionVersion: manifest.version,
+        batchTimestamp: Date.now()
+      })
+    });
+  } catch (error) {
+    // Silent fail - telemetry should never break extension
+    console.debug('[AutoPlay] Telemetry batch failed (non-critical):', error.message);
+  }
+}
+
+/**
+ * Send everything queued now
+ */
+export function flushTelemetry() {
+  if (telemetryFlushTimer) {
+    clearTimeout(telemetryFlushTimer);
+    telemetryFlushTimer = null;
+  }
+
+  if (telemetryQueue.length === 0) {
+    return;
+  }
+
+  const eventsToSend = [...telemetryQueue];
+  telemetryQueue = [];
+
+  // Fire and forget - don't block extension operation
+  postEvents(eventsToSend);
+}
@@ -0,0 +1,192 @@
+/**
+ * History Export
+ * Timer history and stats as CSV or JSON for spreadsheets and sleep-tracking tools
+ *
+ * The column names and JSON fields are a stable, versioned format documented
+ * in EXPORT_FORMAT.md: add new fields at the end and bump EXPORT_SCHEMA_VERSION
+ * only when an existing field changes meaning or is removed.
+ */
+
+import { getNightlySummary, summarizeTimerHistory } from './timer-stats.js';
+
+const EXPORT_SCHEMA_VERSION = 1;
+
+/**
+ * One CSV row per timer session
+ * Timestamps are ISO 8601 in UTC; durations are whole seconds
+ */
+const SESSION_COLUMNS = [
+  ['id', entry => entry.id],
+  ['started_at', entry => toIsoString(entry.startedAt)],
+  ['ended_at', entry => toIsoString(entry.endedAt)],
+  ['site', entry => entry.site],
+  ['platform', entry => entry.platform],
+  ['title', entry => entry.title],
+  ['mode', entry => entry.mode],
+  ['source', entry => entry.source],
+  ['scope', entry => entry.scope],
+  ['requested_seconds', entry => (entry.mode === 'episode' ? null : entry.requestedSeconds)],
+  ['requested_episodes', entry => entry.requestedEpisodes],
+  ['actual_seconds', entry => entry.actualSeconds],
+  ['outcome', entry => entry.outcome || 'running'],
+  ['extend_count', entry => countEvents(entry, 'extend')],
+  ['pause_count', entry => countEvents(entry, 'pause')],
+  ['check_in_count', entry => entry.checkIns?.length || 0]
+];
+
+/**
+ * One CSV row per night with a finished timer
+ * Nights are local dates; bedtime is the local clock time (HH:MM) the night's last timer ran out
+ */
+const NIGHT_COLUMNS = [
+  ['night', night => night.night],
+  ['sessions', night => night.sessions],
+  ['viewing_seconds', night => night.viewingSeconds],
+  ['bedtime', night => formatClockTime(night.bedtime)],
+  ['extended_count', night => night.extended],
+  ['stopped_early_count', night => night.stoppedEarly]
+];
+
+function toIsoString(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+function countEvents(entry, type) {
+  return (entry.events || []).filter(event => event.type === type).length;
+}
+
+/**
+ * 24-hour 'HH:MM' from minutes after noon (see timer-stats.js)
+ */
+function formatClockTime(minutesFromNoon) {
+  if (minutesFromNoon === null || minutesFromNoon === undefined) {
+    return null;
+  }
+  const minutes = (minutesFromNoon + 12 * 60) % (24 * 60);
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * RFC 4180 field: quoted when it contains a comma, quote or line break
+ * Text starting with = + - @ gets a leading ' so spreadsheets don't run page titles as formulas
+ */
+function escapeCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.map(([name]) => name).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(([, getValue]) => escapeCsvField(getValue(row))).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Sessions that started within a date range
+ * @param {Object[]} entries - Timer history entries
+ * @param {{from: number|null, to: number|null}} range - Inclusive timestamps, null = open-ended
+ * @returns {Object[]} Oldest first
+ */
+function filterHistoryByRange(entries, { from = null, to = null }) {
+  return entries
+    .filter(
+      entry => (from === null || entry.startedAt >= from) && (to === null || entry.startedAt <= to)
+    )
+    .sort((a, b) => a.startedAt - b.startedAt);
+}
+
+/**
+ * @param {Object[]} entries - Sessions to export (see filterHistoryByRange)
+ * @returns {string} CSV, one row per session
+ */
+function toSessionsCsv(entries) {
+  return toCsv(SESSION_COLUMNS, entries);
+}
+
+/**
+ * @param {Object[]} entries - Sessions to export (see filterHistoryByRange)
+ * @returns {string} CSV, one row per night
+ */
+function toNightsCsv(entries) {
+  return toCsv(NIGHT_COLUMNS, getNightlySummary(entries));
+}
+
+/**
+ * A history entry in the export format: fields listed explicitly so the schema
+ * doesn't change when the stored entries gain fields, timestamps as ISO 8601 strings
+ */
+function toExportedSession(entry) {
+  return {
+    id: entry.id,
+    startedAt: toIsoString(entry.startedAt),
+    endedAt: toIsoString(entry.endedAt),
+    site: entry.site,
+    platform: entry.platform,
+    title: entry.title,
+    mode: entry.mode,
+    source: entry.source,
+    scope: entry.scope,
+    requestedSeconds: entry.mode === 'episode' ? null : entry.requestedSeconds,
+    requestedEpisodes: entry.requestedEpisodes ?? null,
+    actualSeconds: entry.actualSeconds,
+    outcome: entry.outcome || 'running',
+    events: (entry.events || []).map(event => ({ ...event, at: toIsoString(event.at) })),
+    checkIns: (entry.checkIns || []).map(checkIn => ({
+      response: checkIn.response,
+      shownAt: toIsoString(checkIn.shownAt),
+      respondedAt: toIsoString(checkIn.respondedAt)
+    }))
+  };
+}
+
+/**
+ * Sessions, nightly summary and totals in one document
+ * @param {Object[]} entries - Sessions to export (see filterHistoryByRange)
+ * @param {{from: number|null, to: number|null}} range
+ * @returns {string} Pretty-printed JSON
+ */
+function toHistoryJson(entries, range) {
+  const summary = summarizeTimerHistory(entries);
+  const exported = {
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    range: { from: toIsoString(range.from), to: toIsoString(range.to) },
+    summary: {
+      sessions: summary.sessions,
+      finishedSessions: summary.finished,
+      viewingSeconds: summary.viewingSeconds,
+      viewingSecondsByPlatform: summary.platforms,
+      averageBedtime: formatClockTime(summary.averageBedtime),
+      extendedCount: summary.extended,
+      stoppedEarlyCount: summary.stoppedEarly,
+      longestStreakNights: summary.longestStreak
+    },
+    nights: getNightlySummary(entries).map(night => ({
+      night: night.night,
+      sessions: night.sessions,
+      viewingSeconds: night.viewingSeconds,
+      bedtime: formatClockTime(night.bedtime),
+      extendedCount: night.extended,
+      stoppedEarlyCount: night.stoppedEarly
+    })),
+    sessions: entries.map(toExportedSession)
+  };
+  return JSON.stringify(exported, null, 2);
+}
+
+export {
+  EXPORT_SCHEMA_VERSION,
+  SESSION_COLUMNS,
+  NIGHT_COLUMNS,
+  filterHistoryByRange,
+  toSessionsCsv,
+  toNightsCsv,
+  toHistoryJson
+};
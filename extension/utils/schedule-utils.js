@@ -0,0 +1,124 @@
+/**
+ * Bedtime Schedule Utilities
+ * Wall-clock math for weekly bedtime schedules
+ * Used by the service worker scheduler and the settings page (as ES6 module)
+ *
+ * A schedule entry (stored under `bedtimeSchedules`):
+ * { id, enabled, days: [0-6, Sunday = 0], time: 'HH:MM', action: 'timer'|'pause',
+ *   minutes, graceSeconds, updatedAt }
+ *
+ * Occurrences are built with the local-time Date constructor, so they land on the
+ * scheduled wall-clock time on either side of a DST change.
+ */
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const SCHEDULE_LIMITS = {
+  MAX_MINUTES: 240, // 4 hours - longest automatic timer
+  MAX_GRACE_SECONDS: 600 // 10 minutes - longest grace countdown before pausing
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const NAMED_DAY_SETS = {
+  '0,1,2,3,4,5,6': 'Every day',
+  '1,2,3,4,5': 'Weekdays',
+  '0,6': 'Weekends'
+};
+
+/**
+ * Parse an 'HH:MM' schedule time
+ * @param {string} time
+ * @returns {{hours: number, minutes: number}|null}
+ */
+function parseScheduleTime(time) {
+  const match = TIME_PATTERN.exec(time || '');
+  return match ? { hours: Number(match[1]), minutes: Number(match[2]) } : null;
+}
+
+function isInRange(value, min, max) {
+  return typeof value === 'number' && value >= min && value <= max;
+}
+
+/**
+ * Check a schedule entry's shape (settings page input, imported settings)
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+function isValidSchedule(entry) {
+  if (!entry || typeof entry.id !== 'string' || !parseScheduleTime(entry.time)) {
+    return false;
+  }
+  if (!Array.isArray(entry.days) || !entry.days.every(day => isInRange(day, 0, 6))) {
+    return false;
+  }
+  if (entry.action === 'timer') {
+    return isInRange(entry.minutes, 1, SCHEDULE_LIMITS.MAX_MINUTES);
+  }
+  return (
+    entry.action === 'pause' && isInRange(entry.graceSeconds, 0, SCHEDULE_LIMITS.MAX_GRACE_SECONDS)
+  );
+}
+
+/**
+ * The entry's time on the day `dayOffset` days from `date`
+ */
+function occurrenceOn(entry, date, dayOffset) {
+  const { hours, minutes } = parseScheduleTime(entry.time);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + dayOffset, hours, minutes);
+}
+
+/**
+ * First occurrence strictly after `now`
+ * @param {Object} entry - Valid schedule entry
+ * @param {Date} now
+ * @returns {Date|null} Null if the entry has no days selected
+ */
+function getNextOccurrence(entry, now = new Date()) {
+  for (let offset = 0; offset <= 7; offset++) {
+    const occurrence = occurrenceOn(entry, now, offset);
+    if (entry.days.includes(occurrence.getDay()) && occurrence > now) {
+      return occurrence;
+    }
+  }
+  return null;
+}
+
+/**
+ * Latest occurrence at or before `now`
+ * @param {Object} entry - Valid schedule entry
+ * @param {Date} now
+ * @returns {Date|null} Null if the entry has no days selected
+ */
+function getPreviousOccurrence(entry, now = new Date()) {
+  for (let offset = 0; offset >= -7; offset--) {
+    const occurrence = occurrenceOn(entry, now, offset);
+    if (entry.days.includes(occurrence.getDay()) && occurrence <= now) {
+      return occurrence;
+    }
+  }
+  return null;
+}
+
+/**
+ * Short description of the selected days
+ * Examples: "Every day", "Weekdays", "Weekends", "Mon, Wed, Fri"
+ *
+ * @param {number[]} days
+ * @returns {string}
+ */
+function formatScheduleDays(days) {
+  const sorted = [...new Set(days)].sort((a, b) => a - b);
+  const named = NAMED_DAY_SETS[sorted.join(',')];
+  return named || sorted.map(day => DAY_LABELS[day]).join(', ') || 'No days';
+}
+
+export {
+  DAY_LABELS,
+  SCHEDULE_LIMITS,
+  parseScheduleTime,
+  isValidSchedule,
+  getNextOccurrence,
+  getPreviousOccurrence,
+  formatScheduleDays
+};
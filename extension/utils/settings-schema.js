@@ -0,0 +1,362 @@
+/**
+ * Settings Schema
+ * Versioned format for settings export/import, with validation and migrations
+ *
+ * Only keys listed in SETTINGS_SCHEMA can be imported; everything else in a
+ * file (timer state, history, analytics ids, cached selectors) is ignored.
+ *
+ * Export format (version 3):
+ * { format: 'autoplay-settings', schemaVersion: 3, exportedAt, settings: { key: value } }
+ *
+ * Version 1 is the unversioned chrome.storage.local dump the settings page
+ * exported before this format existed; version 2 still had some preferences as
+ * flat keys next to the nested `settings` object. MIGRATIONS upgrade one
+ * version at a time.
+ */
+
+import { isValidSchedule } from './schedule-utils.js';
+import { foldLegacySettings, normalizeSettings } from './settings-service.js';
+import { EXPIRY_ACTIONS, validateSiteProfiles } from './site-profiles.js';
+
+const SETTINGS_FORMAT = 'autoplay-settings';
+const SETTINGS_SCHEMA_VERSION = 3;
+
+// ============================================
+// FIELD VALIDATORS
+// Each returns an error message, or null if the value is valid
+// ============================================
+
+const boolean = value => (typeof value === 'boolean' ? null : 'must be true or false');
+
+function oneOf(...options) {
+  return value => (options.includes(value) ? null : `must be one of: ${options.join(', ')}`);
+}
+
+function integer(min, max) {
+  return value =>
+    Number.isInteger(value) && value >= min && value <= max
+      ? null
+      : `must be a whole number from ${min} to ${max}`;
+}
+
+function arrayOf(length, validateItem) {
+  return value => {
+    if (!Array.isArray(value) || value.length !== length) {
+      return `must be a list of ${length} values`;
+    }
+    const index = value.findIndex(item => validateItem(item));
+    return index === -1 ? null : `item ${index + 1} ${validateItem(value[index])}`;
+  };
+}
+
+// Keys inside the nested `settings` object (see SETTINGS_DEFAULTS in settings-service.js)
+const NESTED_SETTINGS_SCHEMA = {
+  showNotifications: boolean,
+  showOverlay: boolean,
+  badgeEnabled: boolean,
+  notificationSound: oneOf('none', 'bell', 'chime', 'alert'),
+  compactMode: boolean,
+  autoSkipIntro: boolean,
+  skipIntroPlatforms: null, // Object of per-platform booleans, validated field by field
+  autoSkipAds: boolean,
+  autoPauseNext: boolean,
+  timerScope: oneOf('tab', 'all'),
+  fadeOutSeconds: integer(0, 120),
+  dimScreen: boolean,
+  checkInMinutes: integer(0, 5),
+  checkInExtendMinutes: integer(1, 120),
+  expiryAction: oneOf(...EXPIRY_ACTIONS),
+  exitFullscreen: boolean,
+  closeTabAfterMinutes: integer(0, 120),
+  systemAction: oneOf('none', 'lockScreen', 'displayOff', 'suspend'),
+  defaultTimer: integer(1, 1440),
+  siteProfiles: validateSiteProfiles
+};
+
+// Nested objects an import merges into instead of replacing
+const MERGED_NESTED_KEYS = ['skipIntroPlatforms', 'siteProfiles'];
+
+const SKIP_INTRO_PLATFORMS = ['netflix', 'crunchyroll', 'disney', 'prime', 'hbo', 'hulu'];
+
+// Importable top-level storage keys
+const SETTINGS_SCHEMA = {
+  'autoplay-theme': oneOf('dark', 'light', 'auto'),
+  timerPresets: arrayOf(4, integer(1, 86400)),
+  settings: null, // Nested object, validated field by field
+  bedtimeSchedules: null // List of schedules, validated entry by entry
+};
+
+// ============================================
+// MIGRATIONS
+// MIGRATIONS[n] upgrades a version n file to version n + 1
+// ============================================
+
+const MIGRATIONS = {
+  // The old export was the whole storage blob; its keys become the settings
+  1: data => ({ format: SETTINGS_FORMAT, schemaVersion: 2, settings: data }),
+
+  // Flat preference keys move into the nested settings object
+  2: data => {
+    if (!isPlainObject(data.settings)) {
+      return data;
+    }
+    const { settings: nested, moved } = foldLegacySettings(data.settings.settings, data.settings);
+    const settings = { ...data.settings };
+    moved.forEach(key => delete settings[key]);
+    if (moved.length) {
+      settings.settings = nested;
+    }
+    return { ...data, schemaVersion: 3, settings };
+  }
+};
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Error for files that can't be imported at all (as opposed to single invalid fields)
+ */
+class SettingsImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SettingsImportError';
+  }
+}
+
+/**
+ * Upgrade a parsed export file to the current schema version
+ * @param {Object} data - Parsed JSON
+ * @returns {{ document: Object, fromVersion: number }} document is a current-version file
+ * @throws {SettingsImportError} Not a settings file, or from a newer version of the extension
+ */
+function migrateSettingsDocument(data) {
+  if (!isPlainObject(data)) {
+    throw new SettingsImportError('The file does not contain a settings object');
+  }
+
+  const fromVersion = data.format === SETTINGS_FORMAT ? data.schemaVersion : 1;
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    throw new SettingsImportError('The file has an invalid schemaVersion');
+  }
+  if (fromVersion > SETTINGS_SCHEMA_VERSION) {
+    throw new SettingsImportError(
+      `The file is from a newer version of AutoPlay Control (schema ${fromVersion}); update the extension first`
+    );
+  }
+
+  let migrated = data;
+  for (let version = fromVersion; version < SETTINGS_SCHEMA_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+  if (!isPlainObject(migrated.settings)) {
+    throw new SettingsImportError('The file has no "settings" object');
+  }
+  return { document: migrated, fromVersion };
+}
+
+function validateSkipIntroPlatforms(value, report) {
+  if (!isPlainObject(value)) {
+    report('settings.skipIntroPlatforms', 'must be an object of true/false per platform');
+    return undefined;
+  }
+  const platforms = {};
+  for (const [platform, enabled] of Object.entries(value)) {
+    const field = `settings.skipIntroPlatforms.${platform}`;
+    if (!SKIP_INTRO_PLATFORMS.includes(platform)) {
+      report(field, 'is not a supported platform', true);
+    } else if (boolean(enabled)) {
+      report(field, boolean(enabled));
+    } else {
+      platforms[platform] = enabled;
+    }
+  }
+  return platforms;
+}
+
+function validateNestedSettings(value, report) {
+  if (!isPlainObject(value)) {
+    report('settings', 'must be an object');
+    return undefined;
+  }
+  const settings = {};
+  for (const [key, fieldValue] of Object.entries(value)) {
+    const field = `settings.${key}`;
+    if (!(key in NESTED_SETTINGS_SCHEMA)) {
+      report(field, 'is not an importable setting', true);
+    } else if (key === 'skipIntroPlatforms') {
+      const platforms = validateSkipIntroPlatforms(fieldValue, report);
+      if (platforms) {
+        settings[key] = platforms;
+      }
+    } else if (NESTED_SETTINGS_SCHEMA[key](fieldValue)) {
+      report(field, NESTED_SETTINGS_SCHEMA[key](fieldValue));
+    } else {
+      settings[key] = fieldValue;
+    }
+  }
+  return settings;
+}
+
+function validateBedtimeSchedules(value, report) {
+  if (!Array.isArray(value)) {
+    report('bedtimeSchedules', 'must be a list');
+    return undefined;
+  }
+  return value.filter((schedule, index) => {
+    const valid = isValidSchedule(schedule);
+    if (!valid) {
+      report(
+        `bedtimeSchedules[${index + 1}]`,
+        'is not a valid bedtime (check days, time and action)'
+      );
+    }
+    return valid;
+  });
+}
+
+function validateSetting(key, value, report) {
+  if (key === 'settings') {
+    return validateNestedSettings(value, report);
+  }
+  if (key === 'bedtimeSchedules') {
+    return validateBedtimeSchedules(value, report);
+  }
+  const error = SETTINGS_SCHEMA[key](value);
+  if (error) {
+    report(key, error);
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Migrate and validate an imported settings file
+ * Invalid fields are reported and left out; the rest can still be applied
+ *
+ * @param {Object} data - Parsed JSON from the file
+ * @returns {{ values: Object, errors: Array<{field: string, message: string}>,
+ *   ignored: string[], fromVersion: number }} values holds only valid, allow-listed keys
+ * @throws {SettingsImportError} When the file can't be imported at all
+ */
+function validateSettingsImport(data) {
+  const { document: migrated, fromVersion } = migrateSettingsDocument(data);
+  const values = {};
+  const errors = [];
+  const ignored = [];
+  const report = (field, message, isIgnored = false) => {
+    if (isIgnored) {
+      ignored.push(field);
+    } else {
+      errors.push({ field, message });
+    }
+  };
+
+  for (const [key, value] of Object.entries(migrated.settings)) {
+    if (!(key in SETTINGS_SCHEMA)) {
+      ignored.push(key);
+      continue;
+    }
+    const valid = validateSetting(key, value, report);
+    if (valid !== undefined) {
+      values[key] = valid;
+    }
+  }
+  return { values, errors, ignored, fromVersion };
+}
+
+/**
+ * Build an export file from the current storage contents (allow-listed keys only)
+ * @param {Object} stored - chrome.storage.local contents
+ * @returns {Object} Current-version settings document
+ */
+function buildSettingsExport(stored) {
+  const settings = {};
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    if (stored[key] !== undefined) {
+      settings[key] = stored[key];
+    }
+  }
+  return {
+    format: SETTINGS_FORMAT,
+    schemaVersion: SETTINGS_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings
+  };
+}
+
+/**
+ * Flatten nested objects into dotted paths ('settings.skipIntroPlatforms.netflix')
+ */
+function flattenSettings(values, prefix = '') {
+  const flat = {};
+  for (const [key, value] of Object.entries(values)) {
+    const path = `${prefix}${key}`;
+    if (isPlainObject(value)) {
+      Object.assign(flat, flattenSettings(value, `${path}.`));
+    } else {
+      flat[path] = value;
+    }
+  }
+  return flat;
+}
+
+/**
+ * Values as the extension reads them: the nested `settings` object with
+ * defaults filled in and wrongly typed values replaced (see normalizeSettings)
+ */
+function normalizeImportableSettings(values) {
+  return { ...values, settings: normalizeSettings(values.settings) };
+}
+
+/**
+ * What applying `incoming` would change, for the import preview
+ * Both sides are normalized, so a setting the user never changed compares as
+ * its default rather than "not set", and nested objects are compared per field
+ * since imports merge into them
+ *
+ * @param {Object} current - Current values of the imported keys
+ * @param {Object} incoming - Validated values (validateSettingsImport().values)
+ * @returns {Array<{field: string, before: any, after: any}>}
+ */
+function diffSettings(current, incoming) {
+  const before = flattenSettings(normalizeImportableSettings(current));
+  const after = flattenSettings(
+    normalizeImportableSettings(mergeImportedSettings(current, incoming))
+  );
+  return Object.keys(after)
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+}
+
+/**
+ * Storage values to write for an import: the nested `settings` object (and its
+ * MERGED_NESTED_KEYS) merge into the current ones, other keys are replaced
+ *
+ * @param {Object} current - Current values of the imported keys
+ * @param {Object} incoming - Validated values (validateSettingsImport().values)
+ * @returns {Object} Values for chrome.storage.local.set()
+ */
+function mergeImportedSettings(current, incoming) {
+  const merged = { ...incoming };
+  if (incoming.settings) {
+    const currentSettings = current.settings || {};
+    merged.settings = { ...currentSettings, ...incoming.settings };
+    MERGED_NESTED_KEYS.filter(key => incoming.settings[key]).forEach(key => {
+      merged.settings[key] = { ...currentSettings[key], ...incoming.settings[key] };
+    });
+  }
+  return merged;
+}
+
+export {
+  SETTINGS_FORMAT,
+  SETTINGS_SCHEMA_VERSION,
+  SETTINGS_SCHEMA,
+  SettingsImportError,
+  migrateSettingsDocument,
+  validateSettingsImport,
+  buildSettingsExport,
+  diffSettings,
+  mergeImportedSettings
+};
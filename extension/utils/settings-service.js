@@ -0,0 +1,182 @@
+/**
+ * Settings Service
+ * The single source of user preferences: the nested `settings` storage object
+ *
+ * Everything reads and writes preferences through here: the service worker and
+ * SleepTimerEngine, the popup and the settings page import it directly; content
+ * scripts get the same normalized object from the service worker's getSettings
+ * message and watch `settings` in chrome.storage.onChanged.
+ *
+ * Earlier versions of the settings page wrote some preferences as flat storage
+ * keys (LEGACY_FLAT_KEYS) that nothing else read; migrateLegacySettings() moves
+ * them into `settings` once, on install/update.
+ */
+
+const SETTINGS_KEY = 'settings';
+
+// Every preference with its default; stored values of a different type fall back to these
+const SETTINGS_DEFAULTS = {
+  showNotifications: true,
+  showOverlay: true,
+  badgeEnabled: true,
+  notificationSound: 'none',
+  compactMode: false,
+  autoSkipIntro: false,
+  skipIntroPlatforms: {
+    netflix: true,
+    crunchyroll: true,
+    disney: true,
+    prime: true,
+    hbo: true,
+    hulu: true
+  },
+  autoSkipAds: false,
+  autoPauseNext: false,
+  timerScope: 'tab',
+  fadeOutSeconds: 0,
+  dimScreen: false,
+  checkInMinutes: 0,
+  checkInExtendMinutes: 15,
+  expiryAction: 'pause', // See background/expiry-actions.js
+  exitFullscreen: false,
+  closeTabAfterMinutes: 0,
+  systemAction: 'none', // Needs the native host, see background/native-host.js
+  defaultTimer: 30,
+  siteProfiles: {} // Per-platform timer defaults, see site-profiles.js
+};
+
+// Top-level keys the settings page used to save instead of `settings` fields
+const LEGACY_FLAT_KEYS = [
+  'showNotifications',
+  'showOverlay',
+  'autoPauseNext',
+  'badgeEnabled',
+  'notificationSound',
+  'compactMode'
+];
+
+// Serializes read-modify-write updates so quick toggles don't overwrite each other
+let writeQueue = Promise.resolve();
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Stored settings with defaults filled in and wrongly typed values replaced
+ * @param {Object} [stored] - Raw `settings` storage value
+ * @returns {Object} A complete settings object (unknown keys dropped)
+ */
+function normalizeSettings(stored) {
+  const source = isPlainObject(stored) ? stored : {};
+  const settings = {};
+  for (const [key, fallback] of Object.entries(SETTINGS_DEFAULTS)) {
+    const value = source[key];
+    if (isPlainObject(fallback)) {
+      settings[key] = { ...fallback, ...(isPlainObject(value) ? value : {}) };
+    } else {
+      settings[key] = typeof value === typeof fallback ? value : fallback;
+    }
+  }
+  return settings;
+}
+
+/**
+ * Move legacy flat keys into a settings object (flat values win, since they are
+ * what the settings page showed and saved)
+ * @param {Object} [settings] - Current `settings` value
+ * @param {Object} flat - Object that may hold LEGACY_FLAT_KEYS
+ * @returns {{ settings: Object, moved: string[] }} moved lists the keys found in `flat`
+ */
+function foldLegacySettings(settings, flat) {
+  const moved = LEGACY_FLAT_KEYS.filter(key => flat[key] !== undefined);
+  const merged = { ...(isPlainObject(settings) ? settings : {}) };
+  for (const key of moved) {
+    merged[key] = flat[key];
+  }
+  return { settings: merged, moved };
+}
+
+/**
+ * Get every preference, with defaults
+ * @returns {Promise<Object>} See SETTINGS_DEFAULTS
+ */
+async function getSettings() {
+  try {
+    const { [SETTINGS_KEY]: stored } = await chrome.storage.local.get(SETTINGS_KEY);
+    return normalizeSettings(stored);
+  } catch (error) {
+    console.error('[AutoPlay] Failed to read settings:', error);
+    return normalizeSettings();
+  }
+}
+
+/**
+ * Merge preferences into the stored settings
+ * @param {Object} updates - Partial settings
+ * @returns {Promise<boolean>} Success status
+ */
+function updateSettings(updates) {
+  const write = writeQueue.then(async () => {
+    try {
+      const { [SETTINGS_KEY]: stored } = await chrome.storage.local.get(SETTINGS_KEY);
+      await chrome.storage.local.set({ [SETTINGS_KEY]: { ...stored, ...updates } });
+      return true;
+    } catch (error) {
+      console.error('[AutoPlay] Failed to save settings:', error);
+      return false;
+    }
+  });
+  writeQueue = write;
+  return write;
+}
+
+/**
+ * Call back whenever any context changes the settings
+ * @param {Function} callback - (settings, changedKeys) => void; settings are normalized
+ * @returns {Function} Removes the listener
+ */
+function onSettingsChanged(callback) {
+  const listener = (changes, areaName) => {
+    if (areaName !== 'local' || !changes[SETTINGS_KEY]) {
+      return;
+    }
+    const before = normalizeSettings(changes[SETTINGS_KEY].oldValue);
+    const after = normalizeSettings(changes[SETTINGS_KEY].newValue);
+    const changedKeys = Object.keys(after).filter(
+      key => JSON.stringify(before[key]) !== JSON.stringify(after[key])
+    );
+    if (changedKeys.length) {
+      callback(after, changedKeys);
+    }
+  };
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+}
+
+/**
+ * One-time move of the legacy flat keys into `settings` (no-op once they are gone)
+ * @returns {Promise<boolean>} Whether anything was migrated
+ */
+async function migrateLegacySettings() {
+  const stored = await chrome.storage.local.get([SETTINGS_KEY, ...LEGACY_FLAT_KEYS]);
+  const { settings, moved } = foldLegacySettings(stored[SETTINGS_KEY], stored);
+  if (!moved.length) {
+    return false;
+  }
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  await chrome.storage.local.remove(moved);
+  return true;
+}
+
+export {
+  SETTINGS_KEY,
+  SETTINGS_DEFAULTS,
+  LEGACY_FLAT_KEYS,
+  normalizeSettings,
+  foldLegacySettings,
+  getSettings,
+  updateSettings,
+  onSettingsChanged,
+  migrateLegacySettings
+};
@@ -0,0 +1,256 @@
+/**
+ * Settings Sync
+ * Optional cross-device sync of preferences through chrome.storage.sync
+ *
+ * chrome.storage.local stays the working copy: everything keeps reading and
+ * writing it, and this module mirrors SYNC_CONFIG.KEYS to and from sync
+ * storage. Only those preference keys ever leave the device (never timers,
+ * history or analytics ids).
+ *
+ * Each synced key is stored as { value, modifiedAt }. Local edit times are
+ * tracked in `syncMeta` even while sync is off, so turning it on later still
+ * resolves conflicts by which side changed last.
+ */
+
+const SYNC_CONFIG = {
+  KEYS: ['settings', 'timerPresets', 'autoplay-theme'],
+  ENABLED_KEY: 'syncEnabled', // Local only: each device opts in separately
+  META_KEY: 'syncMeta', // { [key]: last local edit time }
+  STATUS_KEY: 'syncStatus', // { lastSyncedAt, error }
+  PUSH_DELAY: 2000, // 2 seconds - batches quick edits into one sync write
+  // chrome.storage.sync limits, used when the API doesn't expose them
+  QUOTA_BYTES_PER_ITEM: 8192,
+  QUOTA_BYTES: 102400
+};
+
+let pushTimeout = null;
+
+function getQuota(name) {
+  return chrome.storage.sync[name] ?? SYNC_CONFIG[name];
+}
+
+/**
+ * Size sync storage counts against the quota: key plus JSON value, in bytes
+ */
+function getItemBytes(key, item) {
+  return new TextEncoder().encode(key + JSON.stringify(item)).length;
+}
+
+/**
+ * Which copy of a key to keep
+ * @param {{value: any, modifiedAt: number}} local
+ * @param {{value: any, modifiedAt: number}|undefined} remote - Synced item
+ * @returns {'local'|'remote'|null} null when both agree or neither has a value
+ */
+function resolveConflict(local, remote) {
+  const hasLocal = local.value !== undefined;
+  const hasRemote = remote?.value !== undefined;
+  if (!hasRemote) {
+    return hasLocal ? 'local' : null;
+  }
+  if (!hasLocal || remote.modifiedAt > local.modifiedAt) {
+    return 'remote';
+  }
+  if (JSON.stringify(local.value) === JSON.stringify(remote.value)) {
+    return null;
+  }
+  return local.modifiedAt > remote.modifiedAt ? 'local' : null;
+}
+
+async function isSyncEnabled() {
+  const { [SYNC_CONFIG.ENABLED_KEY]: enabled } = await chrome.storage.local.get(
+    SYNC_CONFIG.ENABLED_KEY
+  );
+  return enabled === true;
+}
+
+async function getSyncMeta() {
+  const { [SYNC_CONFIG.META_KEY]: meta } = await chrome.storage.local.get(SYNC_CONFIG.META_KEY);
+  return meta || {};
+}
+
+function saveSyncStatus(error = null) {
+  const status = { lastSyncedAt: error ? null : Date.now(), error };
+  return chrome.storage.local.set({ [SYNC_CONFIG.STATUS_KEY]: status });
+}
+
+/**
+ * Write items to sync storage, leaving out any that would exceed the quota
+ * @param {Object} items - { key: { value, modifiedAt } }
+ * @returns {Promise<string|null>} Error message, or null if everything was written
+ */
+async function pushItems(items) {
+  const writable = {};
+  const tooLarge = [];
+  let totalBytes = 0;
+  for (const [key, item] of Object.entries(items)) {
+    const bytes = getItemBytes(key, item);
+    if (bytes > getQuota('QUOTA_BYTES_PER_ITEM')) {
+      tooLarge.push(key);
+    } else {
+      writable[key] = item;
+      totalBytes += bytes;
+    }
+  }
+  if (totalBytes > getQuota('QUOTA_BYTES')) {
+    return 'Settings are too large to sync';
+  }
+  if (Object.keys(writable).length) {
+    try {
+      await chrome.storage.sync.set(writable);
+    } catch (error) {
+      // Quota or write-rate limits; the next change or sync retries
+      return error.message;
+    }
+  }
+  return tooLarge.length ? `Too large to sync: ${tooLarge.join(', ')}` : null;
+}
+
+/**
+ * Copy synced values into local storage
+ * syncMeta is written in the same call, which tells onLocalChange it isn't a user edit
+ */
+async function applyRemoteItems(items, meta) {
+  const values = {};
+  for (const [key, item] of Object.entries(items)) {
+    values[key] = item.value;
+    meta[key] = item.modifiedAt;
+  }
+  await chrome.storage.local.set({ ...values, [SYNC_CONFIG.META_KEY]: meta });
+}
+
+/**
+ * Reconcile every synced key in both directions (newest edit wins)
+ * @returns {Promise<string[]>} Keys updated from sync storage
+ */
+async function syncNow() {
+  const [localData, remoteData, meta] = await Promise.all([
+    chrome.storage.local.get(SYNC_CONFIG.KEYS),
+    chrome.storage.sync.get(SYNC_CONFIG.KEYS),
+    getSyncMeta()
+  ]);
+
+  const toPush = {};
+  const toApply = {};
+  for (const key of SYNC_CONFIG.KEYS) {
+    const local = { value: localData[key], modifiedAt: meta[key] || 0 };
+    const winner = resolveConflict(local, remoteData[key]);
+    if (winner === 'remote') {
+      toApply[key] = remoteData[key];
+    } else if (winner === 'local') {
+      // Never-edited values get a timestamp now, so other devices take them over
+      meta[key] = meta[key] || Date.now();
+      toPush[key] = { value: local.value, modifiedAt: meta[key] };
+    }
+  }
+
+  await applyRemoteItems(toApply, meta);
+  const error = await pushItems(toPush);
+  await saveSyncStatus(error);
+  return Object.keys(toApply);
+}
+
+function schedulePush() {
+  clearTimeout(pushTimeout);
+  pushTimeout = setTimeout(() => {
+    pushTimeout = null;
+    syncNow().catch(error => saveSyncStatus(error.message));
+  }, SYNC_CONFIG.PUSH_DELAY);
+}
+
+/**
+ * Record local edits of synced keys and push them if sync is on
+ * @param {Object} changes - chrome.storage.onChanged changes for the local area
+ */
+async function onLocalChange(changes) {
+  if (changes[SYNC_CONFIG.META_KEY]) {
+    return;
+  }
+  const edited = SYNC_CONFIG.KEYS.filter(key => changes[key]);
+  if (!edited.length) {
+    return;
+  }
+  const meta = await getSyncMeta();
+  const now = Date.now();
+  edited.forEach(key => {
+    meta[key] = now;
+  });
+  await chrome.storage.local.set({ [SYNC_CONFIG.META_KEY]: meta });
+  if (await isSyncEnabled()) {
+    schedulePush();
+  }
+}
+
+/**
+ * Take synced values that are newer than the local copy
+ * @param {Object} changes - chrome.storage.onChanged changes for the sync area
+ * @returns {Promise<string[]>} Keys updated locally
+ */
+async function onRemoteChange(changes) {
+  const changed = SYNC_CONFIG.KEYS.filter(key => changes[key]?.newValue);
+  if (!changed.length || !(await isSyncEnabled())) {
+    return [];
+  }
+  const [localData, meta] = await Promise.all([chrome.storage.local.get(changed), getSyncMeta()]);
+  const toApply = {};
+  for (const key of changed) {
+    const local = { value: localData[key], modifiedAt: meta[key] || 0 };
+    if (resolveConflict(local, changes[key].newValue) === 'remote') {
+      toApply[key] = changes[key].newValue;
+    }
+  }
+  if (Object.keys(toApply).length) {
+    await applyRemoteItems(toApply, meta);
+  }
+  return Object.keys(toApply);
+}
+
+/**
+ * Turn sync on or off for this device; turning it on reconciles right away
+ * @param {boolean} enabled
+ * @returns {Promise<string[]>} Keys updated from sync storage
+ */
+async function setSyncEnabled(enabled) {
+  await chrome.storage.local.set({ [SYNC_CONFIG.ENABLED_KEY]: enabled });
+  return enabled ? syncNow() : [];
+}
+
+/**
+ * @returns {Promise<{enabled: boolean, status: {lastSyncedAt: number|null, error: string|null}|null}>}
+ */
+async function getSyncState() {
+  const data = await chrome.storage.local.get([SYNC_CONFIG.ENABLED_KEY, SYNC_CONFIG.STATUS_KEY]);
+  return {
+    enabled: data[SYNC_CONFIG.ENABLED_KEY] === true,
+    status: data[SYNC_CONFIG.STATUS_KEY] || null
+  };
+}
+
+/**
+ * Listen for local edits and synced changes (service worker, once per lifetime)
+ * @param {Function} [onApplied] - Called with the keys updated from another device
+ */
+function initSettingsSync(onApplied = () => {}) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local') {
+      onLocalChange(changes).catch(error =>
+        console.warn('[AutoPlay] Failed to record settings change:', error.message)
+      );
+    } else if (areaName === 'sync') {
+      onRemoteChange(changes)
+        .then(keys => keys.length && onApplied(keys))
+        .catch(error => saveSyncStatus(error.message));
+    }
+  });
+}
+
+export {
+  SYNC_CONFIG,
+  resolveConflict,
+  syncNow,
+  onLocalChange,
+  onRemoteChange,
+  setSyncEnabled,
+  getSyncState,
+  initSettingsSync
+};
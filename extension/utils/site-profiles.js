@@ -0,0 +1,174 @@
+/**
+ * Site Profiles
+ * Per-platform timer defaults, stored as `siteProfiles` in the nested settings
+ * object and keyed by the platform ids from SleepTimerEngine.detectPlatform()
+ *
+ * A profile may set any of:
+ * - mode + minutes / episodes: the timer started from the popup's clock button
+ * - fadeOutSeconds: overrides the global fade-out setting (0 = off)
+ * - expiryAction: overrides the global expiryAction setting, e.g. 'mute' or 'close'
+ *   for live streams that can't be paused
+ *
+ * Used by the service worker (SleepTimerEngine) and the settings page (as ES6 module)
+ */
+
+import { getSettings } from './settings-service.js';
+
+// Platform ids that can have a profile, with their display names
+const PROFILE_PLATFORMS = {
+  netflix: 'Netflix',
+  youtube: 'YouTube',
+  disney: 'Disney+',
+  amazon: 'Prime Video',
+  hbo: 'Max',
+  crunchyroll: 'Crunchyroll',
+  twitch: 'Twitch',
+  hulu: 'Hulu'
+};
+
+// Also the values of the global expiryAction setting (see background/expiry-actions.js)
+const EXPIRY_ACTIONS = ['pause', 'mute', 'lowerVolume', 'close', 'goodnight'];
+
+const PROFILE_LIMITS = {
+  MAX_MINUTES: 1440,
+  MAX_EPISODES: 10,
+  MAX_FADE_OUT: 120
+};
+
+function isWholeNumber(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+function validateProfileTimer(profile) {
+  if (profile.mode === undefined) {
+    return null;
+  }
+  if (profile.mode === 'duration') {
+    return isWholeNumber(profile.minutes, 1, PROFILE_LIMITS.MAX_MINUTES)
+      ? null
+      : `minutes must be a whole number from 1 to ${PROFILE_LIMITS.MAX_MINUTES}`;
+  }
+  if (profile.mode === 'episode') {
+    return isWholeNumber(profile.episodes, 1, PROFILE_LIMITS.MAX_EPISODES)
+      ? null
+      : `episodes must be a whole number from 1 to ${PROFILE_LIMITS.MAX_EPISODES}`;
+  }
+  return 'mode must be duration or episode';
+}
+
+/**
+ * Check one profile's fields
+ * @param {Object} profile
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSiteProfile(profile) {
+  if (typeof profile !== 'object' || profile === null || Array.isArray(profile)) {
+    return 'must be an object';
+  }
+  if (
+    profile.fadeOutSeconds !== undefined &&
+    !isWholeNumber(profile.fadeOutSeconds, 0, PROFILE_LIMITS.MAX_FADE_OUT)
+  ) {
+    return `fadeOutSeconds must be a whole number from 0 to ${PROFILE_LIMITS.MAX_FADE_OUT}`;
+  }
+  if (profile.expiryAction !== undefined && !EXPIRY_ACTIONS.includes(profile.expiryAction)) {
+    return `expiryAction must be one of: ${EXPIRY_ACTIONS.join(', ')}`;
+  }
+  return validateProfileTimer(profile);
+}
+
+/**
+ * Check a whole profile map (settings import)
+ * @param {Object} profiles - { [platform]: profile }
+ * @returns {string|null} Error message for the first invalid profile, or null
+ */
+function validateSiteProfiles(profiles) {
+  if (typeof profiles !== 'object' || profiles === null || Array.isArray(profiles)) {
+    return 'must be an object of profiles per platform';
+  }
+  for (const [platform, profile] of Object.entries(profiles)) {
+    if (!(platform in PROFILE_PLATFORMS)) {
+      return `${platform} is not a supported platform`;
+    }
+    const error = validateSiteProfile(profile);
+    if (error) {
+      return `${platform}: ${error}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * The saved profile for a platform
+ * @param {string} platform - Platform id
+ * @returns {Promise<Object|null>} null when the platform has no (valid) profile
+ */
+async function getSiteProfile(platform) {
+  const { siteProfiles } = await getSettings();
+  const profile = siteProfiles[platform];
+  return profile && !validateSiteProfile(profile) ? profile : null;
+}
+
+/**
+ * Apply a profile to a timer request
+ * 'timer' uses the profile's default timer (if it has one) and behavior;
+ * 'behavior' keeps the requested timer and only takes fade-out and expiry action
+ *
+ * @param {{mode: string, minutes: number, episodes: number}} request
+ * @param {Object|null} profile
+ * @param {'timer'|'behavior'} use
+ * @returns {{mode: string, minutes: number, episodes: number, fadeOutSeconds?: number,
+ *   expiryAction?: string}}
+ */
+function applySiteProfile(request, profile, use) {
+  if (!profile) {
+    return request;
+  }
+  const applied = { ...request };
+  if (use === 'timer' && profile.mode) {
+    applied.mode = profile.mode;
+    applied.minutes = profile.mode === 'duration' ? profile.minutes : 0;
+    applied.episodes = profile.mode === 'episode' ? profile.episodes : 0;
+  }
+  if (profile.fadeOutSeconds !== undefined) {
+    applied.fadeOutSeconds = profile.fadeOutSeconds;
+  }
+  if (profile.expiryAction) {
+    applied.expiryAction = profile.expiryAction;
+  }
+  return applied;
+}
+
+/**
+ * Mode, length and behavior of a new timer, with the site profile applied if requested
+ * @param {number} minutes - Requested duration (ignored for episode timers)
+ * @param {{mode?: string, episodes?: number, useProfile?: 'timer'|'behavior'}} options
+ * @param {string} platform - Platform id of the timer's tab
+ * @returns {Promise<Object>} The applied request plus durationSeconds and episodes (0 when unused)
+ */
+async function resolveTimerRequest(minutes, options, platform) {
+  const requested = {
+    mode: options.mode === 'episode' ? 'episode' : 'duration',
+    minutes,
+    episodes: options.episodes || 1
+  };
+  const profile = options.useProfile ? await getSiteProfile(platform) : null;
+  const request = applySiteProfile(requested, profile, options.useProfile);
+  const isEpisode = request.mode === 'episode';
+  return {
+    ...request,
+    durationSeconds: isEpisode ? 0 : Math.round(request.minutes * 60),
+    episodes: isEpisode ? request.episodes : 0
+  };
+}
+
+export {
+  PROFILE_PLATFORMS,
+  EXPIRY_ACTIONS,
+  PROFILE_LIMITS,
+  validateSiteProfile,
+  validateSiteProfiles,
+  getSiteProfile,
+  applySiteProfile,
+  resolveTimerRequest
+};
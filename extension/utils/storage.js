@@ -3,17 +3,18 @@
  * Wrapper around chrome.storage.local with type safety and defaults
  */
 
+import { SETTINGS_DEFAULTS, getSettings, updateSettings } from './settings-service.js';
+
 // Default values for all stored data
 const DEFAULTS = {
-  settings: {
-    showNotifications: true,
-    showOverlay: true,
-    autoSkipIntro: false,
-    autoSkipAds: false,
-    autoPauseNext: false,
-    defaultTimer: 30
+  settings: SETTINGS_DEFAULTS,
+  activeTimers: {},
+  bedtimeSchedules: [],
+  timerHistory: [],
+  skipStats: {
+    introsSkipped: 0,
+    adsSkipped: 0
   },
-  activeTimer: null,
   selectorConfig: null,
   lastSynced: null
 };
@@ -64,44 +65,25 @@ export async function remove(key) {
   }
 }
 
-/**
- * Get settings with defaults merged
- * @returns {Promise<object>} Settings object
- */
-export async function getSettings() {
-  const stored = await get('settings');
-  return { ...DEFAULTS.settings, ...stored };
-}
+// Preferences are read and written through the settings service
+export { getSettings, updateSettings };
 
 /**
- * Update settings (merge with existing)
- * @param {object} updates - Partial settings to update
- * @returns {Promise<boolean>} Success status
+ * Get every running timer's state (written by SleepTimerEngine)
+ * @returns {Promise<object>} Timer states keyed by tab id
  */
-export async function updateSettings(updates) {
-  const current = await getSettings();
-  const merged = { ...current, ...updates };
-  return set('settings', merged);
+export function getActiveTimers() {
+  return get('activeTimers');
 }
 
 /**
- * Get active timer state
+ * Get the timer state for one tab
+ * @param {number} tabId - Tab id
  * @returns {Promise<object|null>} Timer state or null
  */
-export async function getActiveTimer() {
-  return get('activeTimer');
-}
-
-/**
- * Set active timer state
- * @param {object|null} timer - Timer state or null to clear
- * @returns {Promise<boolean>} Success status
- */
-export async function setActiveTimer(timer) {
-  if (timer === null) {
-    return remove('activeTimer');
-  }
-  return set('activeTimer', timer);
+export async function getActiveTimer(tabId) {
+  const timers = await getActiveTimers();
+  return timers[tabId] ?? null;
 }
 
 /**
@@ -133,8 +115,8 @@ export const Storage = {
   remove,
   getSettings,
   updateSettings,
+  getActiveTimers,
   getActiveTimer,
-  setActiveTimer,
   getSelectorConfig,
   clearAll,
   DEFAULTS
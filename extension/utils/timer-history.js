@@ -0,0 +1,159 @@
+/**
+ * Timer History
+ * One record per timer session, written by the service worker's TabTimer
+ * and browsed (filtered, deleted) on the settings page's History tab
+ *
+ * Stored under `timerHistory`, newest first:
+ * { id, site, platform, title, mode, scope, source,
+ *   requestedSeconds, requestedEpisodes?, actualSeconds, startedAt, endedAt,
+ *   outcome: null (running) | 'expired' | 'stopped' | 'replaced' | 'tabClosed',
+ *   events: [{ type: 'start'|'extend'|'pause'|'resume'|'stop'|'expire', at, ... }],
+ *   episodes?, checkIns? }
+ *
+ * The log is capped by count and age; both are enforced on every write.
+ */
+
+const HISTORY_KEY = 'timerHistory';
+
+const HISTORY_LIMITS = {
+  MAX_ENTRIES: 500, // Oldest sessions are dropped beyond this
+  MAX_AGE_DAYS: 90 // Sessions older than this are dropped
+};
+
+const HISTORY_OUTCOMES = {
+  expired: 'Expired',
+  stopped: 'Stopped',
+  replaced: 'Replaced',
+  tabClosed: 'Tab closed'
+};
+
+// Writes are chained so concurrent events (several tabs, tick + alarm) never drop each other
+let writeQueue = Promise.resolve();
+
+/**
+ * Drop sessions beyond the count and age limits
+ * @param {Object[]} entries - Newest first
+ * @param {number} [now]
+ * @returns {Object[]}
+ */
+function pruneHistory(entries, now = Date.now()) {
+  const cutoff = now - HISTORY_LIMITS.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  return entries.filter(entry => entry.startedAt >= cutoff).slice(0, HISTORY_LIMITS.MAX_ENTRIES);
+}
+
+/**
+ * All recorded sessions, newest first
+ * @returns {Promise<Object[]>}
+ */
+async function getTimerHistory() {
+  try {
+    const { [HISTORY_KEY]: entries } = await chrome.storage.local.get(HISTORY_KEY);
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    console.warn('[Viboot] Failed to read timer history:', error);
+    return [];
+  }
+}
+
+/**
+ * Read-modify-write the history, serialized with every other write
+ * @param {Function} change - Receives the entries, returns the new entries
+ * @returns {Promise<void>} Never rejects; history is best effort
+ */
+function updateHistory(change) {
+  writeQueue = writeQueue
+    .then(async () => {
+      const entries = change(await getTimerHistory());
+      await chrome.storage.local.set({ [HISTORY_KEY]: pruneHistory(entries) });
+    })
+    .catch(error => console.warn('[Viboot] Failed to update timer history:', error));
+  return writeQueue;
+}
+
+function updateSession(sessionId, change) {
+  return updateHistory(entries => {
+    const entry = entries.find(session => session.id === sessionId);
+    // Sessions deleted by the user (or pruned) while running stay deleted
+    if (entry) {
+      change(entry);
+    }
+    return entries;
+  });
+}
+
+/**
+ * Open a history record for a timer that just started
+ * @param {Object} state - TabTimer state
+ * @param {string} [title] - Page title of the timer's tab
+ */
+function recordTimerStart(state, title = '') {
+  const entry = {
+    id: state.sessionId,
+    site: state.site || '',
+    platform: state.platform || 'generic',
+    title,
+    mode: state.mode,
+    scope: state.scope || 'tab',
+    source: state.source || 'manual',
+    requestedSeconds: state.duration,
+    actualSeconds: null,
+    startedAt: state.startTime,
+    endedAt: null,
+    outcome: null,
+    events: [{ type: 'start', at: state.startTime }]
+  };
+  if (state.mode === 'episode') {
+    entry.requestedEpisodes = state.episodes;
+  }
+  return updateHistory(entries => [entry, ...entries]);
+}
+
+/**
+ * Append an extend, pause or resume event to a running session
+ * @param {string} sessionId
+ * @param {string} type - 'extend', 'pause' or 'resume'
+ * @param {Object} [details] - e.g. { minutes } or { reason }
+ */
+function recordTimerEvent(sessionId, type, details = {}) {
+  return updateSession(sessionId, entry => {
+    entry.events.push({ type, at: Date.now(), ...details });
+  });
+}
+
+/**
+ * Close a session with how it ended and how long it actually ran
+ * @param {string} sessionId
+ * @param {string} outcome - Key of HISTORY_OUTCOMES
+ * @param {Object} details - { actualSeconds, episodes?, checkIns? }
+ */
+function recordTimerEnd(sessionId, outcome, details) {
+  const endedAt = Date.now();
+  return updateSession(sessionId, entry => {
+    Object.assign(entry, details, { outcome, endedAt });
+    entry.events.push({ type: outcome === 'expired' ? 'expire' : 'stop', at: endedAt, outcome });
+  });
+}
+
+/**
+ * @param {string} sessionId
+ */
+function deleteHistoryEntry(sessionId) {
+  return updateHistory(entries => entries.filter(entry => entry.id !== sessionId));
+}
+
+function clearTimerHistory() {
+  return updateHistory(() => []);
+}
+
+export {
+  HISTORY_KEY,
+  HISTORY_LIMITS,
+  HISTORY_OUTCOMES,
+  pruneHistory,
+  getTimerHistory,
+  recordTimerStart,
+  recordTimerEvent,
+  recordTimerEnd,
+  deleteHistoryEntry,
+  clearTimerHistory
+};
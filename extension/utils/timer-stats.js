@@ -0,0 +1,291 @@
+/**
+ * Timer Stats
+ * Sleep and viewing statistics computed from the timer history log
+ * (see timer-history.js). Pure functions over the stored entries: nothing
+ * is fetched, so the Stats tab works offline and with analytics disabled.
+ *
+ * Bedtimes are measured from noon, so 23:30 and 00:30 average to midnight
+ * and a timer that expires after midnight counts toward the night before.
+ */
+
+import { getSiteDisplayName } from './config.js';
+
+const STATS_CONFIG = {
+  WEEKS: 8, // Weeks shown in the viewing chart
+  BEDTIME_NIGHTS: 14, // Nights shown in the bedtime chart
+  BEDTIME_DAYS: 30 // Window for the average bedtime and timer outcome rates
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HALF_DAY_MINUTES = 12 * 60;
+
+/**
+ * Local midnight starting the Monday week that contains `date`
+ */
+function getWeekStart(date) {
+  const daysSinceMonday = (date.getDay() + 6) % 7;
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysSinceMonday);
+}
+
+/**
+ * Calendar date of the night a timestamp belongs to (00:00-11:59 counts as the night before)
+ */
+function getNight(timestamp) {
+  const shifted = new Date(timestamp - DAY_MS / 2);
+  return new Date(shifted.getFullYear(), shifted.getMonth(), shifted.getDate());
+}
+
+/**
+ * 'YYYY-MM-DD' of a night's local date
+ */
+function getNightKey(night) {
+  const month = String(night.getMonth() + 1).padStart(2, '0');
+  const day = String(night.getDate()).padStart(2, '0');
+  return `${night.getFullYear()}-${month}-${day}`;
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Minutes after noon (0-1439) of a timestamp's local clock time
+ */
+function getMinutesFromNoon(timestamp) {
+  const date = new Date(timestamp);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return (minutes + HALF_DAY_MINUTES) % (2 * HALF_DAY_MINUTES);
+}
+
+function isFinished(entry) {
+  return Boolean(entry.outcome);
+}
+
+function isExpired(entry) {
+  return entry.outcome === 'expired' && Boolean(entry.endedAt);
+}
+
+/**
+ * Average expiry time of the given sessions, in minutes after noon (null if none expired)
+ */
+function getAverageBedtime(entries) {
+  const expired = entries.filter(isExpired);
+  const total = expired.reduce((sum, entry) => sum + getMinutesFromNoon(entry.endedAt), 0);
+  return expired.length ? Math.round(total / expired.length) : null;
+}
+
+/**
+ * "Stopped early" is anything that didn't run out: stopped, replaced or tab closed
+ */
+function countOutcomes(entries) {
+  const finished = entries.filter(isFinished);
+  return {
+    finished: finished.length,
+    extended: finished.filter(entry => entry.events.some(event => event.type === 'extend')).length,
+    stoppedEarly: finished.filter(entry => entry.outcome !== 'expired').length
+  };
+}
+
+/**
+ * Longest run of consecutive nights in a set of night keys
+ */
+function getLongestStreak(nights) {
+  let longest = 0;
+  for (const key of nights) {
+    const [year, month, day] = key.split('-').map(Number);
+    const start = new Date(year, month - 1, day);
+    // Only count runs from their first night
+    if (nights.has(getNightKey(addDays(start, -1)))) {
+      continue;
+    }
+    let length = 1;
+    while (nights.has(getNightKey(addDays(start, length)))) {
+      length++;
+    }
+    longest = Math.max(longest, length);
+  }
+  return longest;
+}
+
+function getExpiredNights(entries) {
+  return new Set(entries.filter(isExpired).map(entry => getNightKey(getNight(entry.endedAt))));
+}
+
+function getPlatformLabel(entry) {
+  return entry.site ? getSiteDisplayName(entry.site) : entry.platform || 'Other';
+}
+
+/**
+ * Viewing time per platform for each of the last STATS_CONFIG.WEEKS weeks
+ * Sessions count toward the week they started in
+ *
+ * @returns {{ weeks: Array<{start: Date, totals: Object, total: number}>, platforms: string[] }}
+ *   platforms are ordered by total viewing time, most watched first
+ */
+function getWeeklyViewing(entries, now) {
+  const thisWeek = getWeekStart(new Date(now));
+  const weeks = [];
+  for (let i = STATS_CONFIG.WEEKS - 1; i >= 0; i--) {
+    weeks.push({ start: addDays(thisWeek, -7 * i), totals: {}, total: 0 });
+  }
+
+  const platformTotals = {};
+  for (const entry of entries.filter(isFinished)) {
+    const weekStart = getWeekStart(new Date(entry.startedAt)).getTime();
+    const week = weeks.find(candidate => candidate.start.getTime() === weekStart);
+    if (!week || !entry.actualSeconds) {
+      continue;
+    }
+    const platform = getPlatformLabel(entry);
+    week.totals[platform] = (week.totals[platform] || 0) + entry.actualSeconds;
+    week.total += entry.actualSeconds;
+    platformTotals[platform] = (platformTotals[platform] || 0) + entry.actualSeconds;
+  }
+
+  const platforms = Object.keys(platformTotals).sort(
+    (a, b) => platformTotals[b] - platformTotals[a]
+  );
+  return { weeks, platforms };
+}
+
+/**
+ * Bedtime (clock time the timer expired) of the last STATS_CONFIG.BEDTIME_NIGHTS nights
+ * and the average over STATS_CONFIG.BEDTIME_DAYS days
+ *
+ * @returns {{ average: number|null, nights: Array<{night: Date, minutesFromNoon: number|null}> }}
+ *   Times are minutes after noon; a night uses its latest expiry
+ */
+function getBedtimes(entries, now) {
+  const expired = entries.filter(isExpired);
+  const average = getAverageBedtime(
+    expired.filter(entry => now - entry.endedAt <= STATS_CONFIG.BEDTIME_DAYS * DAY_MS)
+  );
+
+  const latestByNight = {};
+  for (const entry of expired) {
+    const key = getNightKey(getNight(entry.endedAt));
+    latestByNight[key] = Math.max(latestByNight[key] ?? 0, getMinutesFromNoon(entry.endedAt));
+  }
+
+  const tonight = getNight(now);
+  const nights = [];
+  for (let i = STATS_CONFIG.BEDTIME_NIGHTS - 1; i >= 0; i--) {
+    const night = addDays(tonight, -i);
+    nights.push({ night, minutesFromNoon: latestByNight[getNightKey(night)] ?? null });
+  }
+  return { average, nights };
+}
+
+/**
+ * How finished timers ended over the last STATS_CONFIG.BEDTIME_DAYS days
+ *
+ * @returns {{ finished: number, extended: number, stoppedEarly: number }} Counts
+ */
+function getOutcomeCounts(entries, now) {
+  return countOutcomes(
+    entries.filter(entry => now - entry.startedAt <= STATS_CONFIG.BEDTIME_DAYS * DAY_MS)
+  );
+}
+
+/**
+ * Consecutive nights with a timer that ran out
+ * The current streak survives until tonight is over, so it isn't reset at noon
+ *
+ * @returns {{ current: number, longest: number }}
+ */
+function getStreaks(entries, now) {
+  const nights = getExpiredNights(entries);
+
+  let night = getNight(now);
+  if (!nights.has(getNightKey(night))) {
+    night = addDays(night, -1);
+  }
+  let current = 0;
+  while (nights.has(getNightKey(night))) {
+    current++;
+    night = addDays(night, -1);
+  }
+
+  return { current, longest: getLongestStreak(nights) };
+}
+
+/**
+ * Every statistic shown on the Stats tab
+ * @param {Object[]} entries - Timer history entries
+ * @param {number} [now]
+ */
+function computeTimerStats(entries, now = Date.now()) {
+  return {
+    viewing: getWeeklyViewing(entries, now),
+    bedtimes: getBedtimes(entries, now),
+    outcomes: getOutcomeCounts(entries, now),
+    streaks: getStreaks(entries, now)
+  };
+}
+
+/**
+ * Totals for a set of sessions (e.g. an export's date range), independent of the current date
+ * @param {Object[]} entries - Timer history entries
+ * @returns {{ sessions: number, viewingSeconds: number, platforms: Object, averageBedtime: number|null,
+ *   finished: number, extended: number, stoppedEarly: number, longestStreak: number }}
+ */
+function summarizeTimerHistory(entries) {
+  const platforms = {};
+  let viewingSeconds = 0;
+  for (const entry of entries.filter(isFinished)) {
+    const platform = getPlatformLabel(entry);
+    platforms[platform] = (platforms[platform] || 0) + (entry.actualSeconds || 0);
+    viewingSeconds += entry.actualSeconds || 0;
+  }
+  return {
+    sessions: entries.length,
+    viewingSeconds,
+    platforms,
+    averageBedtime: getAverageBedtime(entries),
+    ...countOutcomes(entries),
+    longestStreak: getLongestStreak(getExpiredNights(entries))
+  };
+}
+
+/**
+ * One row per night with a finished timer, oldest first
+ * Sessions belong to the night they ended in; bedtime is that night's latest expiry
+ *
+ * @param {Object[]} entries - Timer history entries
+ * @returns {Array<{night: string, sessions: number, viewingSeconds: number,
+ *   bedtime: number|null, extended: number, stoppedEarly: number}>} night is 'YYYY-MM-DD'
+ */
+function getNightlySummary(entries) {
+  const byNight = new Map();
+  for (const entry of entries.filter(isFinished)) {
+    const night = getNightKey(getNight(entry.endedAt || entry.startedAt));
+    byNight.set(night, [...(byNight.get(night) || []), entry]);
+  }
+
+  return [...byNight.keys()].sort().map(night => {
+    const sessions = byNight.get(night);
+    const expiries = sessions.filter(isExpired).map(entry => getMinutesFromNoon(entry.endedAt));
+    const { extended, stoppedEarly } = countOutcomes(sessions);
+    return {
+      night,
+      sessions: sessions.length,
+      viewingSeconds: sessions.reduce((sum, entry) => sum + (entry.actualSeconds || 0), 0),
+      bedtime: expiries.length ? Math.max(...expiries) : null,
+      extended,
+      stoppedEarly
+    };
+  });
+}
+
+/**
+ * Format minutes after noon as a local clock time ("11:30 PM" / "23:30")
+ * @param {number} minutesFromNoon
+ * @returns {string}
+ */
+function formatBedtime(minutesFromNoon) {
+  const minutes = (minutesFromNoon + HALF_DAY_MINUTES) % (2 * HALF_DAY_MINUTES);
+  const date = new Date(2000, 0, 1, Math.floor(minutes / 60), minutes % 60);
+  return date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+}
+
+export { STATS_CONFIG, computeTimerStats, summarizeTimerHistory, getNightlySummary, formatBedtime };
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * AutoPlay Video Control - Native Messaging Host
+ * Reference host for the extension's system actions: when a sleep timer runs
+ * out, the service worker sends { command } and the host locks the screen,
+ * turns the display off or suspends the machine.
+ *
+ * Protocol (Chrome native messaging): every message is a 32-bit little-endian
+ * length followed by that many bytes of UTF-8 JSON, on stdin/stdout. Only
+ * messages may go to stdout; logs go to stderr.
+ *
+ * Commands: ping, lockScreen, displayOff, suspend
+ * With --dry-run (or AUTOPLAY_HOST_DRY_RUN=1) commands succeed without running
+ * anything - the stub host for testing the extension side.
+ */
+
+const { execFile } = require('child_process');
+
+const HOST_VERSION = '1.0.0';
+
+// Turns the monitor off (WM_SYSCOMMAND / SC_MONITORPOWER, broadcast)
+const WINDOWS_DISPLAY_OFF =
+  '(Add-Type -MemberDefinition \'[DllImport("user32.dll")] public static extern int ' +
+  "SendMessage(int hWnd, int msg, int wParam, int lParam);' -Name Display -Namespace AutoPlay " +
+  '-PassThru)::SendMessage(0xFFFF, 0x0112, 0xF170, 2)';
+
+// [file, args] per command and platform
+const SYSTEM_COMMANDS = {
+  linux: {
+    lockScreen: ['loginctl', ['lock-session']],
+    displayOff: ['xset', ['dpms', 'force', 'off']],
+    suspend: ['systemctl', ['suspend']]
+  },
+  darwin: {
+    // Locks when "Require password after screen saver begins" is set to immediately
+    lockScreen: ['pmset', ['displaysleepnow']],
+    displayOff: ['pmset', ['displaysleepnow']],
+    suspend: ['pmset', ['sleepnow']]
+  },
+  win32: {
+    lockScreen: ['rundll32.exe', ['user32.dll,LockWorkStation']],
+    displayOff: ['powershell.exe', ['-NoProfile', '-Command', WINDOWS_DISPLAY_OFF]],
+    // Hibernates instead when hibernation is turned on
+    suspend: ['rundll32.exe', ['powrprof.dll,SetSuspendState', '0,1,0']]
+  }
+};
+
+const COMMAND_TIMEOUT = 10000; // 10 seconds
+
+/**
+ * Frame a message for stdout
+ * @param {Object} message
+ * @returns {Buffer}
+ */
+function encodeMessage(message) {
+  const body = Buffer.from(JSON.stringify(message), 'utf8');
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(body.length, 0);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Split stdin chunks into messages (a message can span chunks)
+ * @param {Function} onMessage - Called with each parsed message, or null if it isn't valid JSON
+ * @returns {Function} Feed it stdin chunks
+ */
+function createMessageReader(onMessage) {
+  let buffered = Buffer.alloc(0);
+  return chunk => {
+    buffered = Buffer.concat([buffered, chunk]);
+    while (buffered.length >= 4) {
+      const length = buffered.readUInt32LE(0);
+      if (buffered.length < 4 + length) {
+        return;
+      }
+      const body = buffered.subarray(4, 4 + length).toString('utf8');
+      buffered = buffered.subarray(4 + length);
+      let message = null;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        // Answered with an error below
+      }
+      onMessage(message);
+    }
+  };
+}
+
+function runSystemCommand([file, args], exec) {
+  return new Promise(resolve => {
+    exec(file, args, { timeout: COMMAND_TIMEOUT }, error => {
+      resolve(error ? { success: false, error: error.message } : { success: true });
+    });
+  });
+}
+
+/**
+ * Answer one request from the extension
+ * @param {{command: string}|null} request
+ * @param {{platform?: string, dryRun?: boolean, exec?: Function}} [options]
+ * @returns {Promise<Object>} { success, error } plus details for ping
+ */
+function handleRequest(request, options = {}) {
+  const { platform = process.platform, dryRun = false, exec = execFile } = options;
+  const commands = SYSTEM_COMMANDS[platform] || {};
+  const command = request?.command;
+
+  if (command === 'ping') {
+    return Promise.resolve({
+      success: true,
+      version: HOST_VERSION,
+      platform,
+      commands: Object.keys(commands),
+      dryRun
+    });
+  }
+  if (!commands[command]) {
+    return Promise.resolve({ success: false, error: `Unsupported command: ${command}` });
+  }
+  if (dryRun) {
+    console.error(`[AutoPlay Host] Dry run: ${command}`);
+    return Promise.resolve({ success: true, dryRun });
+  }
+  return runSystemCommand(commands[command], exec);
+}
+
+function main() {
+  const dryRun = process.argv.includes('--dry-run') || process.env.AUTOPLAY_HOST_DRY_RUN === '1';
+  const pending = [];
+
+  const readMessages = createMessageReader(request => {
+    const reply = handleRequest(request, { dryRun }).then(response => {
+      process.stdout.write(encodeMessage(response));
+    });
+    pending.push(reply);
+  });
+
+  process.stdin.on('data', readMessages);
+  // Chrome closes stdin once it has its answer (or the port is disconnected)
+  process.stdin.on('end', () => {
+    Promise.all(pending).then(() => process.exit(0));
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  HOST_VERSION,
+  SYSTEM_COMMANDS,
+  encodeMessage,
+  createMessageReader,
+  handleRequest
+};
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * AutoPlay Video Control - Native Host Installer
+ * Registers host.js with Chrome for the current user
+ *
+ * Usage: node install.js <extension-id> [--dry-run] [--uninstall]
+ *
+ * Writes a launcher next to host.js (Chrome starts hosts with a minimal PATH,
+ * so it calls this Node binary by absolute path) and the host manifest where
+ * Chrome looks for it. --dry-run registers the stub host, which answers every
+ * command without running it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const TEMPLATE_PATH = path.join(__dirname, 'com.viboot.autoplay_host.json');
+const HOST_NAME = 'com.viboot.autoplay_host';
+const WINDOWS_REGISTRY_KEY = `HKCU\\Software\\Google\\Chrome\\NativeMessagingHosts\\${HOST_NAME}`;
+
+// Per-user manifest folders; Windows uses the registry key above instead
+const MANIFEST_DIRS = {
+  linux: [
+    path.join(os.homedir(), '.config/google-chrome/NativeMessagingHosts'),
+    path.join(os.homedir(), '.config/chromium/NativeMessagingHosts')
+  ],
+  darwin: [
+    path.join(os.homedir(), 'Library/Application Support/Google/Chrome/NativeMessagingHosts'),
+    path.join(os.homedir(), 'Library/Application Support/Chromium/NativeMessagingHosts')
+  ]
+};
+
+function writeLauncher(dryRun) {
+  const hostPath = path.join(__dirname, 'host.js');
+  const flag = dryRun ? ' --dry-run' : '';
+  if (process.platform === 'win32') {
+    const launcher = path.join(__dirname, 'launcher.bat');
+    fs.writeFileSync(launcher, `@echo off\r\n"${process.execPath}" "${hostPath}"${flag} %*\r\n`);
+    return launcher;
+  }
+  const launcher = path.join(__dirname, 'launcher.sh');
+  fs.writeFileSync(launcher, `#!/bin/sh\nexec "${process.execPath}" "${hostPath}"${flag} "$@"\n`);
+  fs.chmodSync(launcher, 0o755);
+  return launcher;
+}
+
+function buildManifest(extensionId, launcher) {
+  const manifest = JSON.parse(fs.readFileSync(TEMPLATE_PATH, 'utf8'));
+  manifest.path = launcher;
+  manifest.allowed_origins = [`chrome-extension://${extensionId}/`];
+  return `${JSON.stringify(manifest, null, 2)}\n`;
+}
+
+function install(extensionId, dryRun) {
+  const manifest = buildManifest(extensionId, writeLauncher(dryRun));
+
+  if (process.platform === 'win32') {
+    const manifestPath = path.join(__dirname, `${HOST_NAME}.local.json`);
+    fs.writeFileSync(manifestPath, manifest);
+    execFileSync('reg', [
+      'add',
+      WINDOWS_REGISTRY_KEY,
+      '/ve',
+      '/t',
+      'REG_SZ',
+      '/d',
+      manifestPath,
+      '/f'
+    ]);
+    return [manifestPath];
+  }
+
+  const dirs = MANIFEST_DIRS[process.platform];
+  if (!dirs) {
+    throw new Error(`Unsupported platform: ${process.platform}`);
+  }
+  // Always Chrome; Chromium only if it's installed
+  return dirs
+    .filter((dir, index) => index === 0 || fs.existsSync(path.dirname(dir)))
+    .map(dir => {
+      fs.mkdirSync(dir, { recursive: true });
+      const manifestPath = path.join(dir, `${HOST_NAME}.json`);
+      fs.writeFileSync(manifestPath, manifest);
+      return manifestPath;
+    });
+}
+
+function uninstall() {
+  if (process.platform === 'win32') {
+    execFileSync('reg', ['delete', WINDOWS_REGISTRY_KEY, '/f']);
+    return;
+  }
+  (MANIFEST_DIRS[process.platform] || []).forEach(dir => {
+    fs.rmSync(path.join(dir, `${HOST_NAME}.json`), { force: true });
+  });
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--uninstall')) {
+    uninstall();
+    console.log('AutoPlay native host removed.');
+    return;
+  }
+
+  const extensionId = args.find(arg => !arg.startsWith('--'));
+  if (!/^[a-p]{32}$/.test(extensionId || '')) {
+    console.error('Usage: node install.js <extension-id> [--dry-run] [--uninstall]');
+    console.error('The extension id is shown on chrome://extensions with Developer mode on.');
+    process.exit(1);
+  }
+
+  const dryRun = args.includes('--dry-run');
+  const written = install(extensionId, dryRun);
+  console.log(`AutoPlay native host registered${dryRun ? ' (dry run)' : ''}:`);
+  written.forEach(file => console.log(`  ${file}`));
+  console.log('Use "Test Connection" in the extension settings (Advanced tab) to check it.');
+}
+
+main();
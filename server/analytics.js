@@ -1,47 +1,46 @@
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
+const { createStorage } = require('./storage');
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL || '',
-  process.env.SUPABASE_ANON_KEY || ''
-);
+// Storage backend, picked by ANALYTICS_STORAGE (see storage/index.js)
+const storage = createStorage();
 
-// Check if Supabase is configured
+// Check if the storage backend is configured
 const isConfigured = () => {
-  return process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY;
+  return storage.isConfigured();
 };
 
+// Map an event to a telemetry_events row
+function toRow(eventData) {
+  return {
+    event_name: eventData.event,
+    extension_version: eventData.extensionVersion,
+    platform: eventData.platform,
+    success: eventData.success,
+    duration_ms: eventData.duration,
+    retry_count: eventData.retryCount || 0,
+    error_type: eventData.errorType,
+    error_message: eventData.errorMessage,
+    user_agent: eventData.userAgent
+  };
+}
+
 // Log telemetry event
 async function logEvent(eventData) {
+  return logEvents([eventData]);
+}
+
+// Log several telemetry events in one insert (all or nothing)
+async function logEvents(events) {
   if (!isConfigured()) {
-    console.warn('[Analytics] Supabase not configured, skipping telemetry');
+    console.warn(`[Analytics] ${storage.name} storage not configured, skipping telemetry`);
     return { success: false, error: 'Not configured' };
   }
 
   try {
-    const { data, error } = await supabase
-      .from('telemetry_events')
-      .insert([{
-        event_name: eventData.event,
-        extension_version: eventData.extensionVersion,
-        platform: eventData.platform,
-        success: eventData.success,
-        duration_ms: eventData.duration,
-        retry_count: eventData.retryCount || 0,
-        error_type: eventData.errorType,
-        error_message: eventData.errorMessage,
-        user_agent: eventData.userAgent
-      }]);
-
-    if (error) {
-      console.error('[Analytics] Failed to log event:', error);
-      return { success: false, error: error.message };
-    }
-
-    return { success: true, data };
+    await storage.insertEvents(events.map(toRow));
+    return { success: true };
   } catch (error) {
-    console.error('[Analytics] Exception logging event:', error);
+    console.error('[Analytics] Failed to log events:', error);
     return { success: false, error: error.message };
   }
 }
@@ -53,13 +52,8 @@ async function getMetricsSummary(days = 7) {
   }
 
   try {
-    const { data, error } = await supabase
-      .from('metrics_summary')
-      .select('*')
-      .gte('date', new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0])
-      .order('date', { ascending: false });
-
-    if (error) throw error;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const data = await storage.getMetricsSummary(since);
     return { success: true, data };
   } catch (error) {
     console.error('[Analytics] Failed to get metrics:', error);
@@ -74,11 +68,7 @@ async function getPlatformStats() {
   }
 
   try {
-    const { data, error } = await supabase
-      .from('platform_stats')
-      .select('*');
-
-    if (error) throw error;
+    const data = await storage.getPlatformStats();
     return { success: true, data };
   } catch (error) {
     console.error('[Analytics] Failed to get platform stats:', error);
@@ -93,12 +83,7 @@ async function getRecentErrors(limit = 50) {
   }
 
   try {
-    const { data, error } = await supabase
-      .from('recent_errors')
-      .select('*')
-      .limit(limit);
-
-    if (error) throw error;
+    const data = await storage.getRecentErrors(limit);
     return { success: true, data };
   } catch (error) {
     console.error('[Analytics] Failed to get recent errors:', error);
@@ -115,18 +100,13 @@ async function getQuickStats() {
   try {
     const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
 
-    const { data, error } = await supabase
-      .from('telemetry_events')
-      .select('event_name, success, duration_ms')
-      .gte('created_at', yesterday);
-
-    if (error) throw error;
+    const data = await storage.getEventsSince(yesterday);
 
     // Calculate stats
     const total = data.length;
     const successful = data.filter(e => e.success).length;
     const failed = total - successful;
-    const avgDuration = data.reduce((sum, e) => sum + (e.duration_ms || 0), 0) / total;
+    const avgDuration = total > 0 ? data.reduce((sum, e) => sum + (e.duration_ms || 0), 0) / total : 0;
 
     const eventCounts = data.reduce((acc, e) => {
       acc[e.event_name] = (acc[e.event_name] || 0) + 1;
@@ -152,9 +132,10 @@ async function getQuickStats() {
 }
 
 module.exports = {
-  supabase,
+  storage,
   isConfigured,
   logEvent,
+  logEvents,
   getMetricsSummary,
   getPlatformStats,
   getRecentErrors,
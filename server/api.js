@@ -2,27 +2,81 @@ const express = require('express');
 const cors = require('cors');
 const configData = require('./config-data');
 const analytics = require('./analytics');
+const {
+  createSelectorStore,
+  ledgerFileFromEnv,
+  contentHash,
+  validateSelectors,
+  PLATFORM_NAME
+} = require('./selector-store');
+const { SIGNATURE_HEADERS, loadSigningKey } = require('./selector-signing');
+const { buildEventData, logTelemetryBatch } = require('./telemetry-batch');
+
+// Throws in production without SELECTOR_LEDGER_FILE, so the server doesn't start
+const selectorStore = createSelectorStore({ ledgerFile: ledgerFileFromEnv(), seed: configData });
+
+// Without a key, selectors go out unsigned and the extension keeps its cached config
+const signingKey = loadSigningKey();
 
 const app = express();
-app.use(cors()); // Allow requests from any domain (crucial for extensions)
+app.use(cors({ exposedHeaders: ['ETag', SIGNATURE_HEADERS.SIGNATURE, SIGNATURE_HEADERS.KEY_ID] })); // Allow requests from any domain (crucial for extensions)
 app.use(express.json()); // Parse JSON bodies
+app.set('etag', false); // Selector routes set content-hash ETags themselves
 
 // ============================================
 // CONFIG ENDPOINTS
 // ============================================
 
-app.get('/api/selectors', (req, res) => {
+// True if an If-None-Match header lists this ETag (or *)
+const matchesEtag = (header, etag) => {
+  if (!header) return false;
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .some(tag => tag === '*' || tag === etag);
+};
+
+// Send signed JSON with a content-hash ETag, or 304 if the client already has it
+const sendVersioned = (req, res, body) => {
+  const etag = `"${contentHash(body)}"`;
   // Cache for 5 minutes (300s), but allow serving stale data for 10 mins (600s)
   // while fetching new data in background.
   res.set('Cache-Control', 'public, max-age=300, stale-while-revalidate=600');
-  res.json(configData);
+  res.set('ETag', etag);
+
+  if (matchesEtag(req.headers['if-none-match'], etag)) {
+    return res.status(304).end();
+  }
+
+  // The signature covers these exact bytes, so send the string as-is
+  const json = JSON.stringify(body);
+  if (signingKey) {
+    res.set(SIGNATURE_HEADERS.SIGNATURE, signingKey.sign(json));
+    res.set(SIGNATURE_HEADERS.KEY_ID, signingKey.keyId);
+  }
+  res.type('application/json').send(json);
+};
+
+app.get('/api/selectors', (req, res) => {
+  sendVersioned(req, res, selectorStore.getConfig());
+});
+
+app.get('/api/selectors/:platform', (req, res) => {
+  const platform = selectorStore.getPlatform(req.params.platform);
+  if (!platform) {
+    return res.status(404).json({
+      error: `Unknown platform: ${req.params.platform}`,
+      platforms: selectorStore.listPlatforms()
+    });
+  }
+  sendVersioned(req, res, platform);
 });
 
 // ============================================
 // TELEMETRY ENDPOINTS
 // ============================================
 
-// Log telemetry event
+// Log telemetry event (single { event, data } or a batch { events: [...] })
 app.post('/api/telemetry', async (req, res) => {
   if (!analytics.isConfigured()) {
     return res.status(200).json({ 
@@ -31,25 +85,22 @@ app.post('/api/telemetry', async (req, res) => {
     });
   }
 
+  if (Array.isArray(req.body.events)) {
+    const { status, body } = await logTelemetryBatch(
+      req.body,
+      req.headers['user-agent'],
+      analytics.logEvents
+    );
+    return res.status(status).json(body);
+  }
+
   const { event, data, extensionVersion, timestamp } = req.body;
 
   if (!event || !data) {
     return res.status(400).json({ error: 'Missing required fields: event, data' });
   }
 
-  // Extract common fields
-  const eventData = {
-    event,
-    extensionVersion: extensionVersion || 'unknown',
-    platform: data.platform,
-    success: data.success !== undefined ? data.success : true,
-    duration: data.duration,
-    retryCount: data.retryCount,
-    errorType: data.errorType,
-    errorMessage: data.errorMessage,
-    userAgent: req.headers['user-agent']
-  };
-
+  const eventData = buildEventData(event, data, extensionVersion, req.headers['user-agent']);
   const result = await analytics.logEvent(eventData);
   res.status(result.success ? 200 : 500).json(result);
 });
@@ -101,12 +152,105 @@ app.get('/api/metrics/errors', requireAuth, async (req, res) => {
   res.json(result);
 });
 
+// ============================================
+// SELECTOR ADMIN ENDPOINTS (Auth required)
+// ============================================
+
+// Writes change what gets clicked on users' pages, so unlike the metrics
+// they are never open, even without ADMIN_TOKEN
+const requireAdminToken = (req, res, next) => {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Set ADMIN_TOKEN to edit selectors' });
+  }
+  next();
+};
+
+// Version number from a query or body value, or null if it isn't a positive integer
+const parseVersion = value => (/^[1-9]\d*$/.test(String(value)) ? Number(value) : null);
+
+// Current selectors with the version each platform last changed in
+app.get('/api/admin/selectors', requireAuth, (req, res) => {
+  const { version, timestamp } = selectorStore.getConfig();
+  const platforms = selectorStore.listPlatforms().map(name => selectorStore.getPlatform(name));
+  res.json({ success: true, data: { version, timestamp, platforms } });
+});
+
+// Change history with per-key diffs, newest first (?platform=netflix&limit=50)
+app.get('/api/admin/selectors/history', requireAuth, (req, res) => {
+  const limit = parseInt(req.query.limit) || 50;
+  const data = selectorStore.getHistory({ platform: req.query.platform, limit });
+  res.json({ success: true, data });
+});
+
+// Diff between two versions (?from=1&to=3)
+app.get('/api/admin/selectors/diff', requireAuth, (req, res) => {
+  const from = parseVersion(req.query.from);
+  const to = parseVersion(req.query.to);
+  if (from === null || to === null) {
+    return res.status(400).json({ error: 'from and to must be version numbers' });
+  }
+  if (!selectorStore.getVersion(from) || !selectorStore.getVersion(to)) {
+    return res.status(404).json({ error: 'Unknown version in from/to' });
+  }
+  res.json({ success: true, data: { from, to, changes: selectorStore.diffVersions(from, to) } });
+});
+
+// Create or replace a platform's selectors: { selectors: { nextButton: '...' }, note }
+app.put('/api/admin/selectors/:platform', requireAdminToken, requireAuth, (req, res) => {
+  const { platform } = req.params;
+  const { selectors, note } = req.body || {};
+
+  if (!PLATFORM_NAME.test(platform)) {
+    return res.status(400).json({ error: 'Platform names are lowercase letters, digits, - and _' });
+  }
+  const error = validateSelectors(selectors);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const created = !selectorStore.getPlatform(platform);
+  const entry = selectorStore.setPlatform(platform, selectors, { note });
+  if (!entry) {
+    return res.json({ success: true, unchanged: true, data: selectorStore.getPlatform(platform) });
+  }
+  console.log(`[Selectors] ${platform} ${created ? 'created' : 'updated'} in version ${entry.version}`);
+  res.status(created ? 201 : 200).json({ success: true, data: selectorStore.getPlatform(platform) });
+});
+
+// Restore a platform's selectors from an earlier version: { version, note }
+app.post('/api/admin/selectors/:platform/rollback', requireAdminToken, requireAuth, (req, res) => {
+  const { platform } = req.params;
+  const { note } = req.body || {};
+  const version = parseVersion(req.body?.version);
+
+  if (!PLATFORM_NAME.test(platform)) {
+    return res.status(400).json({ error: 'Platform names are lowercase letters, digits, - and _' });
+  }
+  if (version === null) {
+    return res.status(400).json({ error: 'version must be a version number' });
+  }
+  if (!selectorStore.getVersion(version)) {
+    return res.status(404).json({ error: 'Unknown version' });
+  }
+  if (!selectorStore.getPlatformAt(platform, version)) {
+    return res.status(404).json({ error: `${platform} has no selectors in version ${version}` });
+  }
+
+  const entry = selectorStore.rollbackPlatform(platform, version, { note });
+  if (!entry) {
+    return res.json({ success: true, unchanged: true, data: selectorStore.getPlatform(platform) });
+  }
+  console.log(`[Selectors] ${platform} rolled back to version ${version} as version ${entry.version}`);
+  res.json({ success: true, data: selectorStore.getPlatform(platform) });
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
-    version: configData.version,
+    version: selectorStore.getConfig().version,
     analytics: analytics.isConfigured() ? 'enabled' : 'disabled',
+    analyticsStorage: analytics.storage.name,
     timestamp: new Date().toISOString()
   });
 });
@@ -114,5 +258,6 @@ app.get('/api/health', (req, res) => {
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`AutoPlay Server running on port ${PORT}`);
-  console.log(`Analytics: ${analytics.isConfigured() ? 'ENABLED ✓' : 'DISABLED (set SUPABASE_URL and SUPABASE_ANON_KEY)'}`);
+  console.log(`Selector signing: ${signingKey ? `key ${signingKey.keyId}` : 'DISABLED (set SELECTOR_SIGNING_KEY, see npm run keygen)'}`);
+  console.log(`Analytics: ${analytics.isConfigured() ? `ENABLED ✓ (${analytics.storage.name})` : 'DISABLED (set SUPABASE_URL and SUPABASE_ANON_KEY, or ANALYTICS_STORAGE=json|memory)'}`);
 });
\ No newline at end of file
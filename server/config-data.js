@@ -1,19 +1,23 @@
     // this is the file i update when netflix change their site for global push
+// version and timestamp come from the selector ledger (see selector-store.js):
+// platforms changed here become the next version when the server starts. Quick
+// fixes can also be made in the dashboard's Selectors tab without a redeploy.
 const SITE_CONFIG = {
-  version: "1.0.0",
-  timestamp: new Date().toISOString(),
   platforms: {
     netflix: {
       playerContainer: ".nfp-chrome-player-layer",
       // The button ID usually found during credits
       nextButton: "[data-uia='next-episode-seamless-button']",
+      // "Watch credits" stops the seamless countdown
+      cancelAutoplayButton: "[data-uia='watch-credits-seamless-button']",
       skipIntroButton: "[data-uia='player-skip-intro']"
     },
     youtube: {
       playerContainer: "#movie_player",
       // Multiple fallbacks for YouTube's ad skip button
       skipAdButton: ".ytp-ad-skip-button, .ytp-ad-skip-button-modern, .videoAdUiSkipButton",
-      autonavScreen: ".ytp-autonav-endscreen-countdown-overlay"
+      autonavScreen: ".ytp-autonav-endscreen-countdown-overlay",
+      cancelAutoplayButton: ".ytp-autonav-endscreen-upnext-cancel-button"
     }
   }
 };
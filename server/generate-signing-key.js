@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+// Generate an Ed25519 key pair for signing /api/selectors responses
+//
+//   npm run keygen
+//
+// The private key goes in the server's environment, the public key in the
+// extension's pinned keys. Nothing is written to disk.
+
+const { generateSigningKey } = require('./selector-signing');
+
+const { privateKey, publicKey, keyId } = generateSigningKey();
+
+console.log(`Selector signing key ${keyId}
+
+1. Add to PINNED_KEYS in extension/utils/config-signature.js, next to the
+   current key, and release the extension:
+
+    '${keyId}': '${publicKey}'
+
+2. Once that release is out, put the private key in the server environment
+   (.env locally, Render dashboard in production). Keep it secret:
+
+SELECTOR_SIGNING_KEY=${privateKey}
+
+3. Remove the previous key from PINNED_KEYS in a later release.`);
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+// Ed25519 signatures for /api/selectors responses
+//
+// The signature covers the exact response body and goes in headers, so the
+// payload itself is unchanged. The extension only accepts bodies signed by a
+// key pinned in extension/utils/config-signature.js.
+//
+// Key: SELECTOR_SIGNING_KEY, base64 PKCS#8 DER (npm run keygen prints one)
+
+const SIGNATURE_HEADERS = {
+  SIGNATURE: 'X-Selector-Signature',
+  KEY_ID: 'X-Selector-Key-Id'
+};
+
+// Raw 32-byte public key, base64 (the format pinned in the extension)
+function rawPublicKey(publicKey) {
+  const { x } = publicKey.export({ format: 'jwk' });
+  return Buffer.from(x, 'base64url').toString('base64');
+}
+
+// Short id so the extension can pin several keys while rotating
+function keyIdFor(rawKeyBase64) {
+  return crypto
+    .createHash('sha256')
+    .update(Buffer.from(rawKeyBase64, 'base64'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+// Returns { keyId, publicKey, sign(body) }, or null if no key is configured
+function loadSigningKey(encodedKey = process.env.SELECTOR_SIGNING_KEY) {
+  if (!encodedKey) {
+    return null;
+  }
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.from(encodedKey, 'base64'),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error('SELECTOR_SIGNING_KEY must be an Ed25519 key (run npm run keygen)');
+  }
+  const publicKey = rawPublicKey(crypto.createPublicKey(privateKey));
+
+  return {
+    keyId: keyIdFor(publicKey),
+    publicKey,
+    sign: body => crypto.sign(null, Buffer.from(body), privateKey).toString('base64')
+  };
+}
+
+function generateSigningKey() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  const raw = rawPublicKey(publicKey);
+  return {
+    privateKey: privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64'),
+    publicKey: raw,
+    keyId: keyIdFor(raw)
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADERS,
+  loadSigningKey,
+  generateSigningKey,
+  keyIdFor
+};
@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Versioned selector config behind /api/selectors
+//
+// Every change to the platforms gets the next integer version in a ledger file
+// (default server/data/selector-versions.json, git-ignored runtime state) so
+// versions only ever go up for as long as that file is kept. Changes come from:
+// - config-data.js: platforms edited there since the last import are imported
+//   when the server starts (seedHashes remembers what was imported)
+// - the admin API: update or roll back one platform
+//
+// Ledger: { seedHashes, versions: [{ version, timestamp, hash, platforms, change }] },
+// oldest first. change: { type: 'import' | 'update' | 'rollback', platforms, note?, from? }
+
+const PLATFORM_NAME = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const SELECTOR_LIMITS = {
+  MAX_KEYS: 30,
+  MAX_KEY_LENGTH: 60,
+  MAX_SELECTOR_LENGTH: 500
+};
+const DEFAULT_LEDGER_FILE = path.join(__dirname, 'data', 'selector-versions.json');
+
+// Ledger path from SELECTOR_LEDGER_FILE. Production must set it: the default is
+// inside the deploy, so every deploy would start again at version 1
+function ledgerFileFromEnv(env = process.env) {
+  if (env.SELECTOR_LEDGER_FILE) {
+    return path.resolve(env.SELECTOR_LEDGER_FILE);
+  }
+  if (env.NODE_ENV === 'production') {
+    throw new Error('SELECTOR_LEDGER_FILE must be set in production (a path on a persistent disk)');
+  }
+  return DEFAULT_LEDGER_FILE;
+}
+
+// JSON with sorted keys, so equal content always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function contentHash(value) {
+  return crypto.createHash('sha256').update(canonicalJson(value)).digest('hex');
+}
+
+const hashPlatforms = platforms =>
+  Object.fromEntries(Object.entries(platforms).map(([name, value]) => [name, contentHash(value)]));
+
+// Returns an error message, or null if the selector set can be published
+function validateSelectors(selectors) {
+  if (!selectors || typeof selectors !== 'object' || Array.isArray(selectors)) {
+    return 'selectors must be an object of name → CSS selector';
+  }
+  const entries = Object.entries(selectors);
+  if (entries.length === 0 || entries.length > SELECTOR_LIMITS.MAX_KEYS) {
+    return `selectors must have 1-${SELECTOR_LIMITS.MAX_KEYS} entries`;
+  }
+  for (const [key, selector] of entries) {
+    if (!/^[A-Za-z][A-Za-z0-9]*$/.test(key) || key.length > SELECTOR_LIMITS.MAX_KEY_LENGTH) {
+      return `Invalid selector name: ${key}`;
+    }
+    if (typeof selector !== 'string' || !selector.trim()) {
+      return `${key} must be a non-empty string`;
+    }
+    if (selector.length > SELECTOR_LIMITS.MAX_SELECTOR_LENGTH) {
+      return `${key} is longer than ${SELECTOR_LIMITS.MAX_SELECTOR_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+// Per-key changes between two selector sets (either may be missing)
+function diffSelectors(before = {}, after = {}) {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  return keys
+    .filter(key => before[key] !== after[key])
+    .map(key => {
+      let type = 'changed';
+      if (!(key in before)) type = 'added';
+      else if (!(key in after)) type = 'removed';
+      return { key, type, before: before[key] ?? null, after: after[key] ?? null };
+    });
+}
+
+function loadLedger(ledgerFile) {
+  try {
+    const ledger = JSON.parse(fs.readFileSync(ledgerFile, 'utf8'));
+    if (Array.isArray(ledger.versions)) {
+      return ledger;
+    }
+    console.warn(`[Selectors] ${ledgerFile} has no versions, starting a new ledger`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(
+        `[Selectors] Could not read ${ledgerFile}, starting a new ledger:`,
+        error.message
+      );
+    }
+  }
+  return { seedHashes: {}, versions: [] };
+}
+
+function createSelectorStore({ ledgerFile, seed }) {
+  const ledger = loadLedger(ledgerFile);
+
+  const save = () => {
+    try {
+      fs.mkdirSync(path.dirname(ledgerFile), { recursive: true });
+      fs.writeFileSync(ledgerFile, `${JSON.stringify(ledger, null, 2)}\n`);
+    } catch (error) {
+      // Read-only deploys keep serving the version from memory
+      console.warn(`[Selectors] Could not write ${ledgerFile}:`, error.message);
+    }
+  };
+
+  const latest = () => ledger.versions[ledger.versions.length - 1];
+  const findVersion = version => ledger.versions.find(entry => entry.version === version);
+  const hasPlatform = (platforms, name) => Object.prototype.hasOwnProperty.call(platforms, name);
+
+  // Add a version unless the platforms are already the latest
+  const publish = (platforms, change) => {
+    const hash = contentHash(platforms);
+    if (latest()?.hash === hash) {
+      return null;
+    }
+    const entry = {
+      version: (latest()?.version || 0) + 1,
+      timestamp: new Date().toISOString(),
+      hash,
+      platforms,
+      change
+    };
+    ledger.versions.push(entry);
+    save();
+    return entry;
+  };
+
+  // Platforms added, edited or removed in config-data.js since the last import
+  const importSeed = () => {
+    const seedHashes = hashPlatforms(seed.platforms);
+    const previous = ledger.seedHashes || {};
+    const changed = Object.keys({ ...previous, ...seedHashes }).filter(
+      name => previous[name] !== seedHashes[name]
+    );
+    if (changed.length === 0 && latest()) {
+      return;
+    }
+
+    const platforms = { ...latest()?.platforms };
+    changed.forEach(name => {
+      if (name in seed.platforms) {
+        platforms[name] = seed.platforms[name];
+      } else {
+        delete platforms[name];
+      }
+    });
+    ledger.seedHashes = seedHashes;
+    const entry = publish(platforms, { type: 'import', platforms: changed });
+    save();
+    if (entry) {
+      console.log(`[Selectors] config-data.js imported as version ${entry.version}`);
+    }
+  };
+
+  // The version in which a platform's selectors last changed
+  const platformEntry = name => {
+    const hash = contentHash(latest().platforms[name]);
+    let since = latest();
+    for (let i = ledger.versions.length - 2; i >= 0; i--) {
+      const platforms = ledger.versions[i].platforms;
+      if (!(name in platforms) || contentHash(platforms[name]) !== hash) {
+        break;
+      }
+      since = ledger.versions[i];
+    }
+    return since;
+  };
+
+  // One history item: what changed in a version compared to the one before
+  const describeVersion = (entry, index) => {
+    const before = index > 0 ? ledger.versions[index - 1].platforms : {};
+    const names = [...new Set([...Object.keys(before), ...Object.keys(entry.platforms)])];
+    const changes = {};
+    names.forEach(name => {
+      const diff = diffSelectors(before[name], entry.platforms[name]);
+      if (diff.length > 0) {
+        changes[name] = diff;
+      }
+    });
+    const { version, timestamp, change = null } = entry;
+    return { version, timestamp, change, changes };
+  };
+
+  importSeed();
+
+  return {
+    // { version, timestamp, platforms } - the body of GET /api/selectors
+    getConfig() {
+      const { version, timestamp, platforms } = latest();
+      return { version, timestamp, platforms };
+    },
+
+    // { platform, version, timestamp, selectors }, or null for an unknown platform
+    getPlatform(name) {
+      const { platforms } = latest();
+      if (!hasPlatform(platforms, name)) {
+        return null;
+      }
+      const { version, timestamp } = platformEntry(name);
+      return { platform: name, version, timestamp, selectors: platforms[name] };
+    },
+
+    listPlatforms() {
+      return Object.keys(latest().platforms);
+    },
+
+    // Platforms of a past version, or null
+    getVersion(version) {
+      const entry = findVersion(version);
+      return entry ? { version, timestamp: entry.timestamp, platforms: entry.platforms } : null;
+    },
+
+    // One platform's selectors in a past version, or null
+    getPlatformAt(name, version) {
+      const entry = findVersion(version);
+      return entry && hasPlatform(entry.platforms, name) ? entry.platforms[name] : null;
+    },
+
+    /**
+     * Create or replace one platform's selectors (validate them first)
+     * @returns {Object|null} The new version, or null if nothing changed
+     */
+    setPlatform(name, selectors, { note } = {}) {
+      const platforms = { ...latest().platforms, [name]: selectors };
+      return publish(platforms, { type: 'update', platforms: [name], note: note || null });
+    },
+
+    /**
+     * Restore one platform's selectors from an earlier version
+     * @returns {Object|null} The new version, or null if already the same
+     * @throws {Error} If the platform has no selectors in that version
+     */
+    rollbackPlatform(name, fromVersion, { note } = {}) {
+      const selectors = this.getPlatformAt(name, fromVersion);
+      if (!selectors) {
+        throw new Error(`${name} has no selectors in version ${fromVersion}`);
+      }
+      const platforms = { ...latest().platforms, [name]: selectors };
+      const change = { type: 'rollback', platforms: [name], from: fromVersion, note: note || null };
+      return publish(platforms, change);
+    },
+
+    // Newest first; with a platform, only the versions that changed it
+    getHistory({ platform, limit = 50 } = {}) {
+      return ledger.versions
+        .map(describeVersion)
+        .filter(item => !platform || item.changes[platform])
+        .reverse()
+        .slice(0, limit);
+    },
+
+    // Per-platform changes between two versions
+    diffVersions(from, to) {
+      const before = findVersion(from).platforms;
+      const after = findVersion(to).platforms;
+      const names = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+      return Object.fromEntries(
+        names
+          .map(name => [name, diffSelectors(before[name], after[name])])
+          .filter(([, diff]) => diff.length > 0)
+      );
+    }
+  };
+}
+
+module.exports = {
+  createSelectorStore,
+  ledgerFileFromEnv,
+  canonicalJson,
+  contentHash,
+  diffSelectors,
+  validateSelectors,
+  PLATFORM_NAME,
+  SELECTOR_LIMITS
+};
@@ -0,0 +1,49 @@
+const path = require('path');
+
+// Analytics storage backends. Each one implements:
+//
+//   name                       'supabase' | 'json' | 'memory'
+//   isConfigured()             false disables analytics (routes answer "Not configured")
+//   insertEvents(rows)         store telemetry_events rows in one go
+//   getMetricsSummary(since)   metrics_summary rows with date >= since (YYYY-MM-DD), newest first
+//   getPlatformStats()         platform_stats rows
+//   getRecentErrors(limit)     recent_errors rows
+//   getEventsSince(iso)        telemetry_events rows created at or after iso
+//
+// Methods throw on failure; analytics.js turns that into { success: false, error }.
+//
+// Selected with environment variables:
+//   ANALYTICS_STORAGE     supabase (default) | json | memory
+//   ANALYTICS_DATA_FILE   json file path (default: server/data/telemetry.json)
+//   ANALYTICS_MAX_EVENTS  events kept by json/memory (default: 10000)
+//   SUPABASE_URL, SUPABASE_ANON_KEY  for supabase
+
+const BACKENDS = ['supabase', 'json', 'memory'];
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'data', 'telemetry.json');
+
+function createStorage(env = process.env) {
+  const backend = (env.ANALYTICS_STORAGE || 'supabase').toLowerCase();
+  const maxEvents = parseInt(env.ANALYTICS_MAX_EVENTS) || undefined;
+
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown ANALYTICS_STORAGE "${backend}" (use ${BACKENDS.join(', ')})`);
+  }
+
+  if (backend === 'memory') {
+    const { createMemoryStorage } = require('./memory');
+    return createMemoryStorage({ maxEvents });
+  }
+
+  if (backend === 'json') {
+    const { createJsonFileStorage } = require('./json-file');
+    return createJsonFileStorage({
+      filePath: path.resolve(env.ANALYTICS_DATA_FILE || DEFAULT_DATA_FILE),
+      maxEvents
+    });
+  }
+
+  const { createSupabaseStorage } = require('./supabase');
+  return createSupabaseStorage({ url: env.SUPABASE_URL, anonKey: env.SUPABASE_ANON_KEY });
+}
+
+module.exports = { createStorage, BACKENDS };
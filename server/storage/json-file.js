@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStorage } = require('./memory');
+
+// File-based analytics storage: the in-memory backend, loaded from and saved
+// to one JSON file ({ events: [...] }). Meant for local development and small
+// self-hosted setups; writes go to a temp file first so a crash can't leave
+// half a file behind.
+function loadRows(filePath) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(parsed.events) ? parsed.events : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[Analytics] Could not read ${filePath}, starting empty:`, error.message);
+    }
+    return [];
+  }
+}
+
+function createJsonFileStorage({ filePath, maxEvents }) {
+  const memory = createMemoryStorage({ maxEvents, rows: loadRows(filePath) });
+  let writing = Promise.resolve();
+
+  const save = async () => {
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify({ events: memory.rows }));
+    await fs.promises.rename(tempPath, filePath);
+  };
+
+  return {
+    ...memory,
+    name: 'json',
+    filePath,
+
+    async insertEvents(newRows) {
+      await memory.insertEvents(newRows);
+      // One write at a time; each saves everything inserted so far
+      writing = writing.catch(() => {}).then(save);
+      await writing;
+    }
+  };
+}
+
+module.exports = { createJsonFileStorage };
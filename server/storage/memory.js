@@ -0,0 +1,44 @@
+const views = require('./views');
+
+// Oldest events are dropped past this many, so a long-running server stays small
+const DEFAULT_MAX_EVENTS = 10000;
+
+// In-memory analytics storage: nothing survives a restart
+// Also the base of the JSON file backend, which persists `rows` after each insert
+function createMemoryStorage({ maxEvents = DEFAULT_MAX_EVENTS, rows = [] } = {}) {
+  let nextId = rows.reduce((max, row) => Math.max(max, row.id || 0), 0) + 1;
+
+  return {
+    name: 'memory',
+    rows,
+
+    isConfigured: () => true,
+
+    async insertEvents(newRows) {
+      const createdAt = new Date().toISOString();
+      newRows.forEach(row => rows.push({ id: nextId++, ...row, created_at: createdAt }));
+      if (rows.length > maxEvents) {
+        rows.splice(0, rows.length - maxEvents);
+      }
+    },
+
+    async getMetricsSummary(sinceDate) {
+      return views.metricsSummary(rows).filter(row => row.date >= sinceDate);
+    },
+
+    async getPlatformStats() {
+      return views.platformStats(rows);
+    },
+
+    async getRecentErrors(limit) {
+      return views.recentErrors(rows).slice(0, limit);
+    },
+
+    async getEventsSince(since) {
+      const cutoff = Date.parse(since);
+      return rows.filter(row => Date.parse(row.created_at) >= cutoff);
+    }
+  };
+}
+
+module.exports = { createMemoryStorage, DEFAULT_MAX_EVENTS };
@@ -0,0 +1,55 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Supabase analytics storage: the telemetry_events table and the views in
+// supabase-setup.sql. Without SUPABASE_URL and SUPABASE_ANON_KEY it reports
+// itself as not configured and analytics stays disabled.
+function createSupabaseStorage({ url, anonKey }) {
+  const configured = Boolean(url && anonKey);
+  const client = configured ? createClient(url, anonKey) : null;
+
+  const run = async query => {
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  };
+
+  return {
+    name: 'supabase',
+    client,
+
+    isConfigured: () => configured,
+
+    async insertEvents(rows) {
+      await run(client.from('telemetry_events').insert(rows));
+    },
+
+    getMetricsSummary(sinceDate) {
+      return run(
+        client
+          .from('metrics_summary')
+          .select('*')
+          .gte('date', sinceDate)
+          .order('date', { ascending: false })
+      );
+    },
+
+    getPlatformStats() {
+      return run(client.from('platform_stats').select('*'));
+    },
+
+    getRecentErrors(limit) {
+      return run(client.from('recent_errors').select('*').limit(limit));
+    },
+
+    getEventsSince(since) {
+      return run(
+        client
+          .from('telemetry_events')
+          .select('event_name, success, duration_ms')
+          .gte('created_at', since)
+      );
+    }
+  };
+}
+
+module.exports = { createSupabaseStorage };
@@ -0,0 +1,94 @@
+// JS versions of the SQL views in supabase-setup.sql, for the non-SQL backends
+// Rows use the telemetry_events column names; created_at is an ISO string
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENT_ERRORS_LIMIT = 100;
+
+const since = (rows, days, now) => {
+  const cutoff = now - days * DAY_MS;
+  return rows.filter(row => Date.parse(row.created_at) >= cutoff);
+};
+
+// AVG() ignores NULLs and returns NULL for no values
+const average = values => {
+  const numbers = values.filter(value => typeof value === 'number');
+  if (numbers.length === 0) return null;
+  return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+};
+
+const groupBy = (rows, keyOf) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return groups;
+};
+
+const countSuccessful = rows => rows.filter(row => row.success === true).length;
+
+// metrics_summary: per day and event, last 30 days
+function metricsSummary(rows, now = Date.now()) {
+  const groups = groupBy(
+    since(rows, 30, now),
+    row => `${row.created_at.slice(0, 10)}|${row.event_name}`
+  );
+
+  return [...groups.values()]
+    .map(group => {
+      const successful = countSuccessful(group);
+      return {
+        date: group[0].created_at.slice(0, 10),
+        event_name: group[0].event_name,
+        total_events: group.length,
+        successful,
+        failed: group.filter(row => row.success === false).length,
+        avg_duration_ms: average(group.map(row => row.duration_ms)),
+        avg_retries: average(group.map(row => row.retry_count))
+      };
+    })
+    .sort((a, b) => b.date.localeCompare(a.date) || a.event_name.localeCompare(b.event_name));
+}
+
+// platform_stats: per platform, last 7 days
+function platformStats(rows, now = Date.now()) {
+  const withPlatform = since(rows, 7, now).filter(row => row.platform != null);
+  const groups = groupBy(withPlatform, row => row.platform);
+
+  return [...groups.entries()]
+    .map(([platform, group]) => {
+      const successful = countSuccessful(group);
+      return {
+        platform,
+        total_requests: group.length,
+        successful,
+        success_rate: Math.round((10000 * successful) / group.length) / 100,
+        avg_duration_ms: average(group.map(row => row.duration_ms))
+      };
+    })
+    .sort((a, b) => b.total_requests - a.total_requests);
+}
+
+// recent_errors: failed events, last 7 days, newest first
+function recentErrors(rows, now = Date.now()) {
+  return since(rows, 7, now)
+    .filter(row => row.success === false)
+    .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at))
+    .slice(0, RECENT_ERRORS_LIMIT)
+    .map(row => ({
+      created_at: row.created_at,
+      event_name: row.event_name,
+      platform: row.platform,
+      error_type: row.error_type,
+      error_message: row.error_message,
+      extension_version: row.extension_version,
+      retry_count: row.retry_count
+    }));
+}
+
+module.exports = {
+  metricsSummary,
+  platformStats,
+  recentErrors
+};
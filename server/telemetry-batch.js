@@ -0,0 +1,99 @@
+// Telemetry events for POST /api/telemetry
+//
+// Batches come from ConfigManager.flushTelemetry:
+//   { events: [{ event, data, timestamp }], extensionVersion, batchTimestamp }
+// Invalid events are rejected individually; the rest are stored in one insert.
+
+const TELEMETRY_LIMITS = {
+  MAX_BATCH_EVENTS: 50,   // Extension sends at most 10 per batch
+  MAX_EVENT_NAME: 100     // telemetry_events.event_name is VARCHAR(100)
+};
+
+// Extract common fields
+function buildEventData(event, data, extensionVersion, userAgent) {
+  return {
+    event,
+    extensionVersion: extensionVersion || 'unknown',
+    platform: data.platform,
+    success: data.success !== undefined ? data.success : true,
+    duration: data.duration,
+    retryCount: data.retryCount,
+    errorType: data.errorType,
+    errorMessage: data.errorMessage,
+    userAgent
+  };
+}
+
+// Returns an error message, or null if the batched event can be stored
+function validateBatchEvent(item) {
+  if (!item || typeof item !== 'object') {
+    return 'Event must be an object';
+  }
+  const { event, data } = item;
+  if (typeof event !== 'string' || !event || event.length > TELEMETRY_LIMITS.MAX_EVENT_NAME) {
+    return `event must be a string of 1-${TELEMETRY_LIMITS.MAX_EVENT_NAME} characters`;
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return 'data must be an object';
+  }
+  if (data.success !== undefined && typeof data.success !== 'boolean') {
+    return 'data.success must be a boolean';
+  }
+  if (data.duration !== undefined && !(Number.isInteger(data.duration) && data.duration >= 0)) {
+    return 'data.duration must be a non-negative integer';
+  }
+  if (data.retryCount !== undefined && !(Number.isInteger(data.retryCount) && data.retryCount >= 0)) {
+    return 'data.retryCount must be a non-negative integer';
+  }
+  return null;
+}
+
+// Validate and store a batch
+// logEvents is analytics.logEvents (injected so the batch rules can be tested without a backend)
+// Returns { status, body } for the route to send
+async function logTelemetryBatch({ events, extensionVersion }, userAgent, logEvents) {
+  if (events.length === 0 || events.length > TELEMETRY_LIMITS.MAX_BATCH_EVENTS) {
+    return {
+      status: 400,
+      body: { error: `events must contain 1-${TELEMETRY_LIMITS.MAX_BATCH_EVENTS} items` }
+    };
+  }
+
+  const accepted = [];
+  const errors = [];
+  events.forEach((item, index) => {
+    const error = validateBatchEvent(item);
+    if (error) {
+      errors.push({ index, error });
+    } else {
+      accepted.push(buildEventData(item.event, item.data, extensionVersion, userAgent));
+    }
+  });
+
+  if (accepted.length === 0) {
+    return {
+      status: 400,
+      body: { success: false, accepted: 0, rejected: errors.length, errors }
+    };
+  }
+
+  const result = await logEvents(accepted);
+  if (!result.success) {
+    return {
+      status: 500,
+      body: { success: false, accepted: 0, rejected: events.length, error: result.error }
+    };
+  }
+
+  return {
+    status: 200,
+    body: { success: true, accepted: accepted.length, rejected: errors.length, errors }
+  };
+}
+
+module.exports = {
+  TELEMETRY_LIMITS,
+  buildEventData,
+  validateBatchEvent,
+  logTelemetryBatch
+};
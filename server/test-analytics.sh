@@ -68,6 +68,25 @@ else
     echo "   Response: $RESPONSE"
 fi
 
+# Test batch telemetry (the format the extension sends)
+BATCH_RESPONSE=$(curl -s -X POST http://localhost:3000/api/telemetry \
+    -H "Content-Type: application/json" \
+    -d '{
+        "events": [
+            {"event": "test_event", "data": {"success": true, "duration": 100}},
+            {"event": "test_event", "data": {"success": false, "errorType": "TestError"}}
+        ],
+        "extensionVersion": "2.0.0",
+        "batchTimestamp": 0
+    }')
+
+if echo $BATCH_RESPONSE | grep -q '"accepted":2'; then
+    echo "   ✅ Batch telemetry working"
+else
+    echo "   ❌ Batch telemetry failed"
+    echo "   Response: $BATCH_RESPONSE"
+fi
+
 echo ""
 
 # Test metrics endpoint
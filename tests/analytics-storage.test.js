@@ -0,0 +1,194 @@
+/**
+ * Analytics Storage Tests
+ * server/storage: the memory backend and the JS versions of the SQL views
+ * (metrics_summary, platform_stats, recent_errors) the memory and JSON file
+ * backends share
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import storage from '../server/storage/index.js';
+import memory from '../server/storage/memory.js';
+import views from '../server/storage/views.js';
+
+const { createStorage } = storage;
+const { createMemoryStorage } = memory;
+const { metricsSummary, platformStats, recentErrors } = views;
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-06-15T12:00:00.000Z');
+
+const row = (daysAgo, overrides = {}) => ({
+  event_name: 'config_fetch',
+  extension_version: '2.1.0',
+  platform: 'netflix',
+  success: true,
+  duration_ms: 100,
+  retry_count: 0,
+  error_type: null,
+  error_message: null,
+  user_agent: 'Chrome',
+  created_at: new Date(NOW - daysAgo * DAY).toISOString(),
+  ...overrides
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('Analytics Storage: views', () => {
+  it('summarizes events per day and event name, newest day first', () => {
+    const rows = [
+      row(0, { duration_ms: 100, retry_count: 1 }),
+      row(0, { success: false, duration_ms: null, retry_count: 3 }),
+      row(0, { event_name: 'cache_hit', duration_ms: null }),
+      row(1, { duration_ms: 300 }),
+      row(31)
+    ];
+
+    expect(metricsSummary(rows, NOW)).toEqual([
+      {
+        date: '2026-06-15',
+        event_name: 'cache_hit',
+        total_events: 1,
+        successful: 1,
+        failed: 0,
+        avg_duration_ms: null,
+        avg_retries: 0
+      },
+      {
+        date: '2026-06-15',
+        event_name: 'config_fetch',
+        total_events: 2,
+        successful: 1,
+        failed: 1,
+        // AVG() skips NULLs
+        avg_duration_ms: 100,
+        avg_retries: 2
+      },
+      {
+        date: '2026-06-14',
+        event_name: 'config_fetch',
+        total_events: 1,
+        successful: 1,
+        failed: 0,
+        avg_duration_ms: 300,
+        avg_retries: 0
+      }
+    ]);
+  });
+
+  it('rates each platform over the last week, busiest first', () => {
+    const rows = [
+      row(0, { platform: 'youtube', duration_ms: 50 }),
+      row(1, { platform: 'youtube', success: false, duration_ms: 150 }),
+      row(2, { platform: 'youtube', duration_ms: null }),
+      row(0),
+      row(0, { platform: null }),
+      row(8, { platform: 'hulu' })
+    ];
+
+    expect(platformStats(rows, NOW)).toEqual([
+      {
+        platform: 'youtube',
+        total_requests: 3,
+        successful: 2,
+        success_rate: 66.67,
+        avg_duration_ms: 100
+      },
+      {
+        platform: 'netflix',
+        total_requests: 1,
+        successful: 1,
+        success_rate: 100,
+        avg_duration_ms: 100
+      }
+    ]);
+  });
+
+  it("lists last week's failures newest first, capped at 100", () => {
+    const failures = Array.from({ length: 105 }, (_, i) =>
+      row(i / 100, { success: false, error_type: 'network', error_message: `failure ${i}` })
+    );
+    const errors = recentErrors([row(0), row(8, { success: false }), ...failures], NOW);
+
+    expect(errors).toHaveLength(100);
+    expect(errors[0]).toEqual({
+      created_at: '2026-06-15T12:00:00.000Z',
+      event_name: 'config_fetch',
+      platform: 'netflix',
+      error_type: 'network',
+      error_message: 'failure 0',
+      extension_version: '2.1.0',
+      retry_count: 0
+    });
+    expect(errors[99].error_message).toBe('failure 99');
+  });
+});
+
+describe('Analytics Storage: memory backend', () => {
+  it('numbers and timestamps inserted rows', async () => {
+    vi.useFakeTimers({ now: NOW, toFake: ['Date'] });
+    const store = createMemoryStorage();
+    const { created_at: _createdAt, ...fields } = row(0);
+
+    await store.insertEvents([fields, { ...fields, event_name: 'cache_hit' }]);
+    await store.insertEvents([fields]);
+
+    expect(store.isConfigured()).toBe(true);
+    expect(
+      store.rows.map(({ id, event_name, created_at }) => [id, event_name, created_at])
+    ).toEqual([
+      [1, 'config_fetch', '2026-06-15T12:00:00.000Z'],
+      [2, 'cache_hit', '2026-06-15T12:00:00.000Z'],
+      [3, 'config_fetch', '2026-06-15T12:00:00.000Z']
+    ]);
+  });
+
+  it('drops the oldest rows past maxEvents and keeps numbering after existing rows', async () => {
+    const store = createMemoryStorage({ maxEvents: 3, rows: [{ id: 7, ...row(1) }] });
+
+    await store.insertEvents([1, 2, 3].map(n => ({ event_name: `event_${n}` })));
+
+    expect(store.rows.map(({ id, event_name }) => [id, event_name])).toEqual([
+      [8, 'event_1'],
+      [9, 'event_2'],
+      [10, 'event_3']
+    ]);
+  });
+
+  it('answers the metrics queries from its rows', async () => {
+    vi.useFakeTimers({ now: NOW, toFake: ['Date'] });
+    const store = createMemoryStorage({
+      rows: [
+        row(0, { success: false, error_type: 'timeout' }),
+        row(0.5, { platform: 'youtube' }),
+        row(3, { success: false }),
+        row(10)
+      ]
+    });
+
+    const summary = await store.getMetricsSummary('2026-06-14');
+    expect(summary.map(({ date, total_events }) => [date, total_events])).toEqual([
+      ['2026-06-15', 2]
+    ]);
+    expect((await store.getPlatformStats()).map(stats => stats.platform)).toEqual([
+      'netflix',
+      'youtube'
+    ]);
+    expect(await store.getRecentErrors(1)).toEqual([
+      expect.objectContaining({ error_type: 'timeout' })
+    ]);
+    expect(await store.getEventsSince(new Date(NOW - DAY).toISOString())).toHaveLength(2);
+  });
+
+  it('is picked with ANALYTICS_STORAGE=memory and ANALYTICS_MAX_EVENTS', async () => {
+    const store = createStorage({ ANALYTICS_STORAGE: 'Memory', ANALYTICS_MAX_EVENTS: '1' });
+    await store.insertEvents([{ event_name: 'a' }, { event_name: 'b' }]);
+
+    expect(store.name).toBe('memory');
+    expect(store.rows.map(stored => stored.event_name)).toEqual(['b']);
+    expect(() => createStorage({ ANALYTICS_STORAGE: 'redis' })).toThrow(
+      'Unknown ANALYTICS_STORAGE "redis"'
+    );
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Auto-pause Next Tests
+ * extension/content/auto-pause-next.js on top of player-observer.js: the
+ * next-episode countdown is cancelled (or the video paused) while autoPauseNext is on
+ *
+ * streaming-controller.js and the jsdom-unfriendly visibility check are stubbed
+ * before the content scripts load.
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+
+const SELECTORS = {
+  autonavScreen: '.ytp-autonav-endscreen-countdown-overlay',
+  cancelAutoplayButton: '.ytp-autonav-endscreen-upnext-cancel-button'
+};
+
+let timerStatus;
+let strategy;
+let onStorageChanged;
+
+beforeAll(async () => {
+  window.detectPlatform = () => 'youtube';
+  window.isElementShown = el => el.isConnected && !el.hidden;
+  window.showNotification = vi.fn();
+  window.findVideoElement = () => Promise.resolve(document.querySelector('video'));
+  window.getStrategy = () => strategy;
+  window.getExtensionSettings = () => Promise.resolve({ autoPauseNext: true });
+
+  chrome.storage.onChanged = { addListener: vi.fn() };
+  chrome.runtime.sendMessage.mockImplementation(message => {
+    if (message.action === 'getSelectors') {
+      return Promise.resolve({ success: true, selectors: SELECTORS });
+    }
+    if (message.action === 'getTimerStatus') {
+      return Promise.resolve({ success: true, status: timerStatus });
+    }
+    return Promise.resolve({ success: true });
+  });
+
+  await import('../extension/content/player-observer.js');
+  await import('../extension/content/auto-pause-next.js');
+  [[onStorageChanged]] = chrome.storage.onChanged.addListener.mock.calls;
+});
+
+beforeEach(() => {
+  timerStatus = { active: false };
+  strategy = { pause: vi.fn(() => true) };
+});
+
+afterEach(() => {
+  document.body.replaceChildren();
+});
+
+/**
+ * Show YouTube's autonav end screen, optionally with its cancel button
+ */
+function showCountdown({ withCancel = true } = {}) {
+  const overlay = document.createElement('div');
+  overlay.className = 'ytp-autonav-endscreen-countdown-overlay';
+  const onCancel = vi.fn();
+  if (withCancel) {
+    const cancel = document.createElement('button');
+    cancel.className = 'ytp-autonav-endscreen-upnext-cancel-button';
+    cancel.addEventListener('click', () => {
+      onCancel();
+      overlay.remove();
+    });
+    overlay.appendChild(cancel);
+  }
+  document.body.appendChild(overlay);
+  return onCancel;
+}
+
+describe('Auto-pause Next', () => {
+  it('clicks the platform cancel button on the countdown', async () => {
+    const onCancel = showCountdown();
+
+    await waitFor(() => onCancel.mock.calls.length > 0);
+    expect(strategy.pause).not.toHaveBeenCalled();
+    expect(window.showNotification).toHaveBeenCalledWith('⏸️ Next episode paused', 'info');
+  });
+
+  it('pauses the video when there is no cancel button', async () => {
+    const video = document.createElement('video');
+    document.body.appendChild(video);
+    showCountdown({ withCancel: false });
+
+    await waitFor(() => strategy.pause.mock.calls.length > 0);
+    expect(strategy.pause).toHaveBeenCalledWith(video);
+  });
+
+  it('leaves the countdown to a running episode timer', async () => {
+    timerStatus = { active: true, mode: 'episode' };
+    const onCancel = showCountdown();
+
+    await sleep(400);
+    expect(onCancel).not.toHaveBeenCalled();
+  });
+
+  it('stops watching when the setting is turned off', async () => {
+    const changeSetting = (oldValue, newValue) =>
+      onStorageChanged(
+        {
+          settings: { oldValue: { autoPauseNext: oldValue }, newValue: { autoPauseNext: newValue } }
+        },
+        'local'
+      );
+    changeSetting(true, false);
+    const onCancel = showCountdown();
+
+    await sleep(400);
+    expect(onCancel).not.toHaveBeenCalled();
+
+    changeSetting(false, true);
+    await waitFor(() => onCancel.mock.calls.length > 0);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Auto Skip Tests
+ * extension/content/auto-skip.js on top of player-observer.js: the skip-intro
+ * button is clicked once it appears, per the autoSkipIntro settings
+ *
+ * The content scripts set window globals and skip helpers that already exist,
+ * so streaming-controller.js and the jsdom-unfriendly visibility check are
+ * stubbed before they load.
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+
+const SKIP_INTRO_SELECTOR = '.skip-intro, [data-uia="player-skip-intro"]';
+
+let settings;
+
+beforeAll(async () => {
+  window.detectPlatform = () => 'disneyplus';
+  window.isElementShown = el => el.isConnected && !el.hidden;
+  window.showNotification = vi.fn();
+  window.getExtensionSettings = () => Promise.resolve(settings);
+  window.getStrategy = () => ({});
+
+  chrome.runtime.sendMessage.mockImplementation(message =>
+    Promise.resolve(
+      message.action === 'getSelectors'
+        ? { success: true, selectors: { skipIntroButton: SKIP_INTRO_SELECTOR } }
+        : { success: true }
+    )
+  );
+
+  await import('../extension/content/player-observer.js');
+  await import('../extension/content/auto-skip.js');
+});
+
+beforeEach(() => {
+  settings = { autoSkipIntro: true, skipIntroPlatforms: { disney: true } };
+});
+
+afterEach(() => {
+  document.body.replaceChildren();
+});
+
+function addSkipButton() {
+  const button = document.createElement('button');
+  button.className = 'skip-intro';
+  button.addEventListener('click', () => button.remove());
+  const onClick = vi.fn();
+  button.addEventListener('click', onClick);
+  document.body.appendChild(button);
+  return onClick;
+}
+
+describe('Auto Skip: skip intro', () => {
+  it('maps content platform ids to the remote selector keys', () => {
+    expect(window.getSelectorPlatformKey()).toBe('disney');
+  });
+
+  it('clicks the button when it appears and records the skip', async () => {
+    const onClick = addSkipButton();
+
+    await waitFor(() => onClick.mock.calls.length > 0);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      action: 'recordSkip',
+      kind: 'intro',
+      platform: 'disney'
+    });
+    expect(window.showNotification).toHaveBeenCalledWith('⏭️ Intro skipped', 'info');
+  });
+
+  it('leaves the button alone when the platform is switched off', async () => {
+    settings.skipIntroPlatforms.disney = false;
+    const onClick = addSkipButton();
+
+    await sleep(400);
+    expect(onClick).not.toHaveBeenCalled();
+  });
+
+  it('leaves the button alone when auto-skip is off', async () => {
+    settings.autoSkipIntro = false;
+    const onClick = addSkipButton();
+
+    await sleep(400);
+    expect(onClick).not.toHaveBeenCalled();
+  });
+});
+
+describe('Auto Skip: clickOnce', () => {
+  it('ignores an element clicked within the cooldown and disabled elements', () => {
+    const button = document.createElement('button');
+    const onClick = vi.fn();
+    button.addEventListener('click', onClick);
+
+    expect(window.clickOnce(button)).toBe(true);
+    expect(window.clickOnce(button)).toBe(false);
+
+    const disabled = document.createElement('button');
+    disabled.setAttribute('aria-disabled', 'true');
+    expect(window.clickOnce(disabled)).toBe(false);
+    expect(onClick).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Check-in Prompt Tests
+ * extension/content/check-in.js: the "still watching?" prompt and its
+ * checkInResponse round trip to the service worker
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+
+const prompt = () => document.querySelector('.autoplay-check-in');
+
+beforeAll(async () => {
+  window.showNotification = vi.fn();
+  window.AutoPlayUtils = {
+    formatCountdown: seconds =>
+      `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+  };
+  await import('../extension/content/check-in.js');
+});
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date', 'setInterval', 'clearInterval'] });
+});
+
+afterEach(() => {
+  window.hideCheckIn();
+  vi.useRealTimers();
+});
+
+describe('Check-in Prompt', () => {
+  it('counts down to the pause', () => {
+    window.showCheckIn(90, 15);
+    expect(prompt().textContent).toContain('(+15 min) · pausing in 1:30');
+
+    vi.advanceTimersByTime(30000);
+    expect(prompt().textContent).toContain('pausing in 1:00');
+  });
+
+  it('words the countdown for the expiry action', () => {
+    window.showCheckIn(90, 15, 'close');
+    expect(prompt().textContent).toContain('· closing this tab in 1:30');
+  });
+
+  it('sends checkInResponse and hides on a key press', async () => {
+    window.showCheckIn(90, 15);
+
+    window.dispatchEvent(new KeyboardEvent('keydown', { key: ' ' }));
+    expect(prompt()).toBeNull();
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'checkInResponse' });
+    await vi.waitFor(() =>
+      expect(window.showNotification).toHaveBeenCalledWith('😊 Timer extended', 'success')
+    );
+  });
+
+  it('acknowledges a click on the prompt', () => {
+    window.showCheckIn(90, 15);
+
+    prompt().click();
+    expect(prompt()).toBeNull();
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'checkInResponse' });
+  });
+
+  it('stops listening for keys once hidden by the service worker', () => {
+    window.showCheckIn(90, 15);
+    window.hideCheckIn();
+
+    window.dispatchEvent(new KeyboardEvent('keydown', { key: ' ' }));
+    expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Config Signature Tests
+ * Selector configs signed by server/selector-signing.js and checked by
+ * extension/utils/config-signature.js before ConfigManager uses them
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll, afterEach } from 'vitest';
+import signing from '../server/selector-signing.js';
+import {
+  SIGNATURE_CONFIG,
+  ConfigSignatureError,
+  readSignedConfig,
+  verifyConfigSignature
+} from '../extension/utils/config-signature.js';
+import { ConfigManager } from '../extension/utils/config-manager.js';
+import { flushTelemetry } from '../extension/utils/config-telemetry.js';
+
+const CONFIG = {
+  version: 2,
+  timestamp: '2026-01-01T00:00:00.000Z',
+  platforms: { netflix: { nextButton: '.next' } }
+};
+const CACHED = { netflix: { nextButton: '.cached' } };
+
+let key;
+
+function signedResponse(body, headers = {}) {
+  return {
+    ok: true,
+    status: 200,
+    text: () => Promise.resolve(body),
+    headers: new Headers({
+      'X-Selector-Signature': key.sign(body),
+      'X-Selector-Key-Id': key.keyId,
+      ETag: '"abc"',
+      ...headers
+    })
+  };
+}
+
+beforeAll(() => {
+  const generated = signing.generateSigningKey();
+  key = signing.loadSigningKey(generated.privateKey);
+  SIGNATURE_CONFIG.PINNED_KEYS[key.keyId] = key.publicKey;
+  chrome.runtime.getManifest = () => ({ version: '0.0.0' });
+});
+
+afterAll(() => {
+  delete SIGNATURE_CONFIG.PINNED_KEYS[key.keyId];
+  delete chrome.runtime.getManifest;
+});
+
+describe('Config Signature: verification', () => {
+  it('accepts a body signed by a pinned key', async () => {
+    const body = JSON.stringify(CONFIG);
+    await expect(verifyConfigSignature(body, key.sign(body), key.keyId)).resolves.toBeUndefined();
+  });
+
+  it('rejects a tampered body', async () => {
+    const signature = key.sign(JSON.stringify(CONFIG));
+    const tampered = JSON.stringify({ ...CONFIG, platforms: { netflix: { nextButton: 'a' } } });
+
+    await expect(verifyConfigSignature(tampered, signature, key.keyId)).rejects.toThrow(
+      'Config signature is invalid'
+    );
+  });
+
+  it('rejects unsigned bodies and unknown keys', async () => {
+    const body = JSON.stringify(CONFIG);
+
+    await expect(verifyConfigSignature(body, null, null)).rejects.toThrow(ConfigSignatureError);
+    await expect(verifyConfigSignature(body, key.sign(body), 'unknown')).rejects.toThrow(
+      'unknown key'
+    );
+  });
+
+  it('tells a browser without Ed25519 apart from a bad signature', async () => {
+    const body = JSON.stringify(CONFIG);
+    const unsupported = new DOMException('Algorithm: Unrecognized name', 'NotSupportedError');
+    vi.spyOn(crypto.subtle, 'importKey').mockRejectedValueOnce(unsupported);
+
+    await expect(verifyConfigSignature(body, key.sign(body), key.keyId)).rejects.toMatchObject({
+      reason: 'unsupported',
+      keyId: key.keyId
+    });
+    vi.restoreAllMocks();
+  });
+});
+
+describe('Config Signature: readSignedConfig', () => {
+  const body = JSON.stringify(CONFIG);
+  const response = headers => ({
+    text: () => Promise.resolve(body),
+    headers: new Headers(headers)
+  });
+
+  it('ships with a pinned key whose id matches it', () => {
+    const pinned = Object.entries(SIGNATURE_CONFIG.PINNED_KEYS).filter(([id]) => id !== key.keyId);
+
+    expect(pinned.length).toBeGreaterThan(0);
+    pinned.forEach(([keyId, publicKey]) => expect(signing.keyIdFor(publicKey)).toBe(keyId));
+  });
+
+  it('parses a config signed by a pinned key', async () => {
+    const signed = response({
+      'X-Selector-Signature': key.sign(body),
+      'X-Selector-Key-Id': key.keyId
+    });
+
+    await expect(readSignedConfig(signed)).resolves.toEqual(CONFIG);
+  });
+
+  it('rejects an unsigned config', async () => {
+    await expect(readSignedConfig(response({}))).rejects.toMatchObject({ reason: 'unsigned' });
+  });
+
+  it('rejects a bad signature', async () => {
+    const forged = response({
+      'X-Selector-Signature': key.sign('something else'),
+      'X-Selector-Key-Id': key.keyId
+    });
+
+    await expect(readSignedConfig(forged)).rejects.toMatchObject({ reason: 'invalid' });
+  });
+
+  it('rejects a key id that is not pinned', async () => {
+    const other = signing.loadSigningKey(signing.generateSigningKey().privateKey);
+    const unknown = response({
+      'X-Selector-Signature': other.sign(body),
+      'X-Selector-Key-Id': other.keyId
+    });
+
+    await expect(readSignedConfig(unknown)).rejects.toMatchObject({
+      reason: 'unknownKey',
+      keyId: other.keyId
+    });
+  });
+});
+
+describe('Config Signature: ConfigManager.syncConfig', () => {
+  afterEach(() => {
+    flushTelemetry(); // Into the stubbed fetch, not the network
+    vi.unstubAllGlobals();
+    chrome.storage.local.get.mockImplementation(() => Promise.resolve({}));
+    chrome.storage.local.set.mockClear();
+  });
+
+  it('stores a signed config', async () => {
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(() => Promise.resolve(signedResponse(JSON.stringify(CONFIG))))
+    );
+
+    const config = await ConfigManager.syncConfig();
+
+    expect(config).toEqual(CONFIG.platforms);
+    expect(chrome.storage.local.set).toHaveBeenCalledWith(
+      expect.objectContaining({ configVersion: 2, configEtag: '"abc"' })
+    );
+  });
+
+  it('keeps the cached config when the signature does not match', async () => {
+    chrome.storage.local.get.mockImplementation(() => Promise.resolve({ selectorConfig: CACHED }));
+    const response = signedResponse(JSON.stringify(CONFIG), {
+      'X-Selector-Signature': key.sign('something else')
+    });
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(() => Promise.resolve(response))
+    );
+
+    const config = await ConfigManager.syncConfig();
+
+    expect(config).toEqual(CACHED);
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+
+    flushTelemetry();
+    const [, request] = fetch.mock.calls.find(([url]) => url.endsWith('/api/telemetry'));
+    expect(JSON.parse(request.body).events.map(event => event.event)).toContain(
+      'config_signature_rejected'
+    );
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Expiry Actions Tests
+ * extension/background/expiry-actions.js: what a timer does to its tab when it
+ * runs out, and the delayed close-tab alarm
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import {
+  runExpiryActions,
+  cancelScheduledClose,
+  handleCloseAlarm
+} from '../extension/background/expiry-actions.js';
+
+const TAB_ID = 7;
+const TAB_URL = 'https://www.youtube.com/watch?v=abc';
+
+let settings;
+let tab;
+let playback;
+let contentScript;
+
+const sentToTab = action =>
+  chrome.tabs.sendMessage.mock.calls.filter(([, message]) => message.action === action);
+
+beforeAll(() => {
+  chrome.runtime.getURL = vi.fn(path => `chrome-extension://test/${path}`);
+  chrome.scripting = { executeScript: vi.fn(() => Promise.resolve()) };
+});
+
+beforeEach(() => {
+  settings = {};
+  tab = { id: TAB_ID, url: TAB_URL, mutedInfo: { muted: false } };
+  playback = { hasVideo: true, paused: true, muted: false };
+  contentScript = true;
+
+  chrome.storage.local.get.mockImplementation(() => Promise.resolve({ settings }));
+  chrome.tabs.get.mockImplementation(() => Promise.resolve(tab));
+  chrome.tabs.update = vi.fn(() => Promise.resolve());
+  chrome.tabs.remove = vi.fn(() => Promise.resolve());
+  chrome.alarms.getAll = vi.fn(() => Promise.resolve([]));
+  chrome.tabs.sendMessage.mockImplementation((tabId, message) => {
+    if (!contentScript) {
+      return Promise.reject(new Error('Could not establish connection'));
+    }
+    if (message.action === 'getPlaybackStatus') {
+      return Promise.resolve({ success: true, status: playback });
+    }
+    return Promise.resolve({ success: true });
+  });
+});
+
+afterEach(() => {
+  chrome.storage.local.get.mockImplementation(() => Promise.resolve({}));
+  chrome.tabs.get.mockImplementation(tabId =>
+    Promise.resolve({ id: tabId, url: 'https://netflix.com' })
+  );
+  chrome.tabs.sendMessage.mockImplementation(() => Promise.resolve({ success: true }));
+});
+
+describe('Expiry Actions: runExpiryActions', () => {
+  it('pauses the video by default', async () => {
+    expect(await runExpiryActions(TAB_ID)).toBe('pause');
+    expect(sentToTab('pauseVideo')).toHaveLength(1);
+  });
+
+  it('pauses through script injection without a content script', async () => {
+    contentScript = false;
+
+    await runExpiryActions(TAB_ID);
+    expect(chrome.scripting.executeScript).toHaveBeenCalledWith(
+      expect.objectContaining({ target: { tabId: TAB_ID, allFrames: true } })
+    );
+  });
+
+  it('lets the site profile override the expiryAction setting', async () => {
+    settings = { expiryAction: 'lowerVolume' };
+
+    expect(await runExpiryActions(TAB_ID, 'mute')).toBe('mute');
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(TAB_ID, {
+      action: 'runExpiryAction',
+      expiryAction: 'mute'
+    });
+  });
+
+  it('mutes the tab itself when the content script cannot', async () => {
+    settings = { expiryAction: 'mute' };
+    contentScript = false;
+
+    await runExpiryActions(TAB_ID);
+    expect(chrome.tabs.update).toHaveBeenCalledWith(TAB_ID, { muted: true });
+  });
+
+  it('pauses instead when the volume cannot be turned down', async () => {
+    settings = { expiryAction: 'lowerVolume' };
+    chrome.tabs.sendMessage.mockImplementation((tabId, message) =>
+      Promise.resolve(
+        message.action === 'runExpiryAction'
+          ? { success: false, error: 'No video found' }
+          : { success: true }
+      )
+    );
+
+    await runExpiryActions(TAB_ID);
+    expect(sentToTab('pauseVideo')).toHaveLength(1);
+  });
+
+  it('replaces the page with the good night page, keeping the way back', async () => {
+    settings = { expiryAction: 'goodnight' };
+
+    await runExpiryActions(TAB_ID);
+    const [[, { url }]] = chrome.tabs.update.mock.calls;
+    expect(url).toBe(
+      `chrome-extension://test/goodnight/goodnight.html?from=${encodeURIComponent(TAB_URL)}`
+    );
+  });
+
+  it('closes the tab without leaving fullscreen or scheduling a close first', async () => {
+    settings = { expiryAction: 'close', exitFullscreen: true, closeTabAfterMinutes: 10 };
+
+    await runExpiryActions(TAB_ID);
+    expect(chrome.tabs.remove).toHaveBeenCalledWith(TAB_ID);
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+    expect(chrome.alarms.create).not.toHaveBeenCalled();
+  });
+
+  it('leaves fullscreen before the action when exitFullscreen is on', async () => {
+    settings = { exitFullscreen: true };
+
+    await runExpiryActions(TAB_ID);
+    expect(chrome.tabs.sendMessage.mock.calls.map(([, message]) => message.action)).toEqual([
+      'runExpiryAction',
+      'pauseVideo'
+    ]);
+    expect(sentToTab('runExpiryAction')[0][1].expiryAction).toBe('exitFullscreen');
+  });
+
+  it('schedules the delayed close with the action that ran', async () => {
+    settings = { expiryAction: 'mute', closeTabAfterMinutes: 20 };
+
+    await runExpiryActions(TAB_ID);
+    expect(chrome.alarms.create).toHaveBeenCalledWith(`vibootCloseTab:${TAB_ID}:mute`, {
+      delayInMinutes: 20
+    });
+  });
+});
+
+describe('Expiry Actions: delayed close', () => {
+  it('clears only the pending close of the given tab', async () => {
+    chrome.alarms.getAll.mockResolvedValue([
+      { name: `vibootCloseTab:${TAB_ID}:pause` },
+      { name: `vibootCloseTab:${TAB_ID}1:pause` },
+      { name: `vibootTimerExpiry:${TAB_ID}` }
+    ]);
+
+    await cancelScheduledClose(TAB_ID);
+    expect(chrome.alarms.clear.mock.calls).toEqual([[`vibootCloseTab:${TAB_ID}:pause`]]);
+  });
+
+  it('closes the tab when the video is still paused', async () => {
+    await handleCloseAlarm(`vibootCloseTab:${TAB_ID}:pause`);
+    expect(chrome.tabs.remove).toHaveBeenCalledWith(TAB_ID);
+  });
+
+  it('keeps the tab when playback was resumed', async () => {
+    playback.paused = false;
+
+    await handleCloseAlarm(`vibootCloseTab:${TAB_ID}:pause`);
+    expect(chrome.tabs.remove).not.toHaveBeenCalled();
+  });
+
+  it('closes a muted tab that kept playing, but not one that was unmuted', async () => {
+    playback.paused = false;
+    tab.mutedInfo.muted = true;
+    await handleCloseAlarm(`vibootCloseTab:${TAB_ID}:mute`);
+    expect(chrome.tabs.remove).toHaveBeenCalledTimes(1);
+
+    tab.mutedInfo.muted = false;
+    await handleCloseAlarm(`vibootCloseTab:${TAB_ID}:mute`);
+    expect(chrome.tabs.remove).toHaveBeenCalledTimes(1);
+  });
+
+  it('always closes after turning the volume down', async () => {
+    playback.paused = false;
+
+    await handleCloseAlarm(`vibootCloseTab:${TAB_ID}:lowerVolume`);
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+    expect(chrome.tabs.remove).toHaveBeenCalledWith(TAB_ID);
+  });
+
+  it('closes pages without a player or content script', async () => {
+    contentScript = false;
+
+    await handleCloseAlarm(`vibootCloseTab:${TAB_ID}:goodnight`);
+    expect(chrome.tabs.remove).toHaveBeenCalledWith(TAB_ID);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Volume Fade-out Tests
+ * extension/content/fade-out.js with a stub strategy standing in for
+ * streaming-controller.js
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+
+let strategy;
+let video;
+
+beforeAll(async () => {
+  window.getStrategy = () => strategy;
+  await import('../extension/content/fade-out.js');
+});
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] });
+  video = document.createElement('video');
+  Object.defineProperty(video, 'paused', { value: false });
+  video.volume = 0.8;
+  strategy = { findVideo: () => Promise.resolve(video) };
+});
+
+afterEach(() => {
+  window.stopFadeOut();
+  vi.useRealTimers();
+});
+
+describe('Volume Fade-out', () => {
+  it('ramps the volume down to silence over the given seconds', async () => {
+    await window.startFadeOut(4);
+
+    vi.advanceTimersByTime(2000);
+    expect(video.volume).toBeCloseTo(0.8 * 0.25);
+    vi.advanceTimersByTime(2000);
+    expect(video.volume).toBe(0);
+  });
+
+  it('restores the original volume when stopped', async () => {
+    await window.startFadeOut(4);
+    vi.advanceTimersByTime(3000);
+
+    window.stopFadeOut();
+    expect(video.volume).toBe(0.8);
+    vi.advanceTimersByTime(2000);
+    expect(video.volume).toBe(0.8);
+  });
+
+  it('uses the strategy volume control when there is one', async () => {
+    strategy.setVolume = vi.fn(() => Promise.resolve());
+    await window.startFadeOut(2);
+
+    vi.advanceTimersByTime(2000);
+    expect(strategy.setVolume).toHaveBeenLastCalledWith(video, 0);
+    expect(video.volume).toBe(0.8);
+  });
+
+  it('leaves muted videos alone', async () => {
+    video.muted = true;
+    await window.startFadeOut(2);
+
+    vi.advanceTimersByTime(2000);
+    expect(video.volume).toBe(0.8);
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * History Export Tests
+ * extension/utils/history-export.js: the CSV and JSON formats documented in
+ * EXPORT_FORMAT.md, CSV escaping and date-range filtering
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  EXPORT_SCHEMA_VERSION,
+  SESSION_COLUMNS,
+  NIGHT_COLUMNS,
+  filterHistoryByRange,
+  toSessionsCsv,
+  toNightsCsv,
+  toHistoryJson
+} from '../extension/utils/history-export.js';
+
+const at = (day, hours, minutes = 0) => new Date(2026, 5, day, hours, minutes).getTime();
+
+const session = overrides => ({
+  id: 's1',
+  startedAt: at(2, 22),
+  endedAt: at(2, 23, 30),
+  site: 'www.netflix.com',
+  platform: 'netflix',
+  title: 'Episode 1',
+  mode: 'duration',
+  source: 'popup',
+  scope: 'tab',
+  requestedSeconds: 5400,
+  actualSeconds: 5400,
+  outcome: 'expired',
+  events: [
+    { type: 'start', at: at(2, 22) },
+    { type: 'extend', at: at(2, 23), minutes: 15 }
+  ],
+  checkIns: [{ response: 'continue', shownAt: at(2, 23), respondedAt: at(2, 23) + 5000 }],
+  ...overrides
+});
+
+/**
+ * CSV records as lines; only for exports without line breaks inside fields
+ */
+const csvLines = csv => csv.split('\r\n');
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('toSessionsCsv', () => {
+  it('writes the documented header and one CRLF-terminated row per session', () => {
+    const csv = toSessionsCsv([session()]);
+    const [header, row, end] = csvLines(csv);
+
+    expect(header).toBe(SESSION_COLUMNS.map(([name]) => name).join(','));
+    expect(header).toBe(
+      'id,started_at,ended_at,site,platform,title,mode,source,scope,requested_seconds,' +
+        'requested_episodes,actual_seconds,outcome,extend_count,pause_count,check_in_count'
+    );
+    expect(row).toBe(
+      's1,2026-06-03T02:00:00.000Z,2026-06-03T03:30:00.000Z,www.netflix.com,netflix,' +
+        'Episode 1,duration,popup,tab,5400,,5400,expired,1,0,1'
+    );
+    expect(end).toBe('');
+  });
+
+  it('leaves running sessions open and episode timers without requested seconds', () => {
+    const [, row] = csvLines(
+      toSessionsCsv([
+        session({
+          endedAt: null,
+          outcome: null,
+          mode: 'episode',
+          requestedEpisodes: 3,
+          actualSeconds: undefined,
+          events: undefined,
+          checkIns: undefined
+        })
+      ])
+    );
+
+    expect(row).toBe(
+      's1,2026-06-03T02:00:00.000Z,,www.netflix.com,netflix,Episode 1,episode,popup,tab,,3,,running,0,0,0'
+    );
+  });
+
+  it('quotes fields with commas, quotes and line breaks', () => {
+    const csv = toSessionsCsv([session({ title: 'Say "hi", then\nleave' })]);
+
+    expect(csv).toContain(',"Say ""hi"", then\nleave",');
+  });
+
+  it('defuses titles that spreadsheets would run as formulas', () => {
+    const titles = ['=HYPERLINK("x")', '+1', '-1', '@SUM(A1)'];
+    const csv = toSessionsCsv(titles.map((title, i) => session({ id: `s${i}`, title })));
+
+    expect(csv).toContain(`,"'=HYPERLINK(""x"")",`);
+    expect(csv).toContain(",'+1,");
+    expect(csv).toContain(",'-1,");
+    expect(csv).toContain(",'@SUM(A1),");
+  });
+
+  it('writes only the header when there are no sessions', () => {
+    expect(toSessionsCsv([])).toBe(`${SESSION_COLUMNS.map(([name]) => name).join(',')}\r\n`);
+  });
+});
+
+describe('toNightsCsv', () => {
+  it('writes one row per night with the bedtime as a 24-hour local time', () => {
+    const csv = toNightsCsv([
+      session(),
+      session({ id: 's2', startedAt: at(3, 23), endedAt: at(4, 0, 45), events: [] })
+    ]);
+
+    expect(csvLines(csv)).toEqual([
+      NIGHT_COLUMNS.map(([name]) => name).join(','),
+      '2026-06-02,1,5400,23:30,1,0',
+      '2026-06-03,1,5400,00:45,0,0',
+      ''
+    ]);
+  });
+
+  it('leaves the bedtime empty on nights where every timer was stopped', () => {
+    const [, row] = csvLines(toNightsCsv([session({ outcome: 'stopped', events: [] })]));
+
+    expect(row).toBe('2026-06-02,1,5400,,0,1');
+  });
+});
+
+describe('filterHistoryByRange', () => {
+  const entries = [
+    session({ id: 'late', startedAt: at(5, 22) }),
+    session({ id: 'early', startedAt: at(1, 22) }),
+    session({ id: 'middle', startedAt: at(3, 22) })
+  ];
+
+  it('keeps sessions that started inside the inclusive range, oldest first', () => {
+    const filtered = filterHistoryByRange(entries, { from: at(3, 22), to: at(5, 22) });
+
+    expect(filtered.map(entry => entry.id)).toEqual(['middle', 'late']);
+  });
+
+  it('treats a null bound as open-ended', () => {
+    expect(filterHistoryByRange(entries, { from: null, to: at(3, 0) }).map(e => e.id)).toEqual([
+      'early'
+    ]);
+    expect(filterHistoryByRange(entries, {}).map(e => e.id)).toEqual(['early', 'middle', 'late']);
+  });
+});
+
+describe('toHistoryJson', () => {
+  it('exports the versioned document with summary, nights and sessions', () => {
+    vi.useFakeTimers({ now: at(10, 12), toFake: ['Date'] });
+    const exported = JSON.parse(
+      toHistoryJson([session({ internal: 'not exported' })], { from: at(1, 0), to: null })
+    );
+
+    expect(exported).toMatchObject({
+      schemaVersion: EXPORT_SCHEMA_VERSION,
+      exportedAt: '2026-06-10T16:00:00.000Z',
+      timeZone: 'America/New_York',
+      range: { from: '2026-06-01T04:00:00.000Z', to: null },
+      summary: {
+        sessions: 1,
+        finishedSessions: 1,
+        viewingSeconds: 5400,
+        viewingSecondsByPlatform: { Netflix: 5400 },
+        averageBedtime: '23:30',
+        extendedCount: 1,
+        stoppedEarlyCount: 0,
+        longestStreakNights: 1
+      },
+      nights: [
+        {
+          night: '2026-06-02',
+          sessions: 1,
+          viewingSeconds: 5400,
+          bedtime: '23:30',
+          extendedCount: 1,
+          stoppedEarlyCount: 0
+        }
+      ]
+    });
+    expect(exported.sessions).toEqual([
+      {
+        id: 's1',
+        startedAt: '2026-06-03T02:00:00.000Z',
+        endedAt: '2026-06-03T03:30:00.000Z',
+        site: 'www.netflix.com',
+        platform: 'netflix',
+        title: 'Episode 1',
+        mode: 'duration',
+        source: 'popup',
+        scope: 'tab',
+        requestedSeconds: 5400,
+        requestedEpisodes: null,
+        actualSeconds: 5400,
+        outcome: 'expired',
+        events: [
+          { type: 'start', at: '2026-06-03T02:00:00.000Z' },
+          { type: 'extend', at: '2026-06-03T03:00:00.000Z', minutes: 15 }
+        ],
+        checkIns: [
+          {
+            response: 'continue',
+            shownAt: '2026-06-03T03:00:00.000Z',
+            respondedAt: '2026-06-03T03:00:05.000Z'
+          }
+        ]
+      }
+    ]);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Keyboard Commands Tests
+ * extension/background/keyboard-commands.js: each shortcut becomes the popup's
+ * message for the right timer, with a confirmation notification
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import {
+  handleKeyboardCommand,
+  COMMAND_CONFIG
+} from '../extension/background/keyboard-commands.js';
+
+const TAB = { id: 7 };
+
+let stored;
+let timers;
+let send;
+
+const notified = () => chrome.notifications.create.mock.calls.map(([, options]) => options.message);
+
+beforeAll(() => {
+  chrome.notifications = { create: vi.fn(() => Promise.resolve()) };
+  chrome.runtime.getURL = vi.fn(path => `chrome-extension://test/${path}`);
+});
+
+beforeEach(() => {
+  stored = { settings: { showNotifications: true } };
+  timers = [];
+  chrome.storage.local.get.mockImplementation(key => Promise.resolve({ [key]: stored[key] }));
+  send = vi.fn(message =>
+    Promise.resolve(
+      message.action === 'getAllTimers' ? { success: true, timers } : { success: true }
+    )
+  );
+});
+
+afterEach(() => {
+  chrome.storage.local.get.mockImplementation(() => Promise.resolve({}));
+});
+
+/**
+ * The message the command sent after looking up the timers
+ */
+const sentMessage = () =>
+  send.mock.calls.map(([message]) => message).find(m => m.action !== 'getAllTimers');
+
+describe('Keyboard Commands: timer commands', () => {
+  beforeEach(() => {
+    timers = [
+      { tabId: 3, mode: 'duration', status: 'active' },
+      { tabId: TAB.id, mode: 'duration', status: 'active' }
+    ];
+  });
+
+  it('maps each command to the popup message for the current tab timer', async () => {
+    const cases = [
+      ['extend-timer', { action: 'extendTimer', tabId: 7, minutes: COMMAND_CONFIG.EXTEND_MINUTES }],
+      ['toggle-pause', { action: 'pauseTimer', tabId: 7 }],
+      ['stop-timer', { action: 'stopTimer', tabId: 7 }]
+    ];
+    for (const [command, message] of cases) {
+      send.mockClear();
+      await handleKeyboardCommand(command, TAB, send);
+      expect(sentMessage()).toEqual(message);
+    }
+    expect(notified()).toEqual(['Added 10 minutes', 'Timer paused', 'Timer stopped']);
+  });
+
+  it('resumes a paused timer and adds an episode to an episode timer', async () => {
+    timers[1] = { tabId: TAB.id, mode: 'episode', status: 'paused' };
+
+    await handleKeyboardCommand('toggle-pause', TAB, send);
+    expect(sentMessage()).toEqual({ action: 'resumeTimer', tabId: 7 });
+
+    send.mockClear();
+    await handleKeyboardCommand('extend-timer', TAB, send);
+    expect(sentMessage()).toEqual({ action: 'extendTimer', tabId: 7, episodes: 1 });
+  });
+
+  it('acts on the only running timer from any tab', async () => {
+    timers = [{ tabId: 3, mode: 'duration', status: 'active' }];
+
+    await handleKeyboardCommand('stop-timer', { id: 99 }, send);
+    expect(sentMessage()).toEqual({ action: 'stopTimer', tabId: 3 });
+  });
+
+  it('shows the error when the timer action fails', async () => {
+    send.mockImplementation(message =>
+      Promise.resolve(
+        message.action === 'getAllTimers'
+          ? { success: true, timers }
+          : { success: false, error: 'Timer cannot be extended past 24 hours' }
+      )
+    );
+
+    await handleKeyboardCommand('extend-timer', TAB, send);
+    expect(notified()).toEqual(['Timer cannot be extended past 24 hours']);
+  });
+});
+
+describe('Keyboard Commands: nothing to act on', () => {
+  it('says so when no timer is running', async () => {
+    await handleKeyboardCommand('toggle-pause', TAB, send);
+
+    expect(sentMessage()).toBeUndefined();
+    expect(notified()).toEqual(['No timer is running']);
+  });
+
+  it('does not guess between several timers in other tabs', async () => {
+    timers = [{ tabId: 3 }, { tabId: 4 }];
+
+    await handleKeyboardCommand('stop-timer', { id: 99 }, send);
+    expect(sentMessage()).toBeUndefined();
+    expect(notified()).toEqual(['No timer is running']);
+  });
+
+  it('needs an active tab to start a timer', async () => {
+    await handleKeyboardCommand('start-timer', undefined, send);
+
+    expect(send).not.toHaveBeenCalled();
+    expect(notified()).toEqual(['No tab to start a timer in']);
+  });
+
+  it('stays quiet when notifications are off', async () => {
+    stored.settings.showNotifications = false;
+
+    await handleKeyboardCommand('stop-timer', TAB, send);
+    expect(chrome.notifications.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Keyboard Commands: start and overlay', () => {
+  it('starts the clock button timer with the site profile', async () => {
+    stored.timerPresets = [45 * 60, 60 * 60, 90 * 60, 120 * 60];
+
+    await handleKeyboardCommand('start-timer', TAB, send);
+    expect(sentMessage()).toEqual({
+      action: 'startTimer',
+      tabId: 7,
+      minutes: 45,
+      useProfile: 'timer'
+    });
+    expect(notified()).toEqual(['Sleep timer started']);
+  });
+
+  it('falls back to the default first preset', async () => {
+    await handleKeyboardCommand('start-timer', TAB, send);
+    expect(sentMessage().minutes).toBe(30);
+  });
+
+  it('toggles the on-screen timer', async () => {
+    await handleKeyboardCommand('toggle-overlay', TAB, send);
+    expect(sentMessage()).toEqual({ action: 'saveSettings', settings: { showOverlay: false } });
+    expect(notified()).toEqual(['On-screen timer hidden']);
+  });
+
+  it('ignores unknown commands', async () => {
+    timers = [{ tabId: TAB.id }];
+
+    await handleKeyboardCommand('open-sesame', TAB, send);
+    expect(sentMessage()).toBeUndefined();
+    expect(chrome.notifications.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Native Host Tests
+ * native-host/host.js (message framing and commands), and
+ * extension/background/native-host.js talking to it as a dry-run stub host
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import host from '../native-host/host.js';
+import {
+  NATIVE_HOST_CONFIG,
+  sendNativeCommand,
+  runSystemAction
+} from '../extension/background/native-host.js';
+
+/**
+ * Answer sendNativeMessage like the registered host would, in dry-run mode
+ */
+function useStubHost() {
+  chrome.runtime.sendNativeMessage = vi.fn((name, message) =>
+    name === NATIVE_HOST_CONFIG.NAME
+      ? host.handleRequest(message, { platform: 'linux', dryRun: true })
+      : Promise.reject(new Error('Specified native messaging host not found.'))
+  );
+}
+
+afterEach(() => {
+  delete chrome.runtime.sendNativeMessage;
+});
+
+describe('Native Host: protocol', () => {
+  it('reads length-prefixed messages split across chunks', () => {
+    const messages = [];
+    const read = host.createMessageReader(message => messages.push(message));
+    const stream = Buffer.concat([
+      host.encodeMessage({ command: 'ping' }),
+      host.encodeMessage({ command: 'lockScreen' })
+    ]);
+
+    read(stream.subarray(0, 6));
+    read(stream.subarray(6));
+
+    expect(messages).toEqual([{ command: 'ping' }, { command: 'lockScreen' }]);
+  });
+
+  it('runs the platform command for a request', async () => {
+    const exec = vi.fn((file, args, options, callback) => callback(null));
+
+    const response = await host.handleRequest({ command: 'suspend' }, { platform: 'linux', exec });
+
+    expect(response).toEqual({ success: true });
+    expect(exec).toHaveBeenCalledWith(
+      'systemctl',
+      ['suspend'],
+      expect.any(Object),
+      expect.any(Function)
+    );
+  });
+
+  it('rejects unknown commands and reports command failures', async () => {
+    const exec = vi.fn((file, args, options, callback) => callback(new Error('not allowed')));
+
+    expect(await host.handleRequest({ command: 'shutdown' }, { platform: 'linux' })).toEqual({
+      success: false,
+      error: 'Unsupported command: shutdown'
+    });
+    expect(
+      await host.handleRequest({ command: 'lockScreen' }, { platform: 'win32', exec })
+    ).toEqual({ success: false, error: 'not allowed' });
+  });
+});
+
+describe('Native Host: extension side', () => {
+  it('pings the stub host', async () => {
+    useStubHost();
+
+    const result = await sendNativeCommand('ping');
+
+    expect(result).toMatchObject({ success: true, platform: 'linux', dryRun: true });
+    expect(result.commands).toEqual(NATIVE_HOST_CONFIG.COMMANDS);
+  });
+
+  it('degrades without the permission or the host', async () => {
+    expect(await sendNativeCommand('ping')).toEqual({
+      success: false,
+      error: 'Permission not granted'
+    });
+
+    chrome.runtime.sendNativeMessage = vi.fn(() =>
+      Promise.reject(new Error('Specified native messaging host not found.'))
+    );
+    expect(await sendNativeCommand('lockScreen')).toEqual({
+      success: false,
+      error: 'Helper not installed'
+    });
+  });
+
+  it('only sends system actions that are turned on', async () => {
+    useStubHost();
+
+    await runSystemAction('none');
+    await runSystemAction('displayOff');
+
+    expect(chrome.runtime.sendNativeMessage).toHaveBeenCalledTimes(1);
+    expect(chrome.runtime.sendNativeMessage).toHaveBeenCalledWith(NATIVE_HOST_CONFIG.NAME, {
+      command: 'displayOff'
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Schedule Utils Tests
+ * extension/utils/schedule-utils.js: bedtime occurrences in local time
+ * (America/New_York, see vitest.config.js), including DST changes and midnight
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseScheduleTime,
+  isValidSchedule,
+  getNextOccurrence,
+  getPreviousOccurrence,
+  formatScheduleDays
+} from '../extension/utils/schedule-utils.js';
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+const HOUR = 60 * 60 * 1000;
+
+const schedule = (time, days = EVERY_DAY) => ({
+  id: 'bedtime',
+  enabled: true,
+  days,
+  time,
+  action: 'timer',
+  minutes: 30
+});
+
+describe('Schedule Utils: validation', () => {
+  it('parses 24-hour HH:MM times only', () => {
+    expect(parseScheduleTime('23:05')).toEqual({ hours: 23, minutes: 5 });
+    expect(parseScheduleTime('24:00')).toBeNull();
+    expect(parseScheduleTime('7:30')).toBeNull();
+    expect(parseScheduleTime(undefined)).toBeNull();
+  });
+
+  it('checks days and the limits of each action', () => {
+    expect(isValidSchedule(schedule('22:30'))).toBe(true);
+    expect(isValidSchedule({ ...schedule('22:30'), days: [7] })).toBe(false);
+    expect(isValidSchedule({ ...schedule('22:30'), minutes: 241 })).toBe(false);
+    expect(isValidSchedule({ ...schedule('22:30'), action: 'pause', graceSeconds: 60 })).toBe(true);
+    expect(isValidSchedule({ ...schedule('22:30'), action: 'pause', graceSeconds: 601 })).toBe(
+      false
+    );
+  });
+});
+
+describe('Schedule Utils: occurrences', () => {
+  it('finds the next occurrence later today or on the next selected day', () => {
+    const now = new Date(2026, 0, 14, 21, 0); // Wednesday
+
+    expect(getNextOccurrence(schedule('22:30'), now)).toEqual(new Date(2026, 0, 14, 22, 30));
+    expect(getNextOccurrence(schedule('20:00', [5]), now)).toEqual(new Date(2026, 0, 16, 20, 0));
+    expect(getNextOccurrence(schedule('20:00', [3]), now)).toEqual(new Date(2026, 0, 21, 20, 0));
+    expect(getNextOccurrence(schedule('20:00', []), now)).toBeNull();
+  });
+
+  it('wraps past midnight into the next day', () => {
+    const saturdayNight = new Date(2026, 0, 17, 23, 50);
+
+    // 00:15 on Sundays is 25 minutes away, not a week
+    expect(getNextOccurrence(schedule('00:15', [0]), saturdayNight)).toEqual(
+      new Date(2026, 0, 18, 0, 15)
+    );
+    // Just after midnight, last night's bedtime is the previous occurrence
+    expect(getPreviousOccurrence(schedule('23:30'), new Date(2026, 0, 18, 0, 10))).toEqual(
+      new Date(2026, 0, 17, 23, 30)
+    );
+  });
+
+  it('counts an occurrence at exactly now as previous, not next', () => {
+    const now = new Date(2026, 0, 14, 22, 30);
+
+    expect(getPreviousOccurrence(schedule('22:30'), now)).toEqual(now);
+    expect(getNextOccurrence(schedule('22:30'), now)).toEqual(new Date(2026, 0, 15, 22, 30));
+  });
+
+  it('keeps the wall-clock time across the spring DST change', () => {
+    // Clocks go forward at 02:00 on Sunday 8 March 2026
+    const next = getNextOccurrence(schedule('22:00'), new Date(2026, 2, 7, 22, 30));
+
+    expect(next.getDate()).toBe(8);
+    expect(next.getHours()).toBe(22);
+    expect(next - new Date(2026, 2, 7, 22, 0)).toBe(23 * HOUR);
+  });
+
+  it('keeps the wall-clock time across the autumn DST change', () => {
+    // Clocks go back at 02:00 on Sunday 1 November 2026
+    const previous = getPreviousOccurrence(schedule('22:00'), new Date(2026, 10, 1, 23, 0));
+
+    expect(previous.getDate()).toBe(1);
+    expect(previous.getHours()).toBe(22);
+    expect(previous - new Date(2026, 9, 31, 22, 0)).toBe(25 * HOUR);
+  });
+});
+
+describe('Schedule Utils: formatScheduleDays', () => {
+  it('names common day sets and lists the rest in week order', () => {
+    expect(formatScheduleDays(EVERY_DAY)).toBe('Every day');
+    expect(formatScheduleDays([5, 1, 2, 3, 4])).toBe('Weekdays');
+    expect(formatScheduleDays([6, 0])).toBe('Weekends');
+    expect(formatScheduleDays([5, 1, 3, 1])).toBe('Mon, Wed, Fri');
+    expect(formatScheduleDays([])).toBe('No days');
+  });
+});
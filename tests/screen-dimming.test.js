@@ -0,0 +1,116 @@
+/**
+ * Screen Dimming Tests
+ * The dimScreen layer in extension/content/streaming-controller.js, driven
+ * through its runtime message listener
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+
+const TAB_ID = 7;
+
+let onMessage;
+let settings;
+let status;
+
+const send = request => onMessage(request, { id: chrome.runtime.id }, () => {});
+const dimLayer = () => document.querySelector('.autoplay-dim-layer');
+
+beforeAll(async () => {
+  chrome.storage.onChanged = { addListener: vi.fn() };
+  chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+    let response = { success: true };
+    if (message.action === 'getSettings') {
+      response = { success: true, settings };
+    } else if (message.action === 'getTimerStatus') {
+      response = { success: true, status, senderTabId: TAB_ID };
+    }
+    if (callback) {
+      callback(response);
+    }
+    return Promise.resolve(response);
+  });
+
+  await import('../extension/content/streaming-controller.js');
+  [[onMessage]] = chrome.runtime.onMessage.addListener.mock.calls;
+});
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+  settings = { dimScreen: true };
+  status = { active: true, status: 'active', mode: 'duration', tabId: TAB_ID, remaining: 600 };
+});
+
+afterEach(() => {
+  send({ action: 'destroyOverlay' });
+  vi.useRealTimers();
+});
+
+/**
+ * Count the timer down to `remaining` seconds (at least one poll interval) so
+ * the next remaining-time check picks it up
+ */
+async function tickTo(remaining) {
+  const elapsed = Math.max(status.remaining - remaining, 2);
+  status.remaining = remaining;
+  await vi.advanceTimersByTimeAsync(elapsed * 1000);
+  return Number(dimLayer()?.style.opacity ?? 0);
+}
+
+describe('Screen Dimming', () => {
+  it('darkens gradually through the warning and critical windows', async () => {
+    send({ action: 'startTimer' });
+
+    expect(await tickTo(600)).toBe(0);
+    expect(dimLayer()).toBeNull();
+    expect(await tickTo(180)).toBeCloseTo(0.175);
+    expect(await tickTo(60)).toBeCloseTo(0.35);
+    expect(await tickTo(0)).toBeCloseTo(0.85);
+  });
+
+  it('checks the timer only once before the warning window', async () => {
+    const statusChecks = () =>
+      chrome.runtime.sendMessage.mock.calls.filter(([m]) => m.action === 'getTimerStatus').length;
+    send({ action: 'startTimer' });
+    await vi.advanceTimersByTimeAsync(0);
+    const checks = statusChecks();
+
+    await vi.advanceTimersByTimeAsync(299000);
+    expect(statusChecks()).toBe(checks);
+    status.remaining = 300;
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(statusChecks()).toBe(checks + 1);
+  });
+
+  it('lifts the dimming while the timer is paused', async () => {
+    send({ action: 'startTimer' });
+    expect(await tickTo(30)).toBeGreaterThan(0.35);
+
+    status.status = 'paused';
+    expect(await tickTo(30)).toBe(0);
+  });
+
+  it('only dims the tab that owns the timer', async () => {
+    status.tabId = TAB_ID + 1;
+    send({ action: 'startTimer' });
+
+    expect(await tickTo(30)).toBe(0);
+    expect(dimLayer()).toBeNull();
+  });
+
+  it('stays off when dimScreen is disabled', async () => {
+    settings = { dimScreen: false };
+    send({ action: 'startTimer' });
+
+    expect(await tickTo(30)).toBe(0);
+    expect(dimLayer()).toBeNull();
+  });
+
+  it('removes the layer when the timer ends', async () => {
+    send({ action: 'startTimer' });
+    await tickTo(30);
+    expect(dimLayer()).not.toBeNull();
+
+    send({ action: 'destroyOverlay' });
+    expect(dimLayer()).toBeNull();
+  });
+});
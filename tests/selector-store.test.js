@@ -0,0 +1,164 @@
+/**
+ * Selector Store Tests
+ * server/selector-store.js: the version ledger behind /api/selectors and the admin API
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import store from '../server/selector-store.js';
+
+const {
+  createSelectorStore,
+  ledgerFileFromEnv,
+  canonicalJson,
+  contentHash,
+  diffSelectors,
+  validateSelectors
+} = store;
+
+const NETFLIX = { nextButton: '.next' };
+const YOUTUBE = { skipAdButton: '.skip' };
+
+let dir;
+let ledgerFile;
+
+const open = platforms => createSelectorStore({ ledgerFile, seed: { platforms } });
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'viboot-selectors-'));
+  ledgerFile = path.join(dir, 'selector-versions.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('Selector Store: hashing', () => {
+  it('hashes equal content the same regardless of key order', () => {
+    expect(canonicalJson({ b: 1, a: { d: [2], c: 'x' } })).toBe('{"a":{"c":"x","d":[2]},"b":1}');
+    expect(contentHash({ a: 1, b: 2 })).toBe(contentHash({ b: 2, a: 1 }));
+    expect(contentHash({ a: 1 })).not.toBe(contentHash({ a: 2 }));
+  });
+});
+
+describe('Selector Store: ledger file', () => {
+  it('uses SELECTOR_LEDGER_FILE when set', () => {
+    const env = { NODE_ENV: 'production', SELECTOR_LEDGER_FILE: ledgerFile };
+    expect(ledgerFileFromEnv(env)).toBe(ledgerFile);
+  });
+
+  it('defaults to server/data outside production', () => {
+    expect(ledgerFileFromEnv({})).toMatch(path.join('server', 'data', 'selector-versions.json'));
+  });
+
+  it('refuses to start in production without SELECTOR_LEDGER_FILE', () => {
+    expect(() => ledgerFileFromEnv({ NODE_ENV: 'production' })).toThrow(
+      'SELECTOR_LEDGER_FILE must be set in production'
+    );
+  });
+});
+
+describe('Selector Store: versions', () => {
+  it('imports config-data as version 1 and keeps it across restarts', () => {
+    const first = open({ netflix: NETFLIX }).getConfig();
+    const again = open({ netflix: NETFLIX }).getConfig();
+
+    expect(first.version).toBe(1);
+    expect(again).toEqual(first);
+    expect(JSON.parse(fs.readFileSync(ledgerFile, 'utf8')).versions).toHaveLength(1);
+  });
+
+  it('adds the next version when config-data changes', () => {
+    open({ netflix: NETFLIX });
+    const config = open({ netflix: NETFLIX, youtube: YOUTUBE }).getConfig();
+
+    expect(config.version).toBe(2);
+    expect(config.platforms.youtube).toEqual(YOUTUBE);
+  });
+
+  it('gives each platform the version it last changed in', () => {
+    open({ netflix: NETFLIX, youtube: YOUTUBE });
+    const selectors = open({ netflix: NETFLIX, youtube: { skipAdButton: '.skip-v2' } });
+
+    expect(selectors.getPlatform('netflix')).toMatchObject({ version: 1, selectors: NETFLIX });
+    expect(selectors.getPlatform('youtube')).toMatchObject({ platform: 'youtube', version: 2 });
+    expect(selectors.getPlatform('hulu')).toBeNull();
+  });
+
+  it('starts a new ledger when the file is unreadable', () => {
+    fs.writeFileSync(ledgerFile, 'not json');
+    expect(open({ netflix: NETFLIX }).getConfig().version).toBe(1);
+  });
+});
+
+describe('Selector Store: admin changes', () => {
+  it('publishes updates and rollbacks as new versions', () => {
+    const selectors = open({ netflix: NETFLIX });
+
+    expect(selectors.setPlatform('netflix', { nextButton: '.next-v2' }).version).toBe(2);
+    expect(selectors.setPlatform('netflix', { nextButton: '.next-v2' })).toBeNull();
+
+    const rollback = selectors.rollbackPlatform('netflix', 1, { note: 'v2 broke' });
+    expect(rollback).toMatchObject({
+      version: 3,
+      change: { type: 'rollback', platforms: ['netflix'], from: 1, note: 'v2 broke' }
+    });
+    expect(selectors.getPlatform('netflix').selectors).toEqual(NETFLIX);
+  });
+
+  it('does not roll back platforms a version never had', () => {
+    const selectors = open({ netflix: NETFLIX });
+
+    expect(selectors.getPlatformAt('constructor', 1)).toBeNull();
+    expect(() => selectors.rollbackPlatform('constructor', 1)).toThrow('no selectors');
+    expect(() => selectors.rollbackPlatform('netflix', 9)).toThrow('no selectors');
+    expect(selectors.listPlatforms()).toEqual(['netflix']);
+  });
+
+  it('keeps admin changes when config-data changes another platform', () => {
+    open({ netflix: NETFLIX, youtube: YOUTUBE }).setPlatform('hulu', { skipIntroButton: '.skip' });
+    const config = open({ netflix: { nextButton: '.edited' }, youtube: YOUTUBE }).getConfig();
+
+    expect(config.version).toBe(3);
+    expect(config.platforms).toEqual({
+      netflix: { nextButton: '.edited' },
+      youtube: YOUTUBE,
+      hulu: { skipIntroButton: '.skip' }
+    });
+  });
+
+  it('lists history with per-key diffs, newest first', () => {
+    const selectors = open({ netflix: NETFLIX, youtube: YOUTUBE });
+    selectors.setPlatform('netflix', { nextButton: '.next-v2', skipIntroButton: '.intro' });
+
+    const [latest] = selectors.getHistory({ platform: 'netflix' });
+    expect(latest.version).toBe(2);
+    expect(latest.changes.netflix).toEqual([
+      { key: 'nextButton', type: 'changed', before: '.next', after: '.next-v2' },
+      { key: 'skipIntroButton', type: 'added', before: null, after: '.intro' }
+    ]);
+    expect(selectors.getHistory({ platform: 'youtube' }).map(item => item.version)).toEqual([1]);
+    expect(Object.keys(selectors.diffVersions(1, 2))).toEqual(['netflix']);
+  });
+});
+
+describe('Selector Store: validation', () => {
+  it('accepts selector names mapped to CSS selectors', () => {
+    expect(validateSelectors({ nextButton: "[data-uia='next']" })).toBeNull();
+  });
+
+  it('rejects empty sets, bad names and empty selectors', () => {
+    expect(validateSelectors({})).toMatch('entries');
+    expect(validateSelectors(['.next'])).toMatch('object');
+    expect(validateSelectors({ 'next-button': '.next' })).toMatch('Invalid selector name');
+    expect(validateSelectors({ nextButton: '  ' })).toMatch('non-empty');
+  });
+
+  it('diffs removed keys', () => {
+    expect(diffSelectors({ a: '.a' }, {})).toEqual([
+      { key: 'a', type: 'removed', before: '.a', after: null }
+    ]);
+  });
+});
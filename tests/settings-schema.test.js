@@ -0,0 +1,252 @@
+/**
+ * Settings Schema Tests
+ * extension/utils/settings-schema.js: migrating version 1 and 2 export files,
+ * validating imports field by field, and the import preview and merge
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  SETTINGS_FORMAT,
+  SETTINGS_SCHEMA_VERSION,
+  SettingsImportError,
+  migrateSettingsDocument,
+  validateSettingsImport,
+  buildSettingsExport,
+  diffSettings,
+  mergeImportedSettings
+} from '../extension/utils/settings-schema.js';
+
+const settingsFile = (settings, schemaVersion = SETTINGS_SCHEMA_VERSION) => ({
+  format: SETTINGS_FORMAT,
+  schemaVersion,
+  exportedAt: '2026-06-01T00:00:00.000Z',
+  settings
+});
+
+const bedtime = {
+  id: 'weeknights',
+  days: [1, 2, 3, 4],
+  time: '23:00',
+  action: 'timer',
+  minutes: 30
+};
+
+describe('Settings Schema: migrations', () => {
+  it('upgrades an unversioned storage dump through version 2 to version 3', () => {
+    const { document: migrated, fromVersion } = migrateSettingsDocument({
+      'autoplay-theme': 'dark',
+      showOverlay: false,
+      compactMode: true,
+      settings: { fadeOutSeconds: 30, showOverlay: true }
+    });
+
+    expect(fromVersion).toBe(1);
+    expect(migrated).toEqual({
+      format: SETTINGS_FORMAT,
+      schemaVersion: 3,
+      settings: {
+        'autoplay-theme': 'dark',
+        // Flat keys win over the nested ones, as on the settings page
+        settings: { fadeOutSeconds: 30, showOverlay: false, compactMode: true }
+      }
+    });
+  });
+
+  it('moves flat preference keys of a version 2 file into the nested settings', () => {
+    const { document: migrated, fromVersion } = migrateSettingsDocument(
+      settingsFile({ badgeEnabled: false, timerPresets: [5, 15, 30, 60] }, 2)
+    );
+
+    expect(fromVersion).toBe(2);
+    expect(migrated.schemaVersion).toBe(3);
+    expect(migrated.settings).toEqual({
+      timerPresets: [5, 15, 30, 60],
+      settings: { badgeEnabled: false }
+    });
+  });
+
+  it('leaves version 2 files without flat keys as they were', () => {
+    const settings = { settings: { dimScreen: true } };
+    const { document: migrated } = migrateSettingsDocument(settingsFile(settings, 2));
+
+    expect(migrated.settings).toEqual(settings);
+  });
+
+  it('passes current files through unchanged', () => {
+    const current = settingsFile({ settings: { showOverlay: false } });
+
+    expect(migrateSettingsDocument(current)).toEqual({ document: current, fromVersion: 3 });
+  });
+
+  it('rejects files that are not settings or come from a newer version', () => {
+    const cases = [
+      [null, 'does not contain a settings object'],
+      [[1, 2], 'does not contain a settings object'],
+      [settingsFile({}, 0), 'invalid schemaVersion'],
+      [settingsFile({}, '3'), 'invalid schemaVersion'],
+      [settingsFile({}, SETTINGS_SCHEMA_VERSION + 1), 'newer version'],
+      [settingsFile('dark'), 'no "settings" object']
+    ];
+    for (const [data, message] of cases) {
+      expect(() => migrateSettingsDocument(data)).toThrow(SettingsImportError);
+      expect(() => migrateSettingsDocument(data)).toThrow(message);
+    }
+  });
+});
+
+describe('Settings Schema: validation', () => {
+  it('keeps valid allow-listed values and ignores everything else', () => {
+    const result = validateSettingsImport(
+      settingsFile({
+        'autoplay-theme': 'light',
+        timerPresets: [10, 20, 45, 90],
+        bedtimeSchedules: [bedtime],
+        settings: { expiryAction: 'mute', skipIntroPlatforms: { netflix: false } },
+        activeTimers: { 12: {} },
+        analyticsId: 'abc'
+      })
+    );
+
+    expect(result).toEqual({
+      values: {
+        'autoplay-theme': 'light',
+        timerPresets: [10, 20, 45, 90],
+        bedtimeSchedules: [bedtime],
+        settings: { expiryAction: 'mute', skipIntroPlatforms: { netflix: false } }
+      },
+      errors: [],
+      ignored: ['activeTimers', 'analyticsId'],
+      fromVersion: 3
+    });
+  });
+
+  it('reports invalid fields by path and leaves them out', () => {
+    const { values, errors, ignored } = validateSettingsImport(
+      settingsFile({
+        'autoplay-theme': 'blue',
+        timerPresets: [10, 20, 0, 90],
+        bedtimeSchedules: [bedtime, { ...bedtime, time: '25:00' }],
+        settings: {
+          fadeOutSeconds: 121,
+          checkInMinutes: 2.5,
+          showOverlay: 'yes',
+          defaultTimer: 45,
+          skipIntroPlatforms: { netflix: 'on', hulu: true, vimeo: true },
+          siteProfiles: { netflix: { mode: 'episode', episodes: 11 } },
+          unknownSetting: true
+        }
+      })
+    );
+
+    expect(values).toEqual({
+      bedtimeSchedules: [bedtime],
+      settings: { defaultTimer: 45, skipIntroPlatforms: { hulu: true } }
+    });
+    expect(errors).toEqual([
+      { field: 'autoplay-theme', message: 'must be one of: dark, light, auto' },
+      { field: 'timerPresets', message: 'item 3 must be a whole number from 1 to 86400' },
+      {
+        field: 'bedtimeSchedules[2]',
+        message: 'is not a valid bedtime (check days, time and action)'
+      },
+      { field: 'settings.fadeOutSeconds', message: 'must be a whole number from 0 to 120' },
+      { field: 'settings.checkInMinutes', message: 'must be a whole number from 0 to 5' },
+      { field: 'settings.showOverlay', message: 'must be true or false' },
+      { field: 'settings.skipIntroPlatforms.netflix', message: 'must be true or false' },
+      {
+        field: 'settings.siteProfiles',
+        message: 'netflix: episodes must be a whole number from 1 to 10'
+      }
+    ]);
+    expect(ignored).toEqual(['settings.skipIntroPlatforms.vimeo', 'settings.unknownSetting']);
+  });
+
+  it('reports wrongly shaped containers', () => {
+    const { values, errors } = validateSettingsImport(
+      settingsFile({ timerPresets: [5, 10], bedtimeSchedules: {}, settings: [] })
+    );
+
+    expect(values).toEqual({});
+    expect(errors).toEqual([
+      { field: 'timerPresets', message: 'must be a list of 4 values' },
+      { field: 'bedtimeSchedules', message: 'must be a list' },
+      { field: 'settings', message: 'must be an object' }
+    ]);
+  });
+
+  it('validates migrated version 1 files against the current schema', () => {
+    const { values, errors, fromVersion } = validateSettingsImport({
+      'autoplay-theme': 'auto',
+      notificationSound: 'gong',
+      compactMode: true
+    });
+
+    expect(fromVersion).toBe(1);
+    expect(values).toEqual({ 'autoplay-theme': 'auto', settings: { compactMode: true } });
+    expect(errors).toEqual([
+      { field: 'settings.notificationSound', message: 'must be one of: none, bell, chime, alert' }
+    ]);
+  });
+});
+
+describe('Settings Schema: export and import', () => {
+  it('exports only allow-listed keys that are stored', () => {
+    const exported = buildSettingsExport({
+      'autoplay-theme': 'dark',
+      settings: { dimScreen: true },
+      activeTimers: {}
+    });
+
+    expect(exported).toMatchObject({
+      format: SETTINGS_FORMAT,
+      schemaVersion: SETTINGS_SCHEMA_VERSION,
+      settings: { 'autoplay-theme': 'dark', settings: { dimScreen: true } }
+    });
+    expect(validateSettingsImport(exported).values).toEqual(exported.settings);
+  });
+
+  it('merges nested settings and replaces other keys', () => {
+    const current = {
+      timerPresets: [5, 10, 15, 20],
+      settings: {
+        dimScreen: true,
+        skipIntroPlatforms: { netflix: false, hulu: false },
+        siteProfiles: { youtube: { expiryAction: 'mute' } }
+      }
+    };
+    const incoming = {
+      timerPresets: [15, 30, 45, 60],
+      settings: {
+        fadeOutSeconds: 20,
+        skipIntroPlatforms: { hulu: true },
+        siteProfiles: { netflix: { mode: 'duration', minutes: 45 } }
+      }
+    };
+
+    expect(mergeImportedSettings(current, incoming)).toEqual({
+      timerPresets: [15, 30, 45, 60],
+      settings: {
+        dimScreen: true,
+        fadeOutSeconds: 20,
+        skipIntroPlatforms: { netflix: false, hulu: true },
+        siteProfiles: {
+          youtube: { expiryAction: 'mute' },
+          netflix: { mode: 'duration', minutes: 45 }
+        }
+      }
+    });
+  });
+
+  it('previews only real changes, comparing unset settings as their defaults', () => {
+    const current = { 'autoplay-theme': 'dark', settings: { fadeOutSeconds: 10 } };
+    const incoming = {
+      'autoplay-theme': 'dark',
+      settings: { fadeOutSeconds: 30, showOverlay: true, skipIntroPlatforms: { hulu: false } }
+    };
+
+    expect(diffSettings(current, incoming)).toEqual([
+      { field: 'settings.skipIntroPlatforms.hulu', before: true, after: false },
+      { field: 'settings.fadeOutSeconds', before: 10, after: 30 }
+    ]);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Settings Service Tests
+ * extension/utils/settings-service.js: defaults and type checks on read, the
+ * one-time move of legacy flat keys, serialized updates and change events
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import {
+  SETTINGS_DEFAULTS,
+  LEGACY_FLAT_KEYS,
+  normalizeSettings,
+  getSettings,
+  updateSettings,
+  onSettingsChanged,
+  migrateLegacySettings
+} from '../extension/utils/settings-service.js';
+
+let stored;
+
+beforeAll(() => {
+  chrome.storage.onChanged = { addListener: vi.fn(), removeListener: vi.fn() };
+});
+
+beforeEach(() => {
+  stored = {};
+  chrome.storage.local.get.mockImplementation(keys => {
+    const found = [keys].flat().filter(key => key in stored);
+    return Promise.resolve(
+      Object.fromEntries(found.map(key => [key, structuredClone(stored[key])]))
+    );
+  });
+  chrome.storage.local.set.mockImplementation(items => {
+    Object.assign(stored, structuredClone(items));
+    return Promise.resolve();
+  });
+  chrome.storage.local.remove.mockImplementation(keys => {
+    [keys].flat().forEach(key => delete stored[key]);
+    return Promise.resolve();
+  });
+});
+
+afterEach(() => {
+  chrome.storage.local.get.mockImplementation(() => Promise.resolve({}));
+  chrome.storage.local.set.mockImplementation(() => Promise.resolve());
+  chrome.storage.local.remove.mockImplementation(() => Promise.resolve());
+});
+
+describe('Settings Service: normalizeSettings', () => {
+  it('fills in every default when nothing is stored', () => {
+    expect(normalizeSettings()).toEqual(SETTINGS_DEFAULTS);
+    expect(normalizeSettings(null)).toEqual(SETTINGS_DEFAULTS);
+    expect(normalizeSettings([true])).toEqual(SETTINGS_DEFAULTS);
+  });
+
+  it('keeps stored values of the right type and replaces the rest', () => {
+    const settings = normalizeSettings({
+      showOverlay: false,
+      compactMode: 'yes',
+      fadeOutSeconds: '30',
+      notificationSound: 'chime',
+      skipIntroPlatforms: { netflix: false },
+      removedSetting: true
+    });
+
+    expect(settings).toMatchObject({
+      showOverlay: false,
+      compactMode: false,
+      fadeOutSeconds: 0,
+      notificationSound: 'chime'
+    });
+    expect(settings.skipIntroPlatforms).toEqual({
+      ...SETTINGS_DEFAULTS.skipIntroPlatforms,
+      netflix: false
+    });
+    expect(settings).not.toHaveProperty('removedSetting');
+  });
+
+  it('falls back to the default platforms when skipIntroPlatforms is not an object', () => {
+    expect(normalizeSettings({ skipIntroPlatforms: 'all' }).skipIntroPlatforms).toEqual(
+      SETTINGS_DEFAULTS.skipIntroPlatforms
+    );
+  });
+});
+
+describe('Settings Service: migrateLegacySettings', () => {
+  it('moves flat keys into settings and removes them', async () => {
+    stored = {
+      settings: { fadeOutSeconds: 30, showOverlay: true },
+      showOverlay: false,
+      compactMode: true,
+      timerPresets: [5, 10, 15, 20]
+    };
+
+    expect(await migrateLegacySettings()).toBe(true);
+    expect(stored).toEqual({
+      // Flat values win: they are what the old settings page showed
+      settings: { fadeOutSeconds: 30, showOverlay: false, compactMode: true },
+      timerPresets: [5, 10, 15, 20]
+    });
+    expect(chrome.storage.local.remove).toHaveBeenCalledWith(['showOverlay', 'compactMode']);
+  });
+
+  it('only runs once', async () => {
+    stored = { autoPauseNext: true };
+
+    expect(await migrateLegacySettings()).toBe(true);
+    stored.settings.autoPauseNext = false;
+
+    expect(await migrateLegacySettings()).toBe(false);
+    expect(stored).toEqual({ settings: { autoPauseNext: false } });
+    expect(chrome.storage.local.set).toHaveBeenCalledTimes(1);
+  });
+
+  it('is a no-op for a fresh install', async () => {
+    expect(await migrateLegacySettings()).toBe(false);
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    expect(chrome.storage.local.remove).not.toHaveBeenCalled();
+  });
+
+  it('moves invalid legacy values, which then read as their defaults', async () => {
+    stored = { settings: 'corrupt', badgeEnabled: 'off', showNotifications: 0 };
+
+    await migrateLegacySettings();
+    expect(LEGACY_FLAT_KEYS.some(key => key in stored)).toBe(false);
+    expect(stored.settings).toEqual({ badgeEnabled: 'off', showNotifications: 0 });
+    expect(await getSettings()).toEqual(SETTINGS_DEFAULTS);
+  });
+});
+
+describe('Settings Service: reading and writing', () => {
+  it('returns normalized settings', async () => {
+    stored = { settings: { dimScreen: true, defaultTimer: 'soon' } };
+
+    const settings = await getSettings();
+    expect(settings.dimScreen).toBe(true);
+    expect(settings.defaultTimer).toBe(SETTINGS_DEFAULTS.defaultTimer);
+  });
+
+  it('returns the defaults when storage fails', async () => {
+    chrome.storage.local.get.mockImplementation(() => Promise.reject(new Error('quota')));
+
+    expect(await getSettings()).toEqual(SETTINGS_DEFAULTS);
+  });
+
+  it('merges concurrent updates without losing any', async () => {
+    stored = { settings: { dimScreen: true } };
+
+    const results = await Promise.all([
+      updateSettings({ fadeOutSeconds: 20 }),
+      updateSettings({ checkInMinutes: 2 })
+    ]);
+    expect(results).toEqual([true, true]);
+    expect(stored.settings).toEqual({ dimScreen: true, fadeOutSeconds: 20, checkInMinutes: 2 });
+  });
+
+  it('reports the normalized settings and the keys that changed', () => {
+    const callback = vi.fn();
+    const unsubscribe = onSettingsChanged(callback);
+    const [[listener]] = chrome.storage.onChanged.addListener.mock.calls;
+
+    listener(
+      { settings: { oldValue: { dimScreen: false }, newValue: { dimScreen: true } } },
+      'local'
+    );
+    // Writing a default value explicitly changes nothing
+    listener({ settings: { oldValue: undefined, newValue: { showOverlay: true } } }, 'local');
+    listener({ timerPresets: { newValue: [1, 2, 3, 4] } }, 'local');
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ dimScreen: true }), [
+      'dimScreen'
+    ]);
+
+    unsubscribe();
+    expect(chrome.storage.onChanged.removeListener).toHaveBeenCalledWith(listener);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Settings Sync Tests
+ * Runs extension/utils/settings-sync.js against the chrome.storage mocks in tests/setup.js,
+ * backed by in-memory stores
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  SYNC_CONFIG,
+  resolveConflict,
+  syncNow,
+  onLocalChange,
+  onRemoteChange,
+  setSyncEnabled
+} from '../extension/utils/settings-sync.js';
+
+/**
+ * Back a mocked storage area with a plain object
+ */
+function useMemoryStorage(area, initial = {}) {
+  const store = { ...initial };
+  area.get.mockImplementation(keys => {
+    const list = typeof keys === 'string' ? [keys] : keys;
+    const result = {};
+    list.forEach(key => {
+      if (store[key] !== undefined) {
+        result[key] = structuredClone(store[key]);
+      }
+    });
+    return Promise.resolve(result);
+  });
+  area.set.mockImplementation(items => {
+    Object.assign(store, structuredClone(items));
+    return Promise.resolve();
+  });
+  return store;
+}
+
+let local;
+let sync;
+
+beforeEach(() => {
+  local = useMemoryStorage(chrome.storage.local, { [SYNC_CONFIG.ENABLED_KEY]: true });
+  sync = useMemoryStorage(chrome.storage.sync);
+});
+
+describe('Settings Sync: resolveConflict', () => {
+  it('keeps the newer copy', () => {
+    expect(resolveConflict({ value: 1, modifiedAt: 200 }, { value: 2, modifiedAt: 100 })).toBe(
+      'local'
+    );
+    expect(resolveConflict({ value: 1, modifiedAt: 100 }, { value: 2, modifiedAt: 200 })).toBe(
+      'remote'
+    );
+  });
+
+  it('does nothing when both sides agree or neither has a value', () => {
+    expect(
+      resolveConflict({ value: 'dark', modifiedAt: 100 }, { value: 'dark', modifiedAt: 100 })
+    ).toBeNull();
+    expect(resolveConflict({ value: undefined, modifiedAt: 0 }, undefined)).toBeNull();
+  });
+});
+
+describe('Settings Sync: syncNow', () => {
+  it('pushes local preferences that were never synced', async () => {
+    local.timerPresets = [300, 600, 900, 1200];
+    local.activeTimers = { 1: { remaining: 60 } };
+    local.ga_client_id = 'abc';
+
+    await syncNow();
+
+    expect(sync.timerPresets.value).toEqual([300, 600, 900, 1200]);
+    expect(sync.timerPresets.modifiedAt).toBeGreaterThan(0);
+    expect(sync.activeTimers).toBeUndefined();
+    expect(sync.ga_client_id).toBeUndefined();
+  });
+
+  it('resolves each key by its last-modified time', async () => {
+    local['autoplay-theme'] = 'light';
+    local.timerPresets = [60, 120, 180, 240];
+    local[SYNC_CONFIG.META_KEY] = { 'autoplay-theme': 500, timerPresets: 100 };
+    sync['autoplay-theme'] = { value: 'dark', modifiedAt: 400 };
+    sync.timerPresets = { value: [600, 1200, 1800, 2400], modifiedAt: 300 };
+
+    const applied = await syncNow();
+
+    expect(applied).toEqual(['timerPresets']);
+    expect(local.timerPresets).toEqual([600, 1200, 1800, 2400]);
+    expect(local[SYNC_CONFIG.META_KEY].timerPresets).toBe(300);
+    expect(sync['autoplay-theme']).toEqual({ value: 'light', modifiedAt: 500 });
+  });
+
+  it('skips items over the per-item quota and reports it', async () => {
+    local.settings = { showOverlay: true, note: 'x'.repeat(SYNC_CONFIG.QUOTA_BYTES_PER_ITEM) };
+    local['autoplay-theme'] = 'dark';
+
+    await syncNow();
+
+    expect(sync.settings).toBeUndefined();
+    expect(sync['autoplay-theme'].value).toBe('dark');
+    expect(local[SYNC_CONFIG.STATUS_KEY].error).toBe('Too large to sync: settings');
+  });
+
+  it('reports sync write errors instead of throwing', async () => {
+    local['autoplay-theme'] = 'dark';
+    chrome.storage.sync.set.mockRejectedValueOnce(new Error('MAX_WRITE_OPERATIONS_PER_MINUTE'));
+
+    await expect(syncNow()).resolves.toEqual([]);
+    expect(local[SYNC_CONFIG.STATUS_KEY].error).toBe('MAX_WRITE_OPERATIONS_PER_MINUTE');
+  });
+});
+
+describe('Settings Sync: change listeners', () => {
+  it('stamps local edits even while sync is off', async () => {
+    local[SYNC_CONFIG.ENABLED_KEY] = false;
+    vi.spyOn(Date, 'now').mockReturnValue(1000);
+
+    await onLocalChange({ timerPresets: { newValue: [60, 120, 180, 240] } });
+
+    expect(local[SYNC_CONFIG.META_KEY]).toEqual({ timerPresets: 1000 });
+    vi.restoreAllMocks();
+  });
+
+  it('ignores local writes made by applying synced values', async () => {
+    await onLocalChange({
+      timerPresets: { newValue: [60, 120, 180, 240] },
+      [SYNC_CONFIG.META_KEY]: { newValue: { timerPresets: 5 } }
+    });
+
+    expect(local[SYNC_CONFIG.META_KEY]).toBeUndefined();
+  });
+
+  it('applies newer synced values and keeps newer local ones', async () => {
+    local.settings = { showOverlay: false };
+    local['autoplay-theme'] = 'light';
+    local[SYNC_CONFIG.META_KEY] = { settings: 100, 'autoplay-theme': 900 };
+
+    const applied = await onRemoteChange({
+      settings: { newValue: { value: { showOverlay: true }, modifiedAt: 200 } },
+      'autoplay-theme': { newValue: { value: 'dark', modifiedAt: 300 } }
+    });
+
+    expect(applied).toEqual(['settings']);
+    expect(local.settings).toEqual({ showOverlay: true });
+    expect(local['autoplay-theme']).toBe('light');
+  });
+
+  it('ignores synced values while sync is off', async () => {
+    local[SYNC_CONFIG.ENABLED_KEY] = false;
+
+    const applied = await onRemoteChange({
+      'autoplay-theme': { newValue: { value: 'dark', modifiedAt: 300 } }
+    });
+
+    expect(applied).toEqual([]);
+    expect(local['autoplay-theme']).toBeUndefined();
+  });
+});
+
+describe('Settings Sync: setSyncEnabled', () => {
+  it("adopts another device's preferences when turned on", async () => {
+    local[SYNC_CONFIG.ENABLED_KEY] = false;
+    sync.timerPresets = { value: [900, 1800, 2700, 3600], modifiedAt: 50 };
+
+    const applied = await setSyncEnabled(true);
+
+    expect(local[SYNC_CONFIG.ENABLED_KEY]).toBe(true);
+    expect(applied).toEqual(['timerPresets']);
+    expect(local.timerPresets).toEqual([900, 1800, 2700, 3600]);
+  });
+
+  it('does not touch sync storage when turned off', async () => {
+    local['autoplay-theme'] = 'dark';
+
+    await setSyncEnabled(false);
+
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+  });
+});
@@ -40,6 +40,26 @@ global.chrome = {
       clear: vi.fn(() => {
         return Promise.resolve();
       })
+    },
+    sync: {
+      get: vi.fn(keys => {
+        return Promise.resolve({});
+      }),
+      set: vi.fn(items => {
+        return Promise.resolve();
+      }),
+      remove: vi.fn(keys => {
+        return Promise.resolve();
+      }),
+      clear: vi.fn(() => {
+        return Promise.resolve();
+      }),
+      QUOTA_BYTES: 102400,
+      QUOTA_BYTES_PER_ITEM: 8192
+    },
+    onChanged: {
+      addListener: vi.fn(),
+      removeListener: vi.fn()
     }
   },
   
@@ -0,0 +1,148 @@
+/**
+ * Site Profiles Tests
+ * extension/utils/site-profiles.js: profile validation and how a profile
+ * changes a timer request. Stored profiles go through the chrome.storage
+ * mocks in tests/setup.js.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  PROFILE_LIMITS,
+  validateSiteProfile,
+  validateSiteProfiles,
+  applySiteProfile,
+  resolveTimerRequest
+} from '../extension/utils/site-profiles.js';
+
+const request = { mode: 'duration', minutes: 30, episodes: 1 };
+
+function useStoredProfiles(siteProfiles) {
+  chrome.storage.local.get.mockResolvedValue({ settings: { siteProfiles } });
+}
+
+afterEach(() => {
+  chrome.storage.local.get.mockImplementation(() => Promise.resolve({}));
+});
+
+describe('Site Profiles: validation', () => {
+  it('accepts timer, fade-out and expiry overrides on their own or together', () => {
+    expect(validateSiteProfile({})).toBeNull();
+    expect(
+      validateSiteProfile({ mode: 'duration', minutes: PROFILE_LIMITS.MAX_MINUTES })
+    ).toBeNull();
+    expect(validateSiteProfile({ mode: 'episode', episodes: 3, fadeOutSeconds: 0 })).toBeNull();
+    expect(validateSiteProfile({ expiryAction: 'close', fadeOutSeconds: 120 })).toBeNull();
+  });
+
+  it('explains what is wrong with a profile', () => {
+    expect(validateSiteProfile([])).toBe('must be an object');
+    expect(validateSiteProfile({ fadeOutSeconds: 121 })).toBe(
+      'fadeOutSeconds must be a whole number from 0 to 120'
+    );
+    expect(validateSiteProfile({ expiryAction: 'sleep' })).toBe(
+      'expiryAction must be one of: pause, mute, lowerVolume, close, goodnight'
+    );
+    expect(validateSiteProfile({ mode: 'duration', minutes: 0 })).toBe(
+      'minutes must be a whole number from 1 to 1440'
+    );
+    expect(validateSiteProfile({ mode: 'episode', episodes: 1.5 })).toBe(
+      'episodes must be a whole number from 1 to 10'
+    );
+    expect(validateSiteProfile({ mode: 'chapters' })).toBe('mode must be duration or episode');
+  });
+
+  it('names the platform of the first invalid profile', () => {
+    expect(
+      validateSiteProfiles({
+        youtube: { expiryAction: 'mute' },
+        netflix: { mode: 'duration', minutes: 60 }
+      })
+    ).toBeNull();
+    expect(
+      validateSiteProfiles({ youtube: { expiryAction: 'mute' }, twitch: { fadeOutSeconds: -1 } })
+    ).toBe('twitch: fadeOutSeconds must be a whole number from 0 to 120');
+    expect(validateSiteProfiles({ vimeo: {} })).toBe('vimeo is not a supported platform');
+    expect(validateSiteProfiles(null)).toBe('must be an object of profiles per platform');
+  });
+});
+
+describe('Site Profiles: applySiteProfile', () => {
+  const profile = { mode: 'episode', episodes: 2, fadeOutSeconds: 45, expiryAction: 'mute' };
+
+  it('takes the whole default timer and behavior for "timer"', () => {
+    expect(applySiteProfile(request, profile, 'timer')).toEqual({
+      mode: 'episode',
+      minutes: 0,
+      episodes: 2,
+      fadeOutSeconds: 45,
+      expiryAction: 'mute'
+    });
+  });
+
+  it('keeps the requested timer for "behavior"', () => {
+    expect(applySiteProfile(request, profile, 'behavior')).toEqual({
+      ...request,
+      fadeOutSeconds: 45,
+      expiryAction: 'mute'
+    });
+  });
+
+  it('keeps the requested timer when the profile has no default timer', () => {
+    expect(applySiteProfile(request, { fadeOutSeconds: 0 }, 'timer')).toEqual({
+      ...request,
+      fadeOutSeconds: 0
+    });
+  });
+
+  it('returns the request itself without a profile', () => {
+    expect(applySiteProfile(request, null, 'timer')).toBe(request);
+  });
+});
+
+describe('Site Profiles: resolveTimerRequest', () => {
+  it('uses the saved profile for the platform when asked to', async () => {
+    useStoredProfiles({ netflix: { mode: 'duration', minutes: 45, expiryAction: 'close' } });
+
+    expect(await resolveTimerRequest(30, { useProfile: 'timer' }, 'netflix')).toEqual({
+      mode: 'duration',
+      minutes: 45,
+      episodes: 0,
+      durationSeconds: 2700,
+      expiryAction: 'close'
+    });
+    expect(await resolveTimerRequest(30, { useProfile: 'timer' }, 'youtube')).toEqual({
+      mode: 'duration',
+      minutes: 30,
+      episodes: 0,
+      durationSeconds: 1800
+    });
+  });
+
+  it('ignores profiles unless asked and skips invalid stored profiles', async () => {
+    useStoredProfiles({
+      netflix: { mode: 'duration', minutes: 45 },
+      hulu: { fadeOutSeconds: 500 }
+    });
+
+    expect(await resolveTimerRequest(30, {}, 'netflix')).toMatchObject({ durationSeconds: 1800 });
+    expect(await resolveTimerRequest(30, { useProfile: 'behavior' }, 'hulu')).not.toHaveProperty(
+      'fadeOutSeconds'
+    );
+  });
+
+  it('counts episodes instead of seconds for episode timers', async () => {
+    expect(await resolveTimerRequest(30, { mode: 'episode', episodes: 3 }, 'netflix')).toEqual({
+      mode: 'episode',
+      minutes: 30,
+      episodes: 3,
+      durationSeconds: 0
+    });
+    expect(await resolveTimerRequest(0, { mode: 'episode' }, 'netflix')).toMatchObject({
+      episodes: 1
+    });
+  });
+
+  it('rounds fractional minutes to whole seconds', async () => {
+    expect(await resolveTimerRequest(1.255, {}, 'netflix')).toMatchObject({ durationSeconds: 75 });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Telemetry Batch Tests
+ * server/telemetry-batch.js: per-event validation and the responses for
+ * batched POST /api/telemetry, with analytics.logEvents stubbed
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import telemetryBatch from '../server/telemetry-batch.js';
+
+const { TELEMETRY_LIMITS, validateBatchEvent, logTelemetryBatch } = telemetryBatch;
+
+const USER_AGENT = 'Mozilla/5.0 Chrome/137';
+
+const event = (name = 'config_fetch', data = { platform: 'netflix', duration: 120 }) => ({
+  event: name,
+  data,
+  timestamp: 1780000000000
+});
+
+const stored = () => vi.fn().mockResolvedValue({ success: true });
+
+describe('Telemetry Batch: validateBatchEvent', () => {
+  it('accepts events with optional typed fields', () => {
+    expect(validateBatchEvent(event())).toBeNull();
+    expect(validateBatchEvent(event('config_fetch', {}))).toBeNull();
+    expect(
+      validateBatchEvent(event('config_fetch', { success: false, duration: 0, retryCount: 2 }))
+    ).toBeNull();
+  });
+
+  it('explains what is wrong with an event', () => {
+    const cases = [
+      [null, 'Event must be an object'],
+      [event(''), 'event must be a string of 1-100 characters'],
+      [event('x'.repeat(TELEMETRY_LIMITS.MAX_EVENT_NAME + 1)), 'event must be a string of 1-100'],
+      [event('config_fetch', []), 'data must be an object'],
+      [event('config_fetch', { success: 'yes' }), 'data.success must be a boolean'],
+      [event('config_fetch', { duration: 1.5 }), 'data.duration must be a non-negative integer'],
+      [event('config_fetch', { retryCount: -1 }), 'data.retryCount must be a non-negative integer']
+    ];
+    for (const [item, message] of cases) {
+      expect(validateBatchEvent(item)).toContain(message);
+    }
+  });
+});
+
+describe('Telemetry Batch: logTelemetryBatch', () => {
+  it('stores valid events in one call and counts the rejected ones by index', async () => {
+    const logEvents = stored();
+    const result = await logTelemetryBatch(
+      {
+        events: [event(), event('config_fetch', { duration: -5 }), event('cache_hit', {}), null],
+        extensionVersion: '2.1.0'
+      },
+      USER_AGENT,
+      logEvents
+    );
+
+    expect(result).toEqual({
+      status: 200,
+      body: {
+        success: true,
+        accepted: 2,
+        rejected: 2,
+        errors: [
+          { index: 1, error: 'data.duration must be a non-negative integer' },
+          { index: 3, error: 'Event must be an object' }
+        ]
+      }
+    });
+    expect(logEvents).toHaveBeenCalledTimes(1);
+    expect(logEvents.mock.calls[0][0]).toEqual([
+      expect.objectContaining({
+        event: 'config_fetch',
+        extensionVersion: '2.1.0',
+        platform: 'netflix',
+        success: true,
+        duration: 120,
+        userAgent: USER_AGENT
+      }),
+      expect.objectContaining({ event: 'cache_hit', success: true })
+    ]);
+  });
+
+  it('labels events from unknown versions', async () => {
+    const logEvents = stored();
+    await logTelemetryBatch({ events: [event()] }, USER_AGENT, logEvents);
+
+    expect(logEvents.mock.calls[0][0][0].extensionVersion).toBe('unknown');
+  });
+
+  it('accepts batches of 1 to MAX_BATCH_EVENTS events', async () => {
+    const full = Array.from({ length: TELEMETRY_LIMITS.MAX_BATCH_EVENTS }, () => event());
+    const limitError = { error: 'events must contain 1-50 items' };
+
+    expect(await logTelemetryBatch({ events: [] }, USER_AGENT, stored())).toEqual({
+      status: 400,
+      body: limitError
+    });
+    expect(await logTelemetryBatch({ events: [...full, event()] }, USER_AGENT, stored())).toEqual({
+      status: 400,
+      body: limitError
+    });
+
+    const logEvents = stored();
+    const result = await logTelemetryBatch({ events: full }, USER_AGENT, logEvents);
+    expect(result.body).toMatchObject({ success: true, accepted: 50, rejected: 0 });
+    expect(logEvents.mock.calls[0][0]).toHaveLength(50);
+  });
+
+  it('answers 400 without storing anything when every event is rejected', async () => {
+    const logEvents = stored();
+    const result = await logTelemetryBatch(
+      { events: [event(''), event('config_fetch', 'oops')] },
+      USER_AGENT,
+      logEvents
+    );
+
+    expect(result.status).toBe(400);
+    expect(result.body).toMatchObject({ success: false, accepted: 0, rejected: 2 });
+    expect(logEvents).not.toHaveBeenCalled();
+  });
+
+  it('answers 500 and counts the whole batch as rejected when the insert fails', async () => {
+    const logEvents = vi.fn().mockResolvedValue({ success: false, error: 'insert failed' });
+    const result = await logTelemetryBatch({ events: [event(), event('')] }, USER_AGENT, logEvents);
+
+    expect(result).toEqual({
+      status: 500,
+      body: { success: false, accepted: 0, rejected: 2, error: 'insert failed' }
+    });
+  });
+});
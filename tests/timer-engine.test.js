@@ -0,0 +1,589 @@
+/**
+ * Timer Engine Tests
+ * extension/background/timer-engine.js (and the TabTimer it keeps per tab) against
+ * the chrome mocks in tests/setup.js, with chrome.storage.local backed by an
+ * in-memory object
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+
+const TAB_ID = 7;
+const NOW = new Date(2026, 5, 15, 22, 0).getTime();
+
+let SleepTimerEngine;
+let engine;
+let stored;
+// Kept across tests: the engine's modules register some listeners only once
+const storageListeners = new Set();
+
+const sentToTab = action =>
+  chrome.tabs.sendMessage.mock.calls.filter(([, message]) => message.action === action);
+const timerState = (tabId = TAB_ID) => engine.timers.get(tabId)?.state;
+const changeSettings = (oldValue, newValue) =>
+  storageListeners.forEach(listener => listener({ settings: { oldValue, newValue } }, 'local'));
+const setSettings = settings => {
+  changeSettings(stored.settings, settings);
+  stored.settings = settings;
+};
+
+beforeAll(async () => {
+  chrome.tabs.onRemoved = { addListener: vi.fn() };
+  chrome.storage.onChanged = {
+    addListener: vi.fn(listener => storageListeners.add(listener)),
+    removeListener: vi.fn(listener => storageListeners.delete(listener))
+  };
+  chrome.notifications = { create: vi.fn(() => Promise.resolve()) };
+  chrome.runtime.getURL = vi.fn(path => `chrome-extension://test/${path}`);
+  chrome.alarms.getAll = vi.fn(() => Promise.resolve([]));
+  chrome.action.setBadgeText.mockImplementation(() => Promise.resolve());
+  chrome.action.setBadgeBackgroundColor.mockImplementation(() => Promise.resolve());
+
+  ({ SleepTimerEngine } = await import('../extension/background/timer-engine.js'));
+});
+
+beforeEach(() => {
+  vi.useFakeTimers({ now: NOW, toFake: ['Date', 'setTimeout', 'setInterval', 'clearInterval'] });
+  stored = {};
+  chrome.storage.local.get.mockImplementation(keys => {
+    const found = [keys].flat().filter(key => key in stored);
+    return Promise.resolve(
+      Object.fromEntries(found.map(key => [key, structuredClone(stored[key])]))
+    );
+  });
+  chrome.storage.local.set.mockImplementation(items => {
+    Object.assign(stored, structuredClone(items));
+    return Promise.resolve();
+  });
+  chrome.storage.local.remove.mockImplementation(key => {
+    delete stored[key];
+    return Promise.resolve();
+  });
+  engine = new SleepTimerEngine();
+});
+
+afterEach(() => {
+  setSettings(undefined);
+  vi.useRealTimers();
+  chrome.tabs.get.mockImplementation(tabId =>
+    Promise.resolve({ id: tabId, url: 'https://netflix.com' })
+  );
+  chrome.storage.local.get.mockImplementation(() => Promise.resolve({}));
+  chrome.storage.local.set.mockImplementation(() => Promise.resolve());
+  chrome.storage.local.remove.mockImplementation(() => Promise.resolve());
+});
+
+describe('Timer Engine: episode timers', () => {
+  it('watches the player instead of counting down', async () => {
+    const timer = await engine.startTimer(0, TAB_ID, { mode: 'episode', episodes: 2 });
+
+    expect(timer).toMatchObject({ mode: 'episode', episodes: 2, episodesRemaining: 2 });
+    expect(stored.activeTimers[TAB_ID]).toMatchObject({ episodesRemaining: 2 });
+    expect(chrome.alarms.create).not.toHaveBeenCalled();
+    expect(sentToTab('startEpisodeWatch')).toHaveLength(1);
+    expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ tabId: TAB_ID, text: '2ep' });
+  });
+
+  it('counts each episode end once, ignoring the duplicate report', async () => {
+    await engine.startTimer(0, TAB_ID, { mode: 'episode', episodes: 3 });
+
+    expect((await engine.handleEpisodeEnded(TAB_ID)).episodesRemaining).toBe(2);
+    // The next-episode card right after the `ended` event
+    vi.advanceTimersByTime(5000);
+    expect((await engine.handleEpisodeEnded(TAB_ID)).episodesRemaining).toBe(2);
+    vi.advanceTimersByTime(30000);
+    expect((await engine.handleEpisodeEnded(TAB_ID)).episodesRemaining).toBe(1);
+    expect(stored.activeTimers[TAB_ID].episodesRemaining).toBe(1);
+  });
+
+  it('ignores episode ends from other tabs', async () => {
+    await engine.startTimer(0, TAB_ID, { mode: 'episode', episodes: 1 });
+
+    expect(await engine.handleEpisodeEnded(TAB_ID + 1)).toBeNull();
+    expect(stored.activeTimers[TAB_ID].episodesRemaining).toBe(1);
+  });
+
+  it('pauses the video when the last episode ends', async () => {
+    await engine.startTimer(0, TAB_ID, { mode: 'episode', episodes: 1 });
+
+    expect(await engine.handleEpisodeEnded(TAB_ID)).toBeNull();
+    expect(sentToTab('stopEpisodeWatch')).toHaveLength(1);
+    expect(sentToTab('pauseVideo')).toHaveLength(1);
+    expect(stored.timerHistory[0]).toMatchObject({
+      mode: 'episode',
+      requestedEpisodes: 1,
+      outcome: 'expired'
+    });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(stored.activeTimers).toEqual({});
+  });
+
+  it('adds episodes up to the maximum', async () => {
+    await engine.startTimer(0, TAB_ID, { mode: 'episode', episodes: 8 });
+
+    expect((await engine.extendEpisodes(TAB_ID, 1)).episodesRemaining).toBe(9);
+    expect((await engine.extendEpisodes(TAB_ID, 5)).episodesRemaining).toBe(10);
+    await expect(engine.extendTimer(TAB_ID, 10)).rejects.toThrow('extended by episodes');
+  });
+
+  it('rejects episode counts outside 1-10', async () => {
+    await expect(engine.startTimer(0, TAB_ID, { mode: 'episode', episodes: 11 })).rejects.toThrow(
+      'between 1 and 10 episodes'
+    );
+    expect(stored.activeTimers).toBeUndefined();
+  });
+
+  it('picks up a saved episode timer after the service worker restarts', async () => {
+    await engine.startTimer(0, TAB_ID, { mode: 'episode', episodes: 2 });
+
+    const restarted = new SleepTimerEngine();
+    expect((await restarted.handleEpisodeEnded(TAB_ID)).episodesRemaining).toBe(1);
+    expect(chrome.alarms.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Timer Engine: ad time', () => {
+  it('stops counting while an ad plays in the timer tab', async () => {
+    await engine.startTimer(30, TAB_ID);
+    await vi.advanceTimersByTimeAsync(10000);
+    expect(timerState().remaining).toBe(1790);
+
+    const paused = await engine.handleAdStateChanged(TAB_ID, true);
+    expect(paused).toMatchObject({ status: 'paused', pausedBy: 'ad' });
+    await vi.advanceTimersByTimeAsync(15000);
+    expect(timerState().remaining).toBe(1790);
+
+    const resumed = await engine.handleAdStateChanged(TAB_ID, false);
+    expect(resumed.status).toBe('active');
+    expect(resumed.pausedBy).toBeUndefined();
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(timerState().remaining).toBe(1785);
+  });
+
+  it('keeps a timer the user paused paused after the ad', async () => {
+    await engine.startTimer(30, TAB_ID);
+    await engine.pauseTimer(TAB_ID);
+
+    await engine.handleAdStateChanged(TAB_ID, true);
+    const timer = await engine.handleAdStateChanged(TAB_ID, false);
+    expect(timer).toMatchObject({ status: 'paused', pausedBy: 'user' });
+  });
+
+  it('ignores ads in other tabs and during episode timers', async () => {
+    await engine.startTimer(30, TAB_ID);
+    expect(await engine.handleAdStateChanged(TAB_ID + 1, true)).toBeNull();
+    expect(timerState().status).toBe('active');
+
+    await engine.stopTimer(TAB_ID);
+    await engine.startTimer(0, TAB_ID, { mode: 'episode', episodes: 1 });
+    expect(await engine.handleAdStateChanged(TAB_ID, true)).toBeNull();
+    expect(timerState().status).toBe('active');
+  });
+});
+
+describe('Timer Engine: volume fade-out', () => {
+  it('starts the fade once the timer enters the fade-out window', async () => {
+    setSettings({ fadeOutSeconds: 10 });
+    await engine.startTimer(15 / 60, TAB_ID);
+
+    await vi.advanceTimersByTimeAsync(4000);
+    expect(sentToTab('startFadeOut')).toHaveLength(0);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(sentToTab('startFadeOut')).toEqual([[TAB_ID, { action: 'startFadeOut', seconds: 10 }]]);
+
+    await vi.advanceTimersByTimeAsync(3000);
+    expect(sentToTab('startFadeOut')).toHaveLength(1);
+  });
+
+  it('follows a fadeOutSeconds change made during the countdown', async () => {
+    setSettings({ fadeOutSeconds: 5 });
+    await engine.startTimer(15 / 60, TAB_ID);
+    await vi.advanceTimersByTimeAsync(1000);
+
+    setSettings({ fadeOutSeconds: 10 });
+    await vi.advanceTimersByTimeAsync(4000);
+    expect(sentToTab('startFadeOut')).toEqual([[TAB_ID, { action: 'startFadeOut', seconds: 10 }]]);
+  });
+
+  it('does not fade when fadeOutSeconds is off', async () => {
+    await engine.startTimer(5 / 60, TAB_ID);
+
+    await vi.advanceTimersByTimeAsync(4000);
+    expect(sentToTab('startFadeOut')).toHaveLength(0);
+  });
+
+  it('restores the volume when a fading timer is paused or extended', async () => {
+    setSettings({ fadeOutSeconds: 30 });
+    await engine.startTimer(0.5, TAB_ID);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(sentToTab('startFadeOut')).toHaveLength(1);
+
+    await engine.extendTimer(TAB_ID, 5);
+    expect(sentToTab('cancelFadeOut')).toHaveLength(1);
+    expect(timerState().fadeStarted).toBe(false);
+
+    await engine.pauseTimer(TAB_ID);
+    expect(sentToTab('cancelFadeOut')).toHaveLength(1);
+  });
+});
+
+describe('Timer Engine: still watching? check-in', () => {
+  beforeEach(() => {
+    setSettings({ checkInMinutes: 1, checkInExtendMinutes: 10 });
+  });
+
+  it('asks once the timer reaches checkInMinutes', async () => {
+    await engine.startTimer(2, TAB_ID);
+
+    await vi.advanceTimersByTimeAsync(59000);
+    expect(sentToTab('showCheckIn')).toHaveLength(0);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(sentToTab('showCheckIn')).toEqual([
+      [TAB_ID, { action: 'showCheckIn', seconds: 60, extendMinutes: 10, expiryAction: 'pause' }]
+    ]);
+    expect(stored.activeTimers[TAB_ID].pendingCheckIn).toMatchObject({
+      duration: 120,
+      extendMinutes: 10
+    });
+
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(sentToTab('showCheckIn')).toHaveLength(1);
+  });
+
+  it('extends the timer when the viewer responds in the timer tab', async () => {
+    await engine.startTimer(2, TAB_ID);
+    await vi.advanceTimersByTimeAsync(60000);
+
+    expect(await engine.handleCheckInResponse(TAB_ID + 1)).toBeNull();
+    const timer = await engine.handleCheckInResponse(TAB_ID);
+    expect(timer.remaining).toBe(60 + 600);
+    expect(timer.pendingCheckIn).toBeUndefined();
+    expect(timer.checkIns).toEqual([expect.objectContaining({ response: 'acknowledged' })]);
+    expect(await engine.handleCheckInResponse(TAB_ID)).toBeNull();
+  });
+
+  it('asks again when the timer is resumed after pausing during the check-in', async () => {
+    await engine.startTimer(2, TAB_ID);
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(sentToTab('showCheckIn')).toHaveLength(1);
+
+    await engine.pauseTimer(TAB_ID);
+    expect(sentToTab('hideCheckIn')).toHaveLength(1);
+    expect(timerState().checkIns).toEqual([expect.objectContaining({ response: 'cancelled' })]);
+
+    await engine.resumeTimer(TAB_ID);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(sentToTab('showCheckIn')).toHaveLength(2);
+    expect(timerState().pendingCheckIn).toMatchObject({ duration: 120 });
+  });
+
+  it('does not ask again once the check-in was answered', async () => {
+    await engine.startTimer(2, TAB_ID);
+    await vi.advanceTimersByTimeAsync(60000);
+    await engine.handleCheckInResponse(TAB_ID);
+    await engine.pauseTimer(TAB_ID);
+    await engine.resumeTimer(TAB_ID);
+
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(sentToTab('showCheckIn')).toHaveLength(1);
+  });
+
+  it('records an ignored check-in when the timer expires', async () => {
+    await engine.startTimer(2, TAB_ID);
+    await vi.advanceTimersByTimeAsync(120000);
+
+    expect(sentToTab('hideCheckIn')).toHaveLength(1);
+    expect(stored.timerHistory[0].checkIns).toEqual([
+      expect.objectContaining({ duration: 120, extendMinutes: 10, response: 'ignored' })
+    ]);
+  });
+});
+
+describe('Timer Engine: badge', () => {
+  it('clears and redraws badges when badgeEnabled changes', async () => {
+    await engine.startTimer(30, TAB_ID);
+    expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ tabId: TAB_ID, text: '30' });
+
+    changeSettings({}, { badgeEnabled: false });
+    expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ tabId: TAB_ID, text: '' });
+    await engine.extendTimer(TAB_ID, 5);
+    expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ tabId: TAB_ID, text: '' });
+
+    changeSettings({ badgeEnabled: false }, {});
+    expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ tabId: TAB_ID, text: '35' });
+  });
+});
+
+describe('Timer Engine: history', () => {
+  it('records each session with its events and how it ended', async () => {
+    await engine.startTimer(30, TAB_ID);
+    await vi.advanceTimersByTimeAsync(60000);
+    await engine.pauseTimer(TAB_ID);
+    await engine.resumeTimer(TAB_ID);
+    await engine.extendTimer(TAB_ID, 5);
+    await engine.stopTimer(TAB_ID);
+
+    expect(stored.timerHistory).toHaveLength(1);
+    const [session] = stored.timerHistory;
+    expect(session).toMatchObject({
+      mode: 'duration',
+      requestedSeconds: 1800,
+      actualSeconds: 60,
+      outcome: 'stopped',
+      endedAt: NOW + 60000
+    });
+    expect(session.events.map(event => event.type)).toEqual([
+      'start',
+      'pause',
+      'resume',
+      'extend',
+      'stop'
+    ]);
+  });
+
+  it('closes the replaced session when a tab starts a new timer', async () => {
+    await engine.startTimer(30, TAB_ID);
+    await engine.startTimer(10, TAB_ID);
+
+    expect(stored.timerHistory.map(session => session.outcome)).toEqual([null, 'replaced']);
+  });
+});
+
+describe('Timer Engine: expiry actions', () => {
+  it('runs the expiry action and says what it did', async () => {
+    setSettings({ showNotifications: true, expiryAction: 'mute' });
+    await engine.startTimer(1, TAB_ID);
+
+    await vi.advanceTimersByTimeAsync(61000);
+    expect(sentToTab('runExpiryAction')).toEqual([
+      [TAB_ID, { action: 'runExpiryAction', expiryAction: 'mute' }]
+    ]);
+    expect(sentToTab('pauseVideo')).toHaveLength(0);
+    expect(chrome.notifications.create).toHaveBeenCalledWith(
+      'vibootExpired',
+      expect.objectContaining({ message: 'Your tab has been muted. Sweet dreams!' })
+    );
+  });
+
+  it('reports a failed expiry action instead of the paused notification', async () => {
+    setSettings({ showNotifications: true, expiryAction: 'goodnight' });
+    chrome.tabs.update = vi.fn(() => Promise.reject(new Error('Tabs cannot be edited right now')));
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    await engine.startTimer(1, TAB_ID);
+
+    await vi.advanceTimersByTimeAsync(61000);
+    expect(consoleError).toHaveBeenCalledWith(
+      '[Viboot] Tick error:',
+      expect.objectContaining({ message: 'Tabs cannot be edited right now' })
+    );
+    expect(chrome.notifications.create).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(stored.activeTimers).toEqual({});
+    consoleError.mockRestore();
+    delete chrome.tabs.update;
+  });
+
+  it('only notifies when the timer tab is gone', async () => {
+    setSettings({ showNotifications: true, expiryAction: 'mute' });
+    await engine.startTimer(1, TAB_ID);
+    chrome.tabs.get.mockImplementation(() => Promise.reject(new Error('No tab with id: 7')));
+
+    await vi.advanceTimersByTimeAsync(61000);
+    expect(sentToTab('runExpiryAction')).toHaveLength(0);
+    expect(chrome.notifications.create).toHaveBeenCalledWith(
+      'vibootExpired',
+      expect.objectContaining({ message: 'Your video has been paused. Sweet dreams!' })
+    );
+  });
+
+  it('cancels the delayed close of a tab that starts a new timer', async () => {
+    chrome.alarms.getAll.mockResolvedValueOnce([{ name: `vibootCloseTab:${TAB_ID}:pause` }]);
+
+    await engine.startTimer(30, TAB_ID);
+    expect(chrome.alarms.clear).toHaveBeenCalledWith(`vibootCloseTab:${TAB_ID}:pause`);
+  });
+});
+
+describe('Timer Engine: timers per tab', () => {
+  const OTHER_TAB_ID = 8;
+
+  it('runs an independent timer in each tab', async () => {
+    await engine.startTimer(30, TAB_ID);
+    await engine.startTimer(10, OTHER_TAB_ID);
+    expect(chrome.alarms.create).toHaveBeenCalledWith(`vibootTimerExpiry:${TAB_ID}`, {
+      when: NOW + 1800 * 1000
+    });
+    expect(chrome.alarms.create).toHaveBeenCalledWith(`vibootTimerExpiry:${OTHER_TAB_ID}`, {
+      when: NOW + 600 * 1000
+    });
+
+    await engine.pauseTimer(TAB_ID);
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(timerState(TAB_ID)).toMatchObject({ status: 'paused', remaining: 1800 });
+    expect(timerState(OTHER_TAB_ID)).toMatchObject({ status: 'active', remaining: 540 });
+
+    await engine.stopTimer(OTHER_TAB_ID);
+    expect(Object.keys(stored.activeTimers)).toEqual([String(TAB_ID)]);
+    expect(await engine.getTimerStatus(OTHER_TAB_ID)).toEqual({ active: false });
+  });
+
+  it('replaces the timer when a tab starts a new one', async () => {
+    await engine.startTimer(30, TAB_ID);
+    await engine.startTimer(0, TAB_ID, { mode: 'episode', episodes: 2 });
+
+    expect(engine.timers.size).toBe(1);
+    expect(await engine.getTimerStatus(TAB_ID)).toMatchObject({ mode: 'episode' });
+  });
+
+  it('lists every timer, soonest to expire first', async () => {
+    await engine.startTimer(0, OTHER_TAB_ID + 1, { mode: 'episode', episodes: 2 });
+    await engine.startTimer(30, TAB_ID);
+    await engine.startTimer(10, OTHER_TAB_ID);
+
+    const statuses = await engine.getAllTimerStatuses();
+    expect(statuses.map(status => status.tabId)).toEqual([OTHER_TAB_ID, TAB_ID, OTHER_TAB_ID + 1]);
+  });
+
+  it('only pauses the video in the tab whose timer expired', async () => {
+    await engine.startTimer(1, TAB_ID);
+    await engine.startTimer(30, OTHER_TAB_ID);
+
+    await vi.advanceTimersByTimeAsync(61000);
+    expect(sentToTab('pauseVideo')).toEqual([
+      [TAB_ID, { action: 'pauseVideo', source: 'sleepTimer' }]
+    ]);
+    expect(Object.keys(stored.activeTimers)).toEqual([String(OTHER_TAB_ID)]);
+  });
+});
+
+describe('Timer Engine: restoring after a service worker restart', () => {
+  const savedTimer = (tabId, overrides = {}) => ({
+    tabId,
+    platform: 'netflix',
+    mode: 'duration',
+    duration: 1800,
+    remaining: 1800,
+    startTime: NOW - 600 * 1000,
+    status: 'active',
+    ...overrides
+  });
+
+  it('resumes the countdown from the start time', async () => {
+    stored.activeTimers = { [TAB_ID]: savedTimer(TAB_ID) };
+
+    expect(await engine.getTimerStatus(TAB_ID)).toMatchObject({ active: true, remaining: 1200 });
+    expect(chrome.alarms.create).toHaveBeenCalledWith(`vibootTimerExpiry:${TAB_ID}`, {
+      when: NOW + 1200 * 1000
+    });
+  });
+
+  it('keeps paused timers paused', async () => {
+    stored.activeTimers = { [TAB_ID]: savedTimer(TAB_ID, { status: 'paused', remaining: 900 }) };
+
+    expect(await engine.getTimerStatus(TAB_ID)).toMatchObject({ status: 'paused', remaining: 900 });
+    expect(chrome.alarms.create).not.toHaveBeenCalled();
+  });
+
+  it('expires timers that ran out while the worker was asleep', async () => {
+    stored.activeTimers = { [TAB_ID]: savedTimer(TAB_ID, { duration: 300, remaining: 300 }) };
+
+    await engine.ensureRestored();
+    expect(sentToTab('pauseVideo')).toHaveLength(1);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(stored.activeTimers).toEqual({});
+  });
+
+  it('drops timers whose tab was closed', async () => {
+    const OTHER_TAB_ID = 8;
+    stored.activeTimers = {
+      [TAB_ID]: savedTimer(TAB_ID),
+      [OTHER_TAB_ID]: savedTimer(OTHER_TAB_ID)
+    };
+    chrome.tabs.get.mockImplementation(tabId =>
+      tabId === OTHER_TAB_ID
+        ? Promise.reject(new Error('No tab with id'))
+        : Promise.resolve({ id: tabId, url: 'https://netflix.com' })
+    );
+
+    expect((await engine.getAllTimerStatuses()).map(status => status.tabId)).toEqual([TAB_ID]);
+    expect(Object.keys(stored.activeTimers)).toEqual([String(TAB_ID)]);
+  });
+
+  it('migrates the single activeTimer from earlier versions', async () => {
+    stored.activeTimer = savedTimer(TAB_ID, { mode: 'episode', episodes: 3, episodesRemaining: 2 });
+
+    expect(await engine.getTimerStatus(TAB_ID)).toMatchObject({
+      mode: 'episode',
+      episodesRemaining: 2
+    });
+    expect(stored.activeTimer).toBeUndefined();
+    expect(stored.activeTimers[TAB_ID]).toMatchObject({ episodesRemaining: 2 });
+  });
+
+  it('clears the single-timer alarms from earlier versions', async () => {
+    stored.activeTimer = savedTimer(TAB_ID);
+
+    await engine.handleAlarm('vibootTimerTick');
+    expect(chrome.alarms.clear).toHaveBeenCalledWith('vibootTimerTick');
+    expect(Object.keys(stored.activeTimers)).toEqual([String(TAB_ID)]);
+  });
+});
+
+describe('Timer Engine: all-tabs scope', () => {
+  const MEDIA_TAB_IDS = [TAB_ID, 20, 21];
+
+  beforeEach(() => {
+    chrome.runtime.getManifest = vi.fn(() => ({ host_permissions: ['*://*.youtube.com/*'] }));
+    chrome.scripting = { executeScript: vi.fn(() => Promise.resolve()) };
+    chrome.tabs.query.mockImplementation(() =>
+      Promise.resolve(MEDIA_TAB_IDS.map(id => ({ id, url: 'https://www.youtube.com/watch' })))
+    );
+  });
+
+  afterEach(() => {
+    chrome.tabs.query.mockImplementation(() =>
+      Promise.resolve([{ id: 12345, url: 'https://netflix.com' }])
+    );
+    chrome.tabs.sendMessage.mockImplementation(() => Promise.resolve({ success: true }));
+  });
+
+  it('pauses every media tab when the timer expires', async () => {
+    // Tab 21 has no content script, so the injected fallback pauses it
+    chrome.tabs.sendMessage.mockImplementation(tabId =>
+      tabId === 21
+        ? Promise.reject(new Error('No receiving end'))
+        : Promise.resolve({ success: true })
+    );
+    await engine.startTimer(1, TAB_ID, { scope: 'all' });
+
+    await vi.advanceTimersByTimeAsync(61000);
+    expect(chrome.tabs.query).toHaveBeenCalledWith({ url: ['*://*.youtube.com/*'] });
+    const pausedTabIds = sentToTab('pauseVideo').map(([tabId]) => tabId);
+    expect(pausedTabIds.sort((a, b) => a - b)).toEqual(MEDIA_TAB_IDS);
+    expect(chrome.scripting.executeScript).toHaveBeenCalledWith(
+      expect.objectContaining({ target: { tabId: 21, allFrames: true } })
+    );
+    expect(chrome.notifications.create).toHaveBeenCalledWith(
+      'vibootExpired',
+      expect.objectContaining({ message: 'Playback has been paused in all tabs. Sweet dreams!' })
+    );
+  });
+
+  it('takes the scope from the timerScope setting', async () => {
+    setSettings({ showNotifications: true, timerScope: 'all' });
+
+    expect((await engine.startTimer(1, TAB_ID)).scope).toBe('all');
+    expect((await engine.startTimer(1, TAB_ID, { scope: 'tab' })).scope).toBe('tab');
+  });
+
+  it('leaves other tabs playing with the tab scope', async () => {
+    await engine.startTimer(1, TAB_ID);
+
+    await vi.advanceTimersByTimeAsync(61000);
+    expect(chrome.tabs.query).not.toHaveBeenCalled();
+    expect(sentToTab('pauseVideo').map(([tabId]) => tabId)).toEqual([TAB_ID]);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Timer History Tests
+ * extension/utils/timer-history.js: pruning by count and age, and session
+ * records written through the chrome.storage mocks in tests/setup.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  HISTORY_KEY,
+  HISTORY_LIMITS,
+  pruneHistory,
+  getTimerHistory,
+  recordTimerStart,
+  recordTimerEvent,
+  recordTimerEnd,
+  deleteHistoryEntry
+} from '../extension/utils/timer-history.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(2026, 5, 15, 22, 0).getTime();
+
+const session = (id, startedAt) => ({ id, startedAt, events: [] });
+
+let stored;
+
+beforeEach(() => {
+  stored = {};
+  chrome.storage.local.get.mockImplementation(key =>
+    Promise.resolve({ [key]: structuredClone(stored[key]) })
+  );
+  chrome.storage.local.set.mockImplementation(items => {
+    Object.assign(stored, structuredClone(items));
+    return Promise.resolve();
+  });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  chrome.storage.local.get.mockImplementation(() => Promise.resolve({}));
+  chrome.storage.local.set.mockImplementation(() => Promise.resolve());
+});
+
+describe('Timer History: pruneHistory', () => {
+  it(`drops sessions older than ${HISTORY_LIMITS.MAX_AGE_DAYS} days`, () => {
+    const entries = [
+      session('today', NOW - 1000),
+      session('edge', NOW - HISTORY_LIMITS.MAX_AGE_DAYS * DAY),
+      session('old', NOW - HISTORY_LIMITS.MAX_AGE_DAYS * DAY - 1)
+    ];
+
+    expect(pruneHistory(entries, NOW).map(entry => entry.id)).toEqual(['today', 'edge']);
+  });
+
+  it(`keeps only the newest ${HISTORY_LIMITS.MAX_ENTRIES} sessions`, () => {
+    const entries = Array.from({ length: HISTORY_LIMITS.MAX_ENTRIES + 20 }, (_, index) =>
+      session(`s${index}`, NOW - index * 1000)
+    );
+    const pruned = pruneHistory(entries, NOW);
+
+    expect(pruned).toHaveLength(HISTORY_LIMITS.MAX_ENTRIES);
+    expect(pruned[0].id).toBe('s0');
+  });
+});
+
+describe('Timer History: sessions', () => {
+  const state = {
+    sessionId: 'abc',
+    site: 'netflix.com',
+    platform: 'netflix',
+    mode: 'duration',
+    duration: 1800,
+    startTime: NOW
+  };
+
+  it('records a session from start to end', async () => {
+    vi.useFakeTimers({ now: NOW + 60 * 1000, toFake: ['Date'] });
+    recordTimerStart(state, 'Episode 1');
+    recordTimerEvent('abc', 'extend', { minutes: 15 });
+    await recordTimerEnd('abc', 'expired', { actualSeconds: 2700 });
+
+    const [entry] = await getTimerHistory();
+    expect(entry).toMatchObject({
+      id: 'abc',
+      title: 'Episode 1',
+      scope: 'tab',
+      requestedSeconds: 1800,
+      actualSeconds: 2700,
+      outcome: 'expired'
+    });
+    expect(entry.events.map(event => event.type)).toEqual(['start', 'extend', 'expire']);
+  });
+
+  it('leaves deleted sessions deleted when their timer ends', async () => {
+    vi.useFakeTimers({ now: NOW, toFake: ['Date'] });
+    recordTimerStart(state);
+    deleteHistoryEntry('abc');
+    await recordTimerEnd('abc', 'stopped', { actualSeconds: 10 });
+
+    expect(stored[HISTORY_KEY]).toEqual([]);
+  });
+
+  it('prunes old sessions on every write', async () => {
+    stored[HISTORY_KEY] = [session('old', NOW - (HISTORY_LIMITS.MAX_AGE_DAYS + 1) * DAY)];
+    vi.useFakeTimers({ now: NOW, toFake: ['Date'] });
+    await recordTimerStart(state);
+
+    expect(stored[HISTORY_KEY].map(entry => entry.id)).toEqual(['abc']);
+  });
+
+  it('reads a missing or corrupt log as empty', async () => {
+    stored[HISTORY_KEY] = 'not a list';
+    expect(await getTimerHistory()).toEqual([]);
+  });
+});
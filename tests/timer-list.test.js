@@ -0,0 +1,85 @@
+/**
+ * Popup Timer List Tests
+ * extension/popup/timer-list.js: one row per running timer, shown only when a
+ * timer runs outside the popup's tab
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { renderTimerList } from '../extension/popup/timer-list.js';
+
+const CURRENT_TAB_ID = 7;
+
+let section;
+let list;
+let onStop;
+
+const rows = () => [...list.querySelectorAll('.timer-list-item')];
+const rowText = row =>
+  [row.querySelector('.timer-list-site'), row.querySelector('.timer-list-remaining')].map(
+    el => el.textContent
+  );
+
+beforeEach(() => {
+  section = document.createElement('section');
+  list = document.createElement('ul');
+  section.appendChild(list);
+  onStop = vi.fn();
+  chrome.tabs.update = vi.fn(tabId => Promise.resolve({ id: tabId, windowId: 3 }));
+  chrome.windows = { update: vi.fn(() => Promise.resolve()) };
+});
+
+describe('Popup Timer List', () => {
+  it('stays hidden when only the current tab has a timer', () => {
+    renderTimerList(
+      section,
+      list,
+      [{ tabId: CURRENT_TAB_ID, remaining: 600 }],
+      CURRENT_TAB_ID,
+      onStop
+    );
+
+    expect(section.classList.contains('hidden')).toBe(true);
+  });
+
+  it('lists the timers of every tab with their site and time left', () => {
+    renderTimerList(
+      section,
+      list,
+      [
+        { tabId: 8, site: 'www.youtube.com', remaining: 300, status: 'active' },
+        { tabId: CURRENT_TAB_ID, site: 'www.netflix.com', remaining: 1500, status: 'paused' },
+        { tabId: 9, platform: 'generic', mode: 'episode', episodesRemaining: 2 }
+      ],
+      CURRENT_TAB_ID,
+      onStop
+    );
+
+    expect(section.classList.contains('hidden')).toBe(false);
+    expect(rows().map(rowText)).toEqual([
+      ['YouTube', '05:00'],
+      ['Netflix', '25:00 ⏸'],
+      ['generic', '2 eps']
+    ]);
+    expect(rows().map(row => row.classList.contains('current'))).toEqual([false, true, false]);
+  });
+
+  it('stops a timer or focuses its tab from its row', async () => {
+    renderTimerList(
+      section,
+      list,
+      [{ tabId: 8, site: 'www.youtube.com', remaining: 300 }],
+      CURRENT_TAB_ID,
+      onStop
+    );
+    const [row] = rows();
+
+    row.querySelector('.timer-list-stop').click();
+    expect(onStop).toHaveBeenCalledWith(8);
+
+    row.querySelector('.timer-list-site').click();
+    await vi.waitFor(() =>
+      expect(chrome.windows.update).toHaveBeenCalledWith(3, { focused: true })
+    );
+    expect(chrome.tabs.update).toHaveBeenCalledWith(8, { active: true });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Timer Stats Tests
+ * extension/utils/timer-stats.js: weekly viewing, bedtimes measured from noon,
+ * timer outcomes and streaks. Dates are local (TZ is pinned in vitest.config.js).
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  STATS_CONFIG,
+  computeTimerStats,
+  summarizeTimerHistory,
+  getNightlySummary
+} from '../extension/utils/timer-stats.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Monday 15 June 2026, 22:00
+const NOW = new Date(2026, 5, 15, 22, 0).getTime();
+const at = (day, hours, minutes = 0) => new Date(2026, 5, day, hours, minutes).getTime();
+
+/**
+ * A finished session that ran for `seconds` (an hour by default)
+ */
+const entry = ({
+  endedAt,
+  outcome = 'expired',
+  site = 'www.netflix.com',
+  seconds = 3600,
+  extended
+}) => ({
+  id: `${site}-${endedAt}`,
+  site,
+  startedAt: endedAt - seconds * 1000,
+  endedAt,
+  outcome,
+  actualSeconds: seconds,
+  events: extended ? [{ type: 'extend', minutes: 15 }] : []
+});
+
+describe('computeTimerStats', () => {
+  it('totals viewing per platform for each Monday week', () => {
+    const { viewing } = computeTimerStats(
+      [
+        entry({ endedAt: at(15, 21) }),
+        entry({ endedAt: at(14, 23), site: 'www.youtube.com', seconds: 1800 }),
+        entry({ endedAt: at(13, 23), site: 'www.youtube.com', seconds: 1800 }),
+        entry({ endedAt: at(12, 23), site: 'www.youtube.com', seconds: 1800 }),
+        { id: 'running', site: 'www.netflix.com', startedAt: at(15, 21), events: [] }
+      ],
+      NOW
+    );
+
+    expect(viewing.weeks).toHaveLength(STATS_CONFIG.WEEKS);
+    const [lastWeek, thisWeek] = viewing.weeks.slice(-2);
+    expect(thisWeek.start).toEqual(new Date(2026, 5, 15));
+    expect(thisWeek.totals).toEqual({ Netflix: 3600 });
+    expect(lastWeek.start).toEqual(new Date(2026, 5, 8));
+    expect(lastWeek.totals).toEqual({ YouTube: 5400 });
+    // Most watched first
+    expect(viewing.platforms).toEqual(['YouTube', 'Netflix']);
+  });
+
+  it('ignores sessions older than the chart', () => {
+    const { viewing } = computeTimerStats([entry({ endedAt: at(15, 21) - 60 * DAY })], NOW);
+
+    expect(viewing.weeks.every(week => week.total === 0)).toBe(true);
+    expect(viewing.platforms).toEqual([]);
+  });
+
+  it('averages bedtimes across midnight and files them under the night before', () => {
+    const { bedtimes } = computeTimerStats(
+      [entry({ endedAt: at(13, 23, 30) }), entry({ endedAt: at(15, 0, 30) })],
+      NOW
+    );
+
+    // 23:30 and 00:30 average to midnight, 720 minutes after noon
+    expect(bedtimes.average).toBe(720);
+    expect(bedtimes.nights).toHaveLength(STATS_CONFIG.BEDTIME_NIGHTS);
+    const [, saturday, sunday, tonight] = bedtimes.nights.slice(-4);
+    expect(saturday.minutesFromNoon).toBe(690);
+    expect(sunday.night).toEqual(new Date(2026, 5, 14));
+    expect(sunday.minutesFromNoon).toBe(750);
+    expect(tonight.minutesFromNoon).toBeNull();
+  });
+
+  it('only counts expired timers toward bedtimes', () => {
+    const { bedtimes } = computeTimerStats(
+      [entry({ endedAt: at(14, 23), outcome: 'stopped' })],
+      NOW
+    );
+
+    expect(bedtimes.average).toBeNull();
+    expect(bedtimes.nights.every(night => night.minutesFromNoon === null)).toBe(true);
+  });
+
+  it('counts finished, extended and stopped-early timers', () => {
+    const { outcomes } = computeTimerStats(
+      [
+        entry({ endedAt: at(14, 23), extended: true }),
+        entry({ endedAt: at(13, 23), outcome: 'stopped' }),
+        entry({ endedAt: at(12, 23), outcome: 'tabClosed', extended: true }),
+        { id: 'running', startedAt: at(15, 21), events: [] }
+      ],
+      NOW
+    );
+
+    expect(outcomes).toEqual({ finished: 3, extended: 2, stoppedEarly: 2 });
+  });
+
+  it('keeps the current streak alive until tonight is over', () => {
+    const nights = [14, 13, 12, 10, 9, 8, 7].map(day => entry({ endedAt: at(day, 23) }));
+
+    expect(computeTimerStats(nights, NOW).streaks).toEqual({ current: 3, longest: 4 });
+    // Tuesday noon: Monday night had no timer run out
+    expect(computeTimerStats(nights, at(16, 12)).streaks).toEqual({ current: 0, longest: 4 });
+  });
+});
+
+describe('summarizeTimerHistory', () => {
+  it('summarizes a date range regardless of the current date', () => {
+    const summary = summarizeTimerHistory([
+      entry({ endedAt: at(1, 23, 30) }),
+      entry({ endedAt: at(3, 0, 30), site: 'www.youtube.com', seconds: 1800, extended: true }),
+      entry({ endedAt: at(3, 22), outcome: 'stopped' })
+    ]);
+
+    expect(summary).toEqual({
+      sessions: 3,
+      viewingSeconds: 9000,
+      platforms: { Netflix: 7200, YouTube: 1800 },
+      averageBedtime: 720,
+      finished: 3,
+      extended: 1,
+      stoppedEarly: 1,
+      longestStreak: 2
+    });
+  });
+});
+
+describe('getNightlySummary', () => {
+  it('groups sessions by the night they ended in, oldest first', () => {
+    const rows = getNightlySummary([
+      entry({ endedAt: at(3, 22), outcome: 'stopped' }),
+      entry({ endedAt: at(3, 0, 30), extended: true }),
+      entry({ endedAt: at(2, 21) })
+    ]);
+
+    expect(rows).toEqual([
+      {
+        night: '2026-06-02',
+        sessions: 2,
+        viewingSeconds: 7200,
+        bedtime: 750,
+        extended: 1,
+        stoppedEarly: 0
+      },
+      {
+        night: '2026-06-03',
+        sessions: 1,
+        viewingSeconds: 3600,
+        bedtime: null,
+        extended: 0,
+        stoppedEarly: 1
+      }
+    ]);
+  });
+});
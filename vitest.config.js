@@ -1,5 +1,9 @@
 import { defineConfig } from 'vitest/config';
 
+// Local-time tests (bedtimes, stats, exports) run in a zone with DST on every
+// machine; workers inherit it, and it can't be changed from inside a test
+process.env.TZ = 'America/New_York';
+
 export default defineConfig({
   test: {
     // Test environment